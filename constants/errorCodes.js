@@ -7,6 +7,7 @@
 
 // === Reservations - Availability ===
 const TABLES_UNAVAILABLE = 'TABLES_UNAVAILABLE';
+const NO_TABLE_AVAILABLE = 'NO_TABLE_AVAILABLE';
 const TABLE_NOT_FOUND = 'TABLE_NOT_FOUND';
 
 // === Reservations - Capacity & Validation ===
@@ -24,6 +25,22 @@ const RESERVATION_NOT_FOUND = 'RESERVATION_NOT_FOUND';
 const RESERVATION_NOT_MODIFIABLE = 'RESERVATION_NOT_MODIFIABLE';
 const RESERVATION_ALREADY_CANCELLED = 'RESERVATION_ALREADY_CANCELLED';
 
+// === Reservations - Waitlist ===
+const WAITLIST_ENTRY_NOT_FOUND = 'WAITLIST_ENTRY_NOT_FOUND';
+const WAITLIST_ALREADY_JOINED = 'WAITLIST_ALREADY_JOINED';
+const WAITLIST_HOLD_EXPIRED = 'WAITLIST_HOLD_EXPIRED';
+
+// === Reservations - Reliability ===
+const ONLINE_BOOKING_BLOCKED = 'ONLINE_BOOKING_BLOCKED';
+
+// === Reservations - Email Links ===
+const RESERVATION_LINK_INVALID = 'RESERVATION_LINK_INVALID';
+
+// === Reservations - Private Events ===
+const EVENT_REQUEST_NOT_FOUND = 'EVENT_REQUEST_NOT_FOUND';
+const EVENT_REQUEST_INVALID_STATUS = 'EVENT_REQUEST_INVALID_STATUS';
+const EVENT_DEPOSIT_NOT_PAYABLE = 'EVENT_DEPOSIT_NOT_PAYABLE';
+
 // === Authentication ===
 const AUTH_INVALID_CREDENTIALS = 'AUTH_INVALID_CREDENTIALS';
 const AUTH_ACCOUNT_DELETED = 'AUTH_ACCOUNT_DELETED';
@@ -32,7 +49,21 @@ const AUTH_ACCOUNT_LOCKED = 'AUTH_ACCOUNT_LOCKED';
 const AUTH_EMAIL_NOT_VERIFIED = 'AUTH_EMAIL_NOT_VERIFIED';
 const AUTH_NO_REFRESH_TOKEN = 'AUTH_NO_REFRESH_TOKEN';
 const AUTH_INVALID_REFRESH_TOKEN = 'AUTH_INVALID_REFRESH_TOKEN';
+const AUTH_REFRESH_TOKEN_REUSED = 'AUTH_REFRESH_TOKEN_REUSED';
 const AUTH_TOKEN_EXPIRED = 'AUTH_TOKEN_EXPIRED';
+const AUTH_PERMISSION_DENIED = 'AUTH_PERMISSION_DENIED';
+const SESSION_NOT_FOUND = 'SESSION_NOT_FOUND';
+const AUTH_LOGIN_LINK_INVALID = 'AUTH_LOGIN_LINK_INVALID';
+const AUTH_LOGIN_CODE_INVALID = 'AUTH_LOGIN_CODE_INVALID';
+
+// === Two-Factor Authentication ===
+const TWO_FACTOR_CHALLENGE_INVALID = 'TWO_FACTOR_CHALLENGE_INVALID';
+const TWO_FACTOR_INVALID_CODE = 'TWO_FACTOR_INVALID_CODE';
+const TWO_FACTOR_ALREADY_ENABLED = 'TWO_FACTOR_ALREADY_ENABLED';
+const TWO_FACTOR_NOT_ENABLED = 'TWO_FACTOR_NOT_ENABLED';
+const TWO_FACTOR_SETUP_NOT_STARTED = 'TWO_FACTOR_SETUP_NOT_STARTED';
+const TWO_FACTOR_SETUP_REQUIRED = 'TWO_FACTOR_SETUP_REQUIRED';
+const TWO_FACTOR_REQUIRED_BY_POLICY = 'TWO_FACTOR_REQUIRED_BY_POLICY';
 
 // === User Management ===
 const USER_NOT_FOUND = 'USER_NOT_FOUND';
@@ -41,11 +72,19 @@ const CANNOT_MODIFY_DELETED_ACCOUNT = 'CANNOT_MODIFY_DELETED_ACCOUNT';
 const CANNOT_DELETE_OWN_ACCOUNT = 'CANNOT_DELETE_OWN_ACCOUNT';
 const CANNOT_DEACTIVATE_OWN_ACCOUNT = 'CANNOT_DEACTIVATE_OWN_ACCOUNT';
 const CANNOT_MODIFY_OWN_ROLE = 'CANNOT_MODIFY_OWN_ROLE';
+const STAFF_ACCOUNT_PROTECTED = 'STAFF_ACCOUNT_PROTECTED';
 
 // === Tables ===
 const DATE_REQUIRED = 'DATE_REQUIRED';
 const DATE_AND_SLOT_REQUIRED = 'DATE_AND_SLOT_REQUIRED';
 const INVALID_SLOT_NUMBER = 'INVALID_SLOT_NUMBER';
+const INVALID_TABLE_COMBINATION = 'INVALID_TABLE_COMBINATION';
+
+// === Schedule ===
+const SLOT_UNAVAILABLE = 'SLOT_UNAVAILABLE';
+const INVALID_SCHEDULE = 'INVALID_SCHEDULE';
+const SCHEDULE_CONFLICT = 'SCHEDULE_CONFLICT';
+const SCHEDULE_CHANGED = 'SCHEDULE_CHANGED';
 
 // === Payment ===
 const INVALID_AMOUNT = 'INVALID_AMOUNT';
@@ -53,10 +92,17 @@ const PAYMENT_INTENT_ID_REQUIRED = 'PAYMENT_INTENT_ID_REQUIRED';
 const PAYMENT_INTENT_CREATION_FAILED = 'PAYMENT_INTENT_CREATION_FAILED';
 const PAYMENT_NOT_COMPLETED = 'PAYMENT_NOT_COMPLETED';
 const PAYMENT_CONFIRMATION_FAILED = 'PAYMENT_CONFIRMATION_FAILED';
+const WEBHOOK_SIGNATURE_INVALID = 'WEBHOOK_SIGNATURE_INVALID';
+const ORDER_NOT_PAYABLE = 'ORDER_NOT_PAYABLE';
+const ORDER_NOT_REFUNDABLE = 'ORDER_NOT_REFUNDABLE';
+const REFUND_AMOUNT_EXCEEDED = 'REFUND_AMOUNT_EXCEEDED';
+const REFUND_FAILED = 'REFUND_FAILED';
+const REFUND_RECONCILIATION_REQUIRED = 'REFUND_RECONCILIATION_REQUIRED';
 
 // === Menu ===
 const MENU_ITEM_NOT_FOUND = 'MENU_ITEM_NOT_FOUND';
 const MENU_NOTHING_TO_UPDATE = 'MENU_NOTHING_TO_UPDATE';
+const MENU_INVALID_MODIFIERS = 'MENU_INVALID_MODIFIERS';
 const INVALID_RATING = 'INVALID_RATING';
 const REVIEW_ALREADY_EXISTS = 'REVIEW_ALREADY_EXISTS';
 const REVIEW_NOT_FOUND = 'REVIEW_NOT_FOUND';
@@ -68,6 +114,10 @@ const ORDER_INVALID_TYPE = 'ORDER_INVALID_TYPE';
 const ORDER_MISSING_DELIVERY_ADDRESS = 'ORDER_MISSING_DELIVERY_ADDRESS';
 const ORDER_NOT_FOUND = 'ORDER_NOT_FOUND';
 const ORDER_INVALID_STATUS = 'ORDER_INVALID_STATUS';
+const ORDER_INVALID_TRANSITION = 'ORDER_INVALID_TRANSITION';
+const ORDER_ITEM_NOT_FOUND = 'ORDER_ITEM_NOT_FOUND';
+const ORDER_NOT_IN_KITCHEN = 'ORDER_NOT_IN_KITCHEN';
+const ORDER_INVALID_SCHEDULE = 'ORDER_INVALID_SCHEDULE';
 const PAYMENT_FAILED = 'PAYMENT_FAILED';
 const MENU_ITEM_UNAVAILABLE = 'MENU_ITEM_UNAVAILABLE';
 
@@ -83,6 +133,7 @@ const FORBIDDEN = 'FORBIDDEN';
 module.exports = {
   // Reservations - Availability
   TABLES_UNAVAILABLE,
+  NO_TABLE_AVAILABLE,
   TABLE_NOT_FOUND,
 
   // Reservations - Capacity & Validation
@@ -100,6 +151,22 @@ module.exports = {
   RESERVATION_NOT_MODIFIABLE,
   RESERVATION_ALREADY_CANCELLED,
 
+  // Reservations - Waitlist
+  WAITLIST_ENTRY_NOT_FOUND,
+  WAITLIST_ALREADY_JOINED,
+  WAITLIST_HOLD_EXPIRED,
+
+  // Reservations - Reliability
+  ONLINE_BOOKING_BLOCKED,
+
+  // Reservations - Email Links
+  RESERVATION_LINK_INVALID,
+
+  // Reservations - Private Events
+  EVENT_REQUEST_NOT_FOUND,
+  EVENT_REQUEST_INVALID_STATUS,
+  EVENT_DEPOSIT_NOT_PAYABLE,
+
   // Authentication
   AUTH_INVALID_CREDENTIALS,
   AUTH_ACCOUNT_DELETED,
@@ -108,7 +175,21 @@ module.exports = {
   AUTH_EMAIL_NOT_VERIFIED,
   AUTH_NO_REFRESH_TOKEN,
   AUTH_INVALID_REFRESH_TOKEN,
+  AUTH_REFRESH_TOKEN_REUSED,
   AUTH_TOKEN_EXPIRED,
+  AUTH_PERMISSION_DENIED,
+  SESSION_NOT_FOUND,
+  AUTH_LOGIN_LINK_INVALID,
+  AUTH_LOGIN_CODE_INVALID,
+
+  // Two-Factor Authentication
+  TWO_FACTOR_CHALLENGE_INVALID,
+  TWO_FACTOR_INVALID_CODE,
+  TWO_FACTOR_ALREADY_ENABLED,
+  TWO_FACTOR_NOT_ENABLED,
+  TWO_FACTOR_SETUP_NOT_STARTED,
+  TWO_FACTOR_SETUP_REQUIRED,
+  TWO_FACTOR_REQUIRED_BY_POLICY,
 
   // User Management
   USER_NOT_FOUND,
@@ -117,12 +198,20 @@ module.exports = {
   CANNOT_DELETE_OWN_ACCOUNT,
   CANNOT_DEACTIVATE_OWN_ACCOUNT,
   CANNOT_MODIFY_OWN_ROLE,
+  STAFF_ACCOUNT_PROTECTED,
 
   // Tables
   TABLE_NOT_FOUND,
   DATE_REQUIRED,
   DATE_AND_SLOT_REQUIRED,
   INVALID_SLOT_NUMBER,
+  INVALID_TABLE_COMBINATION,
+
+  // Schedule
+  SLOT_UNAVAILABLE,
+  INVALID_SCHEDULE,
+  SCHEDULE_CONFLICT,
+  SCHEDULE_CHANGED,
 
   // Payment
   INVALID_AMOUNT,
@@ -130,10 +219,17 @@ module.exports = {
   PAYMENT_INTENT_CREATION_FAILED,
   PAYMENT_NOT_COMPLETED,
   PAYMENT_CONFIRMATION_FAILED,
+  WEBHOOK_SIGNATURE_INVALID,
+  ORDER_NOT_PAYABLE,
+  ORDER_NOT_REFUNDABLE,
+  REFUND_AMOUNT_EXCEEDED,
+  REFUND_FAILED,
+  REFUND_RECONCILIATION_REQUIRED,
 
   // Menu
   MENU_ITEM_NOT_FOUND,
   MENU_NOTHING_TO_UPDATE,
+  MENU_INVALID_MODIFIERS,
   INVALID_RATING,
   REVIEW_ALREADY_EXISTS,
   REVIEW_NOT_FOUND,
@@ -145,6 +241,10 @@ module.exports = {
   ORDER_MISSING_DELIVERY_ADDRESS,
   ORDER_NOT_FOUND,
   ORDER_INVALID_STATUS,
+  ORDER_INVALID_TRANSITION,
+  ORDER_ITEM_NOT_FOUND,
+  ORDER_NOT_IN_KITCHEN,
+  ORDER_INVALID_SCHEDULE,
   PAYMENT_FAILED,
   MENU_ITEM_UNAVAILABLE,
 
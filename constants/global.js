@@ -1,5 +1,7 @@
 const PHONE_NUMBER = '+33 1 23 45 67 89';
+const RESTAURANT_NAME = 'RestOh Restaurant';
 
 module.exports = {
-    PHONE_NUMBER
+    PHONE_NUMBER,
+    RESTAURANT_NAME
 }
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Roles and permissions
+ *
+ * Routes declare the permission they need (middleware/auth.js requirePermission);
+ * roles are only bundles of permissions. `admin` is the role staff accounts had
+ * before roles were split and keeps every permission, like `owner`.
+ */
+
+// === Permissions ===
+const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard:view', // Admin stats, a customer's orders and reservations
+  MENU_MANAGE: 'menu:manage', // Menu items, popular and suggested overrides
+  ORDERS_VIEW: 'orders:view', // Every order, admin lists, live stream of all orders
+  ORDERS_UPDATE: 'orders:update', // Any status change
+  ORDERS_DELIVER: 'orders:deliver', // Delivery status changes only (out-for-delivery, delivered)
+  ORDERS_REFUND: 'orders:refund', // Stripe and cash refunds
+  ORDERS_DELETE: 'orders:delete',
+  KITCHEN_MANAGE: 'kitchen:manage', // Kitchen board, item bumps
+  RESERVATIONS_MANAGE: 'reservations:manage', // Admin reservation endpoints, waitlist
+  FLOOR_MANAGE: 'floor:manage', // Host stand: walk-ins, seating, floor map
+  TABLES_MANAGE: 'tables:manage',
+  EVENTS_MANAGE: 'events:manage', // Quote, approve and decline private events
+  SCHEDULE_MANAGE: 'schedule:manage', // Opening hours and reservation policy
+  CALENDAR_FEED: 'calendar:feed', // Staff reservation calendar feed
+  CONTACTS_MANAGE: 'contacts:manage',
+  NEWSLETTER_SEND: 'newsletter:send',
+  REVIEWS_MODERATE: 'reviews:moderate', // Delete other people's reviews
+  USERS_MANAGE: 'users:manage', // Customer accounts
+  ROLES_ASSIGN: 'roles:assign', // Staff roles, and staff accounts themselves
+  SECURITY_MANAGE: 'security:manage', // Account security policy (2FA enforcement)
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// === Roles ===
+const ROLES = ['user', 'host', 'kitchen', 'driver', 'manager', 'owner', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  host: [
+    PERMISSIONS.RESERVATIONS_MANAGE,
+    PERMISSIONS.FLOOR_MANAGE,
+    PERMISSIONS.CALENDAR_FEED,
+  ],
+  kitchen: [
+    PERMISSIONS.ORDERS_VIEW,
+    PERMISSIONS.ORDERS_UPDATE,
+    PERMISSIONS.KITCHEN_MANAGE,
+  ],
+  driver: [
+    PERMISSIONS.ORDERS_VIEW,
+    PERMISSIONS.ORDERS_DELIVER,
+  ],
+  // Runs the restaurant but cannot hand out roles or change the security policy
+  manager: ALL_PERMISSIONS.filter(permission => ![
+    PERMISSIONS.ROLES_ASSIGN,
+    PERMISSIONS.SECURITY_MANAGE,
+  ].includes(permission)),
+  owner: ALL_PERMISSIONS,
+  admin: ALL_PERMISSIONS,
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+};
@@ -1,6 +1,7 @@
 const MenuItem = require('../models/MenuItem');
 const asyncHandler = require('../utils/asyncHandler');
-const { createMenuItemNotFoundError } = require('../utils/errorHelpers');
+const { createMenuItemNotFoundError, createValidationError } = require('../utils/errorHelpers');
+const { ORDER_DATE_FIELDS } = require('../utils/orderSchedulingHelpers');
 const { getDashboardStats: getStats } = require('../utils/dashboardStatsHelper');
 const { getPopularItems } = require('../utils/popularItemsHelper');
 
@@ -8,16 +9,28 @@ const { getPopularItems } = require('../utils/popularItemsHelper');
 // @route   GET /api/admin/stats
 // @access  Private/Admin
 const getDashboardStats = asyncHandler(async (req, res) => {
+  // Orders are counted by creation date, or by scheduled pickup/delivery date
+  const orderDateField = req.query.orderDateField || 'createdAt';
+  if (!ORDER_DATE_FIELDS.includes(orderDateField)) {
+    const errorResponse = createValidationError('Invalid order date field', {
+      field: 'orderDateField',
+      allowed: ORDER_DATE_FIELDS,
+      message: `Count orders by one of: ${ORDER_DATE_FIELDS.join(', ')}.`
+    });
+    return res.status(400).json(errorResponse);
+  }
+
   // Get menu stats
   const totalMenuItems = await MenuItem.countDocuments();
   const activeMenuItems = await MenuItem.countDocuments({ isAvailable: true });
 
   // Get orders and reservations stats
-  const stats = await getStats();
+  const stats = await getStats({ orderDateField });
 
   res.status(200).json({
     success: true,
     data: {
+      orderDateField,
       totalMenuItems,
       activeMenuItems,
       inactiveMenuItems: totalMenuItems - activeMenuItems,
@@ -1,10 +1,25 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const EmailVerification = require('../models/EmailVerification');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
-const { validateRegister, validateLogin, validateUserUpdate } = require('../utils/validation');
+const LoginToken = require('../models/LoginToken');
+const {
+  validateRegister,
+  validateLogin,
+  validateEmailLoginRequest,
+  validateEmailLoginVerify,
+  validateTwoFactorLogin,
+  validateUserUpdate,
+} = require('../utils/validation');
 const { sendTokenResponse, clearTokenCookie } = require('../utils/authCookies');
 const emailService = require('../services/email/emailService');
+const { getRolePermissions, isStaff } = require('../utils/permissionHelpers');
+const {
+  CHALLENGE_EXPIRE_SECONDS,
+  createChallengeToken,
+  verifyChallengeToken,
+} = require('../utils/twoFactorHelpers');
 const {
   createInvalidCredentialsError,
   createEmailExistsError,
@@ -13,13 +28,22 @@ const {
   createAccountLockedError,
   createNoRefreshTokenError,
   createInvalidRefreshTokenError,
+  createRefreshTokenReusedError,
+  createSessionNotFoundError,
+  createTwoFactorChallengeInvalidError,
+  createTwoFactorInvalidCodeError,
+  createLoginLinkInvalidError,
+  createLoginCodeInvalidError,
 } = require('../utils/errorHelpers');
 const {
   generateAccessToken,
   generateRefreshToken,
-  verifyRefreshToken,
+  rotateRefreshToken,
   revokeRefreshToken,
   revokeAllUserTokens,
+  getUserSessions,
+  revokeUserSession,
+  getCurrentSession,
   setRefreshTokenCookie,
   clearRefreshTokenCookie,
 } = require('../utils/tokenUtils');
@@ -68,6 +92,24 @@ const sendDualTokenResponse = async (user, statusCode, res, req, message = 'Succ
   }
 };
 
+/**
+ * Send the pending "second factor required" step of a login
+ * No tokens yet: the challenge token is exchanged for them at POST /api/auth/login/2fa
+ *
+ * @param {Object} user - User who passed the password check
+ * @param {Object} res - Express response object
+ * @param {boolean} rememberMe - Applied once the second factor is verified
+ */
+const sendTwoFactorChallengeResponse = (user, res, rememberMe) => {
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication required',
+    twoFactorRequired: true,
+    challengeToken: createChallengeToken(user, rememberMe),
+    expiresIn: CHALLENGE_EXPIRE_SECONDS,
+  });
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -176,6 +218,11 @@ const login = asyncHandler(async (req, res) => {
     return res.status(403).json(errorResponse);
   }
 
+  // Second factor pending: attempts are only reset once the code is verified
+  if (user.twoFactorEnabled) {
+    return sendTwoFactorChallengeResponse(user, res, rememberMe);
+  }
+
   // Reset login attempts on successful login
   if (user.loginAttempts > 0) {
     await user.resetLoginAttempts();
@@ -187,6 +234,229 @@ const login = asyncHandler(async (req, res) => {
   await sendDualTokenResponse(user, 200, res, req, 'Login successful', rememberMe);
 });
 
+// @desc    Complete a login with the second factor
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token from POST /api/auth/login)
+const verifyLoginTwoFactor = asyncHandler(async (req, res) => {
+  const { error } = validateTwoFactorLogin(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const challenge = verifyChallengeToken(challengeToken);
+  const user = challenge && mongoose.isValidObjectId(challenge.userId)
+    ? await User.findById(challenge.userId)
+      .select('+loginAttempts +lockUntil +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep')
+    : null;
+
+  // The challenge dies with a password change or 2FA reset
+  if (
+    !user ||
+    !user.twoFactorEnabled ||
+    (user.passwordChangedAt && user.passwordChangedAt > challenge.issuedAt)
+  ) {
+    const errorResponse = createTwoFactorChallengeInvalidError();
+    return res.status(401).json(errorResponse);
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  if (user.isLocked) {
+    const remainingMinutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+    const errorResponse = createAccountLockedError(remainingMinutes);
+    return res.status(423).json(errorResponse);
+  }
+
+  if (user.email && user.email.startsWith('deleted-')) {
+    const errorResponse = createAccountDeletedError();
+    return res.status(403).json(errorResponse);
+  }
+
+  if (!user.isActive) {
+    const errorResponse = createAccountInactiveError();
+    return res.status(403).json(errorResponse);
+  }
+
+  const result = await user.verifySecondFactor({ code, recoveryCode });
+
+  if (!result.valid) {
+    await user.incLoginAttempts();
+
+    const updatedUser = await User.findById(user._id).select('+lockUntil');
+    if (updatedUser.isLocked) {
+      const remainingMinutes = Math.ceil((updatedUser.lockUntil - Date.now()) / 60000);
+      const errorResponse = createAccountLockedError(remainingMinutes);
+      return res.status(423).json(errorResponse);
+    }
+
+    const errorResponse = createTwoFactorInvalidCodeError();
+    return res.status(401).json(errorResponse);
+  }
+
+  if (result.method === 'recovery') {
+    logger.warn('Login with a 2FA recovery code', {
+      userId: user._id,
+      recoveryCodesRemaining: result.recoveryCodesRemaining,
+    });
+  }
+
+  if (user.loginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  await user.updateLastLogin();
+
+  await sendDualTokenResponse(user, 200, res, req, 'Login successful', challenge.rememberMe);
+});
+
+// @desc    Email a single-use sign-in link and code (passwordless login)
+// @route   POST /api/auth/magic-link
+// @access  Public
+const requestMagicLink = asyncHandler(async (req, res) => {
+  const { error, value } = validateEmailLoginRequest(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const { email, name, rememberMe } = value;
+
+  // Same answer whether or not an email goes out (no account enumeration)
+  const response = {
+    success: true,
+    message: 'If this email can be used to sign in, a sign-in link and code have been sent.',
+  };
+
+  const user = await User.findOne({ email });
+
+  // Staff keep the password (and 2FA) login; an unknown email needs a name to create the account
+  const eligible = user
+    ? user.isActive && !user.email.startsWith('deleted-') && !isStaff(user)
+    : Boolean(name);
+
+  if (!eligible) {
+    return res.status(200).json(response);
+  }
+
+  const { loginToken, token, code } = await LoginToken.createToken({
+    email,
+    userId: user ? user._id : null,
+    name: user ? null : name,
+    rememberMe,
+  });
+
+  // The frontend page posts the token: mail scanners prefetching a GET link would use it up
+  const loginUrl = `${process.env.FRONTEND_URL}/magic-login/${token}`;
+
+  try {
+    await emailService.sendLoginLinkEmail(email, user ? user.name : name, loginUrl, code, LoginToken.EXPIRE_MINUTES);
+  } catch (error) {
+    // Delete token if email fails to send
+    await loginToken.deleteOne();
+    throw new Error('Failed to send sign-in email. Please try again later.');
+  }
+
+  res.status(200).json(response);
+});
+
+// @desc    Sign in with the emailed link token or code
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+const verifyMagicLink = asyncHandler(async (req, res) => {
+  const { error } = validateEmailLoginVerify(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const { token, email, code } = req.body;
+
+  // Both are used up here, whatever happens next
+  const loginToken = token
+    ? await LoginToken.consumeToken(token)
+    : await LoginToken.consumeCode(email, code);
+
+  const invalidResponse = token ? createLoginLinkInvalidError() : createLoginCodeInvalidError();
+  if (!loginToken) {
+    return res.status(401).json(invalidResponse);
+  }
+
+  let user = loginToken.userId
+    ? await User.findById(loginToken.userId).select('+loginAttempts +lockUntil')
+    : await User.findOne({ email: loginToken.email }).select('+loginAttempts +lockUntil');
+
+  // Email changed or account gone since the link was sent
+  if (loginToken.userId && (!user || user.email !== loginToken.email)) {
+    return res.status(401).json(invalidResponse);
+  }
+
+  // Sign-up: the account exists from now on, without a password
+  const created = !user;
+  if (created) {
+    user = await User.create({
+      name: loginToken.name,
+      email: loginToken.email,
+      isEmailVerified: true,
+    });
+    logger.info('Account created by email sign-in', { userId: user._id });
+  }
+
+  if (user.isLocked) {
+    const remainingMinutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+    const errorResponse = createAccountLockedError(remainingMinutes);
+    return res.status(423).json(errorResponse);
+  }
+
+  if (user.email && user.email.startsWith('deleted-')) {
+    const errorResponse = createAccountDeletedError();
+    return res.status(403).json(errorResponse);
+  }
+
+  if (!user.isActive) {
+    const errorResponse = createAccountInactiveError();
+    return res.status(403).json(errorResponse);
+  }
+
+  // Promoted to staff after the email was sent
+  if (isStaff(user)) {
+    return res.status(401).json(invalidResponse);
+  }
+
+  // Opening the link or reading the code proves the address
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    await User.updateOne({ _id: user._id }, { $set: { isEmailVerified: true } });
+  }
+
+  // The email replaces the password, not the second factor
+  if (user.twoFactorEnabled) {
+    return sendTwoFactorChallengeResponse(user, res, loginToken.rememberMe);
+  }
+
+  if (user.loginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  await user.updateLastLogin();
+
+  await sendDualTokenResponse(
+    user,
+    created ? 201 : 200,
+    res,
+    req,
+    created ? 'Account created successfully' : 'Login successful',
+    loginToken.rememberMe
+  );
+});
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -202,7 +472,8 @@ const getMe = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    user,
+    // Permissions let the client show only the screens the role can use
+    user: { ...user.toJSON(), permissions: getRolePermissions(user.role) },
   });
 });
 
@@ -383,14 +654,31 @@ const refreshTokenHandler = asyncHandler(async (req, res) => {
     return res.status(401).json(errorResponse);
   }
 
-  // 2. Verify refresh token in database
-  const storedToken = await verifyRefreshToken(refreshToken);
+  // 2. Exchange it for a new refresh token (rotation)
+  const { status, refreshToken: storedToken } = await rotateRefreshToken(refreshToken);
+
+  if (status === 'reused') {
+    // The legitimate client already swapped this token: whoever sent it has a copy
+    logger.warn('Refresh token reuse detected, session revoked (suspected theft)', {
+      userId: storedToken.userId,
+      sessionId: storedToken.getSessionId(),
+      rotatedAt: storedToken.rotatedAt,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+    clearRefreshTokenCookie(res);
+    const errorResponse = createRefreshTokenReusedError();
+    return res.status(401).json(errorResponse);
+  }
 
-  if (!storedToken) {
+  if (status === 'invalid') {
     const errorResponse = createInvalidRefreshTokenError();
     return res.status(401).json(errorResponse);
   }
 
+  // 'grace': a parallel request rotated this token a moment ago; this one gets its own sibling token
+  setRefreshTokenCookie(res, storedToken.token, true, storedToken.expiresAt);
+
   // 3. Generate new access token
   const accessToken = generateAccessToken(storedToken.userId);
 
@@ -441,6 +729,56 @@ const logoutAll = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    List active sessions (one per logged-in device)
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const [sessions, currentSession] = await Promise.all([
+    getUserSessions(req.user._id),
+    getCurrentSession(req),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => session.toSessionJSON(currentSession?.getSessionId())),
+  });
+});
+
+// @desc    Revoke one session (logout a single device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  const sessionId = req.params.id;
+
+  const currentSession = await getCurrentSession(req);
+  const revoked = mongoose.isValidObjectId(sessionId)
+    && await revokeUserSession(req.user._id, sessionId);
+
+  if (!revoked) {
+    const errorResponse = createSessionNotFoundError(sessionId);
+    return res.status(404).json(errorResponse);
+  }
+
+  // Revoking the device in use is a logout
+  const isCurrent = Boolean(currentSession) && currentSession.getSessionId().equals(sessionId);
+  if (isCurrent) {
+    clearRefreshTokenCookie(res);
+    clearTokenCookie(res);
+  }
+
+  logger.info('Session revoked', { userId: req.user._id, sessionId, current: isCurrent });
+
+  res.status(200).json({
+    success: true,
+    message: isCurrent ? 'Logged out from this device' : 'Session revoked',
+    details: {
+      sessionId,
+      current: isCurrent,
+    },
+  });
+});
+
 // @desc    Delete user account (soft delete)
 // @route   DELETE /api/auth/delete-account
 // @access  Private
@@ -613,11 +951,16 @@ const deleteAccount = asyncHandler(async (req, res) => {
 module.exports = {
   register,
   login,
+  verifyLoginTwoFactor,
+  requestMagicLink,
+  verifyMagicLink,
   getMe,
   updateProfileUser,
   changePassword,
   refreshTokenHandler,
   logout,
   logoutAll,
+  getSessions,
+  revokeSession,
   deleteAccount,
 };
\ No newline at end of file
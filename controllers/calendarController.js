@@ -0,0 +1,99 @@
+const Reservation = require('../models/Reservation');
+const CalendarFeedToken = require('../models/CalendarFeedToken');
+const asyncHandler = require('../utils/asyncHandler');
+const { buildReservationCalendar, buildStaffFeed } = require('../services/reservations/calendarService');
+const { PERMISSIONS } = require('../constants/permissions');
+const { hasStaffPermission } = require('../services/security/securitySettingsService');
+
+/**
+ * Send iCalendar text
+ * @param {Object} res - Express response
+ * @param {string} calendar - iCalendar text
+ * @param {string|null} filename - Download name (feeds are shown inline)
+ */
+const sendCalendar = (res, calendar, filename = null) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  } else {
+    res.set('Cache-Control', 'no-cache');
+  }
+  res.status(200).send(calendar);
+};
+
+// @desc    Download a reservation as an .ics event
+// @route   GET /api/reservations/:id/ics
+// @access  Private (owner or admin)
+const getReservationIcs = asyncHandler(async (req, res) => {
+  const reservation = await Reservation.findById(req.params.id);
+
+  if (!reservation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Reservation not found',
+    });
+  }
+
+  const isOwner = reservation.userId && reservation.userId.equals(req.user._id);
+  if (!isOwner && !(await hasStaffPermission(req.user, PERMISSIONS.CALENDAR_FEED))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this reservation',
+    });
+  }
+
+  sendCalendar(res, buildReservationCalendar(reservation), `reservation-${reservation.reservationNumber}.ics`);
+});
+
+// @desc    Staff calendar feed of upcoming reservations
+// @route   GET /api/reservations/calendar-feed/:token
+// @access  Public (feed token)
+const getCalendarFeed = asyncHandler(async (req, res) => {
+  const feedToken = await CalendarFeedToken.verifyToken(req.params.token);
+
+  if (!feedToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid calendar feed token',
+    });
+  }
+
+  await CalendarFeedToken.updateOne({ _id: feedToken._id }, { lastUsedAt: new Date() });
+
+  sendCalendar(res, await buildStaffFeed());
+});
+
+// @desc    Create the admin's calendar feed URL (replaces the previous one)
+// @route   POST /api/admin/calendar-feed
+// @access  Private/Admin
+const createCalendarFeed = asyncHandler(async (req, res) => {
+  const feedToken = await CalendarFeedToken.createToken(req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar feed created. Subscribe to this URL in your calendar app.',
+    data: {
+      url: `${req.protocol}://${req.get('host')}/api/reservations/calendar-feed/${feedToken.token}`,
+      createdAt: feedToken.createdAt,
+    },
+  });
+});
+
+// @desc    Revoke the admin's calendar feed URL
+// @route   DELETE /api/admin/calendar-feed
+// @access  Private/Admin
+const revokeCalendarFeed = asyncHandler(async (req, res) => {
+  const revoked = await CalendarFeedToken.revokeToken(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: revoked ? 'Calendar feed revoked' : 'No calendar feed to revoke',
+  });
+});
+
+module.exports = {
+  getReservationIcs,
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+};
@@ -1,6 +1,8 @@
 const Contact = require('../models/Contact');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
+const { PERMISSIONS } = require('../constants/permissions');
+const { hasStaffPermission } = require('../services/security/securitySettingsService');
 const {
   contactSchema,
   DiscussionSchema
@@ -182,8 +184,10 @@ const addReplyToDiscussion = asyncHandler(async (req, res) => {
     return res.status(404).json(errorResponse);
   }
 
+  const canManageContacts = await hasStaffPermission(req.user, PERMISSIONS.CONTACTS_MANAGE);
+
   // Check permissions: user can only reply to their own message, admin can reply to any
-  if (req.user.role !== 'admin' && message.email !== req.user.email) {
+  if (!canManageContacts && message.email !== req.user.email) {
     return res.status(403).json({
       success: false,
       error: 'You can only reply to your own contact messages',
@@ -195,7 +199,8 @@ const addReplyToDiscussion = asyncHandler(async (req, res) => {
   const reply = {
     userId: req.user._id,
     name: req.user.name,
-    role: req.user.role,
+    // Discussions only tell staff from customers, whatever the staff role
+    role: canManageContacts ? 'admin' : 'user',
     text: text.trim(),
     date: new Date(),
     status: 'new'
@@ -204,7 +209,7 @@ const addReplyToDiscussion = asyncHandler(async (req, res) => {
   message.discussion.push(reply);
 
   // Update status based on who is replying
-  if (req.user.role === 'admin') {
+  if (canManageContacts) {
     // Admin replied
     message.status = 'replied';
   } else {
@@ -246,8 +251,10 @@ const markDiscussionMessageAsRead = asyncHandler(async (req, res) => {
     return res.status(404).json(errorResponse);
   }
 
+  const canManageContacts = await hasStaffPermission(req.user, PERMISSIONS.CONTACTS_MANAGE);
+
   // Check permissions: user can only access their own message, admin can access any
-  if (req.user.role !== 'admin' && message.email !== req.user.email) {
+  if (!canManageContacts && message.email !== req.user.email) {
     return res.status(403).json({
       success: false,
       error: 'You can only access your own contact messages',
@@ -270,7 +277,7 @@ const markDiscussionMessageAsRead = asyncHandler(async (req, res) => {
   // Permission check: user can only mark admin messages, admin can only mark user messages
   const isAdminMessage = discussionMessage.role === 'admin';
 
-  if (req.user.role === 'admin' && isAdminMessage) {
+  if (canManageContacts && isAdminMessage) {
     return res.status(403).json({
       success: false,
       error: 'Admin can only mark user messages as read',
@@ -278,7 +285,7 @@ const markDiscussionMessageAsRead = asyncHandler(async (req, res) => {
     });
   }
 
-  if (req.user.role !== 'admin' && !isAdminMessage) {
+  if (!canManageContacts && !isAdminMessage) {
     return res.status(403).json({
       success: false,
       error: 'User can only mark admin messages as read',
@@ -291,7 +298,7 @@ const markDiscussionMessageAsRead = asyncHandler(async (req, res) => {
 
   // If admin is marking a message as read AND contact status is 'newlyReplied'
   // Then change contact status to 'read'
-  if (req.user.role === 'admin' && message.status === 'newlyReplied') {
+  if (canManageContacts && message.status === 'newlyReplied') {
     message.status = 'read';
   }
 
@@ -0,0 +1,256 @@
+const EventRequest = require('../models/EventRequest');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateEventRequest, validateEventQuote, validateEventDecline } = require('../utils/validation');
+const { getEventWindow } = require('../services/reservations/availabilityService');
+const { checkHostTables } = require('../services/reservations/floorService');
+const { dayRange } = require('../services/waitlist/waitlistService');
+const {
+  OPEN_EVENT_STATUSES,
+  approveEvent,
+  closeEvent
+} = require('../services/reservations/eventRequestService');
+const {
+  createEventRequestNotFoundError,
+  createEventRequestInvalidStatusError,
+  createTablesUnavailableError,
+  createTableNotFoundError,
+  createCapacityInsufficientError
+} = require('../utils/errorHelpers');
+
+/**
+ * Load an event request, answering 404 or 400 when it cannot be acted on
+ * @param {Object} req - Express request (params.id)
+ * @param {Object} res - Express response
+ * @param {Array<string>} allowedStatuses - Statuses the action is allowed from
+ * @param {Object} options - { ownOnly (customer routes: only the user's own requests) }
+ * @returns {Promise<Object|null>} Event request, or null if a response was sent
+ */
+const loadEventRequest = async (req, res, allowedStatuses, { ownOnly = false } = {}) => {
+  const query = { _id: req.params.id };
+  if (ownOnly) query.userId = req.user._id;
+
+  const eventRequest = await EventRequest.findOne(query);
+  if (!eventRequest) {
+    res.status(404).json(createEventRequestNotFoundError(req.params.id));
+    return null;
+  }
+
+  if (!allowedStatuses.includes(eventRequest.status)) {
+    res.status(400).json(createEventRequestInvalidStatusError(eventRequest, allowedStatuses));
+    return null;
+  }
+
+  return eventRequest;
+};
+
+// @desc    Request a large-party booking or a private buyout
+// @route   POST /api/reservations/events
+// @access  Private
+const createEventRequest = asyncHandler(async (req, res) => {
+  const { error, value } = validateEventRequest(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const eventRequest = await EventRequest.create({
+    ...value,
+    occasion: value.occasion || null,
+    message: value.message || null,
+    userId: req.user._id,
+    userEmail: req.user.email,
+    userName: req.user.name,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Event request sent. We will get back to you with a quote.',
+    data: eventRequest,
+  });
+});
+
+// @desc    Get the current user's event requests
+// @route   GET /api/reservations/events
+// @access  Private
+const getUserEventRequests = asyncHandler(async (req, res) => {
+  const eventRequests = await EventRequest.find({ userId: req.user._id }).sort({ date: -1, createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: eventRequests.length,
+    data: eventRequests,
+  });
+});
+
+// @desc    Cancel an event request (frees the tables of an approved event)
+// @route   DELETE /api/reservations/events/:id
+// @access  Private
+const cancelEventRequest = asyncHandler(async (req, res) => {
+  const eventRequest = await loadEventRequest(req, res, OPEN_EVENT_STATUSES, { ownOnly: true });
+  if (!eventRequest) return;
+
+  if (getEventWindow(eventRequest).start <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'This event has already started',
+    });
+  }
+
+  const cancelled = await closeEvent(eventRequest, 'cancelled');
+  if (!cancelled) {
+    const current = await EventRequest.findById(eventRequest._id);
+    return res.status(400).json(createEventRequestInvalidStatusError(current, OPEN_EVENT_STATUSES));
+  }
+
+  res.status(200).json({
+    success: true,
+    // Paid deposits are settled by the restaurant under the terms of the quote
+    message: cancelled.depositStatus === 'paid'
+      ? 'Event cancelled. We will contact you about your deposit.'
+      : 'Event cancelled',
+    data: cancelled,
+  });
+});
+
+// @desc    Get event requests (open ones by default)
+// @route   GET /api/reservations/admin/events?status=&date=YYYY-MM-DD
+// @access  Private/Admin
+const getAdminEventRequests = asyncHandler(async (req, res) => {
+  const query = {
+    status: req.query.status || { $in: OPEN_EVENT_STATUSES },
+  };
+  if (req.query.date) {
+    query.date = dayRange(req.query.date);
+  }
+
+  const eventRequests = await EventRequest.find(query)
+    .populate('userId', 'name email phone')
+    .sort({ date: 1, createdAt: 1, _id: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: eventRequests.length,
+    data: eventRequests,
+  });
+});
+
+// @desc    Price an event request and pick its tables (can be revised until approval)
+// @route   PUT /api/reservations/admin/events/:id/quote
+// @access  Private/Admin
+const quoteEventRequest = asyncHandler(async (req, res) => {
+  const eventRequest = await loadEventRequest(req, res, ['pending', 'quoted']);
+  if (!eventRequest) return;
+
+  const buyout = eventRequest.type === 'buyout';
+  const { error, value } = validateEventQuote(req.body, { buyout });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  if (!buyout) {
+    const check = await checkHostTables(value.tableNumbers, eventRequest.guests);
+    if (check.missingTables.length > 0) {
+      return res.status(404).json(createTableNotFoundError(check.missingTables));
+    }
+    if (!check.valid) {
+      const errorResponse = createCapacityInsufficientError(eventRequest.guests, value.tableNumbers, check.totalCapacity);
+      return res.status(400).json(errorResponse);
+    }
+  }
+
+  eventRequest.quote = {
+    totalAmount: value.totalAmount,
+    depositAmount: value.depositAmount,
+    currency: value.currency,
+    tableNumbers: buyout ? [] : value.tableNumbers,
+    notes: value.notes || null,
+    quotedAt: new Date(),
+    quotedBy: req.user._id,
+  };
+  eventRequest.status = 'quoted';
+  await eventRequest.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Quote saved',
+    data: eventRequest,
+  });
+});
+
+// @desc    Approve a quoted event: its tables are blocked for bookings
+// @route   POST /api/reservations/admin/events/:id/approve
+// @access  Private/Admin
+const approveEventRequest = asyncHandler(async (req, res) => {
+  const eventRequest = await loadEventRequest(req, res, ['quoted']);
+  if (!eventRequest) return;
+
+  if (getEventWindow(eventRequest).start <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'This event has already started',
+    });
+  }
+
+  const result = await approveEvent(eventRequest, { approvedBy: req.user._id });
+
+  if (result.conflicts.length > 0) {
+    // Existing reservations must be moved before the event can take these tables
+    const errorResponse = createTablesUnavailableError(result.conflicts);
+    return res.status(409).json(errorResponse);
+  }
+  if (!result.eventRequest) {
+    const current = await EventRequest.findById(eventRequest._id);
+    return res.status(400).json(createEventRequestInvalidStatusError(current, ['quoted']));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.eventRequest.depositStatus === 'pending'
+      ? 'Event approved. The customer can now pay the deposit.'
+      : 'Event approved',
+    data: result.eventRequest,
+  });
+});
+
+// @desc    Decline an event request (frees the tables of an approved event)
+// @route   POST /api/reservations/admin/events/:id/decline
+// @access  Private/Admin
+const declineEventRequest = asyncHandler(async (req, res) => {
+  const { error, value } = validateEventDecline(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const eventRequest = await loadEventRequest(req, res, OPEN_EVENT_STATUSES);
+  if (!eventRequest) return;
+
+  const declined = await closeEvent(eventRequest, 'declined', { reason: value.reason || null });
+  if (!declined) {
+    const current = await EventRequest.findById(eventRequest._id);
+    return res.status(400).json(createEventRequestInvalidStatusError(current, OPEN_EVENT_STATUSES));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Event request declined',
+    data: declined,
+  });
+});
+
+module.exports = {
+  createEventRequest,
+  getUserEventRequests,
+  cancelEventRequest,
+  getAdminEventRequests,
+  quoteEventRequest,
+  approveEventRequest,
+  declineEventRequest,
+};
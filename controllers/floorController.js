@@ -0,0 +1,281 @@
+const Reservation = require('../models/Reservation');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateWalkIn, validateFloorTables } = require('../utils/validation');
+const { isOpenAt, startOfDay } = require('../utils/timeSlots');
+const { getToday } = require('../utils/timezone');
+const { getOccupancyWindow } = require('../services/reservations/availabilityService');
+const {
+  getCurrentSlot,
+  checkHostTables,
+  findTablesForNow,
+  buildFloorMap
+} = require('../services/reservations/floorService');
+const { notifyCapacityFreed } = require('../services/waitlist/waitlistService');
+const {
+  createTablesUnavailableError,
+  createNoTableAvailableError,
+  createCapacityInsufficientError,
+  createTableNotFoundError,
+  createSlotUnavailableError
+} = require('../utils/errorHelpers');
+
+/**
+ * Check tables picked by the host and build the error when they cannot be used
+ * @param {Array<number>} tableNumbers - Picked tables
+ * @param {number} guests - Party size
+ * @returns {Promise<Object|null>} { status, body } or null when the tables are fine
+ */
+const checkPickedTables = async (tableNumbers, guests) => {
+  const check = await checkHostTables(tableNumbers, guests);
+  if (check.valid) return null;
+
+  if (check.missingTables.length > 0) {
+    return { status: 404, body: createTableNotFoundError(check.missingTables) };
+  }
+  return { status: 400, body: createCapacityInsufficientError(guests, tableNumbers, check.totalCapacity) };
+};
+
+/**
+ * Load a reservation of today for the host stand
+ * @param {string} id - Reservation ID
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { reservation } or { status, message }
+ */
+const findTodayReservation = async (id, now) => {
+  const reservation = await Reservation.findById(id);
+  if (!reservation) {
+    return { status: 404, message: 'Reservation not found' };
+  }
+  if (startOfDay(reservation.date).getTime() !== getToday(now).getTime()) {
+    return { status: 400, message: 'Only reservations for today can be managed from the floor' };
+  }
+  return { reservation };
+};
+
+// @desc    Get the live floor map
+// @route   GET /api/floor
+// @access  Private/Admin
+const getFloor = asyncHandler(async (req, res) => {
+  const floor = await buildFloorMap();
+
+  res.status(200).json({
+    success: true,
+    data: floor,
+  });
+});
+
+// @desc    Seat a walk-in party (tables chosen automatically when omitted)
+// @route   POST /api/floor/walk-ins
+// @access  Private/Admin
+const seatWalkIn = asyncHandler(async (req, res) => {
+  const { error, value } = validateWalkIn(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const { guests, name, contactPhone, notes } = value;
+  const now = new Date();
+
+  const slot = getCurrentSlot(now);
+  if (!isOpenAt(now) || !slot) {
+    const errorResponse = createSlotUnavailableError(now, slot, 'The restaurant is closed right now.');
+    return res.status(400).json(errorResponse);
+  }
+
+  if (value.tableNumber) {
+    const tableError = await checkPickedTables(value.tableNumber, guests);
+    if (tableError) return res.status(tableError.status).json(tableError.body);
+  }
+
+  const { tableNumbers, conflicts } = await findTablesForNow(guests, { tableNumbers: value.tableNumber, now });
+  if (conflicts.length > 0) {
+    const errorResponse = createTablesUnavailableError(conflicts);
+    return res.status(409).json(errorResponse);
+  }
+  if (!tableNumbers) {
+    const errorResponse = createNoTableAvailableError(guests, slot);
+    return res.status(409).json(errorResponse);
+  }
+
+  const reservation = await Reservation.create({
+    source: 'walk-in',
+    userName: name || 'Walk-in',
+    date: getToday(now),
+    slot,
+    guests,
+    tableNumber: tableNumbers,
+    contactPhone,
+    notes: notes || null,
+    status: 'seated',
+    seatedAt: now,
+  });
+
+  // Same race as online bookings: re-check now that the walk-in is stored
+  const race = await findTablesForNow(guests, { tableNumbers, excludeReservationId: reservation._id, now });
+  if (race.conflicts.length > 0) {
+    await Reservation.deleteOne({ _id: reservation._id });
+    const errorResponse = createTablesUnavailableError(race.conflicts);
+    return res.status(409).json(errorResponse);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Walk-in seated at table ${tableNumbers.join(' + ')}`,
+    data: reservation,
+  });
+});
+
+// @desc    Seat an arriving reservation (optionally at other tables)
+// @route   POST /api/floor/reservations/:id/seat
+// @access  Private/Admin
+const seatReservation = asyncHandler(async (req, res) => {
+  const { error, value } = validateFloorTables(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const now = new Date();
+  const found = await findTodayReservation(req.params.id, now);
+  if (!found.reservation) {
+    return res.status(found.status).json({ success: false, message: found.message });
+  }
+  const { reservation } = found;
+
+  if (reservation.status !== 'confirmed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only confirmed reservations can be seated',
+    });
+  }
+
+  const previousTables = reservation.tableNumber;
+  const tableNumbers = value.tableNumber || previousTables;
+  if (value.tableNumber) {
+    const tableError = await checkPickedTables(tableNumbers, reservation.guests);
+    if (tableError) return res.status(tableError.status).json(tableError.body);
+  }
+
+  // The party holds its tables from now on; the previous party may still be there
+  const { conflicts } = await findTablesForNow(reservation.guests, {
+    tableNumbers,
+    excludeReservationId: reservation._id,
+    now,
+  });
+  if (conflicts.length > 0) {
+    const errorResponse = createTablesUnavailableError(conflicts);
+    return res.status(409).json(errorResponse);
+  }
+
+  reservation.status = 'seated';
+  reservation.seatedAt = now;
+  reservation.tableNumber = tableNumbers;
+  await reservation.save();
+
+  if (previousTables.some(tableNumber => !tableNumbers.includes(tableNumber))) {
+    await notifyCapacityFreed(reservation.date);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Party seated',
+    data: reservation,
+  });
+});
+
+// @desc    Move a seated party to other tables
+// @route   POST /api/floor/reservations/:id/move
+// @access  Private/Admin
+const moveParty = asyncHandler(async (req, res) => {
+  const { error, value } = validateFloorTables(req.body, { required: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const now = new Date();
+  const found = await findTodayReservation(req.params.id, now);
+  if (!found.reservation) {
+    return res.status(found.status).json({ success: false, message: found.message });
+  }
+  const { reservation } = found;
+
+  if (reservation.status !== 'seated') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only seated parties can be moved',
+    });
+  }
+
+  const tableError = await checkPickedTables(value.tableNumber, reservation.guests);
+  if (tableError) return res.status(tableError.status).json(tableError.body);
+
+  // New tables are needed for the rest of the party's stay only
+  const { conflicts } = await findTablesForNow(reservation.guests, {
+    tableNumbers: value.tableNumber,
+    excludeReservationId: reservation._id,
+    window: { start: now, end: getOccupancyWindow(reservation, now).end },
+    now,
+  });
+  if (conflicts.length > 0) {
+    const errorResponse = createTablesUnavailableError(conflicts);
+    return res.status(409).json(errorResponse);
+  }
+
+  reservation.tableNumber = value.tableNumber;
+  await reservation.save();
+
+  await notifyCapacityFreed(reservation.date);
+
+  res.status(200).json({
+    success: true,
+    message: `Party moved to table ${value.tableNumber.join(' + ')}`,
+    data: reservation,
+  });
+});
+
+// @desc    Clear a table: the seated party has left
+// @route   POST /api/floor/reservations/:id/clear
+// @access  Private/Admin
+const clearParty = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const found = await findTodayReservation(req.params.id, now);
+  if (!found.reservation) {
+    return res.status(found.status).json({ success: false, message: found.message });
+  }
+  const { reservation } = found;
+
+  if (reservation.status !== 'seated') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only seated parties can be cleared',
+    });
+  }
+
+  reservation.status = 'completed';
+  reservation.clearedAt = now;
+  await reservation.save();
+
+  await notifyCapacityFreed(reservation.date);
+
+  res.status(200).json({
+    success: true,
+    message: 'Table cleared',
+    data: reservation,
+  });
+});
+
+module.exports = {
+  getFloor,
+  seatWalkIn,
+  seatReservation,
+  moveParty,
+  clearParty,
+};
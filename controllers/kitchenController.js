@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const {
+  KITCHEN_STAGES,
+  BUMPABLE_STATUSES,
+  toKitchenTicket,
+  groupKitchenBoard,
+  setOrderItemBump,
+  advanceBumpedOrder,
+} = require('../utils/kitchenHelpers');
+const { buildKitchenVisibleQuery } = require('../utils/orderSchedulingHelpers');
+const { ORDER_EVENTS, publishOrderEvent } = require('../services/realtime/orderEvents');
+const {
+  createOrderNotFoundError,
+  createOrderItemNotFoundError,
+  createOrderNotInKitchenError,
+} = require('../utils/errorHelpers');
+
+// @desc    Get kitchen board (active orders grouped by stage)
+// @route   GET /api/kitchen/board
+// @access  Private/Admin
+const getKitchenBoard = asyncHandler(async (req, res) => {
+  const now = new Date();
+
+  // Scheduled orders stay off the board until their prep window opens
+  const orders = await Order.find({ status: { $in: KITCHEN_STAGES }, ...buildKitchenVisibleQuery(now) })
+    .sort({ createdAt: 1 })
+    .select('orderNumber orderType status userName specialInstructions items statusHistory scheduledFor estimatedReadyTime estimatedDeliveryTime createdAt updatedAt');
+
+  const upcomingScheduled = await Order.countDocuments({
+    status: { $in: KITCHEN_STAGES },
+    kitchenReleaseAt: { $gt: now },
+  });
+
+  const board = groupKitchenBoard(orders, now);
+
+  const counts = {};
+  KITCHEN_STAGES.forEach(stage => { counts[stage] = board[stage].length; });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      stages: KITCHEN_STAGES,
+      board,
+      counts,
+      upcomingScheduled,
+      generatedAt: now.toISOString(),
+    },
+  });
+});
+
+/**
+ * Load an order and one of its items for a bump request
+ * Sends the error response and returns null when the request cannot proceed.
+ */
+const loadBumpTarget = async (req, res) => {
+  const { id, itemId } = req.params;
+
+  const order = await Order.findById(id);
+  if (!order) {
+    res.status(404).json(createOrderNotFoundError(id));
+    return null;
+  }
+
+  const item = mongoose.isValidObjectId(itemId) ? order.items.id(itemId) : null;
+  if (!item) {
+    res.status(404).json(createOrderItemNotFoundError(id, itemId));
+    return null;
+  }
+
+  if (!BUMPABLE_STATUSES.includes(order.status)) {
+    res.status(400).json(createOrderNotInKitchenError(order, BUMPABLE_STATUSES));
+    return null;
+  }
+
+  return { order, item };
+};
+
+// @desc    Bump an order item (mark it done)
+// @route   POST /api/kitchen/orders/:id/items/:itemId/bump
+// @access  Private/Admin
+const bumpOrderItem = asyncHandler(async (req, res) => {
+  const target = await loadBumpTarget(req, res);
+  if (!target) return;
+
+  const bumpedOrder = await setOrderItemBump(target.order._id, req.params.itemId, req.user);
+
+  if (!bumpedOrder) {
+    // Already bumped (double tap) or the order left the kitchen meanwhile
+    const current = await Order.findById(target.order._id);
+    if (!current || !BUMPABLE_STATUSES.includes(current.status)) {
+      return res.status(409).json(createOrderNotInKitchenError(current || target.order, BUMPABLE_STATUSES));
+    }
+    return res.status(200).json({
+      success: true,
+      message: 'Item already bumped',
+      data: { ticket: toKitchenTicket(current), statusChanges: [] },
+    });
+  }
+
+  publishOrderEvent(ORDER_EVENTS.ITEMS_UPDATED, bumpedOrder);
+
+  const { order, changes } = await advanceBumpedOrder(bumpedOrder, req.user);
+  if (changes.length > 0) {
+    publishOrderEvent(ORDER_EVENTS.STATUS_CHANGED, order);
+  }
+
+  logger.info('Order item bumped', {
+    orderId: order._id,
+    itemId: req.params.itemId,
+    statusChanges: changes,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: changes.includes('ready') ? 'All items done, order is ready' : 'Item bumped',
+    data: { ticket: toKitchenTicket(order), statusChanges: changes },
+  });
+});
+
+// @desc    Undo an item bump
+// @route   DELETE /api/kitchen/orders/:id/items/:itemId/bump
+// @access  Private/Admin
+const unbumpOrderItem = asyncHandler(async (req, res) => {
+  const target = await loadBumpTarget(req, res);
+  if (!target) return;
+
+  const order = await setOrderItemBump(target.order._id, req.params.itemId, null);
+
+  if (!order) {
+    const current = await Order.findById(target.order._id);
+    if (!current || !BUMPABLE_STATUSES.includes(current.status)) {
+      return res.status(409).json(createOrderNotInKitchenError(current || target.order, BUMPABLE_STATUSES));
+    }
+    return res.status(200).json({
+      success: true,
+      message: 'Item was not bumped',
+      data: { ticket: toKitchenTicket(current) },
+    });
+  }
+
+  publishOrderEvent(ORDER_EVENTS.ITEMS_UPDATED, order);
+
+  res.status(200).json({
+    success: true,
+    message: 'Item bump undone',
+    data: { ticket: toKitchenTicket(order) },
+  });
+});
+
+module.exports = {
+  getKitchenBoard,
+  bumpOrderItem,
+  unbumpOrderItem,
+};
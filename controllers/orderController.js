@@ -1,19 +1,60 @@
+const jwt = require('jsonwebtoken');
 const Order = require('../models/Order');
 const MenuItem = require('../models/MenuItem');
 const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
 const { validateCreateOrder } = require('../utils/validation');
+const { resolveModifierSelections } = require('../utils/menuModifierHelpers');
 const logger = require('../utils/logger');
+const { generateStreamTicket, STREAM_TICKET_EXPIRE_SECONDS } = require('../utils/tokenUtils');
+const { countOrderInUserStats } = require('../utils/paymentHelpers');
+const { PERMISSIONS } = require('../constants/permissions');
+const { hasStaffPermission } = require('../services/security/securitySettingsService');
+const {
+  ORDER_STATUSES,
+  getAllowedTransitions,
+  canTransitionOrder,
+  buildStatusHistoryEntry,
+  transitionOrderStatus,
+  toCustomerTimeline,
+} = require('../utils/orderStatusHelpers');
+const {
+  computePreparationMinutes,
+  getKitchenLoad,
+  estimateOrderTimes,
+  getOrderLateness,
+  toAdminOrderJSON,
+  buildLateOrdersQuery,
+} = require('../utils/orderEtaHelpers');
+const {
+  ORDER_DATE_FIELDS,
+  validateScheduledTime,
+  getKitchenReleaseTime,
+  buildOrderDateQuery,
+} = require('../utils/orderSchedulingHelpers');
+const {
+  ORDER_EVENTS,
+  publishOrderEvent,
+  subscribeToOrderEvents,
+  toCustomerOrderPayload,
+} = require('../services/realtime/orderEvents');
 const {
   createOrderEmptyItemsError,
   createOrderInvalidTypeError,
   createOrderMissingDeliveryAddressError,
   createOrderNotFoundError,
   createOrderInvalidStatusError,
+  createOrderInvalidTransitionError,
+  createOrderInvalidScheduleError,
+  createInvalidModifiersError,
   createValidationError,
-  createUserNotFoundError
+  createUserNotFoundError,
+  createPermissionDeniedError
 } = require('../utils/errorHelpers');
 
+// Statuses a driver (orders:deliver) may set
+const DELIVERY_STATUSES = ['out-for-delivery', 'delivered'];
+
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private
@@ -37,7 +78,7 @@ const createOrder = asyncHandler(async (req, res) => {
     paymentMethod,
     phone,
     specialInstructions,
-    paymentStatus,
+    scheduledFor: requestedTime,
   } = req.body;
 
   // Basic validation
@@ -59,43 +100,67 @@ const createOrder = asyncHandler(async (req, res) => {
     }
   }
 
+  // Scheduled orders: check lead time, booking horizon and opening hours
+  const scheduledFor = requestedTime ? new Date(requestedTime) : null;
+  if (scheduledFor) {
+    const scheduleError = validateScheduledTime(scheduledFor);
+    if (scheduleError) {
+      const errorResponse = createOrderInvalidScheduleError(requestedTime, scheduleError.reason, scheduleError.details);
+      return res.status(400).json(errorResponse);
+    }
+  }
+
   // Fetch menu items from database to get accurate data
   const menuItemIds = items.map(item => item.menuItem || item.id || item._id);
-  const menuItems = await MenuItem.find({ _id: { $in: menuItemIds } });
+  const uniqueMenuItemIds = [...new Set(menuItemIds.map(id => id.toString()))];
+  const menuItems = await MenuItem.find({ _id: { $in: uniqueMenuItemIds } });
 
-  // Validate that all menu items exist
-  if (menuItems.length !== items.length) {
+  // Validate that all menu items exist (the same dish may appear on several lines with different options)
+  if (menuItems.length !== uniqueMenuItemIds.length) {
     const errorResponse = createValidationError('One or more menu items not found', {
-      provided: items.length,
+      provided: uniqueMenuItemIds.length,
       found: menuItems.length
     });
     return res.status(400).json(errorResponse);
   }
 
   // Prepare order items with data from database
-  const orderItems = items.map(item => {
+  const orderItems = [];
+  for (const item of items) {
     const menuItemId = item.menuItem || item.id || item._id;
     const menuItem = menuItems.find(mi => mi._id.toString() === menuItemId.toString());
 
-    if (!menuItem) {
-      throw new Error(`Menu item ${menuItemId} not found`);
+    // Options are checked against the menu item and priced server-side
+    const { modifiers, unitPrice, error: modifierError } = resolveModifierSelections(menuItem, item.modifiers);
+    if (modifierError) {
+      const errorResponse = createInvalidModifiersError(menuItem, modifierError.reason, modifierError.details);
+      return res.status(400).json(errorResponse);
     }
 
-    return {
+    orderItems.push({
       menuItem: menuItem._id,
       name: menuItem.name,
       image: menuItem.image,
-      price: menuItem.price,
+      price: unitPrice,
+      basePrice: menuItem.price,
+      modifiers,
       quantity: item.quantity,
       specialInstructions: item.specialInstructions || null
-    };
-  });
+    });
+  }
 
   // Calculate totals from database prices (security: prevent price manipulation)
   const calculatedTotal = orderItems.reduce((total, item) => {
     return total + (item.price * item.quantity);
   }, 0);
 
+  // Initial ETA from the dishes' preparation times and the current kitchen load
+  const preparationMinutes = computePreparationMinutes(orderItems, menuItems);
+  const eta = estimateOrderTimes({ orderType, preparationMinutes, scheduledFor }, 'pending', {
+    kitchenLoad: await getKitchenLoad(),
+  });
+  const kitchenReleaseAt = getKitchenReleaseTime({ orderType, preparationMinutes, scheduledFor });
+
   // Create order in MongoDB
   const order = await Order.create({
     userId: req.user._id,
@@ -104,29 +169,22 @@ const createOrder = asyncHandler(async (req, res) => {
     items: orderItems,
     totalPrice: Math.round(calculatedTotal * 100) / 100, // Round to 2 decimal places
     orderType,
-    paymentStatus: paymentStatus || 'pending',
+    // Card orders become paid only through Stripe confirmation (see paymentController)
+    paymentStatus: 'pending',
     paymentMethod: paymentMethod || 'cash',
     deliveryAddress: orderType === 'delivery' ? deliveryAddress : null,
     specialInstructions: specialInstructions || null,
     phone: phone || req.user.phone,
+    statusHistory: [buildStatusHistoryEntry('pending', null, req.user)],
+    scheduledFor,
+    kitchenReleaseAt,
+    preparationMinutes,
+    ...eta,
   });
 
   logger.success('Order created in MongoDB', { orderId: order._id });
 
-  // Update user statistics if payment is already paid
-  if (paymentStatus === 'paid') {
-    try {
-      await User.findByIdAndUpdate(req.user._id, {
-        $inc: {
-          totalOrders: 1,
-          totalSpent: calculatedTotal,
-        },
-      });
-      logger.debug('User statistics updated for paid order');
-    } catch (error) {
-      logger.error('Error updating user statistics', error);
-    }
-  }
+  publishOrderEvent(ORDER_EVENTS.CREATED, order);
 
   res.status(201).json({
     success: true,
@@ -195,8 +253,10 @@ const getOrder = asyncHandler(async (req, res) => {
     return res.status(404).json(errorResponse);
   }
 
+  const canViewAll = await hasStaffPermission(req.user, PERMISSIONS.ORDERS_VIEW);
+
   // Make sure user owns order or is admin
-  if (!order.userId.equals(req.user._id) && req.user.role !== 'admin') {
+  if (!order.userId.equals(req.user._id) && !canViewAll) {
     const errorResponse = createValidationError('Not authorized to access this order', {
       orderId: req.params.id,
       message: 'You can only view your own orders.'
@@ -204,9 +264,18 @@ const getOrder = asyncHandler(async (req, res) => {
     return res.status(403).json(errorResponse);
   }
 
+  const data = order.toJSON();
+
+  // Customers see the timeline, not which staff member made each change
+  if (!canViewAll) {
+    data.statusHistory = toCustomerTimeline(data.statusHistory);
+  } else {
+    Object.assign(data, getOrderLateness(order));
+  }
+
   res.status(200).json({
     success: true,
-    data: order,
+    data,
   });
 });
 
@@ -214,7 +283,7 @@ const getOrder = asyncHandler(async (req, res) => {
 // @route   PATCH /api/orders/:id/status
 // @access  Private/Admin
 const updateOrderStatus = asyncHandler(async (req, res) => {
-  const { status } = req.body;
+  const { status, note } = req.body;
 
   if (!status) {
     const errorResponse = createValidationError('Status is required', {
@@ -224,9 +293,16 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     return res.status(400).json(errorResponse);
   }
 
-  const validStatuses = ['pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled'];
-  if (!validStatuses.includes(status)) {
-    const errorResponse = createOrderInvalidStatusError('any', status, validStatuses);
+  if (!ORDER_STATUSES.includes(status)) {
+    const errorResponse = createOrderInvalidStatusError('any', status, ORDER_STATUSES);
+    return res.status(400).json(errorResponse);
+  }
+
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 200)) {
+    const errorResponse = createValidationError('Invalid status note', {
+      field: 'note',
+      message: 'The note must be a text of 200 characters or less.'
+    });
     return res.status(400).json(errorResponse);
   }
 
@@ -238,18 +314,41 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     return res.status(404).json(errorResponse);
   }
 
-  // Update the order status
-  const order = await Order.findByIdAndUpdate(
-    req.params.id,
-    {
+  // Without orders:update (drivers), only delivery orders can be moved, and only along the delivery steps
+  if (!(await hasStaffPermission(req.user, PERMISSIONS.ORDERS_UPDATE))
+    && (originalOrder.orderType !== 'delivery' || !DELIVERY_STATUSES.includes(status))) {
+    const errorResponse = createPermissionDeniedError([PERMISSIONS.ORDERS_UPDATE], req.user.role);
+    return res.status(403).json(errorResponse);
+  }
+
+  if (!canTransitionOrder(originalOrder, status)) {
+    const errorResponse = createOrderInvalidTransitionError(
+      originalOrder,
       status,
-      updatedAt: new Date(),
-    },
-    { new: true, runValidators: true }
-  ).populate('items.menuItem', 'name price');
+      getAllowedTransitions(originalOrder.orderType, originalOrder.status)
+    );
+    return res.status(400).json(errorResponse);
+  }
+
+  const updatedOrder = await transitionOrderStatus(originalOrder, status, { user: req.user, note });
+
+  // Another status change landed between the read and the write
+  if (!updatedOrder) {
+    const current = (await Order.findById(req.params.id)) || originalOrder;
+    const errorResponse = createOrderInvalidTransitionError(
+      current,
+      status,
+      getAllowedTransitions(current.orderType, current.status)
+    );
+    return res.status(409).json(errorResponse);
+  }
+
+  const order = await updatedOrder.populate('items.menuItem', 'name price');
 
   logger.success('Order status updated in MongoDB', { orderId: order._id, status });
 
+  publishOrderEvent(status === 'cancelled' ? ORDER_EVENTS.CANCELLED : ORDER_EVENTS.STATUS_CHANGED, order);
+
   // Update menu items orderCount if order is delivered for the first time
   if (status === 'delivered' && originalOrder.status !== 'delivered') {
     try {
@@ -270,15 +369,13 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
   }
 
   // Update user statistics if order is delivered and payment wasn't already paid
-  if (status === 'delivered' && order.paymentStatus !== 'paid') {
+  // (card orders are counted when paid, even if partially refunded since; one paid
+  // after delivery is not counted again, see countOrderInUserStats)
+  if (status === 'delivered' && order.paymentStatus !== 'paid' && !order.paidAt) {
     try {
-      await User.findByIdAndUpdate(order.userId, {
-        $inc: {
-          totalOrders: 1,
-          totalSpent: order.totalPrice,
-        },
-      });
-      logger.debug('User statistics updated for delivered order');
+      if (await countOrderInUserStats(order)) {
+        logger.debug('User statistics updated for delivered order');
+      }
     } catch (error) {
       logger.error('Error updating user statistics', error);
     }
@@ -311,18 +408,23 @@ const cancelOrder = asyncHandler(async (req, res) => {
   }
 
   // Check if order can be cancelled
-  if (order.status === 'delivered' || order.status === 'cancelled') {
-    const errorResponse = createOrderInvalidStatusError(order.status, 'cancelled', []);
+  if (!canTransitionOrder(order, 'cancelled')) {
+    const errorResponse = createOrderInvalidTransitionError(
+      order,
+      'cancelled',
+      getAllowedTransitions(order.orderType, order.status)
+    );
     return res.status(400).json(errorResponse);
   }
 
-  // Only allow cancellation if payment is not 'paid' and status is 'pending' or 'confirmed'
-  if (order.paymentStatus === 'paid') {
+  // Only allow cancellation if nothing is captured and status is 'pending' or 'confirmed';
+  // a partially refunded order still holds the rest of the payment
+  if (['paid', 'partially_refunded'].includes(order.paymentStatus)) {
     const errorResponse = createValidationError('Cannot cancel paid orders', {
       orderId: req.params.id,
       paymentStatus: order.paymentStatus,
       message: 'This order has already been paid and cannot be cancelled online.',
-      suggestion: 'Please contact customer service for refund assistance.',
+      suggestion: 'Please contact customer service: our team can issue a full or partial refund.',
       contactEmail: 'support@restoh.com',
       contactPhone: '+33 1 23 45 67 89'
     });
@@ -334,17 +436,154 @@ const cancelOrder = asyncHandler(async (req, res) => {
     return res.status(400).json(errorResponse);
   }
 
-  order.status = 'cancelled';
-  order.updatedAt = new Date();
-  await order.save();
+  const cancelledOrder = await transitionOrderStatus(order, 'cancelled', {
+    user: req.user,
+    note: 'Cancelled by customer',
+  });
+
+  if (!cancelledOrder) {
+    const current = (await Order.findById(req.params.id)) || order;
+    const errorResponse = createOrderInvalidTransitionError(
+      current,
+      'cancelled',
+      getAllowedTransitions(current.orderType, current.status)
+    );
+    return res.status(409).json(errorResponse);
+  }
+
+  publishOrderEvent(ORDER_EVENTS.CANCELLED, cancelledOrder);
+
+  const data = cancelledOrder.toJSON();
+  data.statusHistory = toCustomerTimeline(data.statusHistory);
 
   res.status(200).json({
     success: true,
     message: 'Order cancelled successfully',
-    data: order,
+    data,
   });
 });
 
+// Live stream settings
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const STREAM_RETRY_MS = 5 * 1000;
+const MAX_STREAMS_PER_USER = 5;
+const MAX_TIMER_MS = 2147483647; // setTimeout limit (~24.8 days)
+
+// Open streams per user id (prevents one account from holding many connections)
+const openStreams = new Map();
+
+/**
+ * Read the expiry of the access token a request was authenticated with
+ * @param {Object} req - Express request (after protect)
+ * @returns {Date|null} Expiry, null when the token has none
+ */
+const getAccessTokenExpiry = (req) => {
+  const token = req.headers.authorization ? req.headers.authorization.split(' ')[1] : req.cookies.token;
+  const decoded = token ? jwt.decode(token) : null;
+  return decoded && decoded.exp ? new Date(decoded.exp * 1000) : null;
+};
+
+/**
+ * Write one Server-Sent Event to the response
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @param {number|null} id - Event id (optional)
+ */
+const writeStreamEvent = (res, event, data, id = null) => {
+  if (id !== null) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// @desc    Issue a ticket to open the order stream (EventSource cannot send headers)
+// @route   POST /api/orders/stream/ticket
+// @access  Private
+const createStreamTicket = asyncHandler(async (req, res) => {
+  const ticket = generateStreamTicket(req.user._id, getAccessTokenExpiry(req));
+
+  res.status(201).json({
+    success: true,
+    data: { ticket, expiresIn: STREAM_TICKET_EXPIRE_SECONDS },
+  });
+});
+
+// @desc    Stream live order events (Server-Sent Events)
+// @route   GET /api/orders/stream
+// @access  Private (customers: own orders, admins: all orders)
+const streamOrderEvents = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const isAdmin = await hasStaffPermission(req.user, PERMISSIONS.ORDERS_VIEW);
+
+  const userStreams = openStreams.get(userId) || 0;
+  if (userStreams >= MAX_STREAMS_PER_USER) {
+    return res.status(429).json({
+      success: false,
+      error: 'Too many open order streams',
+      code: 'TOO_MANY_STREAMS',
+      details: {
+        maxStreams: MAX_STREAMS_PER_USER,
+        message: 'Close another tab or window tracking your orders and try again.'
+      }
+    });
+  }
+  openStreams.set(userId, userStreams + 1);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+  writeStreamEvent(res, 'connected', { scope: isAdmin ? 'all' : 'own' });
+
+  const unsubscribe = subscribeToOrderEvents((event) => {
+    const { order } = event;
+
+    // Customers only receive events for their own orders
+    if (!isAdmin && String(order.userId) !== userId) return;
+
+    writeStreamEvent(res, event.type, {
+      type: event.type,
+      order: isAdmin ? order : toCustomerOrderPayload(order),
+      emittedAt: event.emittedAt,
+    }, event.id);
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+  // Close the stream when the access token expires so it is re-authenticated on reconnect
+  // (with a ticket: the access token the ticket was issued for)
+  let expiryTimer = null;
+  const expiresAt = req.streamExpiresAt !== undefined ? req.streamExpiresAt : getAccessTokenExpiry(req);
+  if (expiresAt) {
+    const msUntilExpiry = expiresAt.getTime() - Date.now();
+    expiryTimer = setTimeout(() => {
+      writeStreamEvent(res, 'token.expired', { message: 'Access token expired, reconnect with a fresh token.' });
+      res.end();
+    }, Math.min(Math.max(msUntilExpiry, 0), MAX_TIMER_MS));
+  }
+
+  // Fires when the client disconnects or the stream is ended
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiryTimer);
+
+    const remaining = (openStreams.get(userId) || 1) - 1;
+    if (remaining > 0) {
+      openStreams.set(userId, remaining);
+    } else {
+      openStreams.delete(userId);
+    }
+
+    logger.debug('Order stream closed', { userId });
+  });
+
+  logger.debug('Order stream opened', { userId, scope: isAdmin ? 'all' : 'own' });
+});
+
 // @desc    Delete order (Admin only)
 // @route   DELETE /api/orders/:id/delete
 // @access  Private/Admin
@@ -386,6 +625,28 @@ const getAdminOrders = asyncHandler(async (req, res) => {
   const orderType = req.query.orderType;
   const paymentMethod = req.query.paymentMethod;
   const search = req.query.search;
+  const { startDate, endDate } = req.query;
+  const dateField = req.query.dateField || 'createdAt';
+  const now = new Date();
+
+  if (!ORDER_DATE_FIELDS.includes(dateField)) {
+    const errorResponse = createValidationError('Invalid date field', {
+      field: 'dateField',
+      allowed: ORDER_DATE_FIELDS,
+      message: `Filter dates by one of: ${ORDER_DATE_FIELDS.join(', ')}.`
+    });
+    return res.status(400).json(errorResponse);
+  }
+
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : null;
+  if ((start && isNaN(start)) || (end && isNaN(end))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid startDate or endDate',
+      code: 'INVALID_DATE_RANGE'
+    });
+  }
 
   let query = {};
 
@@ -399,6 +660,22 @@ const getAdminOrders = asyncHandler(async (req, res) => {
       { userEmail: { $regex: search, $options: 'i' } },
     ];
   }
+  // Scheduled (future) orders only, or ASAP orders only
+  if (req.query.scheduled === 'true') query.scheduledFor = { $ne: null };
+  if (req.query.scheduled === 'false') query.scheduledFor = null;
+
+  const conditions = [query];
+  // Date range on creation or on scheduled pickup/delivery time
+  if (start || end) {
+    conditions.push(buildOrderDateQuery(dateField, start, end));
+  }
+  // Only orders past their estimated ready/delivery time
+  if (req.query.late === 'true') {
+    conditions.push(buildLateOrdersQuery(now));
+  }
+  if (conditions.length > 1) {
+    query = { $and: conditions };
+  }
 
   const startIndex = (page - 1) * limit;
   const total = await Order.countDocuments(query);
@@ -423,7 +700,7 @@ const getAdminOrders = asyncHandler(async (req, res) => {
     count: orders.length,
     total,
     pagination,
-    data: orders,
+    data: orders.map(order => toAdminOrderJSON(order, now)),
   });
 });
 
@@ -441,15 +718,23 @@ const getOrderStats = asyncHandler(async (req, res) => {
   // Revenue calculation
   const revenueResult = await Order.aggregate([
     { $match: { status: { $ne: 'cancelled' } } },
-    { $group: { _id: null, totalRevenue: { $sum: '$totalPrice' } } }
+    {
+      $group: {
+        _id: null,
+        totalRevenue: { $sum: { $subtract: ['$totalPrice', { $ifNull: ['$refundedAmount', 0] }] } },
+        totalRefunded: { $sum: { $ifNull: ['$refundedAmount', 0] } }
+      }
+    }
   ]);
   const totalRevenue = revenueResult[0]?.totalRevenue || 0;
+  const totalRefunded = revenueResult[0]?.totalRefunded || 0;
 
   res.status(200).json({
     success: true,
     data: {
       totalOrders,
       totalRevenue,
+      totalRefunded,
       ordersByStatus: {
         pending: pendingOrders,
         confirmed: confirmedOrders,
@@ -489,10 +774,11 @@ const getRecentAdminOrders = asyncHandler(async (req, res) => {
 
   const totalPages = Math.ceil(total / limit);
   const hasMore = page < totalPages;
+  const now = new Date();
 
   res.status(200).json({
     success: true,
-    data: orders,
+    data: orders.map(order => toAdminOrderJSON(order, now)),
     pagination: {
       total,
       page,
@@ -512,6 +798,16 @@ const getHistoricalAdminOrders = asyncHandler(async (req, res) => {
   const status = req.query.status;
   const search = req.query.search;
   const { startDate, endDate } = req.query;
+  const dateField = req.query.dateField || 'createdAt';
+
+  if (!ORDER_DATE_FIELDS.includes(dateField)) {
+    const errorResponse = createValidationError('Invalid date field', {
+      field: 'dateField',
+      allowed: ORDER_DATE_FIELDS,
+      message: `Filter dates by one of: ${ORDER_DATE_FIELDS.join(', ')}.`
+    });
+    return res.status(400).json(errorResponse);
+  }
 
   // Validate required date range
   if (!startDate || !endDate) {
@@ -537,9 +833,7 @@ const getHistoricalAdminOrders = asyncHandler(async (req, res) => {
     });
   }
 
-  let query = {
-    createdAt: { $gte: start, $lte: end }
-  };
+  let query = {};
 
   if (status) query.status = status;
   if (search) {
@@ -549,6 +843,7 @@ const getHistoricalAdminOrders = asyncHandler(async (req, res) => {
       { userEmail: { $regex: search, $options: 'i' } }
     ];
   }
+  query = { $and: [query, buildOrderDateQuery(dateField, start, end)] };
 
   const startIndex = (page - 1) * limit;
   const total = await Order.countDocuments(query);
@@ -642,4 +937,6 @@ module.exports = {
   getRecentAdminOrders,
   getHistoricalAdminOrders,
   getAdminUserOrders,
+  streamOrderEvents,
+  createStreamTicket,
 };
\ No newline at end of file
@@ -1,11 +1,42 @@
 const Stripe = require('stripe');
+const Order = require('../models/Order');
+const EventRequest = require('../models/EventRequest');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
-const { createPaymentIntentSchema, confirmPaymentSchema } = require('../utils/validation');
+const {
+  createPaymentIntentSchema,
+  createEventDepositIntentSchema,
+  confirmPaymentSchema,
+  refundSchema
+} = require('../utils/validation');
+const {
+  toCents,
+  findOrderForPaymentIntent,
+  checkOrderPayable,
+  markOrderPaid,
+  getRefundableAmount,
+  checkOrderRefundable,
+  recordRefund,
+  findEventRequestForPaymentIntent,
+  checkEventDepositPayable,
+  markEventDepositPaid,
+  processStripeEvent,
+} = require('../utils/paymentHelpers');
 const {
   createPaymentIntentCreationFailedError,
   createPaymentNotCompletedError,
-  createPaymentConfirmationFailedError
+  createPaymentConfirmationFailedError,
+  createWebhookSignatureInvalidError,
+  createOrderNotPayableError,
+  createOrderNotRefundableError,
+  createRefundAmountExceededError,
+  createRefundFailedError,
+  createRefundReconciliationRequiredError,
+  createOrderNotFoundError,
+  createPaymentFailedError,
+  createEventRequestNotFoundError,
+  createEventDepositNotPayableError,
+  createValidationError
 } = require('../utils/errorHelpers');
 
 // Initialize payment gateway with environment validation
@@ -18,8 +49,23 @@ if (!stripeSecretKey) {
 
 const stripe = stripeSecretKey ? new Stripe(stripeSecretKey) : null;
 
+// Webhook signing secret (whsec_...) from the Stripe dashboard or `stripe listen`
+const stripeWebhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+if (!stripeWebhookSecret) {
+  logger.warn('STRIPE_WEBHOOK_SECRET not set - Stripe webhook endpoint will be unavailable');
+}
 
-// @desc    Create Stripe payment intent
+
+// PaymentIntent statuses that can still be completed by the customer
+const REUSABLE_INTENT_STATUSES = [
+  'requires_payment_method',
+  'requires_confirmation',
+  'requires_action',
+  'processing',
+];
+
+// @desc    Create Stripe payment intent for an existing order
 // @route   POST /api/payments/stripe/create-intent
 // @access  Private
 const createStripePaymentIntent = asyncHandler(async (req, res) => {
@@ -37,26 +83,91 @@ const createStripePaymentIntent = asyncHandler(async (req, res) => {
     return res.status(400).json({
       success: false,
       message: error.details[0].message,
-      code: 'INVALID_AMOUNT'
+      code: 'VALIDATION_ERROR'
     });
   }
 
-  const { amount, currency } = value;
+  const { orderId, currency } = value;
 
-  try {
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amount * 100, // Stripe expects amount in cents
-      currency,
-      automatic_payment_methods: {
-        enabled: true,
-      },
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    const errorResponse = createOrderNotFoundError(orderId);
+    return res.status(404).json(errorResponse);
+  }
+
+  if (!order.userId.equals(req.user._id)) {
+    const errorResponse = createValidationError('Not authorized to pay for this order', {
+      orderId,
+      message: 'You can only pay for your own orders.'
     });
+    return res.status(403).json(errorResponse);
+  }
+
+  const { payable, reason } = checkOrderPayable(order);
+  if (!payable) {
+    const errorResponse = createOrderNotPayableError(order, reason);
+    return res.status(400).json(errorResponse);
+  }
+
+  // Amount always comes from the stored order, never from the client
+  const amount = toCents(order.totalPrice);
+
+  try {
+    let paymentIntent = null;
+
+    // Reuse the intent already linked to this order while it can still be completed
+    if (order.paymentIntentId) {
+      const existingIntent = await stripe.paymentIntents.retrieve(order.paymentIntentId);
+
+      if (existingIntent.status === 'succeeded') {
+        const { order: paidOrder } = await markOrderPaid(existingIntent);
+        const errorResponse = createOrderNotPayableError(paidOrder || order, 'This order has already been paid.');
+        return res.status(400).json(errorResponse);
+      }
+
+      if (REUSABLE_INTENT_STATUSES.includes(existingIntent.status)
+        && existingIntent.amount === amount
+        && existingIntent.currency === currency) {
+        paymentIntent = existingIntent;
+      }
+    }
+
+    if (!paymentIntent) {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount,
+        currency,
+        automatic_payment_methods: {
+          enabled: true,
+        },
+        metadata: {
+          orderId: order._id.toString(),
+          orderNumber: order.orderNumber,
+          userId: req.user._id.toString(),
+        },
+      });
+    }
+
+    // Only bind while the order is still unpaid (a webhook may have landed meanwhile)
+    await Order.updateOne(
+      { _id: order._id, paymentStatus: { $in: ['pending', 'failed'] } },
+      {
+        $set: {
+          paymentIntentId: paymentIntent.id,
+          paymentIntentStatus: paymentIntent.status,
+        },
+      }
+    );
 
     res.status(200).json({
       success: true,
       data: {
         clientSecret: paymentIntent.client_secret,
         paymentIntentId: paymentIntent.id,
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        amount: order.totalPrice,
+        currency,
       },
     });
   } catch (error) {
@@ -66,7 +177,7 @@ const createStripePaymentIntent = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Confirm Stripe payment
+// @desc    Confirm Stripe payment and mark the linked order as paid
 // @route   POST /api/payments/stripe/confirm
 // @access  Private
 const confirmStripePayment = asyncHandler(async (req, res) => {
@@ -90,30 +201,434 @@ const confirmStripePayment = asyncHandler(async (req, res) => {
 
   const { paymentIntentId } = req.body;
 
+  let paymentIntent;
   try {
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    // Status and amount are read from Stripe, not from the client
+    paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  } catch (error) {
+    logger.error('Stripe payment confirmation error', error);
+    const errorResponse = createPaymentConfirmationFailedError(error.message);
+    return res.status(500).json(errorResponse);
+  }
 
-    if (paymentIntent.status === 'succeeded') {
-      res.status(200).json({
-        success: true,
-        message: 'Payment confirmed successfully',
-        data: {
-          paymentIntentId: paymentIntent.id,
-          amount: paymentIntent.amount / 100,
-          status: paymentIntent.status,
+  const order = await findOrderForPaymentIntent(paymentIntent.id, paymentIntent.metadata);
+
+  if (!order) {
+    const errorResponse = createOrderNotFoundError(paymentIntent.metadata?.orderId || null);
+    return res.status(404).json(errorResponse);
+  }
+
+  if (!order.userId.equals(req.user._id)) {
+    const errorResponse = createValidationError('Not authorized to confirm this payment', {
+      paymentIntentId,
+      message: 'You can only confirm payments for your own orders.'
+    });
+    return res.status(403).json(errorResponse);
+  }
+
+  if (paymentIntent.status !== 'succeeded') {
+    await Order.updateOne(
+      { _id: order._id, paymentIntentId: paymentIntent.id },
+      { $set: { paymentIntentStatus: paymentIntent.status } }
+    );
+
+    const errorResponse = createPaymentNotCompletedError(paymentIntent.status);
+    return res.status(400).json(errorResponse);
+  }
+
+  const { order: paidOrder } = await markOrderPaid(paymentIntent);
+
+  if (paidOrder.paymentStatus !== 'paid') {
+    const errorResponse = createPaymentFailedError('Payment amount does not match order total', {
+      orderId: order._id,
+      amountReceived: (paymentIntent.amount_received ?? paymentIntent.amount) / 100,
+      orderTotal: order.totalPrice
+    });
+    return res.status(400).json(errorResponse);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment confirmed successfully',
+    data: {
+      paymentIntentId: paymentIntent.id,
+      amount: paymentIntent.amount / 100,
+      status: paymentIntent.status,
+      order: paidOrder,
+    },
+  });
+});
+
+// @desc    Create Stripe payment intent for the deposit of an approved event
+// @route   POST /api/payments/stripe/event-deposit/create-intent
+// @access  Private
+const createEventDepositIntent = asyncHandler(async (req, res) => {
+  if (!stripe) {
+    return res.status(503).json({
+      success: false,
+      error: 'Payment service unavailable - Stripe not configured',
+      code: 'PAYMENT_SERVICE_UNAVAILABLE'
+    });
+  }
+
+  const { error, value } = createEventDepositIntentSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const { eventRequestId } = value;
+
+  const eventRequest = await EventRequest.findById(eventRequestId);
+
+  if (!eventRequest || !eventRequest.userId.equals(req.user._id)) {
+    const errorResponse = createEventRequestNotFoundError(eventRequestId);
+    return res.status(404).json(errorResponse);
+  }
+
+  const { payable, reason } = checkEventDepositPayable(eventRequest);
+  if (!payable) {
+    const errorResponse = createEventDepositNotPayableError(eventRequest, reason);
+    return res.status(400).json(errorResponse);
+  }
+
+  // Amount and currency always come from the admin's quote
+  const { depositAmount, currency } = eventRequest.quote;
+  const amount = toCents(depositAmount);
+
+  try {
+    let paymentIntent = null;
+
+    if (eventRequest.paymentIntentId) {
+      const existingIntent = await stripe.paymentIntents.retrieve(eventRequest.paymentIntentId);
+
+      if (existingIntent.status === 'succeeded') {
+        const { eventRequest: paidRequest } = await markEventDepositPaid(existingIntent);
+        const errorResponse = createEventDepositNotPayableError(
+          paidRequest || eventRequest,
+          'The deposit for this event has already been paid.'
+        );
+        return res.status(400).json(errorResponse);
+      }
+
+      if (REUSABLE_INTENT_STATUSES.includes(existingIntent.status)
+        && existingIntent.amount === amount
+        && existingIntent.currency === currency) {
+        paymentIntent = existingIntent;
+      }
+    }
+
+    if (!paymentIntent) {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount,
+        currency,
+        automatic_payment_methods: {
+          enabled: true,
+        },
+        metadata: {
+          eventRequestId: eventRequest._id.toString(),
+          userId: req.user._id.toString(),
         },
       });
-    } else {
-      const errorResponse = createPaymentNotCompletedError(paymentIntent.status);
-      res.status(400).json(errorResponse);
     }
+
+    await EventRequest.updateOne(
+      { _id: eventRequest._id, depositStatus: { $in: ['pending', 'failed'] } },
+      {
+        $set: {
+          paymentIntentId: paymentIntent.id,
+          paymentIntentStatus: paymentIntent.status,
+        },
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        eventRequestId: eventRequest._id,
+        amount: depositAmount,
+        currency,
+      },
+    });
   } catch (error) {
-    logger.error('Stripe payment confirmation error', error);
-    const errorResponse = createPaymentConfirmationFailedError(error.message);
+    logger.error('Stripe deposit intent error', error);
+    const errorResponse = createPaymentIntentCreationFailedError(error.message);
     res.status(500).json(errorResponse);
   }
 });
 
+// @desc    Confirm Stripe payment of an event deposit
+// @route   POST /api/payments/stripe/event-deposit/confirm
+// @access  Private
+const confirmEventDeposit = asyncHandler(async (req, res) => {
+  if (!stripe) {
+    return res.status(503).json({
+      success: false,
+      error: 'Payment service unavailable - Stripe not configured',
+      code: 'PAYMENT_SERVICE_UNAVAILABLE'
+    });
+  }
+
+  const { error } = confirmPaymentSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+      code: 'PAYMENT_INTENT_ID_REQUIRED'
+    });
+  }
+
+  const { paymentIntentId } = req.body;
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  } catch (error) {
+    logger.error('Stripe deposit confirmation error', error);
+    const errorResponse = createPaymentConfirmationFailedError(error.message);
+    return res.status(500).json(errorResponse);
+  }
+
+  const eventRequest = await findEventRequestForPaymentIntent(paymentIntent.id, paymentIntent.metadata);
+
+  if (!eventRequest || !eventRequest.userId.equals(req.user._id)) {
+    const errorResponse = createEventRequestNotFoundError(paymentIntent.metadata?.eventRequestId || null);
+    return res.status(404).json(errorResponse);
+  }
+
+  if (paymentIntent.status !== 'succeeded') {
+    await EventRequest.updateOne(
+      { _id: eventRequest._id, paymentIntentId: paymentIntent.id },
+      { $set: { paymentIntentStatus: paymentIntent.status } }
+    );
+
+    const errorResponse = createPaymentNotCompletedError(paymentIntent.status);
+    return res.status(400).json(errorResponse);
+  }
+
+  const { eventRequest: paidRequest } = await markEventDepositPaid(paymentIntent);
+
+  if (paidRequest.depositStatus !== 'paid') {
+    const errorResponse = createPaymentFailedError('Payment amount does not match the event deposit', {
+      eventRequestId: eventRequest._id,
+      amountReceived: (paymentIntent.amount_received ?? paymentIntent.amount) / 100,
+      depositAmount: eventRequest.quote?.depositAmount
+    });
+    return res.status(400).json(errorResponse);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Deposit paid successfully',
+    data: {
+      paymentIntentId: paymentIntent.id,
+      amount: paymentIntent.amount / 100,
+      status: paymentIntent.status,
+      eventRequest: paidRequest,
+    },
+  });
+});
+
+// @desc    Handle Stripe webhook events (payment state reconciliation)
+// @route   POST /api/payments/stripe/webhook
+// @access  Public (verified with Stripe-Signature header)
+const handleStripeWebhook = asyncHandler(async (req, res) => {
+  if (!stripe || !stripeWebhookSecret) {
+    return res.status(503).json({
+      success: false,
+      error: 'Payment service unavailable - Stripe webhook not configured',
+      code: 'PAYMENT_SERVICE_UNAVAILABLE'
+    });
+  }
+
+  const signature = req.headers['stripe-signature'];
+
+  // Signature is computed over the exact bytes Stripe sent
+  if (!signature || !Buffer.isBuffer(req.body)) {
+    const errorResponse = createWebhookSignatureInvalidError(
+      !signature ? 'Missing Stripe-Signature header' : 'Raw request body unavailable'
+    );
+    return res.status(400).json(errorResponse);
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, signature, stripeWebhookSecret);
+  } catch (error) {
+    logger.warn('Stripe webhook signature verification failed', { message: error.message });
+    const errorResponse = createWebhookSignatureInvalidError(error.message);
+    return res.status(400).json(errorResponse);
+  }
+
+  const result = await processStripeEvent(event, { stripe });
+
+  logger.debug('Stripe webhook processed', { eventId: event.id, type: event.type, ...result });
+
+  // Always acknowledge verified events so Stripe stops retrying
+  res.status(200).json({
+    success: true,
+    received: true,
+    data: {
+      eventId: event.id,
+      type: event.type,
+      handled: result.handled,
+      duplicate: result.duplicate,
+      orderId: result.orderId,
+      eventRequestId: result.eventRequestId,
+    },
+  });
+});
+
+/**
+ * Validate a refund request against the order and return the amount to refund
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} method - Refund method ('stripe' or 'cash')
+ * @returns {Promise<Object|null>} { order, amount, reason } or null if a response was sent
+ */
+const prepareRefund = async (req, res, method) => {
+  const { error, value } = refundSchema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+    return null;
+  }
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404).json(createOrderNotFoundError(req.params.id));
+    return null;
+  }
+
+  const { refundable, reason } = checkOrderRefundable(order, method);
+  if (!refundable) {
+    res.status(400).json(createOrderNotRefundableError(order, reason));
+    return null;
+  }
+
+  const refundableAmount = getRefundableAmount(order);
+  const amount = value.amount ?? refundableAmount;
+
+  if (toCents(amount) > toCents(refundableAmount)) {
+    res.status(400).json(createRefundAmountExceededError(amount, refundableAmount));
+    return null;
+  }
+
+  return { order, amount, reason: value.reason || null };
+};
+
+// @desc    Issue a full or partial Stripe refund for an order
+// @route   POST /api/orders/:id/refunds
+// @access  Private/Admin
+const refundOrder = asyncHandler(async (req, res) => {
+  if (!stripe) {
+    return res.status(503).json({
+      success: false,
+      error: 'Payment service unavailable - Stripe not configured',
+      code: 'PAYMENT_SERVICE_UNAVAILABLE'
+    });
+  }
+
+  const prepared = await prepareRefund(req, res, 'stripe');
+  if (!prepared) return;
+
+  const { order, amount, reason } = prepared;
+
+  let stripeRefund;
+  try {
+    // Stripe rejects refunds above the remaining charge amount, so concurrent
+    // requests cannot over-refund the card
+    stripeRefund = await stripe.refunds.create({
+      payment_intent: order.paymentIntentId,
+      amount: toCents(amount),
+      metadata: {
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        refundedBy: req.user._id.toString(),
+        reason: reason || '',
+      },
+    });
+  } catch (error) {
+    logger.error('Stripe refund error', error);
+    const errorResponse = createRefundFailedError(error.message);
+    return res.status(500).json(errorResponse);
+  }
+
+  // The refund.created webhook may already have recorded it (no processedBy then)
+  const result = await recordRefund(order._id, {
+    amount,
+    method: 'stripe',
+    status: stripeRefund.status === 'succeeded' ? 'succeeded' : 'pending',
+    reason,
+    stripeRefundId: stripeRefund.id,
+    processedBy: req.user._id,
+  });
+
+  // Money already left through Stripe: the caller must not read this as a success
+  if (result.exceeded) {
+    logger.error('Stripe refund issued but exceeds order balance', {
+      orderId: order._id,
+      stripeRefundId: stripeRefund.id,
+    });
+    const errorResponse = createRefundReconciliationRequiredError(
+      stripeRefund.id,
+      amount,
+      getRefundableAmount(result.order)
+    );
+    return res.status(409).json(errorResponse);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Refund issued successfully',
+    data: {
+      refund: result.refund,
+      order: result.order,
+    },
+  });
+});
+
+// @desc    Record a manual cash refund for an order
+// @route   POST /api/orders/:id/refunds/cash
+// @access  Private/Admin
+const recordCashRefund = asyncHandler(async (req, res) => {
+  const prepared = await prepareRefund(req, res, 'cash');
+  if (!prepared) return;
+
+  const { order, amount, reason } = prepared;
+
+  const result = await recordRefund(order._id, {
+    amount,
+    method: 'cash',
+    status: 'succeeded',
+    reason,
+    processedBy: req.user._id,
+  });
+
+  // Another refund was recorded in the meantime
+  if (result.exceeded) {
+    const errorResponse = createRefundAmountExceededError(amount, getRefundableAmount(result.order));
+    return res.status(400).json(errorResponse);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Cash refund recorded successfully',
+    data: {
+      refund: result.refund,
+      order: result.order,
+    },
+  });
+});
 
 // @desc    Get payment methods
 // @route   GET /api/payments/methods
@@ -145,5 +660,10 @@ const getPaymentMethods = asyncHandler(async (req, res) => {
 module.exports = {
   createStripePaymentIntent,
   confirmStripePayment,
+  createEventDepositIntent,
+  confirmEventDeposit,
+  handleStripeWebhook,
+  refundOrder,
+  recordCashRefund,
   getPaymentMethods,
 };
\ No newline at end of file
@@ -3,26 +3,147 @@ const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
 const { validateReservation } = require('../utils/validation');
-const { isValidSlot, isBeforeReservationTime, isAfterReservationTime } = require('../utils/timeSlots');
+const { isBeforeReservationTime, isAfterReservationTime, getLabelFromSlot } = require('../utils/timeSlots');
+const { startOfDay, getToday, addDays } = require('../utils/timezone');
+const { verifyReservationLinkToken, isLinkCurrent } = require('../utils/reservationLinks');
 const {
   validateReservationUpdate,
   canCancelReservation,
-  addTableBooking,
-  removeTableBooking,
-  validateTableCapacity,
-  findAvailableTables
+  validateTableCapacity
 } = require('../utils/reservationHelpers');
-const Table = require('../models/Table');
 const {
+  ACTIVE_RESERVATION_STATUSES,
+  checkSlotBookable,
+  findAvailableTables,
+  findConflictingTables,
+  findRaceConflicts
+} = require('../services/reservations/availabilityService');
+const {
+  findBestTableAssignment,
+  suggestAlternativeSlots
+} = require('../services/reservations/tableAssignmentService');
+const { notifyCapacityFreed } = require('../services/waitlist/waitlistService');
+const {
+  getPolicy,
+  getBookingRestriction,
+  recordCancellation,
+  recordStatusChange
+} = require('../services/reservations/reliabilityService');
+const { sendReservationEmail } = require('../services/reservations/reservationNotificationService');
+const {
+  createTablesUnavailableError,
+  createNoTableAvailableError,
   createCapacityExceededError,
   createInvalidTableCapacityError,
   createCapacityInsufficientError,
   createModificationTooLateError,
   createCancellationTooLateError,
   createValidationError,
-  createUserNotFoundError
+  createUserNotFoundError,
+  createInvalidSlotNumberError,
+  createSlotUnavailableError,
+  createOnlineBookingBlockedError,
+  createReservationLinkInvalidError
 } = require('../utils/errorHelpers');
 
+/**
+ * Build the error for a slot that cannot take bookings (see checkSlotBookable)
+ * @param {Object} slotCheck - Failed checkSlotBookable result
+ * @param {Object} booking - { date, slot, guests, excludeReservationId }
+ * @returns {Promise<Object>} Structured error response
+ */
+const buildSlotErrorResponse = async (slotCheck, { date, slot, guests, excludeReservationId = null }) => {
+  if (slotCheck.reason === 'invalid_slot') {
+    return createInvalidSlotNumberError(slot, slotCheck.slotCount);
+  }
+  const suggestedSlots = await suggestAlternativeSlots(date, slot, guests, { excludeReservationId });
+  return createSlotUnavailableError(date, slot, slotCheck.message, suggestedSlots);
+};
+
+/**
+ * Table times to store with a status change (the floor map relies on them)
+ * Seating and clearing are stamped once; going back to confirmed unseats the party.
+ * @param {Object} reservation - Reservation before the change
+ * @param {string} status - New status
+ * @param {Date} changedAt - Time of the change
+ * @returns {Object} Fields to set ({} when nothing changes)
+ */
+const getTableTimesUpdate = (reservation, status, changedAt) => {
+  if (status === 'seated' && !reservation.seatedAt) return { seatedAt: changedAt };
+  if (status === 'completed' && !reservation.clearedAt) return { clearedAt: changedAt };
+  if (status === 'confirmed') return { seatedAt: null };
+  return {};
+};
+
+/**
+ * Cancel a reservation for its customer (from their account or an email link)
+ * The caller has already checked canCancelReservation.
+ * @param {Object} reservation - Confirmed reservation document
+ * @returns {Promise<void>}
+ */
+const cancelForCustomer = async (reservation) => {
+  reservation.status = 'cancelled';
+  reservation.updatedAt = new Date();
+  await reservation.save();
+
+  // Cancelling close to the visit counts against the customer's reliability
+  await recordCancellation(reservation);
+
+  // Offer the freed tables to the first matching guest on the waitlist
+  await notifyCapacityFreed(reservation.date);
+
+  // Update user statistics (decrement totalReservations)
+  try {
+    await User.findByIdAndUpdate(reservation.userId, {
+      $inc: {
+        totalReservations: -1,
+      },
+    });
+    logger.debug('User statistics updated for cancelled reservation');
+  } catch (error) {
+    logger.error('Error updating user statistics', error);
+  }
+
+  await sendReservationEmail(reservation, 'cancellation');
+};
+
+/**
+ * Load the reservation behind a one-click email link
+ * @param {string} token - Link token
+ * @returns {Promise<Object>} { link, reservation } or { status, body }
+ */
+const resolveReservationLink = async (token) => {
+  const link = verifyReservationLinkToken(token);
+  if (link.error) {
+    return { status: 400, body: createReservationLinkInvalidError(link.error) };
+  }
+
+  const reservation = await Reservation.findById(link.reservationId);
+  if (!reservation) {
+    return { status: 404, body: { success: false, message: 'Reservation not found' } };
+  }
+  if (!isLinkCurrent(reservation, link)) {
+    return { status: 400, body: createReservationLinkInvalidError('outdated') };
+  }
+
+  return { link, reservation };
+};
+
+/**
+ * Public view of a reservation reached through an email link (no contact details)
+ * @param {Object} reservation - Reservation
+ * @returns {Object} Reservation summary
+ */
+const toLinkView = (reservation) => ({
+  reservationNumber: reservation.reservationNumber,
+  date: reservation.date,
+  slot: reservation.slot,
+  time: getLabelFromSlot(reservation.slot, reservation.date),
+  guests: reservation.guests,
+  status: reservation.status,
+  attendanceConfirmedAt: reservation.attendanceConfirmedAt,
+});
+
 // @desc    Create new reservation
 // @route   POST /api/reservations
 // @access  Private
@@ -36,10 +157,36 @@ const createReservation = asyncHandler(async (req, res) => {
     });
   }
 
-  const { date, slot, guests, tableNumber, specialRequest, contactPhone } = req.body;
+  const { date, slot, guests, specialRequest, contactPhone } = req.body;
+  let { tableNumber } = req.body;
 
-  // Validate table capacity matches number of guests
-  if (tableNumber && tableNumber.length > 0) {
+  // Customers with too many no-shows or late cancellations must book by phone
+  const restriction = getBookingRestriction(req.user, await getPolicy());
+  if (restriction.blocked) {
+    const errorResponse = createOnlineBookingBlockedError(restriction.reason, restriction.count, restriction.limit);
+    return res.status(403).json(errorResponse);
+  }
+
+  // The day must be open and the time clear of private events
+  const slotCheck = checkSlotBookable(date, slot, guests);
+  if (!slotCheck.bookable) {
+    const errorResponse = await buildSlotErrorResponse(slotCheck, { date, slot, guests });
+    return res.status(400).json(errorResponse);
+  }
+
+  const tablesChosenByClient = Array.isArray(tableNumber) && tableNumber.length > 0;
+
+  if (!tablesChosenByClient) {
+    // No tables requested: pick the best free table or group of joinable tables
+    const assignment = await findBestTableAssignment(date, slot, guests);
+    if (!assignment) {
+      const suggestedSlots = await suggestAlternativeSlots(date, slot, guests);
+      const errorResponse = createNoTableAvailableError(guests, slot, suggestedSlots);
+      return res.status(409).json(errorResponse);
+    }
+    tableNumber = assignment.tableNumbers;
+  } else {
+    // Validate table capacity matches number of guests
     const capacityValidation = await validateTableCapacity(tableNumber, guests);
     if (!capacityValidation.valid) {
       // Find alternative table suggestions (excluding already selected tables)
@@ -47,6 +194,7 @@ const createReservation = asyncHandler(async (req, res) => {
       const suggestedTables = availability.availableTables
         .filter(tableNum => !tableNumber.includes(tableNum)) // Exclude already selected tables
         .slice(0, 5); // Limit to 5 suggestions
+      const suggestedSlots = await suggestAlternativeSlots(date, slot, guests);
 
       // Determine which specific error to return
       let errorResponse;
@@ -58,7 +206,8 @@ const createReservation = asyncHandler(async (req, res) => {
           tableNumber,
           capacityValidation.totalCapacity,
           guests + 1,
-          suggestedTables
+          suggestedTables,
+          suggestedSlots
         );
       } else if (capacityValidation.totalCapacity < guests) {
         // Total capacity is insufficient
@@ -66,18 +215,32 @@ const createReservation = asyncHandler(async (req, res) => {
           guests,
           tableNumber,
           capacityValidation.totalCapacity,
-          suggestedTables
+          suggestedTables,
+          suggestedSlots
         );
       } else {
         // Individual table too large
         errorResponse = createValidationError(
           capacityValidation.message,
-          { suggestedTables }
+          { suggestedTables, suggestedSlots }
         );
       }
 
       return res.status(400).json(errorResponse);
     }
+
+    // Tables must be free for the whole seating duration
+    const conflicts = await findConflictingTables(tableNumber, date, slot, guests);
+    if (conflicts.length > 0) {
+      const availability = await findAvailableTables(date, slot, guests);
+      const suggestedSlots = await suggestAlternativeSlots(date, slot, guests);
+      const errorResponse = createTablesUnavailableError(
+        conflicts,
+        availability.availableTables.slice(0, 5),
+        suggestedSlots
+      );
+      return res.status(409).json(errorResponse);
+    }
   }
 
   // Create reservation object
@@ -91,6 +254,7 @@ const createReservation = asyncHandler(async (req, res) => {
     tableNumber,
     specialRequest,
     contactPhone,
+    phoneConfirmation: { required: restriction.requiresPhoneConfirmation },
   };
 
   const reservation = new Reservation(reservationData);
@@ -109,21 +273,14 @@ const createReservation = asyncHandler(async (req, res) => {
     throw err; // Re-throw other errors to be handled by errorHandler
   }
 
-  // If tableNumber array is provided, update table bookings
-  if (tableNumber && tableNumber.length > 0) {
-    try {
-      for (const tableNum of tableNumber) {
-        const table = await Table.findOne({ tableNumber: parseInt(tableNum) });
-        if (table) {
-          await addTableBooking(table, date, slot);
-          logger.debug('Table booked for reservation', { tableNum, reservationId: reservation._id });
-        } else {
-          logger.warn('Table not found when creating reservation', { tableNum });
-        }
-      }
-    } catch (error) {
-      logger.error('Error updating table bookings', error);
-    }
+  // Two overlapping bookings saved at the same time: the check above passed for
+  // both, so re-check now that ours is stored; the later of the two withdraws
+  const raceConflicts = await findRaceConflicts(reservation);
+  if (raceConflicts.length > 0) {
+    await Reservation.deleteOne({ _id: reservation._id });
+    const suggestedSlots = await suggestAlternativeSlots(date, slot, guests);
+    const errorResponse = createTablesUnavailableError(raceConflicts, [], suggestedSlots);
+    return res.status(409).json(errorResponse);
   }
 
   // Update user statistics
@@ -142,9 +299,13 @@ const createReservation = asyncHandler(async (req, res) => {
   const populatedReservation = await Reservation.findById(reservation._id)
     .populate('userId', 'name email phone');
 
+  await sendReservationEmail(populatedReservation, 'confirmation');
+
   res.status(201).json({
     success: true,
-    message: 'Reservation created successfully',
+    message: restriction.requiresPhoneConfirmation
+      ? 'Reservation created successfully. We will call you to confirm it.'
+      : 'Reservation created successfully',
     data: populatedReservation,
   });
 });
@@ -166,9 +327,9 @@ const getUserReservations = asyncHandler(async (req, res) => {
 
   // Filter by upcoming/past reservations
   if (req.query.upcoming === 'true') {
-    query.date = { $gte: new Date().setHours(0, 0, 0, 0) };
+    query.date = { $gte: getToday() };
   } else if (req.query.past === 'true') {
-    query.date = { $lt: new Date().setHours(0, 0, 0, 0) };
+    query.date = { $lt: getToday() };
   }
 
   const total = await Reservation.countDocuments(query);
@@ -223,6 +384,12 @@ const getRecentAdminReservations = asyncHandler(async (req, res) => {
 
   if (status) query.status = status;
 
+  // Reservations staff still has to confirm by phone (reliability policy)
+  if (req.query.phoneConfirmation === 'pending') {
+    query['phoneConfirmation.required'] = true;
+    query['phoneConfirmation.confirmedAt'] = null;
+  }
+
   const startIndex = (page - 1) * limit;
   const total = await Reservation.countDocuments(query);
   const reservations = await Reservation.find(query)
@@ -267,9 +434,8 @@ const getHistoricalAdminReservations = asyncHandler(async (req, res) => {
   }
 
   // Parse dates
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  end.setHours(23, 59, 59, 999); // Include the entire end date
+  const start = startOfDay(startDate);
+  const end = new Date(addDays(endDate, 1).getTime() - 1); // Include the entire end date
 
   // Validate date range (max 1 year)
   const oneYearInMs = 365 * 24 * 60 * 60 * 1000;
@@ -352,69 +518,57 @@ const updateAdminReservation = asyncHandler(async (req, res) => {
         message: capacityValidation.message,
       });
     }
-
-    try {
-      // Remove booking from old tables if they exist
-      if (originalReservation.tableNumber && originalReservation.tableNumber.length > 0) {
-        for (const oldTableNum of originalReservation.tableNumber) {
-          const oldTable = await Table.findOne({ tableNumber: parseInt(oldTableNum) });
-          if (oldTable) {
-            await removeTableBooking(oldTable, originalReservation.date, originalReservation.slot);
-            logger.debug('Removed booking from table', { tableNum: oldTableNum });
-          }
-        }
-      }
-
-      // Add booking to new tables
-      if (tableNumber && tableNumber.length > 0) {
-        for (const newTableNum of tableNumber) {
-          const newTable = await Table.findOne({ tableNumber: parseInt(newTableNum) });
-          if (newTable) {
-            await addTableBooking(newTable, originalReservation.date, originalReservation.slot);
-            logger.debug('Added booking to table', { tableNum: newTableNum });
-          } else {
-            return res.status(400).json({
-              success: false,
-              message: `Table ${newTableNum} not found`,
-            });
-          }
-        }
-      }
-    } catch (error) {
-      logger.error('Error updating table bookings', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Error updating table bookings',
-      });
-    }
   }
 
-  // Handle status changes (especially cancellation)
-  if (status === 'cancelled' && originalReservation.status !== 'cancelled' && originalReservation.tableNumber && originalReservation.tableNumber.length > 0) {
-    try {
-      for (const tableNum of originalReservation.tableNumber) {
-        const table = await Table.findOne({ tableNumber: parseInt(tableNum) });
-        if (table) {
-          await removeTableBooking(table, originalReservation.date, originalReservation.slot);
-          logger.debug('Removed booking from table due to cancellation', { tableNum });
-        }
-      }
-    } catch (error) {
-      logger.error('Error removing table bookings on cancellation', error);
+  // New tables, or a cancelled/finished reservation made active again, must be free
+  const tablesChanged = tableNumber && JSON.stringify(tableNumber) !== JSON.stringify(originalReservation.tableNumber);
+  const reactivated = status &&
+                      ACTIVE_RESERVATION_STATUSES.includes(status) &&
+                      !ACTIVE_RESERVATION_STATUSES.includes(originalReservation.status);
+  const willHoldTables = ACTIVE_RESERVATION_STATUSES.includes(status || originalReservation.status);
+
+  if ((tablesChanged || reactivated) && willHoldTables) {
+    const conflicts = await findConflictingTables(
+      tableNumber || originalReservation.tableNumber,
+      originalReservation.date,
+      originalReservation.slot,
+      originalReservation.guests,
+      originalReservation._id
+    );
+    if (conflicts.length > 0) {
+      const errorResponse = createTablesUnavailableError(conflicts);
+      return res.status(409).json(errorResponse);
     }
   }
 
+  const updatedAt = new Date();
   const reservation = await Reservation.findByIdAndUpdate(
     req.params.id,
     {
-      ...(status && { status }),
+      ...(status && { status, ...getTableTimesUpdate(originalReservation, status, updatedAt) }),
       ...(tableNumber && { tableNumber }),
       ...(specialRequests && { specialRequests }),
-      updatedAt: new Date(),
+      updatedAt,
     },
     { new: true, runValidators: true }
   ).populate('userId', 'name email phone');
 
+  if (status) {
+    await recordStatusChange(originalReservation, originalReservation.status, status);
+  }
+
+  // Tables given up by a status change or a table swap go to the waitlist
+  const released = status &&
+                   ACTIVE_RESERVATION_STATUSES.includes(originalReservation.status) &&
+                   !ACTIVE_RESERVATION_STATUSES.includes(status);
+  if (released || (tablesChanged && willHoldTables)) {
+    await notifyCapacityFreed(originalReservation.date);
+  }
+
+  if (status === 'cancelled' && originalReservation.status !== 'cancelled') {
+    await sendReservationEmail(reservation, 'cancellation');
+  }
+
   res.status(200).json({
     success: true,
     message: 'Reservation updated successfully',
@@ -481,13 +635,21 @@ const updateUserReservation = asyncHandler(async (req, res) => {
     });
   }
 
-  // Validate slot number if provided
-  const { date, slot } = req.body;
-  if (slot && !isValidSlot(slot)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid slot number',
-    });
+  // A new date or time must be bookable in the schedule
+  const { slot } = req.body;
+  const date = req.body.date ? startOfDay(req.body.date) : null;
+  if (date || slot) {
+    const booking = {
+      date: date || reservation.date,
+      slot: slot || reservation.slot,
+      guests: req.body.guests || reservation.guests,
+      excludeReservationId: reservation._id,
+    };
+    const slotCheck = checkSlotBookable(booking.date, booking.slot, booking.guests);
+    if (!slotCheck.bookable) {
+      const errorResponse = await buildSlotErrorResponse(slotCheck, booking);
+      return res.status(400).json(errorResponse);
+    }
   }
 
   // Use helper to validate time constraints
@@ -548,45 +710,31 @@ const updateUserReservation = asyncHandler(async (req, res) => {
   // Determine final table number for booking updates
   const finalTableNumber = tableNumber || reservation.tableNumber;
 
-  // Check if we need to update table bookings
-  const dateChanged = date && date !== reservation.date;
+  // Re-check occupancy when the booking moves, grows or changes tables
+  const dateChanged = date && date.getTime() !== startOfDay(reservation.date).getTime();
   const slotChanged = slot && slot !== reservation.slot;
-  const tablesChanged = tableNumber && JSON.stringify(tableNumber.sort()) !== JSON.stringify(reservation.tableNumber.sort());
-
-  if (dateChanged || slotChanged || tablesChanged) {
-    try {
-      // Remove old bookings
-      if (reservation.tableNumber && reservation.tableNumber.length > 0) {
-        for (const tableNum of reservation.tableNumber) {
-          const table = await Table.findOne({ tableNumber: parseInt(tableNum) });
-          if (table) {
-            await removeTableBooking(table, reservation.date, reservation.slot);
-            logger.debug('Removed old booking for table', { tableNum });
-          }
-        }
-      }
-
-      // Add new bookings with final date/slot/tables
-      if (finalTableNumber && finalTableNumber.length > 0) {
-        for (const tableNum of finalTableNumber) {
-          const table = await Table.findOne({ tableNumber: parseInt(tableNum) });
-          if (table) {
-            await addTableBooking(table, finalDate, finalSlot);
-            logger.debug('Added new booking for table', { tableNum, date: finalDate, slot: finalSlot });
-          } else {
-            return res.status(400).json({
-              success: false,
-              message: `Table ${tableNum} not found`,
-            });
-          }
-        }
-      }
-    } catch (error) {
-      logger.error('Error updating table bookings', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Error updating table bookings',
+  const guestsChanged = guests && guests !== reservation.guests;
+  const tablesChanged = tableNumber && JSON.stringify([...tableNumber].sort()) !== JSON.stringify([...reservation.tableNumber].sort());
+
+  if (dateChanged || slotChanged || guestsChanged || tablesChanged) {
+    const conflicts = await findConflictingTables(
+      finalTableNumber,
+      finalDate,
+      finalSlot,
+      guestsToValidate,
+      reservation._id
+    );
+    if (conflicts.length > 0) {
+      const availability = await findAvailableTables(finalDate, finalSlot, guestsToValidate, reservation._id);
+      const suggestedSlots = await suggestAlternativeSlots(finalDate, finalSlot, guestsToValidate, {
+        excludeReservationId: reservation._id
       });
+      const errorResponse = createTablesUnavailableError(
+        conflicts,
+        availability.availableTables.slice(0, 5),
+        suggestedSlots
+      );
+      return res.status(409).json(errorResponse);
     }
   }
 
@@ -599,6 +747,12 @@ const updateUserReservation = asyncHandler(async (req, res) => {
   if (specialRequest !== undefined) updateData.specialRequest = specialRequest;
   if (contactPhone) updateData.contactPhone = contactPhone;
   updateData.updatedAt = new Date();
+  // A new time gets its own reminder; links in the previous one stop working
+  if (dateChanged || slotChanged) {
+    updateData.reminderSentAt = null;
+    updateData.attendanceConfirmedAt = null;
+    Object.assign(updateData, Reservation.getBookedTime(date || reservation.date, slot || reservation.slot));
+  }
 
   const updatedReservation = await Reservation.findByIdAndUpdate(
     req.params.id,
@@ -606,6 +760,15 @@ const updateUserReservation = asyncHandler(async (req, res) => {
     { new: true, runValidators: true }
   ).populate('userId', 'name email phone');
 
+  // Moving or shrinking the booking can free tables at the original time
+  if (dateChanged || slotChanged || guestsChanged || tablesChanged) {
+    await notifyCapacityFreed(reservation.date);
+  }
+
+  if (dateChanged || slotChanged || guestsChanged) {
+    await sendReservationEmail(updatedReservation, 'update');
+  }
+
   res.status(200).json({
     success: true,
     message: 'Reservation updated successfully',
@@ -663,35 +826,42 @@ const updateReservationStatus = asyncHandler(async (req, res) => {
     });
   }
 
-  // Handle table booking removal for statuses that free up tables
-  const statusesThatFreeTable = ['cancelled', 'completed', 'no-show'];
-  const shouldFreeTable = statusesThatFreeTable.includes(status) &&
-                          !statusesThatFreeTable.includes(reservation.status) &&
-                          reservation.tableNumber &&
-                          reservation.tableNumber.length > 0;
-
-  if (shouldFreeTable) {
-    try {
-      for (const tableNum of reservation.tableNumber) {
-        const table = await Table.findOne({ tableNumber: parseInt(tableNum) });
-        if (table) {
-          await removeTableBooking(table, reservation.date, reservation.slot);
-          logger.debug('Removed booking from table', { tableNum, status });
-        }
-      }
-    } catch (error) {
-      logger.error('Error removing table bookings', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Error updating table bookings',
-      });
+  // Tables are freed by the status itself; bringing a reservation back needs them free
+  const reactivated = ACTIVE_RESERVATION_STATUSES.includes(status) &&
+                      !ACTIVE_RESERVATION_STATUSES.includes(reservation.status);
+  if (reactivated) {
+    const conflicts = await findConflictingTables(
+      reservation.tableNumber,
+      reservation.date,
+      reservation.slot,
+      reservation.guests,
+      reservation._id
+    );
+    if (conflicts.length > 0) {
+      const errorResponse = createTablesUnavailableError(conflicts);
+      return res.status(409).json(errorResponse);
     }
   }
 
+  const released = ACTIVE_RESERVATION_STATUSES.includes(reservation.status) &&
+                   !ACTIVE_RESERVATION_STATUSES.includes(status);
+  const previousStatus = reservation.status;
+
   reservation.status = status;
   reservation.updatedAt = new Date();
+  Object.assign(reservation, getTableTimesUpdate(reservation, status, reservation.updatedAt));
   await reservation.save();
 
+  await recordStatusChange(reservation, previousStatus, status);
+
+  if (released) {
+    await notifyCapacityFreed(reservation.date);
+  }
+
+  if (status === 'cancelled' && previousStatus !== 'cancelled') {
+    await sendReservationEmail(reservation, 'cancellation');
+  }
+
   const updatedReservation = await Reservation.findById(reservation._id)
     .populate('userId', 'name email phone');
 
@@ -702,6 +872,33 @@ const updateReservationStatus = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Record that staff confirmed a reservation by phone (Admin)
+// @route   PATCH /api/reservations/admin/:id/phone-confirmation
+// @access  Private/Admin
+const confirmReservationByPhone = asyncHandler(async (req, res) => {
+  const reservation = await Reservation.findById(req.params.id);
+
+  if (!reservation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Reservation not found',
+    });
+  }
+
+  reservation.phoneConfirmation = {
+    required: reservation.phoneConfirmation.required,
+    confirmedAt: new Date(),
+    confirmedBy: req.user._id,
+  };
+  await reservation.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Reservation confirmed by phone',
+    data: reservation,
+  });
+});
+
 // @desc    Cancel user's own reservation
 // @route   DELETE /api/reservations/:id
 // @access  Private
@@ -744,43 +941,87 @@ const cancelUserReservation = asyncHandler(async (req, res) => {
     return res.status(400).json(errorResponse);
   }
 
-  reservation.status = 'cancelled';
-  reservation.updatedAt = new Date();
-  await reservation.save();
+  await cancelForCustomer(reservation);
 
-  // If tableNumber array is assigned, remove table bookings
-  if (reservation.tableNumber && reservation.tableNumber.length > 0) {
-    try {
-      for (const tableNum of reservation.tableNumber) {
-        const table = await Table.findOne({ tableNumber: parseInt(tableNum) });
-        if (table) {
-          await removeTableBooking(table, reservation.date, reservation.slot);
-          logger.debug('Table booking removed for cancelled reservation', { tableNum, reservationId: reservation._id });
-        } else {
-          logger.warn('Table not found when cancelling reservation', { tableNum });
-        }
-      }
-    } catch (error) {
-      logger.error('Error removing table bookings', error);
-    }
+  res.status(200).json({
+    success: true,
+    message: 'Reservation cancelled successfully',
+    data: reservation,
+  });
+});
+
+// @desc    Show the reservation behind a reminder email link
+// @route   GET /api/reservations/email-links/:token
+// @access  Public (signed link)
+const getReservationEmailLink = asyncHandler(async (req, res) => {
+  const resolved = await resolveReservationLink(req.params.token);
+  if (!resolved.reservation) {
+    return res.status(resolved.status).json(resolved.body);
   }
+  const { link, reservation } = resolved;
 
-  // Update user statistics (decrement totalReservations)
-  try {
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: {
-        totalReservations: -1,
-      },
+  res.status(200).json({
+    success: true,
+    data: {
+      action: link.action,
+      canCancel: reservation.status === 'confirmed' && canCancelReservation(reservation.date, reservation.slot).canCancel,
+      reservation: toLinkView(reservation),
+    },
+  });
+});
+
+// @desc    Confirm attendance or cancel from a reminder email link
+// @route   POST /api/reservations/email-links/:token
+// @access  Public (signed link)
+const respondToReservationEmailLink = asyncHandler(async (req, res) => {
+  const resolved = await resolveReservationLink(req.params.token);
+  if (!resolved.reservation) {
+    return res.status(resolved.status).json(resolved.body);
+  }
+  const { link, reservation } = resolved;
+
+  // Clicking a cancel link twice is fine
+  if (link.action === 'cancel' && reservation.status === 'cancelled') {
+    return res.status(200).json({
+      success: true,
+      message: 'Reservation already cancelled',
+      data: toLinkView(reservation),
     });
-    logger.debug('User statistics updated for cancelled reservation');
-  } catch (error) {
-    logger.error('Error updating user statistics', error);
+  }
+
+  if (reservation.status !== 'confirmed') {
+    return res.status(400).json({
+      success: false,
+      message: `This reservation is ${reservation.status} and can no longer be changed`,
+    });
+  }
+
+  if (link.action === 'cancel') {
+    // Same time rules as cancelling from the account
+    const cancellationCheck = canCancelReservation(reservation.date, reservation.slot);
+    if (!cancellationCheck.canCancel) {
+      const errorResponse = createCancellationTooLateError(cancellationCheck.hoursUntil);
+      return res.status(400).json(errorResponse);
+    }
+
+    await cancelForCustomer(reservation);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Reservation cancelled successfully',
+      data: toLinkView(reservation),
+    });
+  }
+
+  if (!reservation.attendanceConfirmedAt) {
+    reservation.attendanceConfirmedAt = new Date();
+    await reservation.save();
   }
 
   res.status(200).json({
     success: true,
-    message: 'Reservation cancelled successfully',
-    data: reservation,
+    message: 'Thank you, your visit is confirmed',
+    data: toLinkView(reservation),
   });
 });
 
@@ -811,9 +1052,9 @@ const getAdminUserReservations = asyncHandler(async (req, res) => {
 
   // Filter by upcoming/past reservations
   if (req.query.upcoming === 'true') {
-    query.date = { $gte: new Date().setHours(0, 0, 0, 0) };
+    query.date = { $gte: getToday() };
   } else if (req.query.past === 'true') {
-    query.date = { $lt: new Date().setHours(0, 0, 0, 0) };
+    query.date = { $lt: getToday() };
   }
 
   const total = await Reservation.countDocuments(query);
@@ -854,8 +1095,11 @@ module.exports = {
   getHistoricalAdminReservations,
   updateAdminReservation,
   updateReservationStatus,
+  confirmReservationByPhone,
   updateUserReservation,
   cancelUserReservation,
+  getReservationEmailLink,
+  respondToReservationEmailLink,
   getReservationStats,
   getAdminUserReservations,
 };
\ No newline at end of file
@@ -0,0 +1,39 @@
+const asyncHandler = require('../utils/asyncHandler');
+const { validateReservationPolicyUpdate } = require('../utils/validation');
+const { getPolicy, updatePolicy } = require('../services/reservations/reliabilityService');
+
+// @desc    Get the no-show and late-cancellation policy
+// @route   GET /api/admin/reservation-policy
+// @access  Private/Admin
+const getReservationPolicy = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: await getPolicy(),
+  });
+});
+
+// @desc    Update the no-show grace period, late-cancellation window or booking thresholds
+// @route   PUT /api/admin/reservation-policy
+// @access  Private/Admin
+const updateReservationPolicy = asyncHandler(async (req, res) => {
+  const { error, value } = validateReservationPolicyUpdate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const policy = await updatePolicy(value, { updatedBy: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Reservation policy updated successfully',
+    data: policy,
+  });
+});
+
+module.exports = {
+  getReservationPolicy,
+  updateReservationPolicy,
+};
@@ -1,6 +1,8 @@
 const RestaurantReview = require('../models/RestaurantReview');
 const asyncHandler = require('../utils/asyncHandler');
 const { restaurantReviewSchema, restaurantReviewUpdateSchema } = require('../utils/validation');
+const { PERMISSIONS } = require('../constants/permissions');
+const { hasStaffPermission } = require('../services/security/securitySettingsService');
 const {
   createReviewNotFoundError,
   createUnauthorizedReviewUpdateError,
@@ -176,7 +178,7 @@ const deleteRestaurantReview = asyncHandler(async (req, res) => {
   }
 
   // Check if user owns this review (or is admin)
-  if (!review.user.id.equals(req.user._id) && req.user.role !== 'admin') {
+  if (!review.user.id.equals(req.user._id) && !(await hasStaffPermission(req.user, PERMISSIONS.REVIEWS_MODERATE))) {
     const errorResponse = createUnauthorizedReviewUpdateError();
     return res.status(403).json(errorResponse);
   }
@@ -1,6 +1,8 @@
 const MenuItem = require('../models/MenuItem');
 const asyncHandler = require('../utils/asyncHandler');
 const { reviewUpdateSchema } = require('../utils/validation');
+const { PERMISSIONS } = require('../constants/permissions');
+const { hasStaffPermission } = require('../services/security/securitySettingsService');
 const {
   createMenuItemNotFoundError,
   createValidationError,
@@ -89,7 +91,7 @@ const deleteReview = asyncHandler(async (req, res) => {
   }
 
   // Check if the user owns this review (or is admin)
-  if (!review.user.id.equals(req.user._id) && req.user.role !== 'admin') {
+  if (!review.user.id.equals(req.user._id) && !(await hasStaffPermission(req.user, PERMISSIONS.REVIEWS_MODERATE))) {
     const errorResponse = createUnauthorizedReviewUpdateError();
     return res.status(403).json(errorResponse);
   }
@@ -0,0 +1,105 @@
+const asyncHandler = require('../utils/asyncHandler');
+const { validateScheduleUpdate } = require('../utils/validation');
+const { getActiveSchedule, getDaySchedule } = require('../utils/timeSlots');
+const { updateSchedule, getPublicSchedule } = require('../services/schedule/scheduleService');
+const {
+  createDateRequiredError,
+  createValidationError,
+  createInvalidScheduleError,
+  createScheduleConflictError,
+  createScheduleChangedError
+} = require('../utils/errorHelpers');
+
+// @desc    Get opening hours, upcoming closures and special days
+// @route   GET /api/schedule
+// @access  Public
+const getSchedule = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getPublicSchedule(),
+  });
+});
+
+// @desc    Get the reservation slots of a day
+// @route   GET /api/schedule/day?date=YYYY-MM-DD
+// @access  Public
+const getDaySlots = asyncHandler(async (req, res) => {
+  const { date } = req.query;
+
+  if (!date) {
+    const errorResponse = createDateRequiredError();
+    return res.status(400).json(errorResponse);
+  }
+  if (isNaN(new Date(date))) {
+    const errorResponse = createValidationError('Invalid date', { field: 'date', providedValue: date });
+    return res.status(400).json(errorResponse);
+  }
+
+  const day = getDaySchedule(date);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      date,
+      isClosed: day.isClosed,
+      reason: day.reason,
+      isSpecialDay: day.isSpecialDay,
+      periods: day.periods,
+      // Blackout details stay private; the slot just cannot be booked
+      slots: day.slots.map(({ slot, label, period, blocked }) => ({ slot, label, period, available: !blocked })),
+    },
+  });
+});
+
+// @desc    Get the full schedule (including blackouts)
+// @route   GET /api/admin/schedule
+// @access  Private/Admin
+const getAdminSchedule = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getActiveSchedule(),
+  });
+});
+
+// @desc    Update opening hours, slot length, closures, blackouts or special days
+// @route   PUT /api/admin/schedule
+// @access  Private/Admin
+const updateAdminSchedule = asyncHandler(async (req, res) => {
+  const { error, value } = validateScheduleUpdate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const result = await updateSchedule(value, { updatedBy: req.user._id });
+
+  if (result.problems) {
+    const errorResponse = createInvalidScheduleError(result.problems);
+    return res.status(400).json(errorResponse);
+  }
+  if (result.conflicts) {
+    const errorResponse = createScheduleConflictError(result.conflicts);
+    return res.status(409).json(errorResponse);
+  }
+  if (result.changed) {
+    const errorResponse = createScheduleChangedError();
+    return res.status(409).json(errorResponse);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Schedule updated successfully',
+    data: result.schedule,
+    remappedReservations: result.remappedReservations,
+    remappedWaitlistEntries: result.remappedWaitlistEntries,
+  });
+});
+
+module.exports = {
+  getSchedule,
+  getDaySlots,
+  getAdminSchedule,
+  updateAdminSchedule,
+};
@@ -0,0 +1,61 @@
+const asyncHandler = require('../utils/asyncHandler');
+const { validateSecuritySettingsUpdate } = require('../utils/validation');
+const {
+  getSecuritySettings,
+  updateSecuritySettings,
+  countStaffWithoutTwoFactor,
+} = require('../services/security/securitySettingsService');
+const { createTwoFactorNotEnabledError } = require('../utils/errorHelpers');
+
+// @desc    Get the account security settings
+// @route   GET /api/admin/security-settings
+// @access  Private/Admin (security:manage)
+const getSecuritySettingsAdmin = asyncHandler(async (req, res) => {
+  const [settings, staffWithoutTwoFactor] = await Promise.all([
+    getSecuritySettings(),
+    countStaffWithoutTwoFactor(),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...settings,
+      staffWithoutTwoFactor,
+    },
+  });
+});
+
+// @desc    Require (or stop requiring) two-factor authentication for staff
+// @route   PUT /api/admin/security-settings
+// @access  Private/Admin (security:manage)
+const updateSecuritySettingsAdmin = asyncHandler(async (req, res) => {
+  const { error, value } = validateSecuritySettingsUpdate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  // Enforcing it without 2FA would lock the requester out of this very route
+  if (value.requireTwoFactorForStaff && !req.user.twoFactorEnabled) {
+    const errorResponse = createTwoFactorNotEnabledError();
+    return res.status(400).json(errorResponse);
+  }
+
+  const settings = await updateSecuritySettings(value, { updatedBy: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Security settings updated successfully',
+    data: {
+      ...settings,
+      staffWithoutTwoFactor: await countStaffWithoutTwoFactor(),
+    },
+  });
+});
+
+module.exports = {
+  getSecuritySettingsAdmin,
+  updateSecuritySettingsAdmin,
+};
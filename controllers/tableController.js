@@ -1,16 +1,18 @@
 const Table = require('../models/Table');
 const asyncHandler = require('../utils/asyncHandler');
 const {
+  checkSlotBookable,
   getTableAvailability,
-  findAvailableTables,
-  addTableBooking,
-  removeTableBooking
-} = require('../utils/reservationHelpers');
+  findAvailableTables
+} = require('../services/reservations/availabilityService');
+const { findBestTableAssignment } = require('../services/reservations/tableAssignmentService');
 const {
   createTableNotFoundError,
   createDateRequiredError,
   createDateAndSlotRequiredError,
-  createInvalidSlotNumberError
+  createInvalidSlotNumberError,
+  createInvalidTableCombinationError,
+  createSlotUnavailableError
 } = require('../utils/errorHelpers');
 
 // @desc    Get all tables
@@ -27,17 +29,18 @@ const getTables = asyncHandler(async (req, res) => {
 });
 
 // @desc    Get table availability for a specific date
-// @route   GET /api/tables/availability?date=YYYY-MM-DD
+// @route   GET /api/tables/availability?date=YYYY-MM-DD&guests=2
 // @access  Private
 const getTableAvailabilityForDate = asyncHandler(async (req, res) => {
   const { date } = req.query;
+  const guests = parseInt(req.query.guests, 10) || 2;
 
   if (!date) {
     const errorResponse = createDateRequiredError();
     return res.status(400).json(errorResponse);
   }
 
-  const availability = await getTableAvailability(date);
+  const availability = await getTableAvailability(date, guests);
 
   res.status(200).json({
     success: true,
@@ -60,19 +63,30 @@ const getAvailableTables = asyncHandler(async (req, res) => {
   const slotNumber = parseInt(slot, 10);
   const requiredCapacity = parseInt(capacity, 10);
 
-  if (slotNumber < 1 || slotNumber > 15) {
-    const errorResponse = createInvalidSlotNumberError(slotNumber, 15);
+  // Slots come from the schedule of that day; a blacked-out slot lists every table as occupied
+  const slotCheck = checkSlotBookable(date, slotNumber, requiredCapacity);
+  if (slotCheck.reason === 'invalid_slot') {
+    const errorResponse = createInvalidSlotNumberError(slotNumber, slotCheck.slotCount);
+    return res.status(400).json(errorResponse);
+  }
+  if (slotCheck.reason === 'closed') {
+    const errorResponse = createSlotUnavailableError(date, slotNumber, slotCheck.message);
     return res.status(400).json(errorResponse);
   }
 
-  const tables = await findAvailableTables(date, slotNumber, requiredCapacity, excludeReservationId);
+  const [tables, recommendation] = await Promise.all([
+    findAvailableTables(date, slotNumber, requiredCapacity, excludeReservationId),
+    findBestTableAssignment(date, slotNumber, requiredCapacity, { excludeReservationId })
+  ]);
 
   res.status(200).json({
     success: true,
     data: {
       availableTables: tables.availableTables,
       occupiedTables: tables.occupiedTables,
-      notEligibleTables: tables.notEligibleTables
+      notEligibleTables: tables.notEligibleTables,
+      // What the server would pick if the reservation names no tables
+      recommendedTables: recommendation ? recommendation.tableNumbers : []
     }
   });
 });
@@ -94,26 +108,61 @@ const getTable = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Update table (capacity, notes, isActive)
+// @desc    Update table (capacity, notes, isActive, combinableWith)
 // @route   PUT /api/tables/:id
 // @access  Private/Admin
 const updateTable = asyncHandler(async (req, res) => {
-  const { capacity, notes, isActive } = req.body;
+  const { capacity, notes, isActive, combinableWith } = req.body;
+
+  const existingTable = await Table.findById(req.params.id);
+  if (!existingTable) {
+    const errorResponse = createTableNotFoundError(req.params.id);
+    return res.status(404).json(errorResponse);
+  }
 
   const updateData = {};
   if (capacity !== undefined) updateData.capacity = capacity;
   if (notes !== undefined) updateData.notes = notes;
   if (isActive !== undefined) updateData.isActive = isActive;
 
+  let partners = null;
+  if (combinableWith !== undefined) {
+    const tableNumber = existingTable.tableNumber;
+    if (!Array.isArray(combinableWith) || !combinableWith.every(Number.isInteger)) {
+      const errorResponse = createInvalidTableCombinationError(tableNumber, []);
+      return res.status(400).json(errorResponse);
+    }
+
+    partners = [...new Set(combinableWith)];
+    const existing = await Table.find({ tableNumber: { $in: partners } }).distinct('tableNumber');
+    const invalidTables = partners.filter(number => number === tableNumber || !existing.includes(number));
+    if (invalidTables.length > 0) {
+      const errorResponse = createInvalidTableCombinationError(tableNumber, invalidTables);
+      return res.status(400).json(errorResponse);
+    }
+    updateData.combinableWith = partners.sort((a, b) => a - b);
+  }
+
   const table = await Table.findByIdAndUpdate(
     req.params.id,
     updateData,
     { new: true, runValidators: true }
   );
 
-  if (!table) {
-    const errorResponse = createTableNotFoundError(req.params.id);
-    return res.status(404).json(errorResponse);
+  // Joining works both ways: mirror the change on partner tables
+  if (partners) {
+    const previous = existingTable.combinableWith || [];
+    const removed = previous.filter(number => !partners.includes(number));
+    await Table.updateMany(
+      { tableNumber: { $in: partners } },
+      { $addToSet: { combinableWith: table.tableNumber } }
+    );
+    if (removed.length > 0) {
+      await Table.updateMany(
+        { tableNumber: { $in: removed } },
+        { $pull: { combinableWith: table.tableNumber } }
+      );
+    }
   }
 
   res.status(200).json({
@@ -123,70 +172,6 @@ const updateTable = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Add booking to table
-// @route   POST /api/tables/:id/bookings
-// @access  Private
-const addBookingToTable = asyncHandler(async (req, res) => {
-  const { date, slot } = req.body;
-
-  if (!date || !slot) {
-    const errorResponse = createDateAndSlotRequiredError();
-    return res.status(400).json(errorResponse);
-  }
-
-  const slotNumber = parseInt(slot, 10);
-  if (slotNumber < 1 || slotNumber > 15) {
-    const errorResponse = createInvalidSlotNumberError(slotNumber, 15);
-    return res.status(400).json(errorResponse);
-  }
-
-  const table = await Table.findById(req.params.id);
-  if (!table) {
-    const errorResponse = createTableNotFoundError(req.params.id);
-    return res.status(404).json(errorResponse);
-  }
-
-  await addTableBooking(table, date, slotNumber);
-
-  res.status(200).json({
-    success: true,
-    message: 'Booking added to table successfully',
-    data: table
-  });
-});
-
-// @desc    Remove booking from table
-// @route   DELETE /api/tables/:id/bookings
-// @access  Private
-const removeBookingFromTable = asyncHandler(async (req, res) => {
-  const { date, slot } = req.body;
-
-  if (!date || !slot) {
-    const errorResponse = createDateAndSlotRequiredError();
-    return res.status(400).json(errorResponse);
-  }
-
-  const slotNumber = parseInt(slot, 10);
-  if (slotNumber < 1 || slotNumber > 15) {
-    const errorResponse = createInvalidSlotNumberError(slotNumber, 15);
-    return res.status(400).json(errorResponse);
-  }
-
-  const table = await Table.findById(req.params.id);
-  if (!table) {
-    const errorResponse = createTableNotFoundError(req.params.id);
-    return res.status(404).json(errorResponse);
-  }
-
-  await removeTableBooking(table, date, slotNumber);
-
-  res.status(200).json({
-    success: true,
-    message: 'Booking removed from table successfully',
-    data: table
-  });
-});
-
 // @desc    Initialize tables (Admin only)
 // @route   POST /api/tables/initialize
 // @access  Private/Admin
@@ -205,7 +190,5 @@ module.exports = {
   getAvailableTables,
   getTable,
   updateTable,
-  addBookingToTable,
-  removeBookingFromTable,
   initializeTables
 };
\ No newline at end of file
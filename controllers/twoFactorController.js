@@ -0,0 +1,229 @@
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const {
+  validateTwoFactorSetup,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+} = require('../utils/validation');
+const { generateSecret, verifyCode, buildProvisioningUri } = require('../utils/totp');
+const {
+  getTwoFactorIssuer,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+} = require('../utils/twoFactorHelpers');
+const { getSecuritySettings, isTwoFactorRequired } = require('../services/security/securitySettingsService');
+const {
+  createTwoFactorInvalidCodeError,
+  createTwoFactorAlreadyEnabledError,
+  createTwoFactorNotEnabledError,
+  createTwoFactorSetupNotStartedError,
+  createTwoFactorRequiredByPolicyError,
+} = require('../utils/errorHelpers');
+
+const SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastStep';
+
+// @desc    Get the two-factor status of the current user
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const [user, settings] = await Promise.all([
+    User.findById(req.user._id).select('+twoFactorRecoveryCodes'),
+    getSecuritySettings(),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0,
+      required: isTwoFactorRequired(user, settings),
+    },
+  });
+});
+
+// @desc    Start enrolment: new secret and QR provisioning URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const { error } = validateTwoFactorSetup(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (!(await user.matchPassword(req.body.password))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Current password is incorrect',
+    });
+  }
+
+  if (user.twoFactorEnabled) {
+    const errorResponse = createTwoFactorAlreadyEnabledError();
+    return res.status(400).json(errorResponse);
+  }
+
+  // Kept aside until a code proves the app was set up (POST /api/auth/2fa/enable)
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { twoFactorPendingSecret: encryptSecret(secret) } });
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret, // For manual entry when the QR code cannot be scanned
+      otpauthUrl: buildProvisioningUri(secret, user.email, getTwoFactorIssuer()),
+    },
+  });
+});
+
+// @desc    Confirm enrolment with a first code; returns the recovery codes once
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { error } = validateTwoFactorCode(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+  if (user.twoFactorEnabled) {
+    const errorResponse = createTwoFactorAlreadyEnabledError();
+    return res.status(400).json(errorResponse);
+  }
+
+  const secret = user.twoFactorPendingSecret && decryptSecret(user.twoFactorPendingSecret);
+  if (!secret) {
+    const errorResponse = createTwoFactorSetupNotStartedError();
+    return res.status(400).json(errorResponse);
+  }
+
+  const step = verifyCode(secret, req.body.code);
+  if (step === null) {
+    const errorResponse = createTwoFactorInvalidCodeError();
+    return res.status(400).json(errorResponse);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = hashes;
+  user.twoFactorLastStep = step; // The confirmation code cannot log in again
+  await user.save({ validateBeforeSave: false });
+
+  logger.info('Two-factor authentication enabled', { userId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: {
+      recoveryCodes: codes,
+    },
+  });
+});
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { error } = validateTwoFactorDisable(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const { password, code, recoveryCode } = req.body;
+  const user = await User.findById(req.user._id).select(`+password ${SECRET_FIELDS}`);
+
+  if (!user.twoFactorEnabled) {
+    const errorResponse = createTwoFactorNotEnabledError();
+    return res.status(400).json(errorResponse);
+  }
+
+  if (isTwoFactorRequired(user, await getSecuritySettings())) {
+    const errorResponse = createTwoFactorRequiredByPolicyError();
+    return res.status(403).json(errorResponse);
+  }
+
+  if (!(await user.matchPassword(password))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Current password is incorrect',
+    });
+  }
+
+  const { valid } = await user.verifySecondFactor({ code, recoveryCode });
+  if (!valid) {
+    const errorResponse = createTwoFactorInvalidCodeError();
+    return res.status(400).json(errorResponse);
+  }
+
+  await User.resetTwoFactor(user._id);
+  logger.info('Two-factor authentication disabled', { userId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled',
+  });
+});
+
+// @desc    Replace the recovery codes (the old ones stop working)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { error } = validateTwoFactorCode(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+  if (!user.twoFactorEnabled) {
+    const errorResponse = createTwoFactorNotEnabledError();
+    return res.status(400).json(errorResponse);
+  }
+
+  const { valid } = await user.verifySecondFactor({ code: req.body.code });
+  if (!valid) {
+    const errorResponse = createTwoFactorInvalidCodeError();
+    return res.status(400).json(errorResponse);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { twoFactorRecoveryCodes: hashes } });
+
+  res.status(200).json({
+    success: true,
+    message: 'New recovery codes generated. The previous ones no longer work.',
+    data: {
+      recoveryCodes: codes,
+    },
+  });
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -3,14 +3,34 @@ const Order = require('../models/Order');
 const Reservation = require('../models/Reservation');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
-const { validateAdminUserUpdate } = require('../utils/validation');
+const { getUserSessions, revokeAllUserTokens } = require('../utils/tokenUtils');
+const { validateAdminUserUpdate, validateRoleAssignment } = require('../utils/validation');
+const { PERMISSIONS, ROLES, ROLE_PERMISSIONS } = require('../constants/permissions');
+const { hasPermission, isStaff } = require('../utils/permissionHelpers');
 const {
   createUserNotFoundError,
   createUserAlreadyDeletedError,
   createCannotModifyDeletedAccountError,
-  createCannotDeleteOwnAccountError
+  createCannotDeleteOwnAccountError,
+  createCannotModifyOwnRoleError,
+  createStaffAccountProtectedError,
+  createTwoFactorNotEnabledError
 } = require('../utils/errorHelpers');
 
+/**
+ * Check whether the current user may change an account
+ * Staff accounts and roles are left to users who can assign roles, so a
+ * manager cannot promote anyone or lock out an owner.
+ * @param {Object} actor - Current user
+ * @param {Object} target - Account to change
+ * @param {string} newRole - Role asked for (optional)
+ * @returns {boolean} True if allowed
+ */
+const canManageAccount = (actor, target, newRole = null) => {
+  const touchesStaff = isStaff(target) || (newRole && newRole !== target.role);
+  return !touchesStaff || hasPermission(actor, PERMISSIONS.ROLES_ASSIGN);
+};
+
 // @desc    Get all users
 // @route   GET /api/users
 // @access  Private/Admin
@@ -132,23 +152,20 @@ const updateUser = asyncHandler(async (req, res) => {
 
   // Prevent admin from changing their own role
   if (req.user._id.toString() === req.params.id && req.body.role && req.body.role !== existingUser.role) {
-    return res.status(400).json({
-      success: false,
-      error: 'You cannot modify your own role',
-      code: 'CANNOT_MODIFY_OWN_ROLE',
-      details: {
-        userId: req.params.id,
-        currentRole: existingUser.role,
-        attemptedRole: req.body.role,
-        message: 'Admins cannot modify their own role for security reasons.',
-        suggestion: 'Ask another administrator to change your role if needed.'
-      }
-    });
+    const errorResponse = createCannotModifyOwnRoleError(existingUser, req.body.role);
+    return res.status(400).json(errorResponse);
+  }
+
+  if (!canManageAccount(req.user, existingUser, req.body.role)) {
+    const errorResponse = createStaffAccountProtectedError(req.params.id, existingUser.role);
+    return res.status(403).json(errorResponse);
   }
 
   const fieldsToUpdate = {
     role: req.body.role,
     isActive: req.body.isActive,
+    noShowCount: req.body.noShowCount,
+    lateCancellationCount: req.body.lateCancellationCount,
   };
 
   // Remove undefined fields
@@ -193,6 +210,11 @@ const deleteUser = asyncHandler(async (req, res) => {
     return res.status(400).json(errorResponse);
   }
 
+  if (!canManageAccount(req.user, user)) {
+    const errorResponse = createStaffAccountProtectedError(req.params.id, user.role);
+    return res.status(403).json(errorResponse);
+  }
+
   await User.findByIdAndDelete(req.params.id);
 
   res.status(200).json({
@@ -201,6 +223,99 @@ const deleteUser = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    List a user's active sessions
+// @route   GET /api/users/:id/sessions
+// @access  Private/Admin (users:manage)
+const getUserSessionsAdmin = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    const errorResponse = createUserNotFoundError(req.params.id);
+    return res.status(404).json(errorResponse);
+  }
+
+  // Staff sessions are left to users who can assign roles, like the rest of staff accounts
+  if (!canManageAccount(req.user, user)) {
+    const errorResponse = createStaffAccountProtectedError(req.params.id, user.role);
+    return res.status(403).json(errorResponse);
+  }
+
+  const sessions = await getUserSessions(user._id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => session.toSessionJSON()),
+  });
+});
+
+// @desc    Force-revoke every session of a user
+// @route   DELETE /api/users/:id/sessions
+// @access  Private/Admin (users:manage)
+const revokeUserSessionsAdmin = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    const errorResponse = createUserNotFoundError(req.params.id);
+    return res.status(404).json(errorResponse);
+  }
+
+  if (!canManageAccount(req.user, user)) {
+    const errorResponse = createStaffAccountProtectedError(req.params.id, user.role);
+    return res.status(403).json(errorResponse);
+  }
+
+  const revokedCount = await revokeAllUserTokens(user._id);
+
+  logger.info('User sessions revoked by admin', {
+    targetUserId: user._id,
+    revokedSessions: revokedCount,
+    revokedBy: req.user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'All sessions revoked',
+    details: {
+      revokedSessions: revokedCount,
+    },
+  });
+});
+
+// @desc    Reset a user's two-factor authentication (lost authenticator app)
+// @route   DELETE /api/users/:id/two-factor
+// @access  Private/Admin (users:manage)
+const resetUserTwoFactorAdmin = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    const errorResponse = createUserNotFoundError(req.params.id);
+    return res.status(404).json(errorResponse);
+  }
+
+  if (!canManageAccount(req.user, user)) {
+    const errorResponse = createStaffAccountProtectedError(req.params.id, user.role);
+    return res.status(403).json(errorResponse);
+  }
+
+  if (!user.twoFactorEnabled) {
+    const errorResponse = createTwoFactorNotEnabledError();
+    return res.status(400).json(errorResponse);
+  }
+
+  await User.resetTwoFactor(user._id);
+
+  logger.warn('Two-factor authentication reset by admin', {
+    targetUserId: user._id,
+    resetBy: req.user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication reset. The user can log in with their password and set it up again.',
+  });
+});
+
 // @desc    Get user statistics
 // @route   GET /api/users/stats
 // @access  Private/Admin
@@ -257,6 +372,66 @@ const getUsersStats = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    List the roles and the permissions each grants
+// @route   GET /api/users/roles
+// @access  Private/Admin (users:manage)
+const getRoles = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })),
+  });
+});
+
+// @desc    Assign a role to a user
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin (roles:assign)
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { error, value } = validateRoleAssignment(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    const errorResponse = createUserNotFoundError(req.params.id);
+    return res.status(404).json(errorResponse);
+  }
+
+  if (user.email && user.email.startsWith('deleted-')) {
+    const errorResponse = createCannotModifyDeletedAccountError(req.params.id);
+    return res.status(400).json(errorResponse);
+  }
+
+  if (user._id.equals(req.user._id)) {
+    const errorResponse = createCannotModifyOwnRoleError(user, value.role);
+    return res.status(400).json(errorResponse);
+  }
+
+  const updated = await User.findByIdAndUpdate(user._id, { role: value.role }, {
+    new: true,
+    runValidators: true,
+  }).select('-password');
+
+  logger.info('User role changed', {
+    targetUserId: user._id,
+    previousRole: user.role,
+    role: updated.role,
+    changedBy: req.user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Role updated successfully',
+    data: {
+      ...updated.toJSON(),
+      permissions: ROLE_PERMISSIONS[updated.role],
+    },
+  });
+});
+
 // @desc    Get all users for admin with advanced filtering
 // @route   GET /api/users/admin
 // @access  Private/Admin
@@ -314,4 +489,9 @@ module.exports = {
   deleteUser,
   getUsersStats,
   getAdminUsers,
+  getRoles,
+  updateUserRole,
+  getUserSessionsAdmin,
+  revokeUserSessionsAdmin,
+  resetUserTwoFactorAdmin,
 };
\ No newline at end of file
@@ -0,0 +1,229 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Reservation = require('../models/Reservation');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateWaitlistEntry } = require('../utils/validation');
+const { checkSlotBookable } = require('../services/reservations/availabilityService');
+const {
+  OPEN_WAITLIST_STATUSES,
+  dayRange,
+  notifyCapacityFreed,
+  confirmOffer,
+  leaveWaitlist: removeFromWaitlist
+} = require('../services/waitlist/waitlistService');
+const { getPolicy, getBookingRestriction } = require('../services/reservations/reliabilityService');
+const { sendReservationEmail } = require('../services/reservations/reservationNotificationService');
+const {
+  createInvalidSlotNumberError,
+  createSlotUnavailableError,
+  createTablesUnavailableError,
+  createWaitlistEntryNotFoundError,
+  createWaitlistAlreadyJoinedError,
+  createWaitlistHoldExpiredError,
+  createOnlineBookingBlockedError
+} = require('../utils/errorHelpers');
+
+/**
+ * Count the guests waiting ahead of an entry
+ * @param {Object} entry - Waiting entry
+ * @returns {Promise<number>} Queue position (1 = next)
+ */
+const getQueuePosition = async (entry) => {
+  const ahead = await WaitlistEntry.countDocuments({
+    date: dayRange(entry.date),
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt },
+  });
+  return ahead + 1;
+};
+
+// @desc    Join the waitlist for a day, a slot range and a party size
+// @route   POST /api/reservations/waitlist
+// @access  Private
+const joinWaitlist = asyncHandler(async (req, res) => {
+  const { error, value } = validateWaitlistEntry(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const { date, slotFrom, guests, specialRequest, contactPhone } = value;
+  const slotTo = value.slotTo || slotFrom;
+
+  // A waitlist offer ends in an online booking, so the same policy applies
+  const restriction = getBookingRestriction(req.user, await getPolicy());
+  if (restriction.blocked) {
+    const errorResponse = createOnlineBookingBlockedError(restriction.reason, restriction.count, restriction.limit);
+    return res.status(403).json(errorResponse);
+  }
+
+  // The last slot of the range must exist on an open day
+  const slotCheck = checkSlotBookable(date, slotTo, guests);
+  if (slotCheck.reason === 'invalid_slot') {
+    const errorResponse = createInvalidSlotNumberError(slotTo, slotCheck.slotCount);
+    return res.status(400).json(errorResponse);
+  }
+  if (slotCheck.reason === 'closed') {
+    const errorResponse = createSlotUnavailableError(date, slotFrom, slotCheck.message);
+    return res.status(400).json(errorResponse);
+  }
+
+  const existing = await WaitlistEntry.findOne({
+    userId: req.user._id,
+    date: dayRange(date),
+    status: { $in: OPEN_WAITLIST_STATUSES },
+  });
+  if (existing) {
+    const errorResponse = createWaitlistAlreadyJoinedError(existing);
+    return res.status(409).json(errorResponse);
+  }
+
+  const entry = await WaitlistEntry.create({
+    userId: req.user._id,
+    userEmail: req.user.email,
+    userName: req.user.name,
+    date,
+    slotFrom,
+    slotTo,
+    guests,
+    specialRequest,
+    contactPhone,
+  });
+
+  // Tables may already be free (e.g. freed by an expired hold): offer right away
+  await notifyCapacityFreed(date);
+
+  const current = await WaitlistEntry.findById(entry._id);
+  const data = current.toObject();
+  if (current.status === 'waiting') {
+    data.position = await getQueuePosition(current);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: current.status === 'offered'
+      ? 'A table is available and held for you. Please confirm it before the hold expires.'
+      : 'You have joined the waitlist',
+    data,
+  });
+});
+
+// @desc    Get the current user's waitlist entries
+// @route   GET /api/reservations/waitlist
+// @access  Private
+const getUserWaitlist = asyncHandler(async (req, res) => {
+  const entries = await WaitlistEntry.find({ userId: req.user._id }).sort({ date: -1, createdAt: -1 });
+
+  const data = await Promise.all(entries.map(async entry => ({
+    ...entry.toObject(),
+    ...(entry.status === 'waiting' && { position: await getQueuePosition(entry) }),
+  })));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+});
+
+// @desc    Confirm a held table and turn it into a reservation
+// @route   POST /api/reservations/waitlist/:id/confirm
+// @access  Private
+const confirmWaitlistOffer = asyncHandler(async (req, res) => {
+  const entry = await WaitlistEntry.findOne({ _id: req.params.id, userId: req.user._id });
+  if (!entry) {
+    const errorResponse = createWaitlistEntryNotFoundError(req.params.id);
+    return res.status(404).json(errorResponse);
+  }
+
+  if (entry.status === 'confirmed' || entry.status === 'waiting') {
+    return res.status(400).json({
+      success: false,
+      message: entry.status === 'confirmed'
+        ? 'This hold has already been confirmed'
+        : 'No table is held for you yet',
+    });
+  }
+
+  const result = await confirmOffer(entry._id, req.user._id);
+
+  if (result.expired) {
+    // Holds past their time may not have been swept by the expiry job yet
+    const status = entry.status === 'offered' ? 'expired' : entry.status;
+    const errorResponse = createWaitlistHoldExpiredError(entry._id, status);
+    return res.status(409).json(errorResponse);
+  }
+  if (result.conflicts) {
+    // The guest is back in the queue at their original position
+    const errorResponse = createTablesUnavailableError(result.conflicts);
+    return res.status(409).json(errorResponse);
+  }
+
+  const reservation = await Reservation.findById(result.reservation._id)
+    .populate('userId', 'name email phone');
+
+  await sendReservationEmail(reservation, 'confirmation');
+
+  res.status(201).json({
+    success: true,
+    message: 'Reservation created successfully',
+    data: reservation,
+  });
+});
+
+// @desc    Leave the waitlist (releases a held table to the next guest)
+// @route   DELETE /api/reservations/waitlist/:id
+// @access  Private
+const leaveWaitlist = asyncHandler(async (req, res) => {
+  const entry = await WaitlistEntry.findOne({ _id: req.params.id, userId: req.user._id });
+  if (!entry) {
+    const errorResponse = createWaitlistEntryNotFoundError(req.params.id);
+    return res.status(404).json(errorResponse);
+  }
+
+  if (!OPEN_WAITLIST_STATUSES.includes(entry.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `This waitlist entry is already ${entry.status}`,
+    });
+  }
+
+  const updatedEntry = await removeFromWaitlist(entry);
+
+  res.status(200).json({
+    success: true,
+    message: 'You have left the waitlist',
+    data: updatedEntry,
+  });
+});
+
+// @desc    Get the waitlist (open entries by default)
+// @route   GET /api/reservations/admin/waitlist?date=YYYY-MM-DD&status=
+// @access  Private/Admin
+const getAdminWaitlist = asyncHandler(async (req, res) => {
+  const query = {
+    status: req.query.status || { $in: OPEN_WAITLIST_STATUSES },
+  };
+  if (req.query.date) {
+    query.date = dayRange(req.query.date);
+  }
+
+  const entries = await WaitlistEntry.find(query)
+    .populate('userId', 'name email phone')
+    .sort({ date: 1, createdAt: 1, _id: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: entries,
+  });
+});
+
+module.exports = {
+  joinWaitlist,
+  getUserWaitlist,
+  confirmWaitlistOffer,
+  leaveWaitlist,
+  getAdminWaitlist,
+};
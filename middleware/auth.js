@@ -1,8 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { hasPermission } = require('../utils/permissionHelpers');
+const { verifyStreamTicket } = require('../utils/tokenUtils');
+const { isMissingRequiredTwoFactor } = require('../services/security/securitySettingsService');
 const {
   createEmailNotVerifiedError,
   createAccessTokenExpiredError,
+  createPermissionDeniedError,
+  createTwoFactorSetupRequiredError,
 } = require('../utils/errorHelpers');
 
 // Protect routes - verify JWT access token
@@ -30,6 +35,14 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Other tokens signed with the same secret (2FA challenges, email links) carry no user ID
+    if (!decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route',
+      });
+    }
+
     // Get user from MongoDB
     req.user = await User.findById(decoded.id).select('-password');
 
@@ -100,7 +113,41 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
+// Protect event streams - accept a stream ticket as ?ticket=, else behave as protect
+// Browsers' EventSource cannot send an Authorization header; the ticket comes from
+// POST /api/orders/stream/ticket so access tokens never end up in URLs
+const protectStream = async (req, res, next) => {
+  if (typeof req.query.ticket !== 'string') {
+    return protect(req, res, next);
+  }
+
+  const ticket = verifyStreamTicket(req.query.ticket);
+  if (!ticket) {
+    return res.status(401).json({
+      success: false,
+      message: 'Stream ticket is invalid or expired',
+    });
+  }
+
+  try {
+    req.user = await User.findById(ticket.userId).select('-password');
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  // The stream still ends with the access token the ticket was issued for
+  req.streamExpiresAt = ticket.sessionExpiresAt;
+  next();
+};
+
+// Grant access to specific roles (prefer requirePermission for staff routes)
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -113,6 +160,28 @@ const authorize = (...roles) => {
   };
 };
 
+// Grant access to roles holding any of the permissions (constants/permissions.js)
+// Staff without 2FA are refused while the security settings require it
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!hasPermission(req.user, ...permissions)) {
+      const errorResponse = createPermissionDeniedError(permissions, req.user.role);
+      return res.status(403).json(errorResponse);
+    }
+
+    try {
+      if (await isMissingRequiredTwoFactor(req.user)) {
+        const errorResponse = createTwoFactorSetupRequiredError(req.user.role);
+        return res.status(403).json(errorResponse);
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    next();
+  };
+};
+
 // Require email verification for sensitive operations
 const requireEmailVerified = (req, res, next) => {
   if (!req.user.isEmailVerified) {
@@ -122,4 +191,4 @@ const requireEmailVerified = (req, res, next) => {
   next();
 };
 
-module.exports = { protect, optionalAuth, authorize, requireEmailVerified };
\ No newline at end of file
+module.exports = { protect, optionalAuth, protectStream, authorize, requirePermission, requireEmailVerified };
\ No newline at end of file
@@ -6,7 +6,8 @@ const mongoSanitize = require('mongo-sanitize');
  * This prevents NoSQL injection attacks like { "$gt": "" } or { "field.$where": "..." }
  */
 const sanitizeMiddleware = (req, res, next) => {
-  if (req.body) {
+  // Raw bodies (Stripe webhook) are verified byte-for-byte and must stay untouched
+  if (req.body && !Buffer.isBuffer(req.body)) {
     req.body = mongoSanitize(req.body);
   }
   if (req.query) {
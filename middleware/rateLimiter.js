@@ -26,6 +26,18 @@ if (isDev) {
  */
 const skipInDev = () => isDev;
 
+/**
+ * Paths exempt from the global limiter
+ * Stripe sends every webhook from a few IPs and authenticates it by signature:
+ * limiting it would delay or drop payment events during busy hours.
+ */
+const EXEMPT_PATHS = ['/api/payments/stripe/webhook'];
+
+/**
+ * Skip function for the global limiter - development and exempt paths
+ */
+const skipGlobal = (req) => isDev || EXEMPT_PATHS.includes(req.originalUrl.split('?')[0]);
+
 /**
  * Create a standardized rate limit response
  */
@@ -99,7 +111,7 @@ const moderateLimiter = rateLimit({
 
 /**
  * Standard Rate Limiter
- * For: All other /api/* routes
+ * For: All other /api/* routes (except EXEMPT_PATHS)
  *
  * Production: 100 requests per 15 minutes
  * Development: DISABLED (skip all requests)
@@ -111,7 +123,7 @@ const standardLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   handler: rateLimitHandler,
-  skip: skipInDev, // Skip entirely in development
+  skip: skipGlobal, // Skip entirely in development, and for the Stripe webhook
 });
 
 /**
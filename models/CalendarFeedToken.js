@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { PERMISSIONS } = require('../constants/permissions');
+const { hasPermission } = require('../utils/permissionHelpers');
+
+// Calendar apps poll a subscription URL without headers, so the feed is
+// protected by a long random token in the URL, one per admin, revocable
+const CalendarFeedTokenSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Static method to create (or replace) the feed token of a user
+CalendarFeedTokenSchema.statics.createToken = async function(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  return this.findOneAndUpdate(
+    { userId },
+    { token, lastUsedAt: null, createdAt: new Date() },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to verify a feed token (its owner must still have the calendar feed permission)
+CalendarFeedTokenSchema.statics.verifyToken = async function(token) {
+  const feedToken = await this.findOne({ token }).populate('userId', 'role isActive');
+
+  if (!feedToken || !feedToken.userId || !hasPermission(feedToken.userId, PERMISSIONS.CALENDAR_FEED) || feedToken.userId.isActive === false) {
+    return null;
+  }
+
+  return feedToken;
+};
+
+// Static method to revoke the feed token of a user
+CalendarFeedTokenSchema.statics.revokeToken = async function(userId) {
+  const result = await this.deleteOne({ userId });
+  return result.deletedCount > 0;
+};
+
+module.exports = mongoose.model('CalendarFeedToken', CalendarFeedTokenSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. order numbers), incremented atomically
+const CounterSchema = new mongoose.Schema({
+  // Sequence name, e.g. 'order' or 'order:2025'
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  versionKey: false,
+});
+
+// Static method to get the next value of a sequence (creates it on first use)
+CounterSchema.statics.next = async function(key) {
+  try {
+    const counter = await this.findOneAndUpdate(
+      { _id: key },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    return counter.seq;
+  } catch (error) {
+    // Two first-time upserts can race on the same _id; the loser retries once
+    if (error.code !== 11000) throw error;
+    const counter = await this.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { new: true });
+    return counter.seq;
+  }
+};
+
+// Static method to raise a sequence to at least `value` (never lowers it)
+CounterSchema.statics.ensureAtLeast = async function(key, value) {
+  try {
+    await this.updateOne({ _id: key }, { $max: { seq: value } }, { upsert: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    await this.updateOne({ _id: key }, { $max: { seq: value } });
+  }
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+// Price set by an admin before the event is approved
+const QuoteSchema = new mongoose.Schema({
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Quote amount cannot be negative'],
+  },
+  // 0 when no deposit is asked
+  depositAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Deposit cannot be negative'],
+  },
+  currency: {
+    type: String,
+    enum: ['usd', 'eur', 'gbp'],
+    default: 'usd',
+  },
+  // Tables given to a large party (a buyout takes every table)
+  tableNumbers: {
+    type: [Number],
+    default: [],
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Quote notes cannot exceed 500 characters'],
+    default: null,
+  },
+  quotedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  quotedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  _id: false,
+});
+
+const EventRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Event request must belong to a user'],
+  },
+  userEmail: {
+    type: String,
+    required: [true, 'User must have an email'],
+  },
+  userName: {
+    type: String,
+    required: [true, 'User must have a name'],
+  },
+  // 'buyout' reserves the whole restaurant, 'large-party' some of its tables
+  type: {
+    type: String,
+    enum: {
+      values: ['large-party', 'buyout'],
+      message: 'Please select a valid event type',
+    },
+    required: [true, 'Please add the event type'],
+  },
+  date: {
+    type: Date,
+    required: [true, 'Please add a date'],
+  },
+  // Time of day (HH:MM); unlike reservations, events are not tied to slots
+  startTime: {
+    type: String,
+    required: [true, 'Please add a start time'],
+  },
+  endTime: {
+    type: String,
+    required: [true, 'Please add an end time'],
+  },
+  guests: {
+    type: Number,
+    required: [true, 'Please add number of guests'],
+    min: [1, 'Number of guests must be at least 1'],
+    max: [500, 'Number of guests cannot exceed 500'],
+  },
+  occasion: {
+    type: String,
+    maxlength: [100, 'Occasion cannot exceed 100 characters'],
+    default: null,
+  },
+  message: {
+    type: String,
+    maxlength: [1000, 'Message cannot exceed 1000 characters'],
+    default: null,
+  },
+  contactPhone: {
+    type: String,
+    required: [true, 'Please add a contact phone number'],
+    match: [/^[0-9]{10}$/, 'Please add a valid phone number'],
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'quoted', 'approved', 'declined', 'cancelled'],
+      message: 'Please select a valid status',
+    },
+    default: 'pending',
+  },
+  quote: {
+    type: QuoteSchema,
+    default: null,
+  },
+  approvedAt: {
+    type: Date,
+    default: null,
+  },
+  approvedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  declineReason: {
+    type: String,
+    maxlength: [300, 'Reason cannot exceed 300 characters'],
+    default: null,
+  },
+  // Deposit collected through Stripe once the event is approved
+  depositStatus: {
+    type: String,
+    enum: ['none', 'pending', 'paid', 'failed'],
+    default: 'none',
+  },
+  paymentIntentId: {
+    type: String,
+    default: null,
+  },
+  paymentIntentStatus: {
+    type: String,
+    default: null,
+  },
+  depositPaidAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+// Approved events of a day (availability), admin queue and customer history
+EventRequestSchema.index({ date: 1, status: 1 });
+EventRequestSchema.index({ status: 1, createdAt: -1 });
+EventRequestSchema.index({ userId: 1, createdAt: -1 });
+EventRequestSchema.index({ paymentIntentId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('EventRequest', EventRequestSchema);
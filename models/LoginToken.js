@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const EXPIRE_MINUTES = 15;
+const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * Hash a link token or code for storage
+ * Unlike reset links these sign the user in, so they are not stored in clear.
+ */
+const hashValue = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const LoginTokenSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  // Null for a sign-up: the account is created once the email is proven
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  name: {
+    type: String,
+    default: null,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  codeHash: {
+    type: String,
+    required: true,
+  },
+  codeAttempts: {
+    type: Number,
+    default: 0,
+  },
+  rememberMe: {
+    type: Boolean,
+    default: false,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + EXPIRE_MINUTES * 60 * 1000),
+  },
+  used: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for automatic cleanup of expired tokens
+LoginTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+LoginTokenSchema.index({ email: 1, used: 1 });
+
+// Static method to create a login link and code (replaces unused ones for the email)
+LoginTokenSchema.statics.createToken = async function({ email, userId = null, name = null, rememberMe = false }) {
+  await this.deleteMany({ email: email.toLowerCase(), used: false });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  const loginToken = await this.create({
+    email,
+    userId,
+    name,
+    rememberMe,
+    tokenHash: hashValue(token),
+    codeHash: hashValue(code),
+  });
+
+  return { loginToken, token, code };
+};
+
+// Static method to use a link token; null if unknown, used or expired
+LoginTokenSchema.statics.consumeToken = async function(token) {
+  // Atomic: a link opened twice at once signs in only once
+  return this.findOneAndUpdate(
+    { tokenHash: hashValue(token), used: false, expiresAt: { $gt: new Date() } },
+    { $set: { used: true } },
+    { new: true }
+  );
+};
+
+// Static method to use a code sent to an email; null if wrong, used or expired
+LoginTokenSchema.statics.consumeCode = async function(email, code) {
+  const loginToken = await this.findOneAndUpdate(
+    {
+      email: email.toLowerCase(),
+      used: false,
+      expiresAt: { $gt: new Date() },
+      codeAttempts: { $lt: MAX_CODE_ATTEMPTS },
+    },
+    { $inc: { codeAttempts: 1 } },
+    { new: true }
+  );
+
+  if (!loginToken) return null;
+
+  const expected = Buffer.from(loginToken.codeHash);
+  const given = Buffer.from(hashValue(code));
+  if (!crypto.timingSafeEqual(expected, given)) return null;
+
+  return this.findOneAndUpdate(
+    { _id: loginToken._id, used: false },
+    { $set: { used: true } },
+    { new: true }
+  );
+};
+
+LoginTokenSchema.statics.EXPIRE_MINUTES = EXPIRE_MINUTES;
+LoginTokenSchema.statics.MAX_CODE_ATTEMPTS = MAX_CODE_ATTEMPTS;
+
+module.exports = mongoose.model('LoginToken', LoginTokenSchema);
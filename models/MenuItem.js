@@ -1,5 +1,63 @@
 const mongoose = require('mongoose');
 
+// Choice within a modifier group (e.g. "Large", "Extra cheese")
+const ModifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add an option name'],
+    trim: true,
+    maxlength: [50, 'Option name cannot be more than 50 characters'],
+  },
+  // Added to the item price when selected (may be negative, e.g. small size)
+  priceDelta: {
+    type: Number,
+    default: 0,
+  },
+  // Applied when the customer makes no choice in this group
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// Group of options (size, spice level, add-ons); required when minSelections >= 1
+const ModifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a modifier group name'],
+    trim: true,
+    maxlength: [50, 'Modifier group name cannot be more than 50 characters'],
+  },
+  minSelections: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum selections cannot be negative'],
+  },
+  maxSelections: {
+    type: Number,
+    default: 1,
+    min: [1, 'Maximum selections must be at least 1'],
+    validate: {
+      validator: function(value) {
+        // `this` is the group on save; update validators have no document to compare with
+        return typeof this.minSelections !== 'number' || value >= this.minSelections;
+      },
+      message: 'Maximum selections cannot be lower than minimum selections',
+    },
+  },
+  options: {
+    type: [ModifierOptionSchema],
+    validate: {
+      validator: options => options.length > 0,
+      message: 'A modifier group needs at least one option',
+    },
+  },
+});
+
 const MenuItemSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -57,6 +115,7 @@ const MenuItemSchema = new mongoose.Schema({
     type: String,
     trim: true,
   }],
+  modifierGroups: [ModifierGroupSchema],
   preparationTime: {
     type: Number, // in minutes
     default: 15,
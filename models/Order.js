@@ -1,4 +1,104 @@
 const mongoose = require('mongoose');
+const { generateOrderNumber } = require('../utils/orderNumberHelpers');
+
+// Refund ledger entry (one per Stripe refund or manual cash refund)
+const RefundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Please add refund amount'],
+    min: [0.01, 'Refund amount must be positive'],
+  },
+  method: {
+    type: String,
+    enum: {
+      values: ['stripe', 'cash'],
+      message: 'Refund method must be stripe or cash',
+    },
+    required: [true, 'Please specify refund method'],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'succeeded',
+  },
+  reason: {
+    type: String,
+    maxlength: [200, 'Refund reason cannot exceed 200 characters'],
+    default: null,
+  },
+  stripeRefundId: {
+    type: String,
+    default: null,
+  },
+  // Admin who issued the refund (null when it came from the Stripe dashboard)
+  processedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Status timeline entry (one per status change, including creation)
+const StatusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: [true, 'Please add status'],
+  },
+  fromStatus: {
+    type: String,
+    default: null,
+  },
+  // User who made the change (null for automatic changes)
+  changedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  actorRole: {
+    type: String,
+    enum: ['customer', 'admin', 'system'],
+    default: 'system',
+  },
+  note: {
+    type: String,
+    maxlength: [200, 'Status note cannot exceed 200 characters'],
+    default: null,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  _id: false,
+});
+
+// Option chosen on an order line, copied from the menu item's modifier groups
+const OrderModifierSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.ObjectId,
+    required: true,
+  },
+  groupName: {
+    type: String,
+    required: true,
+  },
+  optionId: {
+    type: mongoose.Schema.ObjectId,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  priceDelta: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  _id: false,
+});
 
 const OrderSchema = new mongoose.Schema({
   userId: {
@@ -37,10 +137,18 @@ const OrderSchema = new mongoose.Schema({
       required: [true, 'Please add quantity'],
       min: [1, 'Quantity must be at least 1'],
     },
+    // Unit price including modifiers
     price: {
       type: Number,
       required: [true, 'Please add item price'],
     },
+    // Menu price before modifiers (null on orders placed before modifiers existed)
+    basePrice: {
+      type: Number,
+      default: null,
+    },
+    // Snapshot of the chosen options at order time
+    modifiers: [OrderModifierSchema],
     image: {
       type: String,
       required: [true, 'Please add image URL']
@@ -49,7 +157,17 @@ const OrderSchema = new mongoose.Schema({
       type: String,
       maxlength: [100, 'Special instructions cannot exceed 100 characters'],
       default: null,
-    }, // Not implemented yet
+    },
+    // Kitchen board: set when a cook marks the line as done
+    bumpedAt: {
+      type: Date,
+      default: null,
+    },
+    bumpedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   }],
   totalPrice: {
     type: Number,
@@ -72,10 +190,11 @@ const OrderSchema = new mongoose.Schema({
     },
     default: 'pending',
   },
+  statusHistory: [StatusHistorySchema],
   paymentStatus: {
     type: String,
     enum: {
-      values: ['pending', 'paid'],
+      values: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
       message: 'Please select a valid payment status',
     },
     default: 'pending',
@@ -85,6 +204,33 @@ const OrderSchema = new mongoose.Schema({
     enum: ['cash', 'card'],
     required: [true, 'Please specify payment method'],
   },
+  // Stripe PaymentIntent linked to this order (card payments only)
+  paymentIntentId: {
+    type: String,
+    default: null,
+  },
+  // Last known Stripe status of the linked PaymentIntent
+  paymentIntentStatus: {
+    type: String,
+    default: null,
+  },
+  paidAt: {
+    type: Date,
+    default: null,
+  },
+  // Set once the order is added to the customer's totalOrders/totalSpent
+  // (when paid, or when delivered unpaid), so it is never counted twice
+  statsCounted: {
+    type: Boolean,
+    default: false,
+  },
+  refunds: [RefundSchema],
+  // Sum of non-failed refunds, kept in sync with the refunds ledger
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative'],
+  },
   deliveryAddress: {
     street: {
       type: String,
@@ -109,6 +255,32 @@ const OrderSchema = new mongoose.Schema({
     maxlength: [200, 'Special instructions cannot exceed 200 characters'],
     default: null,
   },
+  // Requested pickup/delivery time (null = as soon as possible)
+  scheduledFor: {
+    type: Date,
+    default: null,
+  },
+  // When a scheduled order appears on the kitchen board (null = immediately)
+  kitchenReleaseAt: {
+    type: Date,
+    default: null,
+  },
+  // Kitchen time for this order, from the menu items' preparation times
+  preparationMinutes: {
+    type: Number,
+    min: [0, 'Preparation time cannot be negative'],
+    default: null,
+  },
+  // ETA, recomputed on each status change (see utils/orderEtaHelpers.js)
+  estimatedReadyTime: {
+    type: Date,
+    default: null,
+  },
+  // Delivery orders: arrival at the customer; pickup orders: same as ready time
+  estimatedDeliveryTime: {
+    type: Date,
+    default: null,
+  },
 }, {
   timestamps: true,
   toJSON: {
@@ -131,51 +303,30 @@ const OrderSchema = new mongoose.Schema({
   }
 });
 
-// Generate order number before saving
+// Assign an order number to new orders (atomic counter, see utils/orderNumberHelpers.js)
 OrderSchema.pre('save', async function(next) {
-    try {
-      // Find the highest existing order number
-      const lastOrder = await this.constructor.findOne({
-        orderNumber: { $regex: /^ORD-\d{6}$/ }
-      }).sort({ orderNumber: -1 });
-
-      let nextNumber = 1;
-      if (lastOrder && lastOrder.orderNumber) {
-        // Extract number from ORD-XXXXXX format
-        const currentNumber = parseInt(lastOrder.orderNumber.replace('ORD-', ''));
-        nextNumber = currentNumber + 1;
-      }
+  if (!this.isNew || this.orderNumber) {
+    return next();
+  }
 
-      this.orderNumber = `ORD-${nextNumber.toString().padStart(6, '0')}`;
-    } catch (error) {
-      // Fallback to timestamp-based generation if database query fails
-      const timestamp = Date.now().toString();
-      const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-      this.orderNumber = `ORD-${timestamp.slice(-6)}${random}`;
-    }
+  try {
+    this.orderNumber = await generateOrderNumber(this.constructor, this.createdAt || new Date());
     next();
+  } catch (error) {
+    next(error);
+  }
 });
 
-// Calculate estimated delivery time
-OrderSchema.methods.calculateEstimatedDeliveryTime = function() {
-  const baseTime = new Date();
-  let additionalMinutes = 30; // Base preparation time
-
-  // Add time based on order type
-  if (this.orderType === 'delivery') {
-    additionalMinutes += 20; // Additional delivery time
-  } else if (this.orderType === 'pickup') {
-    additionalMinutes += 10; // Additional packaging time
-  }
+// Add index for performance on date-based queries
+OrderSchema.index({ createdAt: -1 });
 
-  // Add time based on number of items
-  additionalMinutes += this.items.length * 5;
+// Index for the kitchen board (active orders by status, oldest first)
+OrderSchema.index({ status: 1, createdAt: 1 });
 
-  this.estimatedDeliveryTime = new Date(baseTime.getTime() + additionalMinutes * 60000);
-  return this.save();
-};
+// Index for filtering by scheduled pickup/delivery time
+OrderSchema.index({ scheduledFor: 1 });
 
-// Add index for performance on date-based queries
-OrderSchema.index({ createdAt: -1 });
+// Index for webhook lookups by PaymentIntent
+OrderSchema.index({ paymentIntentId: 1 });
 
 module.exports = mongoose.model('Order', OrderSchema);
\ No newline at end of file
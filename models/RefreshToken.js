@@ -12,6 +12,18 @@ const RefreshTokenSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Token family: every token rotated from the same login shares it (the _id of
+  // the first token). The family is the session the user sees and revokes.
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Set once the token was exchanged for a new one. Rotated tokens are kept
+  // until they expire so that presenting one again can be detected.
+  rotatedAt: {
+    type: Date,
+    default: null,
+  },
   expiresAt: {
     type: Date,
     required: true,
@@ -29,6 +41,11 @@ const RefreshTokenSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // Last time the session got a new access token (null until the first refresh)
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
 });
 
 // TTL Index: MongoDB automatically deletes expired tokens
@@ -37,18 +54,34 @@ RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 // Index for fast lookup by userId (for logout-all)
 RefreshTokenSchema.index({ userId: 1 });
 
+// Index for family lookups (rotation, reuse detection, session revocation)
+RefreshTokenSchema.index({ family: 1 });
+
+/**
+ * Build the query matching every token of a family
+ * Tokens created before rotation have no family: they are their own family.
+ * @param {ObjectId|string} family - Family (session) ID
+ * @returns {Object} MongoDB filter
+ */
+const familyQuery = (family) => ({ $or: [{ family }, { _id: family }] });
+
+// Generate secure random token (64 bytes = 128 hex chars)
+const generateTokenValue = () => crypto.randomBytes(64).toString('hex');
+
 // Static method to create a new refresh token
 RefreshTokenSchema.statics.createToken = async function(userId, req, expireDays = 7) {
-  // Generate secure random token (64 bytes = 128 hex chars)
-  const token = crypto.randomBytes(64).toString('hex');
+  const token = generateTokenValue();
 
   const expiresAt = new Date();
   expiresAt.setDate(expiresAt.getDate() + expireDays);
 
-  // Create new refresh token
+  // Create new refresh token, first of its family
+  const _id = new mongoose.Types.ObjectId();
   const refreshToken = await this.create({
+    _id,
     token,
     userId,
+    family: _id,
     expiresAt,
     userAgent: req?.get?.('User-Agent') || null,
     ip: req?.ip || req?.connection?.remoteAddress || null,
@@ -57,9 +90,9 @@ RefreshTokenSchema.statics.createToken = async function(userId, req, expireDays
   return refreshToken;
 };
 
-// Static method to verify a refresh token
+// Static method to verify a refresh token (rotated tokens are no longer valid)
 RefreshTokenSchema.statics.verifyToken = async function(token) {
-  const refreshToken = await this.findOne({ token });
+  const refreshToken = await this.findOne({ token, rotatedAt: null });
 
   if (!refreshToken) {
     return null;
@@ -74,9 +107,86 @@ RefreshTokenSchema.statics.verifyToken = async function(token) {
   return refreshToken;
 };
 
-// Static method to revoke a specific token
+/**
+ * Exchange a refresh token for a new one of the same family
+ * The family keeps its original expiry: rotation does not extend a session.
+ * Outcomes:
+ * - rotated: `refreshToken` is the new token
+ * - grace: the token was rotated `graceSeconds` ago or less (parallel requests
+ *   from the same browser); `refreshToken` is a new sibling in the family. The
+ *   family's current token is never handed out again.
+ * - reused: the token was rotated earlier, so someone replayed it; the whole
+ *   family has been revoked. `refreshToken` is the replayed token
+ * - invalid: unknown, expired or revoked token
+ * @param {string} token - Refresh token presented by the client
+ * @param {number} graceSeconds - Window in which a rotated token is still accepted
+ * @returns {Promise<Object>} { status, refreshToken }
+ */
+RefreshTokenSchema.statics.rotateToken = async function(token, graceSeconds = 0) {
+  const now = new Date();
+
+  // Atomic: of two requests presenting the same token, only one rotates it
+  const current = await this.findOneAndUpdate(
+    { token, rotatedAt: null, expiresAt: { $gt: now } },
+    { rotatedAt: now, lastUsedAt: now },
+    { new: true }
+  );
+
+  if (current) {
+    const refreshToken = await this.create({
+      token: generateTokenValue(),
+      userId: current.userId,
+      family: current.getSessionId(),
+      expiresAt: current.expiresAt,
+      userAgent: current.userAgent,
+      ip: current.ip,
+      createdAt: current.createdAt, // Session start, shown in the sessions list
+      lastUsedAt: now,
+    });
+    return { status: 'rotated', refreshToken };
+  }
+
+  const presented = await this.findOne({ token });
+  if (!presented || !presented.rotatedAt || presented.expiresAt <= now) {
+    return { status: 'invalid', refreshToken: null };
+  }
+
+  const family = presented.getSessionId();
+  const active = await this.findOne({
+    ...familyQuery(family),
+    rotatedAt: null,
+    expiresAt: { $gt: now },
+  });
+
+  if (!active) {
+    // Session already ended (logout): nothing left to protect
+    return { status: 'invalid', refreshToken: null };
+  }
+
+  if (now - presented.rotatedAt <= graceSeconds * 1000) {
+    const refreshToken = await this.create({
+      token: generateTokenValue(),
+      userId: active.userId,
+      family,
+      expiresAt: active.expiresAt,
+      userAgent: active.userAgent,
+      ip: active.ip,
+      createdAt: active.createdAt,
+      lastUsedAt: now,
+    });
+    return { status: 'grace', refreshToken };
+  }
+
+  await this.deleteMany(familyQuery(family));
+  return { status: 'reused', refreshToken: presented };
+};
+
+// Static method to revoke a token and the rest of its family (logout)
 RefreshTokenSchema.statics.revokeToken = async function(token) {
-  const result = await this.deleteOne({ token });
+  const refreshToken = await this.findOne({ token });
+  if (!refreshToken) return false;
+
+  const result = await this.deleteMany(familyQuery(refreshToken.getSessionId()));
   return result.deletedCount > 0;
 };
 
@@ -86,9 +196,44 @@ RefreshTokenSchema.statics.revokeAllUserTokens = async function(userId) {
   return result.deletedCount;
 };
 
-// Static method to get all active sessions for a user
+// Static method to get all active sessions for a user (one current token per family)
 RefreshTokenSchema.statics.getUserSessions = async function(userId) {
-  return this.find({ userId }).select('userAgent ip createdAt').sort({ createdAt: -1 });
+  const tokens = await this.find({ userId, rotatedAt: null, expiresAt: { $gt: new Date() } })
+    .select('family userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ createdAt: -1, lastUsedAt: -1 });
+
+  // Parallel refreshes leave sibling tokens in a family: list the session once
+  const seen = new Set();
+  return tokens.filter((token) => {
+    const sessionId = token.getSessionId().toString();
+    if (seen.has(sessionId)) return false;
+    seen.add(sessionId);
+    return true;
+  });
+};
+
+// Static method to revoke one session of a user (by session ID, never by token)
+RefreshTokenSchema.statics.revokeUserSession = async function(userId, sessionId) {
+  const result = await this.deleteMany({ userId, ...familyQuery(sessionId) });
+  return result.deletedCount > 0;
+};
+
+// Session ID: the token family
+RefreshTokenSchema.methods.getSessionId = function() {
+  return this.family || this._id;
+};
+
+// Transform output: sessions are exposed by ID, the token itself never leaves the server
+RefreshTokenSchema.methods.toSessionJSON = function(currentSessionId = null) {
+  return {
+    id: this.getSessionId(),
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: Boolean(currentSessionId) && this.getSessionId().equals(currentSessionId),
+  };
 };
 
 module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
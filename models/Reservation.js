@@ -1,15 +1,29 @@
 const mongoose = require('mongoose');
-const { getLabelFromSlot } = require('../utils/timeSlots');
+const { getLabelFromSlot, getSlotByNumber, getActiveSchedule } = require('../utils/timeSlots');
+const { startOfDay, getToday, toDateKey, getZonedParts } = require('../utils/timezone');
+
+// Walk-ins are seated at the host stand and have no customer account
+const isBookedOnline = function() {
+  return this.source !== 'walk-in';
+};
 
 const ReservationSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: {
+      values: ['online', 'walk-in'],
+      message: 'Please select a valid source',
+    },
+    default: 'online',
+  },
   userId: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: [true, 'Reservation must belong to a user'],
+    required: [isBookedOnline, 'Reservation must belong to a user'],
   },
   userEmail: {
     type: String,
-    required: [true, 'User must have an email'],
+    required: [isBookedOnline, 'User must have an email'],
   },
   userName: {
     type: String,
@@ -19,6 +33,7 @@ const ReservationSchema = new mongoose.Schema({
     type: String,
     unique: true,
   },
+  // Calendar day, stored as UTC midnight (see utils/timezone.js)
   date: {
     type: Date,
     required: [true, 'Please add a reservation date'],
@@ -27,7 +42,7 @@ const ReservationSchema = new mongoose.Schema({
         // Only validate date is not in past when creating new reservation
         // Allow admins to modify past reservations
         if (this.isNew) {
-          return value >= new Date().setHours(0, 0, 0, 0);
+          return value >= getToday();
         }
         return true;
       },
@@ -38,6 +53,16 @@ const ReservationSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Please add a reservation slot'],
   },
+  // Time the slot stood for when booked, and the schedule version it was numbered
+  // under: a schedule change renumbers the slot, never the time (see scheduleService)
+  time: {
+    type: String,
+    default: null,
+  },
+  scheduleVersion: {
+    type: Number,
+    default: 0,
+  },
   guests: {
     type: Number,
     required: [true, 'Please add number of guests'],
@@ -65,7 +90,7 @@ const ReservationSchema = new mongoose.Schema({
   },
   contactPhone: {
     type: String,
-    required: [true, 'Please add a contact phone number'],
+    required: [isBookedOnline, 'Please add a contact phone number'],
     match: [/^[0-9]{10}$/, 'Please add a valid phone number'],
   },
   notes: {
@@ -73,6 +98,40 @@ const ReservationSchema = new mongoose.Schema({
     maxlength: [300, 'Notes cannot exceed 300 characters'],
     default: null,
   },
+  // Set for customers the reliability policy asks staff to call before the visit
+  phoneConfirmation: {
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    confirmedAt: {
+      type: Date,
+      default: null,
+    },
+    confirmedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  // Reminder email (sent once) and the guest's answer through its link
+  reminderSentAt: {
+    type: Date,
+    default: null,
+  },
+  attendanceConfirmedAt: {
+    type: Date,
+    default: null,
+  },
+  // Actual times at the table, recorded by the host stand
+  seatedAt: {
+    type: Date,
+    default: null,
+  },
+  clearedAt: {
+    type: Date,
+    default: null,
+  },
 }, {
   timestamps: true,
   toJSON: {
@@ -95,27 +154,52 @@ const ReservationSchema = new mongoose.Schema({
   }
 });
 
-// Create compound index for date and time to prevent double booking
-ReservationSchema.index({ date: 1, time: 1, tableNumber: 1 }, { unique: true, sparse: true });
+// Occupancy lookups (availability service); overlaps are checked there, not by an index
+ReservationSchema.index({ date: 1, status: 1 });
 
 // Add indexes for performance on date-based queries
 ReservationSchema.index({ date: -1 });
 ReservationSchema.index({ createdAt: -1 });
 
+/**
+ * Booked time of a slot in the active schedule
+ * @param {Date|string} date - Reservation date
+ * @param {number} slot - Slot number
+ * @returns {Object} { time, scheduleVersion } (time null for an unknown slot)
+ */
+ReservationSchema.statics.getBookedTime = function(date, slot) {
+  const bookedSlot = getSlotByNumber(slot, date);
+  return {
+    time: bookedSlot ? bookedSlot.label : null,
+    scheduleVersion: getActiveSchedule().version || 0,
+  };
+};
+
+// Store the calendar day, whatever instant the client sent for it
+ReservationSchema.pre('validate', function(next) {
+  if (this.date && this.isModified('date')) {
+    this.date = startOfDay(this.date);
+  }
+  if (this.date && (this.isNew || this.isModified('date') || this.isModified('slot'))) {
+    Object.assign(this, this.constructor.getBookedTime(this.date, this.slot));
+  }
+  next();
+});
+
 // Generate reservation number before saving
-// Format: YYYYMMDD-HHMM-T1-T2-T3
+// Format: YYYYMMDD-HHMM-T1-T2-T3 (walk-ins: YYYYMMDD-WHHMMSS-T1-T2, from the seating time)
 ReservationSchema.pre('save', function(next) {
   if (!this.reservationNumber) {
     // Format date: YYYYMMDD
-    const reservationDate = new Date(this.date);
-    const year = reservationDate.getFullYear();
-    const month = String(reservationDate.getMonth() + 1).padStart(2, '0');
-    const day = String(reservationDate.getDate()).padStart(2, '0');
-    const dateStr = `${year}${month}${day}`;
+    const dateStr = toDateKey(this.date).replace(/-/g, '');
 
-    // Format time from slot: HHMM
-    const timeLabel = getLabelFromSlot(this.slot); // Returns "HH:MM"
-    const timeStr = timeLabel.replace(':', ''); // Remove colon: "HHMM"
+    // Format time from slot: HHMM (walk-ins: seating time on the restaurant clock)
+    const timeLabel = getLabelFromSlot(this.slot, this.date); // Returns "HH:MM"
+    let timeStr = timeLabel.replace(':', ''); // Remove colon: "HHMM"
+    if (this.source === 'walk-in' && this.seatedAt) {
+      const { hours, minutes, seconds } = getZonedParts(this.seatedAt);
+      timeStr = `W${[hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join('')}`;
+    }
 
     // Format table numbers: T1-T2-T3
     const tablesStr = this.tableNumber.sort((a, b) => a - b).join('-');
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Single document (_id 'default') read by services/reservations/reliabilityService.js
+// Thresholds left at null are switched off
+const ReservationPolicySchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: 'default',
+  },
+  // A confirmed reservation becomes a no-show this long after its slot time
+  noShowGraceMinutes: {
+    type: Number,
+    default: 30,
+    min: [5, 'Grace period must be at least 5 minutes'],
+    max: [240, 'Grace period cannot exceed 240 minutes'],
+  },
+  // Customer cancellations closer than this to the slot count as late (0 = never)
+  lateCancellationHours: {
+    type: Number,
+    default: 24,
+    min: [0, 'Late cancellation window cannot be negative'],
+    max: [168, 'Late cancellation window cannot exceed 168 hours'],
+  },
+  phoneConfirmationAfterNoShows: {
+    type: Number,
+    default: null,
+    min: [1, 'Threshold must be at least 1'],
+  },
+  blockOnlineBookingAfterNoShows: {
+    type: Number,
+    default: null,
+    min: [1, 'Threshold must be at least 1'],
+  },
+  blockOnlineBookingAfterLateCancellations: {
+    type: Number,
+    default: null,
+    min: [1, 'Threshold must be at least 1'],
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+module.exports = mongoose.model('ReservationPolicy', ReservationPolicySchema);
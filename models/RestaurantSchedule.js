@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const TIME_MESSAGE = 'Times must use the HH:MM format';
+
+// Opening period of a day; reservation slots start from `open` until a full slot no longer fits before `close`
+const PeriodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please name the service period'],
+    maxlength: [30, 'Period name cannot exceed 30 characters'],
+  },
+  open: {
+    type: String,
+    required: [true, 'Please add an opening time'],
+    match: [TIME_OF_DAY, TIME_MESSAGE],
+  },
+  close: {
+    type: String,
+    required: [true, 'Please add a closing time'],
+    match: [TIME_OF_DAY, TIME_MESSAGE],
+  },
+}, {
+  _id: false,
+});
+
+const WeekdayHoursSchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6,
+  },
+  periods: {
+    type: [PeriodSchema],
+    default: [],
+  },
+}, {
+  _id: false,
+});
+
+// Days the restaurant is closed (holidays), `from` to `to` inclusive
+const ClosureSchema = new mongoose.Schema({
+  from: {
+    type: Date,
+    required: [true, 'Please add the first closed day'],
+  },
+  to: {
+    type: Date,
+    default: null,
+  },
+  reason: {
+    type: String,
+    maxlength: [100, 'Reason cannot exceed 100 characters'],
+    default: null,
+  },
+});
+
+// Hours of a day closed to reservations (private event); no hours = whole day
+const BlackoutSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Please add the blackout date'],
+  },
+  start: {
+    type: String,
+    match: [TIME_OF_DAY, TIME_MESSAGE],
+    default: null,
+  },
+  end: {
+    type: String,
+    match: [TIME_OF_DAY, TIME_MESSAGE],
+    default: null,
+  },
+  reason: {
+    type: String,
+    maxlength: [100, 'Reason cannot exceed 100 characters'],
+    default: null,
+  },
+});
+
+// Day with its own hours, replacing the weekday hours (e.g. open on a holiday Monday)
+const SpecialDaySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Please add the special day date'],
+  },
+  periods: {
+    type: [PeriodSchema],
+    default: [],
+  },
+  reason: {
+    type: String,
+    maxlength: [100, 'Reason cannot exceed 100 characters'],
+    default: null,
+  },
+});
+
+// Single document (_id 'default') holding the opening hours read by utils/timeSlots.js
+const RestaurantScheduleSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: 'default',
+  },
+  // Incremented by every save (optimistic concurrency, reservation renumbering)
+  version: {
+    type: Number,
+    default: 0,
+  },
+  slotMinutes: {
+    type: Number,
+    default: 30,
+    min: [10, 'Slots must be at least 10 minutes long'],
+    max: [120, 'Slots cannot exceed 120 minutes'],
+  },
+  weeklyHours: {
+    type: [WeekdayHoursSchema],
+    default: [],
+  },
+  closures: {
+    type: [ClosureSchema],
+    default: [],
+  },
+  blackouts: {
+    type: [BlackoutSchema],
+    default: [],
+  },
+  specialDays: {
+    type: [SpecialDaySchema],
+    default: [],
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+module.exports = mongoose.model('RestaurantSchedule', RestaurantScheduleSchema);
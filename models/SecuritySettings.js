@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Single document (_id 'default') read by services/security/securitySettingsService.js
+const SecuritySettingsSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: 'default',
+  },
+  // Staff accounts (every role but customers) must use two-factor authentication
+  requireTwoFactorForStaff: {
+    type: Boolean,
+    default: false,
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+module.exports = mongoose.model('SecuritySettings', SecuritySettingsSchema);
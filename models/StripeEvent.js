@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Record of processed Stripe webhook events (idempotency guard)
+const StripeEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  // Order affected by the event (null if no order matched)
+  orderId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    default: null,
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// TTL Index: Stripe stops retrying after 3 days, keep records for 30 days
+StripeEventSchema.index({ processedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Static method to check whether an event was already handled
+StripeEventSchema.statics.isProcessed = async function(eventId) {
+  const existing = await this.exists({ eventId });
+  return !!existing;
+};
+
+// Static method to record a processed event (safe under concurrent deliveries)
+StripeEventSchema.statics.markProcessed = async function(event, orderId = null) {
+  await this.updateOne(
+    { eventId: event.id },
+    { $setOnInsert: { eventId: event.id, type: event.type, orderId, processedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('StripeEvent', StripeEventSchema);
@@ -10,9 +10,10 @@ const tableBookingSchema = new mongoose.Schema({
     default: [],
     validate: {
       validator: function(slots) {
-        return slots.every(slot => slot >= 1 && slot <= 15);
+        // Slot numbers depend on the day's schedule (utils/timeSlots.js)
+        return slots.every(slot => Number.isInteger(slot) && slot >= 1);
       },
-      message: 'Invalid slot number. Slots must be between 1 and 15.'
+      message: 'Invalid slot number. Slots are numbered from 1.'
     }
   }
 }, {
@@ -27,6 +28,9 @@ const tableSchema = new mongoose.Schema({
     min: [1, 'Table number must be at least 1'],
     max: [22, 'Table number cannot exceed 22']
   },
+  // Deprecated snapshot of booked slots. Availability is computed from
+  // reservations (services/reservations/availabilityService.js) and the API no
+  // longer writes this field; rebuild or drop it with `npm run repair:table-bookings`.
   tableBookings: {
     type: [tableBookingSchema],
     default: []
@@ -41,6 +45,11 @@ const tableSchema = new mongoose.Schema({
     min: [1, 'Table capacity must be at least 1'],
     max: [12, 'Table capacity cannot exceed 12']
   },
+  // Tables this one can be joined with for larger parties (kept symmetric)
+  combinableWith: {
+    type: [Number],
+    default: []
+  },
   notes: {
     type: String,
     maxlength: [200, 'Notes cannot exceed 200 characters']
@@ -1,6 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { ROLES } = require('../constants/permissions');
+const { verifyCode } = require('../utils/totp');
+const { decryptSecret, hashRecoveryCode } = require('../utils/twoFactorHelpers');
+
+// Never sent to clients, even when selected to check a code
+const TWO_FACTOR_SECRET_FIELDS = [
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastStep',
+];
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -19,9 +30,10 @@ const UserSchema = new mongoose.Schema({
       'Please add a valid email',
     ],
   },
+  // Absent on accounts created by email sign-in (magic link / code) until a reset sets one;
+  // register and reset-password require it
   password: {
     type: String,
-    required: [true, 'Please add a password'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false, // Don't return password in queries by default
   },
@@ -30,9 +42,10 @@ const UserSchema = new mongoose.Schema({
     match: [/^[0-9]{10}$/, 'Please add a valid phone number'],
     default: null,
   },
+  // Customers are 'user'; staff roles and their permissions: constants/permissions.js
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user',
   },
   address: {
@@ -71,6 +84,17 @@ const UserSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Reservation reliability, kept by services/reservations/reliabilityService.js
+  noShowCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  lateCancellationCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
   totalSpent: {
     type: Number,
     default: 0,
@@ -102,6 +126,39 @@ const UserSchema = new mongoose.Schema({
     default: null,
     select: false,
   },
+  // Two-factor authentication (TOTP), see controllers/twoFactorController.js
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null,
+  },
+  // Encrypted (utils/twoFactorHelpers.js encryptSecret)
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  // Secret of a setup not confirmed with a code yet
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  // SHA-256 hashes of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: [],
+    select: false,
+  },
+  // Last accepted TOTP step: a code cannot be used twice
+  twoFactorLastStep: {
+    type: Number,
+    default: null,
+    select: false,
+  },
 }, {
   timestamps: true,
   toJSON: {
@@ -110,6 +167,7 @@ const UserSchema = new mongoose.Schema({
       ret.id = ret._id;
       delete ret._id;
       delete ret.__v;
+      TWO_FACTOR_SECRET_FIELDS.forEach(field => delete ret[field]);
       return ret;
     }
   },
@@ -119,6 +177,7 @@ const UserSchema = new mongoose.Schema({
       ret.id = ret._id;
       delete ret._id;
       delete ret.__v;
+      TWO_FACTOR_SECRET_FIELDS.forEach(field => delete ret[field]);
       return ret;
     }
   }
@@ -129,10 +188,16 @@ UserSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Reliability score out of 100: each no-show costs 25 points, each late cancellation 10
+UserSchema.virtual('reliabilityScore').get(function() {
+  if (this.noShowCount === undefined) return undefined; // Field not selected
+  return Math.max(0, 100 - this.noShowCount * 25 - (this.lateCancellationCount || 0) * 10);
+});
+
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) {
-    next();
+  if (!this.isModified('password') || !this.password) {
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
@@ -148,6 +213,7 @@ UserSchema.methods.getSignedJwtToken = function() {
 
 // Match user entered password to hashed password in database
 UserSchema.methods.matchPassword = async function(enteredPassword) {
+  if (!this.password || !enteredPassword) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
@@ -188,6 +254,57 @@ UserSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+/**
+ * Check a second factor: an authenticator code or a recovery code
+ * Needs twoFactorSecret, twoFactorRecoveryCodes and twoFactorLastStep selected.
+ * Both are single use: the TOTP step is recorded, the recovery code removed.
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<Object>} { valid, method: 'totp'|'recovery', recoveryCodesRemaining }
+ */
+UserSchema.methods.verifySecondFactor = async function({ code, recoveryCode } = {}) {
+  const User = this.constructor;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    // Atomic: a code cannot be spent by two requests at once
+    const result = await User.updateOne(
+      { _id: this._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    const valid = result.modifiedCount === 1;
+    const remaining = (this.twoFactorRecoveryCodes || []).length - (valid ? 1 : 0);
+    return { valid, method: 'recovery', recoveryCodesRemaining: remaining };
+  }
+
+  const secret = this.twoFactorSecret && decryptSecret(this.twoFactorSecret);
+  const step = secret ? verifyCode(secret, code) : null;
+  if (step === null) {
+    return { valid: false, method: 'totp' };
+  }
+
+  // Refuse a code already used (same or earlier step)
+  const result = await User.updateOne(
+    { _id: this._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+    { $set: { twoFactorLastStep: step } }
+  );
+  return { valid: result.modifiedCount === 1, method: 'totp' };
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Object>} Update result
+ */
+UserSchema.statics.resetTwoFactor = function(userId) {
+  return this.updateOne(
+    { _id: userId },
+    {
+      $set: { twoFactorEnabled: false, twoFactorEnabledAt: null },
+      $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorRecoveryCodes: 1, twoFactorLastStep: 1 },
+    }
+  );
+};
+
 // Add index for performance on date-based queries
 UserSchema.index({ createdAt: -1 });
 
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Tables held for a waitlisted guest until they confirm or the hold expires
+const OfferSchema = new mongoose.Schema({
+  slot: {
+    type: Number,
+    required: true,
+  },
+  tableNumbers: {
+    type: [Number],
+    required: true,
+  },
+  offeredAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  _id: false,
+});
+
+const WaitlistEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Waitlist entry must belong to a user'],
+  },
+  userEmail: {
+    type: String,
+    required: [true, 'User must have an email'],
+  },
+  userName: {
+    type: String,
+    required: [true, 'User must have a name'],
+  },
+  date: {
+    type: Date,
+    required: [true, 'Please add a date'],
+  },
+  // Range of acceptable slots, inclusive
+  slotFrom: {
+    type: Number,
+    required: [true, 'Please add the earliest slot'],
+    min: [1, 'Slot must be at least 1'],
+  },
+  slotTo: {
+    type: Number,
+    required: [true, 'Please add the latest slot'],
+    min: [1, 'Slot must be at least 1'],
+  },
+  guests: {
+    type: Number,
+    required: [true, 'Please add number of guests'],
+    min: [1, 'Number of guests must be at least 1'],
+    max: [20, 'Number of guests cannot exceed 20'],
+  },
+  contactPhone: {
+    type: String,
+    required: [true, 'Please add a contact phone number'],
+    match: [/^[0-9]{10}$/, 'Please add a valid phone number'],
+  },
+  specialRequest: {
+    type: String,
+    maxlength: [200, 'Special request cannot exceed 200 characters'],
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['waiting', 'offered', 'confirmed', 'expired', 'cancelled'],
+      message: 'Please select a valid status',
+    },
+    default: 'waiting',
+  },
+  offer: {
+    type: OfferSchema,
+    default: null,
+  },
+  reservationId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Reservation',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+// Queue order for a day (first come, first offered) and hold lookups
+WaitlistEntrySchema.index({ date: 1, status: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+WaitlistEntrySchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
@@ -9,30 +9,53 @@ const {
 } = require('../controllers/adminController');
 const { getAdminUserOrders } = require('../controllers/orderController');
 const { getAdminUserReservations } = require('../controllers/reservationController');
-const { protect, authorize } = require('../middleware/auth');
+const { getAdminSchedule, updateAdminSchedule } = require('../controllers/scheduleController');
+const { getReservationPolicy, updateReservationPolicy } = require('../controllers/reservationPolicyController');
+const { createCalendarFeed, revokeCalendarFeed } = require('../controllers/calendarController');
+const {
+  getSecuritySettingsAdmin,
+  updateSecuritySettingsAdmin,
+} = require('../controllers/securitySettingsController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../constants/permissions');
 const { moderateLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
-// All admin routes are protected with moderate rate limiting
+// All admin routes are protected with moderate rate limiting; each declares its permission
 router.use(protect);
-router.use(authorize('admin'));
 router.use(moderateLimiter);
 
-router.get('/stats', getDashboardStats);
+router.get('/stats', requirePermission(PERMISSIONS.DASHBOARD_VIEW), getDashboardStats);
 
 // Get user-specific data
-router.get('/users/:userId/orders', getAdminUserOrders);
-router.get('/users/:userId/reservations', getAdminUserReservations);
+router.get('/users/:userId/orders', requirePermission(PERMISSIONS.ORDERS_VIEW), getAdminUserOrders);
+router.get('/users/:userId/reservations', requirePermission(PERMISSIONS.RESERVATIONS_MANAGE), getAdminUserReservations);
 
 // Menu popular items management
 // IMPORTANT: /popular/reset must be defined BEFORE /:id/popular to avoid route conflicts
-router.patch('/menu/popular/reset', resetAllPopularOverrides);
-router.patch('/menu/:id/popular', togglePopularOverride);
-router.get('/menu/popular', getAdminPopularStatus);
+router.patch('/menu/popular/reset', requirePermission(PERMISSIONS.MENU_MANAGE), resetAllPopularOverrides);
+router.patch('/menu/:id/popular', requirePermission(PERMISSIONS.MENU_MANAGE), togglePopularOverride);
+router.get('/menu/popular', requirePermission(PERMISSIONS.MENU_MANAGE), getAdminPopularStatus);
 
 // Menu suggestions management
-router.patch('/menu/:id/suggested', toggleSuggested);
-router.get('/menu/suggested', getAdminSuggestedItems);
+router.patch('/menu/:id/suggested', requirePermission(PERMISSIONS.MENU_MANAGE), toggleSuggested);
+router.get('/menu/suggested', requirePermission(PERMISSIONS.MENU_MANAGE), getAdminSuggestedItems);
+
+// Opening hours, closures and blackouts
+router.get('/schedule', requirePermission(PERMISSIONS.SCHEDULE_MANAGE), getAdminSchedule);
+router.put('/schedule', requirePermission(PERMISSIONS.SCHEDULE_MANAGE), updateAdminSchedule);
+
+// No-show and late-cancellation policy
+router.get('/reservation-policy', requirePermission(PERMISSIONS.SCHEDULE_MANAGE), getReservationPolicy);
+router.put('/reservation-policy', requirePermission(PERMISSIONS.SCHEDULE_MANAGE), updateReservationPolicy);
+
+// Calendar feed subscription URL (reservations in the staff member's calendar app)
+router.post('/calendar-feed', requirePermission(PERMISSIONS.CALENDAR_FEED), createCalendarFeed);
+router.delete('/calendar-feed', requirePermission(PERMISSIONS.CALENDAR_FEED), revokeCalendarFeed);
+
+// Account security policy (two-factor authentication for staff)
+router.get('/security-settings', requirePermission(PERMISSIONS.SECURITY_MANAGE), getSecuritySettingsAdmin);
+router.put('/security-settings', requirePermission(PERMISSIONS.SECURITY_MANAGE), updateSecuritySettingsAdmin);
 
 module.exports = router;
\ No newline at end of file
@@ -2,14 +2,26 @@ const express = require('express');
 const {
   register,
   login,
+  verifyLoginTwoFactor,
+  requestMagicLink,
+  verifyMagicLink,
   getMe,
   updateProfileUser,
   changePassword,
   refreshTokenHandler,
   logout,
   logoutAll,
+  getSessions,
+  revokeSession,
   deleteAccount,
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require('../controllers/twoFactorController');
 const { protect } = require('../middleware/auth');
 const { strictLimiter, authLimiter } = require('../middleware/rateLimiter');
 
@@ -18,6 +30,11 @@ const router = express.Router();
 // Public routes with strict rate limiting
 router.post('/register', strictLimiter, register);
 router.post('/login', authLimiter, login);
+router.post('/login/2fa', authLimiter, verifyLoginTwoFactor);
+
+// Passwordless login: sending emails gets the strict limit, like register
+router.post('/magic-link', strictLimiter, requestMagicLink);
+router.post('/magic-link/verify', authLimiter, verifyMagicLink);
 
 // Refresh token route (public - uses refresh token cookie, not access token)
 router.post('/refresh', authLimiter, refreshTokenHandler);
@@ -30,6 +47,15 @@ router.put('/profile', updateProfileUser);
 router.put('/change-password', changePassword);
 router.post('/logout', logout);
 router.post('/logout-all', logoutAll);
+router.get('/sessions', getSessions);
+router.delete('/sessions/:id', revokeSession);
 router.delete('/delete-account', deleteAccount);
 
+// Two-factor authentication (TOTP)
+router.get('/2fa', getTwoFactorStatus);
+router.post('/2fa/setup', authLimiter, setupTwoFactor);
+router.post('/2fa/enable', authLimiter, enableTwoFactor);
+router.post('/2fa/disable', authLimiter, disableTwoFactor);
+router.post('/2fa/recovery-codes', authLimiter, regenerateRecoveryCodes);
+
 module.exports = router;
\ No newline at end of file
@@ -10,7 +10,8 @@ const {
   getDeletedMessages,
   restoreContactMessage,
 } = require('../controllers/contactController');
-const { protect, optionalAuth, authorize } = require('../middleware/auth');
+const { protect, optionalAuth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../constants/permissions');
 const { contactLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
@@ -23,11 +24,11 @@ router.get('/my-messages', protect, getUserContactMessages);
 router.patch('/:id/reply', protect, addReplyToDiscussion);
 router.patch('/:id/discussion/:discussionId/status', protect, markDiscussionMessageAsRead);
 
-// Admin routes - require authentication and admin role
-router.get('/admin/messages', protect, authorize('admin'), getContactMessages);
-router.get('/admin/messages/deleted', protect, authorize('admin'), getDeletedMessages);
-router.patch('/admin/messages/:id/status', protect, authorize('admin'), updateContactMessageStatus);
-router.patch('/admin/messages/:id/restore', protect, authorize('admin'), restoreContactMessage);
-router.delete('/admin/messages/:id', protect, authorize('admin'), deleteContactMessage);
+// Staff routes - require authentication and the contacts permission
+router.get('/admin/messages', protect, requirePermission(PERMISSIONS.CONTACTS_MANAGE), getContactMessages);
+router.get('/admin/messages/deleted', protect, requirePermission(PERMISSIONS.CONTACTS_MANAGE), getDeletedMessages);
+router.patch('/admin/messages/:id/status', protect, requirePermission(PERMISSIONS.CONTACTS_MANAGE), updateContactMessageStatus);
+router.patch('/admin/messages/:id/restore', protect, requirePermission(PERMISSIONS.CONTACTS_MANAGE), restoreContactMessage);
+router.delete('/admin/messages/:id', protect, requirePermission(PERMISSIONS.CONTACTS_MANAGE), deleteContactMessage);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getFloor,
+  seatWalkIn,
+  seatReservation,
+  moveParty,
+  clearParty,
+} = require('../controllers/floorController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../constants/permissions');
+
+const router = express.Router();
+
+// Host stand - hosts and managers
+router.use(protect);
+router.use(requirePermission(PERMISSIONS.FLOOR_MANAGE));
+
+router.get('/', getFloor);
+router.post('/walk-ins', seatWalkIn);
+router.post('/reservations/:id/seat', seatReservation);
+router.post('/reservations/:id/move', moveParty);
+router.post('/reservations/:id/clear', clearParty);
+
+module.exports = router;
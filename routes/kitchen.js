@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getKitchenBoard,
+  bumpOrderItem,
+  unbumpOrderItem,
+} = require('../controllers/kitchenController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../constants/permissions');
+
+const router = express.Router();
+
+// Kitchen display: staff only
+router.use(protect);
+router.use(requirePermission(PERMISSIONS.KITCHEN_MANAGE));
+
+router.get('/board', getKitchenBoard);
+
+// Item bumps (the order moves to ready once every item is bumped)
+router.post('/orders/:id/items/:itemId/bump', bumpOrderItem);
+router.delete('/orders/:id/items/:itemId/bump', unbumpOrderItem);
+
+module.exports = router;
@@ -11,7 +11,8 @@ const {
   getPopularItems,
   getSuggestedItems,
 } = require('../controllers/menuController');
-const { protect, authorize, requireEmailVerified } = require('../middleware/auth');
+const { protect, requirePermission, requireEmailVerified } = require('../middleware/auth');
+const { PERMISSIONS } = require('../constants/permissions');
 const { uploadMenuImage } = require('../middleware/cloudinaryUpload');
 
 const router = express.Router();
@@ -27,9 +28,9 @@ router.post('/:id/review', protect, requireEmailVerified, addReview);
 router.get('/:id/review', getReviews);
 router.get('/:id/rating', getRating);
 
-// Admin only routes
-router.post('/', protect, authorize('admin'), uploadMenuImage, createMenuItem);
-router.put('/:id', protect, authorize('admin'), uploadMenuImage, updateMenuItem);
-router.delete('/:id', protect, authorize('admin'), deleteMenuItem);
+// Staff routes - menu managers only
+router.post('/', protect, requirePermission(PERMISSIONS.MENU_MANAGE), uploadMenuImage, createMenuItem);
+router.put('/:id', protect, requirePermission(PERMISSIONS.MENU_MANAGE), uploadMenuImage, updateMenuItem);
+router.delete('/:id', protect, requirePermission(PERMISSIONS.MENU_MANAGE), deleteMenuItem);
 
 module.exports = router;
\ No newline at end of file
@@ -6,14 +6,15 @@ const {
   unsubscribeNewsletter,
   unsubscribePromotions,
 } = require('../controllers/newsletterController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
-// Admin routes - require authentication and admin role
-router.post('/send', protect, authorize('admin'), sendNewsletter);
-router.post('/promotion', protect, authorize('admin'), sendPromotion);
-router.get('/stats', protect, authorize('admin'), getNewsletterStats);
+// Staff routes - require authentication and the newsletter permission
+router.post('/send', protect, requirePermission(PERMISSIONS.NEWSLETTER_SEND), sendNewsletter);
+router.post('/promotion', protect, requirePermission(PERMISSIONS.NEWSLETTER_SEND), sendPromotion);
+router.get('/stats', protect, requirePermission(PERMISSIONS.NEWSLETTER_SEND), getNewsletterStats);
 
 // Public routes - unsubscribe links (no auth required)
 router.get('/unsubscribe/newsletter/:userId', unsubscribeNewsletter);
@@ -10,26 +10,38 @@ const {
   getOrderStats,
   getRecentAdminOrders,
   getHistoricalAdminOrders,
+  streamOrderEvents,
+  createStreamTicket,
 } = require('../controllers/orderController');
-const { protect, authorize, requireEmailVerified } = require('../middleware/auth');
+const { refundOrder, recordCashRefund } = require('../controllers/paymentController');
+const { protect, protectStream, requirePermission, requireEmailVerified } = require('../middleware/auth');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
+// Live order events (Server-Sent Events) - a stream ticket may come from ?ticket=
+router.get('/stream', protectStream, streamOrderEvents);
+
 // All routes are protected
 router.use(protect);
 
-// Admin routes - MUST be before /:id routes to avoid conflicts
-router.get('/admin/recent', authorize('admin'), getRecentAdminOrders);
-router.get('/admin/history', authorize('admin'), getHistoricalAdminOrders);
-router.get('/admin', authorize('admin'), getAdminOrders);
-router.get('/stats', authorize('admin'), getOrderStats);
+router.post('/stream/ticket', createStreamTicket);
+
+// Staff routes - MUST be before /:id routes to avoid conflicts
+router.get('/admin/recent', requirePermission(PERMISSIONS.ORDERS_VIEW), getRecentAdminOrders);
+router.get('/admin/history', requirePermission(PERMISSIONS.ORDERS_VIEW), getHistoricalAdminOrders);
+router.get('/admin', requirePermission(PERMISSIONS.ORDERS_VIEW), getAdminOrders);
+router.get('/stats', requirePermission(PERMISSIONS.ORDERS_VIEW), getOrderStats);
 
 // User routes - createOrder requires verified email
 router.post('/', requireEmailVerified, createOrder);
 router.get('/', getUserOrders);
 router.get('/:id', getOrder);
-router.patch('/:id/status', authorize('admin'), updateOrderStatus);
+// Drivers may only move delivery orders along (checked in the controller)
+router.patch('/:id/status', requirePermission(PERMISSIONS.ORDERS_UPDATE, PERMISSIONS.ORDERS_DELIVER), updateOrderStatus);
+router.post('/:id/refunds', requirePermission(PERMISSIONS.ORDERS_REFUND), refundOrder);
+router.post('/:id/refunds/cash', requirePermission(PERMISSIONS.ORDERS_REFUND), recordCashRefund);
 router.delete('/:id', cancelOrder);
-router.delete('/:id/delete', authorize('admin'), deleteOrder);
+router.delete('/:id/delete', requirePermission(PERMISSIONS.ORDERS_DELETE), deleteOrder);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,9 @@ const express = require('express');
 const {
   createStripePaymentIntent,
   confirmStripePayment,
+  createEventDepositIntent,
+  confirmEventDeposit,
+  handleStripeWebhook,
   getPaymentMethods,
 } = require('../controllers/paymentController');
 const { protect, requireEmailVerified } = require('../middleware/auth');
@@ -9,7 +12,11 @@ const { moderateLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
-// All payment routes require authentication and moderate rate limiting
+// Stripe webhook - public, authenticated by signature (MUST be before protect)
+// Requires the raw body: server.js mounts express.raw() on this path before express.json()
+router.post('/stripe/webhook', handleStripeWebhook);
+
+// All other payment routes require authentication and moderate rate limiting
 router.use(protect);
 router.use(moderateLimiter);
 
@@ -19,5 +26,7 @@ router.get('/methods', getPaymentMethods);
 // Stripe routes - require verified email for payment operations
 router.post('/stripe/create-intent', requireEmailVerified, createStripePaymentIntent);
 router.post('/stripe/confirm', requireEmailVerified, confirmStripePayment);
+router.post('/stripe/event-deposit/create-intent', requireEmailVerified, createEventDepositIntent);
+router.post('/stripe/event-deposit/confirm', requireEmailVerified, confirmEventDeposit);
 
 module.exports = router;
\ No newline at end of file
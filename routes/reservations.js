@@ -6,28 +6,78 @@ const {
   getHistoricalAdminReservations,
   updateAdminReservation,
   updateReservationStatus,
+  confirmReservationByPhone,
   updateUserReservation,
   cancelUserReservation,
+  getReservationEmailLink,
+  respondToReservationEmailLink,
   getReservationStats,
 } = require('../controllers/reservationController');
-const { protect, authorize, requireEmailVerified } = require('../middleware/auth');
+const {
+  joinWaitlist,
+  getUserWaitlist,
+  confirmWaitlistOffer,
+  leaveWaitlist,
+  getAdminWaitlist,
+} = require('../controllers/waitlistController');
+const {
+  createEventRequest,
+  getUserEventRequests,
+  cancelEventRequest,
+  getAdminEventRequests,
+  quoteEventRequest,
+  approveEventRequest,
+  declineEventRequest,
+} = require('../controllers/eventRequestController');
+const { getReservationIcs, getCalendarFeed } = require('../controllers/calendarController');
+const { protect, requirePermission, requireEmailVerified } = require('../middleware/auth');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
-// All routes are protected
+// One-click links from reminder emails - the signed token stands in for the login
+router.get('/email-links/:token', getReservationEmailLink);
+router.post('/email-links/:token', respondToReservationEmailLink);
+
+// Staff calendar subscription - calendar apps cannot log in, the feed token does
+router.get('/calendar-feed/:token', getCalendarFeed);
+
+// All other routes are protected
 router.use(protect);
 
+// Waitlist routes - before /:id so "waitlist" is not read as a reservation ID
+router.post('/waitlist', requireEmailVerified, joinWaitlist);
+router.get('/waitlist', getUserWaitlist);
+router.post('/waitlist/:id/confirm', requireEmailVerified, confirmWaitlistOffer);
+router.delete('/waitlist/:id', leaveWaitlist);
+
+// Large-party and private event requests - also before /:id
+router.post('/events', requireEmailVerified, createEventRequest);
+router.get('/events', getUserEventRequests);
+router.delete('/events/:id', cancelEventRequest);
+
 // User routes - create/update require verified email
 router.post('/', requireEmailVerified, createReservation);
 router.get('/', getUserReservations);
+router.get('/:id/ics', getReservationIcs);
 router.put('/:id', requireEmailVerified, updateUserReservation);
 router.delete('/:id', cancelUserReservation);
 
 // Admin routes - specific routes MUST be before generic ones to avoid conflicts
-router.get('/admin/recent', authorize('admin'), getRecentAdminReservations);
-router.get('/admin/history', authorize('admin'), getHistoricalAdminReservations);
-router.get('/admin/stats', authorize('admin'), getReservationStats);
-router.patch('/admin/:id/status', authorize('admin'), updateReservationStatus);
-router.put('/admin/:id', authorize('admin'), updateAdminReservation);
+const manageReservations = requirePermission(PERMISSIONS.RESERVATIONS_MANAGE);
+const manageEvents = requirePermission(PERMISSIONS.EVENTS_MANAGE);
+
+router.get('/admin/recent', manageReservations, getRecentAdminReservations);
+router.get('/admin/history', manageReservations, getHistoricalAdminReservations);
+router.get('/admin/stats', manageReservations, getReservationStats);
+router.get('/admin/waitlist', manageReservations, getAdminWaitlist);
+// Hosts see the events that block their tables; pricing and approval stay with managers
+router.get('/admin/events', requirePermission(PERMISSIONS.EVENTS_MANAGE, PERMISSIONS.RESERVATIONS_MANAGE), getAdminEventRequests);
+router.put('/admin/events/:id/quote', manageEvents, quoteEventRequest);
+router.post('/admin/events/:id/approve', manageEvents, approveEventRequest);
+router.post('/admin/events/:id/decline', manageEvents, declineEventRequest);
+router.patch('/admin/:id/status', manageReservations, updateReservationStatus);
+router.patch('/admin/:id/phone-confirmation', manageReservations, confirmReservationByPhone);
+router.put('/admin/:id', manageReservations, updateAdminReservation);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+const express = require('express');
+const { getSchedule, getDaySlots } = require('../controllers/scheduleController');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getSchedule);
+router.get('/day', getDaySlots);
+
+module.exports = router;
@@ -5,11 +5,10 @@ const {
   getAvailableTables,
   getTable,
   updateTable,
-  addBookingToTable,
-  removeBookingFromTable,
   initializeTables
 } = require('../controllers/tableController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
@@ -20,12 +19,10 @@ router.use(protect);
 router.get('/availability', getTableAvailabilityForDate);
 router.get('/available', getAvailableTables);
 
-// Admin only routes
-router.get('/', authorize('admin'), getTables);
-router.get('/:id', authorize('admin'), getTable);
-router.put('/:id', authorize('admin'), updateTable);
-// router.post('/:id/bookings', authorize('admin'), addBookingToTable);
-// router.delete('/:id/bookings', authorize('admin'), removeBookingFromTable);
-router.post('/initialize', authorize('admin'), initializeTables);
+// Staff routes - the host stand reads tables, managers change them
+router.get('/', requirePermission(PERMISSIONS.TABLES_MANAGE, PERMISSIONS.FLOOR_MANAGE), getTables);
+router.get('/:id', requirePermission(PERMISSIONS.TABLES_MANAGE, PERMISSIONS.FLOOR_MANAGE), getTable);
+router.put('/:id', requirePermission(PERMISSIONS.TABLES_MANAGE), updateTable);
+router.post('/initialize', requirePermission(PERMISSIONS.TABLES_MANAGE), initializeTables);
 
 module.exports = router;
\ No newline at end of file
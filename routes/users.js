@@ -6,23 +6,34 @@ const {
   deleteUser,
   getUsersStats,
   getAdminUsers,
+  getRoles,
+  updateUserRole,
+  getUserSessionsAdmin,
+  revokeUserSessionsAdmin,
+  resetUserTwoFactorAdmin,
 } = require('../controllers/userController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
-// All routes are protected and admin only
+// All routes are protected and need the user management permission
 router.use(protect);
-router.use(authorize('admin'));
+router.use(requirePermission(PERMISSIONS.USERS_MANAGE));
 
 // Admin routes (must come before general routes)
-router.get('/admin', authorize('admin'), getAdminUsers);
+router.get('/admin', getAdminUsers);
+router.get('/roles', getRoles);
 
 // General routes
 router.get('/', getUsers);
 router.get('/stats', getUsersStats);
 router.get('/:id', getUser);
+router.put('/:id/role', requirePermission(PERMISSIONS.ROLES_ASSIGN), updateUserRole);
+router.get('/:id/sessions', getUserSessionsAdmin);
+router.delete('/:id/sessions', revokeUserSessionsAdmin);
+router.delete('/:id/two-factor', resetUserTwoFactorAdmin);
 router.put('/:id', updateUser);
 router.delete('/:id', deleteUser);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,87 @@
+/**
+ * Normalize Reservation Dates Script
+ *
+ * Reservation, waitlist and private event days are now stored as UTC
+ * midnight of their calendar day (see utils/timezone.js). Older documents may
+ * hold another instant for their day, such as the server's or the browser's
+ * local midnight. This script reports them, or rewrites each one to the day
+ * it falls on in RESTAURANT_TIMEZONE.
+ *
+ * Usage:
+ *   node scripts/normalizeReservationDates.js          # report (no changes)
+ *   node scripts/normalizeReservationDates.js --apply  # rewrite the dates
+ *
+ * Set RESTAURANT_TIMEZONE before running: it decides which day an instant
+ * belongs to.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const EventRequest = require('../models/EventRequest');
+const { startOfDay, getRestaurantTimezone, toDateKey } = require('../utils/timezone');
+
+const apply = process.argv.slice(2).includes('--apply');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COLLECTIONS = [
+  { name: 'reservations', model: Reservation },
+  { name: 'waitlist entries', model: WaitlistEntry },
+  { name: 'event requests', model: EventRequest },
+];
+
+/**
+ * Report or fix the off-midnight dates of one collection
+ * @param {Object} collection - { name, model }
+ * @returns {Promise<number>} Documents found off midnight
+ */
+const normalizeCollection = async ({ name, model }) => {
+  // Stored days are exact multiples of a day since the epoch
+  const documents = await model.find({
+    date: { $ne: null },
+    $expr: { $ne: [{ $mod: [{ $toLong: '$date' }, DAY_MS] }, 0] },
+  }).select('date').lean();
+
+  for (const document of documents) {
+    const day = startOfDay(document.date);
+    if (apply) {
+      // Raw update: the Reservation model would refuse days already past
+      await model.collection.updateOne({ _id: document._id }, { $set: { date: day } });
+    }
+    console.log(`${apply ? '🔧' : '⚠️ '} ${name} ${document._id}: ${document.date.toISOString()} -> ${toDateKey(day)}`);
+  }
+
+  return documents.length;
+};
+
+const normalizeReservationDates = async () => {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+    console.log(`🕐 Restaurant timezone: ${getRestaurantTimezone()}\n`);
+
+    let total = 0;
+    for (const collection of COLLECTIONS) {
+      total += await normalizeCollection(collection);
+    }
+
+    if (total === 0) {
+      console.log('✅ All dates are stored as calendar days');
+    } else if (apply) {
+      console.log(`\n✅ Normalized ${total} date(s)`);
+    } else {
+      console.log(`\n${total} date(s) to normalize. Run with --apply to rewrite them.`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('👋 Database connection closed.');
+  }
+};
+
+normalizeReservationDates();
@@ -0,0 +1,172 @@
+/**
+ * Repair Table Bookings Script
+ *
+ * Table.tableBookings used to be maintained next to reservations and could
+ * drift from them. Availability is now computed from reservations only, so
+ * this field is a leftover: this script reports the drift, rebuilds the
+ * snapshot from reservations, or removes it.
+ *
+ * Usage:
+ *   node scripts/repairTableBookings.js            # report drift (no changes)
+ *   node scripts/repairTableBookings.js --rebuild  # rewrite tableBookings from reservations
+ *   node scripts/repairTableBookings.js --drop     # remove tableBookings from all tables
+ *
+ * --from=YYYY-MM-DD sets the first day considered by report/rebuild (default: today).
+ *
+ * --rebuild and --drop also remove the legacy unique reservation index
+ * (date, time, tableNumber), which blocked a table for the whole day.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Table = require('../models/Table');
+const Reservation = require('../models/Reservation');
+const {
+  ACTIVE_RESERVATION_STATUSES,
+  getReservationWindow,
+  getSlotsInWindow
+} = require('../services/reservations/availabilityService');
+const { startOfDay, getToday, formatDay } = require('../utils/timezone');
+
+const args = process.argv.slice(2);
+const mode = args.includes('--drop') ? 'drop' : args.includes('--rebuild') ? 'rebuild' : 'check';
+const fromArg = args.find(arg => arg.startsWith('--from='));
+
+const LEGACY_RESERVATION_INDEX = 'date_1_time_1_tableNumber_1';
+
+/**
+ * Report or drop the legacy reservation index
+ * @param {boolean} drop - Drop it when present
+ */
+const handleLegacyIndex = async (drop) => {
+  const indexes = await Reservation.collection.indexes().catch(() => []); // No collection yet
+  if (!indexes.some(index => index.name === LEGACY_RESERVATION_INDEX)) return;
+
+  if (drop) {
+    await Reservation.collection.dropIndex(LEGACY_RESERVATION_INDEX);
+    console.log(`🗑️  Dropped legacy reservation index ${LEGACY_RESERVATION_INDEX}`);
+  } else {
+    console.log(`⚠️  Legacy reservation index ${LEGACY_RESERVATION_INDEX} still exists`);
+  }
+};
+
+const toDayKey = (date) => startOfDay(date).getTime();
+
+/**
+ * Compute the bookings each table should have from active reservations
+ * @param {Date} from - First day to include
+ * @returns {Promise<Map>} tableNumber -> Map(dayKey -> Set(slot))
+ */
+const computeExpectedBookings = async (from) => {
+  const reservations = await Reservation.find({
+    date: { $gte: from },
+    status: { $in: ACTIVE_RESERVATION_STATUSES }
+  }).select('date slot guests tableNumber');
+
+  const expected = new Map();
+  reservations.forEach(reservation => {
+    const window = getReservationWindow(reservation.date, reservation.slot, reservation.guests);
+    if (!window) return;
+
+    const slots = getSlotsInWindow(reservation.date, window);
+    reservation.tableNumber.forEach(tableNumber => {
+      const days = expected.get(tableNumber) || new Map();
+      const daySlots = days.get(toDayKey(reservation.date)) || new Set();
+      slots.forEach(slot => daySlots.add(slot));
+      days.set(toDayKey(reservation.date), daySlots);
+      expected.set(tableNumber, days);
+    });
+  });
+
+  return expected;
+};
+
+/**
+ * Convert expected bookings of one table to the tableBookings format
+ * @param {Map} days - dayKey -> Set(slot)
+ * @returns {Array<Object>} [{ date, bookedSlots }] sorted by date
+ */
+const toTableBookings = (days = new Map()) => {
+  return [...days.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([dayKey, slots]) => ({
+      date: new Date(dayKey),
+      bookedSlots: [...slots].sort((a, b) => a - b)
+    }));
+};
+
+/**
+ * Serialize bookings for comparison
+ * @param {Array<Object>} bookings - [{ date, bookedSlots }]
+ * @param {Date} from - First day to include
+ * @returns {string} Stable representation
+ */
+const serializeBookings = (bookings, from) => {
+  return JSON.stringify(
+    bookings
+      .filter(booking => toDayKey(booking.date) >= from.getTime())
+      .map(booking => [toDayKey(booking.date), [...booking.bookedSlots].sort((a, b) => a - b)])
+      .sort(([a], [b]) => a - b)
+  );
+};
+
+const repairTableBookings = async () => {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    await handleLegacyIndex(mode !== 'check');
+
+    if (mode === 'drop') {
+      const result = await Table.updateMany({}, { $unset: { tableBookings: '' } });
+      console.log(`🗑️  Removed tableBookings from ${result.modifiedCount} table(s)`);
+      return;
+    }
+
+    const from = fromArg ? startOfDay(fromArg.split('=')[1]) : getToday();
+    if (isNaN(from)) {
+      throw new Error(`Invalid --from date: ${fromArg}`);
+    }
+
+    const expected = await computeExpectedBookings(from);
+    const tables = await Table.find().sort({ tableNumber: 1 });
+    let drifted = 0;
+
+    for (const table of tables) {
+      const expectedBookings = toTableBookings(expected.get(table.tableNumber));
+      const stored = serializeBookings(table.tableBookings || [], from);
+
+      if (stored === serializeBookings(expectedBookings, from)) continue;
+      drifted++;
+
+      if (mode === 'rebuild') {
+        // Keep days before `from` as they were; replace everything after
+        const pastBookings = (table.tableBookings || []).filter(booking => toDayKey(booking.date) < from.getTime());
+        await Table.updateOne(
+          { _id: table._id },
+          { $set: { tableBookings: [...pastBookings, ...expectedBookings] } }
+        );
+        console.log(`🔧 Table ${table.tableNumber}: rebuilt ${expectedBookings.length} day(s)`);
+      } else {
+        console.log(`⚠️  Table ${table.tableNumber}: stored bookings differ from reservations`);
+      }
+    }
+
+    if (drifted === 0) {
+      console.log(`✅ All ${tables.length} table(s) match reservations since ${formatDay(from)}`);
+    } else if (mode === 'check') {
+      console.log(`\n${drifted} table(s) out of sync. Run with --rebuild to fix or --drop to remove the field.`);
+    } else {
+      console.log(`\n✅ Rebuilt ${drifted} table(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('👋 Database connection closed.');
+  }
+};
+
+repairTableBookings();
@@ -16,6 +16,7 @@ const User = require('../models/User');
 const MenuItem = require('../models/MenuItem');
 const Reservation = require('../models/Reservation');
 const Order = require('../models/Order');
+const Counter = require('../models/Counter');
 const Contact = require('../models/Contact');
 const RestaurantReview = require('../models/RestaurantReview');
 const RefreshToken = require('../models/RefreshToken');
@@ -30,6 +31,7 @@ async function clearAllCollections() {
   await MenuItem.deleteMany({});
   await Reservation.deleteMany({});
   await Order.deleteMany({});
+  await Counter.deleteMany({ _id: /^order/ });
   await Contact.deleteMany({});
   await RestaurantReview.deleteMany({});
   await RefreshToken.deleteMany({});
@@ -191,8 +193,8 @@ async function seedMenuInternal() {
 async function seedReservationsInternal() {
   const Reservation = require('../models/Reservation');
   const User = require('../models/User');
-  const Table = require('../models/Table');
   const { getLabelFromSlot } = require('../utils/timeSlots');
+  const { getToday, addDays, toDateKey } = require('../utils/timezone');
 
   const users = await User.find({});
   const userMap = {};
@@ -200,20 +202,12 @@ async function seedReservationsInternal() {
     userMap[user.email] = { id: user._id, name: user.name };
   });
 
-  const getRelativeDate = (daysFromNow) => {
-    const date = new Date();
-    date.setDate(date.getDate() + daysFromNow);
-    date.setHours(0, 0, 0, 0);
-    return date;
-  };
+  const getRelativeDate = (daysFromNow) => addDays(getToday(), daysFromNow);
 
   // Helper to generate reservation number
   const generateReservationNumber = (date, slot, tableNumbers) => {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const dateStr = `${year}${month}${day}`;
-    const timeLabel = getLabelFromSlot(slot);
+    const dateStr = toDateKey(date).replace(/-/g, '');
+    const timeLabel = getLabelFromSlot(slot, date);
     const timeStr = timeLabel.replace(':', '');
     const tablesStr = tableNumbers.sort((a, b) => a - b).join('-');
     return `${dateStr}-${timeStr}-${tablesStr}`;
@@ -261,18 +255,6 @@ async function seedReservationsInternal() {
   const result = await Reservation.collection.insertMany(reservationsToInsert);
   const created = { length: result.insertedCount };
 
-  // Update table bookings for active reservations
-  for (const res of reservationsTemplate) {
-    if (!['cancelled', 'no-show', 'completed'].includes(res.status)) {
-      for (const tableNum of res.tableNumber) {
-        await Table.findOneAndUpdate(
-          { tableNumber: tableNum },
-          { $push: { tableBookings: { date: res.date, bookedSlots: [res.slot, res.slot + 1, res.slot + 2] } } }
-        );
-      }
-    }
-  }
-
   // Update user stats
   for (const email of Object.keys(userMap)) {
     const resCount = await Reservation.countDocuments({ userEmail: email });
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
 const Order = require('../models/Order');
+const Counter = require('../models/Counter');
 const User = require('../models/User');
 const MenuItem = require('../models/MenuItem');
 
@@ -236,6 +237,7 @@ async function seedOrders() {
 
     // Clear existing orders
     await Order.deleteMany({});
+    await Counter.deleteMany({ _id: /^order/ });
     console.log('🗑️  Cleared existing orders');
 
     // Reset order counter
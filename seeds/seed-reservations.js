@@ -3,18 +3,14 @@ require('dotenv').config();
 const Reservation = require('../models/Reservation');
 const User = require('../models/User');
 const Table = require('../models/Table');
+const { getToday, addDays } = require('../utils/timezone');
 
-// Helper to get date relative to today
-const getRelativeDate = (daysFromNow) => {
-  const date = new Date();
-  date.setDate(date.getDate() + daysFromNow);
-  date.setHours(0, 0, 0, 0);
-  return date;
-};
+// Helper to get date relative to today (restaurant timezone)
+const getRelativeDate = (daysFromNow) => addDays(getToday(), daysFromNow);
 
-// Time slots reference:
-// 1: 11:00, 2: 11:30, 3: 12:00, 4: 12:30, 5: 13:00, 6: 13:30, 7: 14:00
-// 8: 18:30, 9: 19:00, 10: 19:30, 11: 20:00, 12: 20:30, 13: 21:00, 14: 21:30
+// Time slots reference (default schedule, see utils/timeSlots.js):
+// 1: 11:00, 2: 11:30, 3: 12:00, 4: 12:30, 5: 13:00, 6: 13:30
+// 7: 18:00, 8: 18:30, 9: 19:00, 10: 19:30, 11: 20:00, 12: 20:30, 13: 21:00, 14: 21:30, 15: 22:00
 
 // Reservations will be created with dynamic user IDs
 const reservationsTemplate = [
@@ -194,23 +190,6 @@ async function seedReservations() {
       const reservation = new Reservation(resData);
       await reservation.save();
       createdReservations.push(reservation);
-
-      // Update table bookings for non-cancelled/no-show reservations
-      if (!['cancelled', 'no-show', 'completed'].includes(resData.status)) {
-        for (const tableNum of resData.tableNumber) {
-          await Table.findOneAndUpdate(
-            { tableNumber: tableNum },
-            {
-              $push: {
-                tableBookings: {
-                  date: resData.date,
-                  bookedSlots: [resData.slot, resData.slot + 1, resData.slot + 2]
-                }
-              }
-            }
-          );
-        }
-      }
     }
 
     console.log(`✅ Created ${createdReservations.length} reservations`);
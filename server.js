@@ -13,9 +13,14 @@ const errorHandler = require('./middleware/errorHandler');
 const { standardLimiter } = require('./middleware/rateLimiter');
 const mongoSanitize = require('./middleware/mongoSanitize');
 const logger = require('./utils/logger');
+const { loadSchedule } = require('./services/schedule/scheduleService');
+const { startJobs } = require('./services/jobs/jobRunner');
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then load the saved opening hours (defaults until then)
+connectDB()
+  .then(() => mongoose.connection.readyState === 1 && loadSchedule())
+  .catch((error) => logger.error('Failed to load restaurant schedule, using defaults', error))
+  .then(() => mongoose.connection.readyState === 1 && startJobs());
 
 const app = express();
 
@@ -121,6 +126,9 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
+// Stripe webhook needs the raw body for signature verification (must run before express.json)
+app.use('/api/payments/stripe/webhook', express.raw({ type: 'application/json', limit: '100kb' }));
+
 // Body parsing middleware with size limits to prevent DoS
 app.use(express.json({ limit: '100kb' }));  // 100kb for JSON (reviews, orders, etc.)
 app.use(express.urlencoded({ extended: true, limit: '100kb' }));
@@ -188,8 +196,11 @@ app.use('/api/menu', require('./routes/menu'));
 app.use('/api/review', require('./routes/review'));
 app.use('/api/restaurant', require('./routes/restaurant'));
 app.use('/api/orders', require('./routes/orders'));
+app.use('/api/kitchen', require('./routes/kitchen'));
 app.use('/api/reservations', require('./routes/reservations'));
 app.use('/api/tables', require('./routes/tables'));
+app.use('/api/floor', require('./routes/floor'));
+app.use('/api/schedule', require('./routes/schedule'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/payments', require('./routes/payments'));
@@ -100,6 +100,133 @@ class EmailService {
     });
   }
 
+  /**
+   * Send passwordless sign-in email (link + 6-digit code, same expiry)
+   */
+  async sendLoginLinkEmail(email, name, loginUrl, code, expiresInMinutes) {
+    const htmlContent = this.loadTemplate('loginLink', {
+      name,
+      loginUrl,
+      code,
+      expiresInMinutes,
+      year: new Date().getFullYear(),
+    });
+
+    return this.sendEmail({
+      to: email,
+      subject: `Your Sign-In Code: ${code} - RestOh Restaurant`,
+      htmlContent,
+    });
+  }
+
+  /**
+   * Send waitlist offer email (a table is held until offer.expiresAt)
+   * @param {object} offer - { date, time, guests, expiresAt, confirmUrl }
+   */
+  async sendWaitlistOfferEmail(email, name, { date, time, guests, expiresAt, confirmUrl }) {
+    const htmlContent = this.loadTemplate('waitlistOffer', {
+      name,
+      date,
+      time,
+      guests,
+      expiresAt,
+      confirmUrl,
+      year: new Date().getFullYear(),
+    });
+
+    return this.sendEmail({
+      to: email,
+      subject: 'A Table Is Waiting for You - RestOh Restaurant',
+      htmlContent,
+    });
+  }
+
+  /**
+   * Send reservation confirmation email
+   * @param {object} reservation - { reservationNumber, date, time, guests }
+   */
+  async sendReservationConfirmationEmail(email, name, { reservationNumber, date, time, guests }) {
+    const htmlContent = this.loadTemplate('reservationConfirmation', {
+      name,
+      reservationNumber,
+      date,
+      time,
+      guests,
+      year: new Date().getFullYear(),
+    });
+
+    return this.sendEmail({
+      to: email,
+      subject: 'Reservation Confirmed - RestOh Restaurant',
+      htmlContent,
+    });
+  }
+
+  /**
+   * Send reservation update email (new date, time or party size)
+   * @param {object} reservation - { reservationNumber, date, time, guests }
+   */
+  async sendReservationUpdateEmail(email, name, { reservationNumber, date, time, guests }) {
+    const htmlContent = this.loadTemplate('reservationUpdate', {
+      name,
+      reservationNumber,
+      date,
+      time,
+      guests,
+      year: new Date().getFullYear(),
+    });
+
+    return this.sendEmail({
+      to: email,
+      subject: 'Reservation Updated - RestOh Restaurant',
+      htmlContent,
+    });
+  }
+
+  /**
+   * Send reservation cancellation email
+   * @param {object} reservation - { reservationNumber, date, time, guests }
+   */
+  async sendReservationCancellationEmail(email, name, { reservationNumber, date, time, guests }) {
+    const htmlContent = this.loadTemplate('reservationCancellation', {
+      name,
+      reservationNumber,
+      date,
+      time,
+      guests,
+      year: new Date().getFullYear(),
+    });
+
+    return this.sendEmail({
+      to: email,
+      subject: 'Reservation Cancelled - RestOh Restaurant',
+      htmlContent,
+    });
+  }
+
+  /**
+   * Send reservation reminder email with one-click confirm/cancel links
+   * @param {object} reservation - { reservationNumber, date, time, guests, confirmUrl, cancelUrl }
+   */
+  async sendReservationReminderEmail(email, name, { reservationNumber, date, time, guests, confirmUrl, cancelUrl }) {
+    const htmlContent = this.loadTemplate('reservationReminder', {
+      name,
+      reservationNumber,
+      date,
+      time,
+      guests,
+      confirmUrl,
+      cancelUrl,
+      year: new Date().getFullYear(),
+    });
+
+    return this.sendEmail({
+      to: email,
+      subject: 'Your Reservation Is Coming Up - RestOh Restaurant',
+      htmlContent,
+    });
+  }
+
   /**
    * Send newsletter email
    */
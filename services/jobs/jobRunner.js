@@ -0,0 +1,82 @@
+/**
+ * Background Jobs - periodic maintenance run inside the API process
+ *
+ * Every job runs on the same interval (JOBS_INTERVAL_SECONDS). A round is
+ * skipped while the previous one is still running, and a failing job is
+ * logged without stopping the others.
+ */
+
+const logger = require('../../utils/logger');
+const { expireHolds } = require('../waitlist/waitlistService');
+const { markNoShows } = require('../reservations/reliabilityService');
+const { sendDueReminders } = require('../reservations/reservationNotificationService');
+const { loadSchedule, realignReservations } = require('../schedule/scheduleService');
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+/**
+ * Registered jobs
+ */
+const JOBS = [
+  // First, so the other jobs see hours saved through another API instance
+  {
+    name: 'schedule-reload',
+    run: async (now) => realignReservations(await loadSchedule(), { now }),
+  },
+  { name: 'reservation-no-shows', run: (now) => markNoShows({ now }) },
+  { name: 'waitlist-hold-expiry', run: (now) => expireHolds({ now }) },
+  { name: 'reservation-reminders', run: (now) => sendDueReminders({ now }) },
+];
+
+let timer = null;
+let running = false;
+
+/**
+ * Run every job once
+ * @param {Date} now - Reference time
+ * @returns {Promise<void>}
+ */
+const runJobs = async (now = new Date()) => {
+  if (running) return;
+  running = true;
+
+  try {
+    for (const job of JOBS) {
+      try {
+        await job.run(now);
+      } catch (error) {
+        logger.error(`Background job ${job.name} failed`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the periodic jobs (not in tests, which call the jobs directly)
+ */
+const startJobs = () => {
+  if (timer || process.env.NODE_ENV === 'test') return;
+
+  const seconds = parseInt(process.env.JOBS_INTERVAL_SECONDS, 10) || DEFAULT_INTERVAL_SECONDS;
+  timer = setInterval(() => runJobs(), seconds * 1000);
+  timer.unref(); // Never keep the process alive on its own
+
+  logger.info('Background jobs started', { jobs: JOBS.map(job => job.name), intervalSeconds: seconds });
+};
+
+/**
+ * Stop the periodic jobs
+ */
+const stopJobs = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  JOBS,
+  runJobs,
+  startJobs,
+  stopJobs,
+};
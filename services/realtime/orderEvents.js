@@ -0,0 +1,95 @@
+/**
+ * Order Events - in-process publish/subscribe for live order tracking
+ *
+ * Controllers publish an event after each order mutation; the SSE endpoint
+ * (GET /api/orders/stream) subscribes and forwards events to connected clients.
+ *
+ * Events only reach clients connected to the same Node process. Running several
+ * instances behind a load balancer requires a shared broker (e.g. Redis pub/sub).
+ */
+
+const { EventEmitter } = require('events');
+const logger = require('../../utils/logger');
+const { toCustomerTimeline } = require('../../utils/orderStatusHelpers');
+
+const ORDER_EVENTS = {
+  CREATED: 'order.created',
+  STATUS_CHANGED: 'order.status_changed',
+  CANCELLED: 'order.cancelled',
+  ITEMS_UPDATED: 'order.items_updated',
+};
+
+const emitter = new EventEmitter();
+// One listener per open stream
+emitter.setMaxListeners(0);
+
+// Monotonic event id (used as the SSE `id:` field)
+let lastEventId = 0;
+
+/**
+ * Publish an order event to all subscribers
+ * Never throws: a failing subscriber must not break the request that changed the order.
+ * @param {string} type - Event type (see ORDER_EVENTS)
+ * @param {Object} order - Order document or plain object
+ * @returns {Object|null} Published event or null on failure
+ */
+const publishOrderEvent = (type, order) => {
+  try {
+    const event = {
+      id: ++lastEventId,
+      type,
+      order: typeof order.toJSON === 'function' ? order.toJSON() : order,
+      emittedAt: new Date().toISOString(),
+    };
+    emitter.emit('order', event);
+    return event;
+  } catch (error) {
+    logger.error('Error publishing order event', error);
+    return null;
+  }
+};
+
+/**
+ * Subscribe to order events
+ * @param {Function} listener - Called with each event { id, type, order, emittedAt }
+ * @returns {Function} Unsubscribe function
+ */
+const subscribeToOrderEvents = (listener) => {
+  emitter.on('order', listener);
+  return () => emitter.off('order', listener);
+};
+
+/**
+ * Reduce an order to the fields a customer needs for tracking
+ * @param {Object} order - Order as plain object (toJSON output)
+ * @returns {Object} Customer-facing order payload
+ */
+const toCustomerOrderPayload = (order) => {
+  return {
+    id: order.id,
+    orderNumber: order.orderNumber,
+    orderType: order.orderType,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    totalPrice: order.totalPrice,
+    scheduledFor: order.scheduledFor || null,
+    estimatedReadyTime: order.estimatedReadyTime,
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+    statusHistory: toCustomerTimeline(order.statusHistory),
+    updatedAt: order.updatedAt,
+  };
+};
+
+/**
+ * Get the number of open subscriptions (monitoring and tests)
+ * @returns {number} Listener count
+ */
+const getSubscriberCount = () => emitter.listenerCount('order');
+
+module.exports = {
+  ORDER_EVENTS,
+  publishOrderEvent,
+  subscribeToOrderEvents,
+  toCustomerOrderPayload,
+  getSubscriberCount,
+};
@@ -0,0 +1,452 @@
+/**
+ * Reservation Availability - single source of truth for table occupancy
+ *
+ * Occupancy is always derived from stored documents: a confirmed or seated
+ * reservation holds its tables from its slot time for the seating duration of
+ * its party size (from the actual seating time once the host stand seats it,
+ * and until it is cleared). A table offered to a waitlisted guest is held the
+ * same way until the offer expires, and an approved private event holds its
+ * tables (every table for a buyout) from its start to its end time.
+ *
+ * Every reservation and table endpoint asks this service; the old
+ * Table.tableBookings copy is no longer read or maintained (see
+ * scripts/repairTableBookings.js).
+ */
+
+const Table = require('../../models/Table');
+const Reservation = require('../../models/Reservation');
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const EventRequest = require('../../models/EventRequest');
+const logger = require('../../utils/logger');
+const {
+  getAllTimeSlots,
+  getDaySchedule,
+  getReservationDateTime,
+  startOfDay,
+  toMinutes
+} = require('../../utils/timeSlots');
+const { addDays, getZonedDateTime } = require('../../utils/timezone');
+
+/**
+ * Reservation statuses that hold tables
+ */
+const ACTIVE_RESERVATION_STATUSES = ['confirmed', 'seated'];
+
+/**
+ * Default seating duration by party size (minutes)
+ * Each entry covers parties up to maxGuests; the last entry covers the rest.
+ * Override with RESERVATION_SEATING_MINUTES, e.g. "2:90,4:90,6:120,20:150".
+ */
+const DEFAULT_SEATING_MINUTES = [
+  { maxGuests: 4, minutes: 90 },
+  { maxGuests: 8, minutes: 120 },
+  { maxGuests: 20, minutes: 150 },
+];
+
+/**
+ * Minutes a party still seated past its expected time is assumed to stay
+ */
+const OVERSTAY_MINUTES = 15;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Parse RESERVATION_SEATING_MINUTES ("maxGuests:minutes,...")
+ * @param {string} value - Raw setting
+ * @returns {Array<Object>|null} Sorted rules, or null when unset or invalid
+ */
+const parseSeatingMinutes = (value) => {
+  if (!value) return null;
+
+  const rules = value.split(',').map(entry => {
+    const [maxGuests, minutes] = entry.split(':').map(part => parseInt(part, 10));
+    return { maxGuests, minutes };
+  });
+
+  const isValid = rules.every(rule => rule.maxGuests > 0 && rule.minutes > 0);
+  if (!isValid) {
+    logger.warn('Invalid RESERVATION_SEATING_MINUTES, using defaults', { value });
+    return null;
+  }
+
+  return rules.sort((a, b) => a.maxGuests - b.maxGuests);
+};
+
+/**
+ * Get the seating duration rules in effect
+ * @returns {Array<Object>} [{ maxGuests, minutes }] sorted by party size
+ */
+const getSeatingRules = () => {
+  return parseSeatingMinutes(process.env.RESERVATION_SEATING_MINUTES) || DEFAULT_SEATING_MINUTES;
+};
+
+/**
+ * Get how long a party keeps its tables
+ * @param {number} guests - Party size
+ * @returns {number} Seating duration in minutes
+ */
+const getSeatingMinutes = (guests) => {
+  const rules = getSeatingRules();
+  const rule = rules.find(r => guests <= r.maxGuests) || rules[rules.length - 1];
+  return rule.minutes;
+};
+
+/**
+ * Get the time window a reservation holds its tables
+ * @param {Date|string} date - Reservation date
+ * @param {number} slot - Slot number
+ * @param {number} guests - Party size
+ * @returns {Object|null} { start, end }, or null for an unknown slot
+ */
+const getReservationWindow = (date, slot, guests) => {
+  const start = getReservationDateTime(date, parseInt(slot, 10));
+  if (!start) return null;
+
+  return {
+    start,
+    end: new Date(start.getTime() + getSeatingMinutes(guests) * MINUTE_MS),
+  };
+};
+
+/**
+ * Get the time window a reservation actually holds its tables
+ * Seated parties hold them from their seating time; a party still seated
+ * after its expected time keeps them a little longer, until cleared.
+ * @param {Object} reservation - { date, slot, guests, status, seatedAt }
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { start, end }, or null for an unknown slot
+ */
+const getOccupancyWindow = (reservation, now = new Date()) => {
+  if (!reservation.seatedAt) {
+    return getReservationWindow(reservation.date, reservation.slot, reservation.guests);
+  }
+
+  const start = new Date(reservation.seatedAt);
+  let end = new Date(start.getTime() + getSeatingMinutes(reservation.guests) * MINUTE_MS);
+  if (reservation.status === 'seated' && end <= now) {
+    end = new Date(now.getTime() + OVERSTAY_MINUTES * MINUTE_MS);
+  }
+
+  return { start, end };
+};
+
+/**
+ * Check whether two [start, end) windows overlap
+ * @param {Object} a - { start, end }
+ * @param {Object} b - { start, end }
+ * @returns {boolean} True if they overlap
+ */
+const windowsOverlap = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * List the slots that start inside a window
+ * @param {Date|string} date - Day of the window
+ * @param {Object} window - { start, end }
+ * @returns {Array<number>} Slot numbers
+ */
+const getSlotsInWindow = (date, window) => {
+  return getAllTimeSlots(date)
+    .filter(({ slot }) => {
+      const slotTime = getReservationDateTime(date, slot);
+      return slotTime >= window.start && slotTime < window.end;
+    })
+    .map(({ slot }) => slot);
+};
+
+/**
+ * Check whether a window overlaps a blackout (private event) of its day
+ * @param {Date|string} date - Day of the window
+ * @param {Object} window - { start, end }
+ * @param {Object} schedule - Schedule to read (defaults to the active one)
+ * @returns {boolean} True if the restaurant is not taking bookings then
+ */
+const overlapsBlackout = (date, window, schedule) => {
+  return getDaySchedule(date, schedule).blackouts.some(blackout => windowsOverlap(window, {
+    start: getZonedDateTime(date, toMinutes(blackout.start)),
+    end: getZonedDateTime(date, toMinutes(blackout.end)),
+  }));
+};
+
+/**
+ * Get the time window a private event holds its tables
+ * @param {Object} event - { date, startTime, endTime }
+ * @returns {Object} { start, end }
+ */
+const getEventWindow = (event) => {
+  return {
+    start: getZonedDateTime(event.date, toMinutes(event.startTime)),
+    end: getZonedDateTime(event.date, toMinutes(event.endTime)),
+  };
+};
+
+/**
+ * Check that a slot can take a new booking
+ * The day must be open, the slot must exist on it, and the party's seating
+ * window must stay clear of blackouts.
+ * @param {Date|string} date - Reservation date
+ * @param {number} slot - Slot number
+ * @param {number} guests - Party size
+ * @returns {Object} { bookable, reason: 'closed'|'invalid_slot'|'blackout', message, slotCount }
+ */
+const checkSlotBookable = (date, slot, guests) => {
+  const day = getDaySchedule(date);
+  const slotCount = day.slots.length;
+
+  if (slotCount === 0) {
+    return {
+      bookable: false,
+      reason: 'closed',
+      message: day.reason ? `The restaurant is closed on this day (${day.reason}).` : 'The restaurant is closed on this day.',
+      slotCount,
+    };
+  }
+
+  const window = getReservationWindow(date, slot, guests);
+  if (!window) {
+    return { bookable: false, reason: 'invalid_slot', message: `Time slot must be between 1 and ${slotCount}.`, slotCount };
+  }
+
+  if (overlapsBlackout(date, window)) {
+    return { bookable: false, reason: 'blackout', message: 'The restaurant is reserved for a private event at this time.', slotCount };
+  }
+
+  return { bookable: true, slotCount };
+};
+
+/**
+ * Load the table occupancy of a day
+ * Active reservations, unexpired waitlist holds and approved private events
+ * all occupy their tables.
+ * @param {Date|string} date - Target date
+ * @param {Object} options - { excludeReservationId (edit mode: ignore the reservation being changed),
+ *                             excludeWaitlistEntryId (ignore a guest's own hold),
+ *                             excludeEventRequestId (ignore an event being approved again),
+ *                             beforeReservationId (only reservations stored before this one), now }
+ * @returns {Promise<Map>} tableNumber -> [{ reservationId | waitlistEntryId | eventRequestId, slot, start, end }]
+ */
+const getDayOccupancy = async (date, {
+  excludeReservationId = null,
+  excludeWaitlistEntryId = null,
+  excludeEventRequestId = null,
+  beforeReservationId = null,
+  now = new Date(),
+} = {}) => {
+  // Use date range to match entire day (handles millisecond differences)
+  const dayStart = startOfDay(date);
+  const dayEnd = new Date(addDays(dayStart, 1).getTime() - 1);
+
+  const query = {
+    date: { $gte: dayStart, $lte: dayEnd },
+    status: { $in: ACTIVE_RESERVATION_STATUSES },
+  };
+  if (excludeReservationId) {
+    query._id = { $ne: excludeReservationId };
+  }
+  if (beforeReservationId) {
+    query._id = { ...query._id, $lt: beforeReservationId };
+  }
+
+  const holdQuery = {
+    date: { $gte: dayStart, $lte: dayEnd },
+    status: 'offered',
+    'offer.expiresAt': { $gt: now },
+  };
+  if (excludeWaitlistEntryId) {
+    holdQuery._id = { $ne: excludeWaitlistEntryId };
+  }
+
+  const eventQuery = {
+    date: { $gte: dayStart, $lte: dayEnd },
+    status: 'approved',
+  };
+  if (excludeEventRequestId) {
+    eventQuery._id = { $ne: excludeEventRequestId };
+  }
+
+  const [reservations, holds, events] = await Promise.all([
+    Reservation.find(query).select('date slot guests tableNumber status seatedAt'),
+    WaitlistEntry.find(holdQuery).select('date guests offer'),
+    EventRequest.find(eventQuery).select('type date startTime endTime quote'),
+  ]);
+
+  // A buyout takes every table, including ones that are not bookable online
+  const allTables = events.some(event => event.type === 'buyout')
+    ? (await Table.find({}).select('tableNumber')).map(table => table.tableNumber)
+    : [];
+
+  const occupancy = new Map();
+  const occupy = (tableNumbers, entry) => {
+    (tableNumbers || []).forEach(tableNumber => {
+      const entries = occupancy.get(tableNumber) || [];
+      entries.push(entry);
+      occupancy.set(tableNumber, entries);
+    });
+  };
+
+  reservations.forEach(reservation => {
+    const window = getOccupancyWindow(reservation, now);
+    if (!window) return; // Legacy reservation on a slot that no longer exists
+
+    occupy(reservation.tableNumber, { reservationId: reservation._id, slot: reservation.slot, ...window });
+  });
+
+  holds.forEach(hold => {
+    const window = getReservationWindow(hold.date, hold.offer.slot, hold.guests);
+    if (!window) return;
+
+    occupy(hold.offer.tableNumbers, { waitlistEntryId: hold._id, slot: hold.offer.slot, ...window });
+  });
+
+  events.forEach(event => {
+    const tableNumbers = event.type === 'buyout' ? allTables : event.quote?.tableNumbers;
+    occupy(tableNumbers, { eventRequestId: event._id, slot: null, ...getEventWindow(event) });
+  });
+
+  return occupancy;
+};
+
+/**
+ * Check whether a table is free for a window
+ * @param {Map} occupancy - Result of getDayOccupancy
+ * @param {number} tableNumber - Table number
+ * @param {Object} window - { start, end }
+ * @returns {boolean} True if no active reservation, hold or event overlaps
+ */
+const isTableFree = (occupancy, tableNumber, window) => {
+  return !(occupancy.get(tableNumber) || []).some(entry => windowsOverlap(entry, window));
+};
+
+/**
+ * Find available tables for a specific date and slot
+ * @param {Date|string} date - Target date
+ * @param {number} slot - Slot number
+ * @param {number} guests - Party size (sets the seating duration and eligible table sizes)
+ * @param {string} excludeReservationId - Optional reservation ID to exclude (for edit mode)
+ * @returns {Promise<Object>} Object with availableTables, occupiedTables, and notEligibleTables arrays
+ */
+const findAvailableTables = async (date, slot, guests = 1, excludeReservationId = null) => {
+  const partySize = parseInt(guests, 10) || 1;
+  const maxTableCapacity = partySize + 1; // Accept max 1 extra seat per table
+
+  const tables = await Table.find({ isActive: true, capacity: { $gte: 1 } }).sort({ tableNumber: 1 });
+  const window = checkSlotBookable(date, slot, partySize).bookable
+    ? getReservationWindow(date, slot, partySize)
+    : null; // Closed or private event: every table counts as taken
+  const occupancy = await getDayOccupancy(date, { excludeReservationId });
+
+  const available = [];
+  const occupied = [];
+  const notEligible = [];
+
+  tables.forEach(table => {
+    if (!window || !isTableFree(occupancy, table.tableNumber, window)) {
+      occupied.push(table.tableNumber);
+    } else if (table.capacity > maxTableCapacity) {
+      // Table is free but too large for the number of guests
+      notEligible.push(table.tableNumber);
+    } else {
+      available.push(table.tableNumber);
+    }
+  });
+
+  return {
+    availableTables: available,
+    occupiedTables: occupied,
+    notEligibleTables: notEligible,
+  };
+};
+
+/**
+ * Find which of the requested tables are already taken
+ * @param {Array<number>} tableNumbers - Requested tables
+ * @param {Date|string} date - Reservation date
+ * @param {number} slot - Slot number
+ * @param {number} guests - Party size
+ * @param {string} excludeReservationId - Optional reservation ID to exclude (for edit mode)
+ * @returns {Promise<Array<number>>} Conflicting table numbers (empty when all are free)
+ */
+const findConflictingTables = async (tableNumbers, date, slot, guests, excludeReservationId = null) => {
+  if (!tableNumbers || tableNumbers.length === 0) return [];
+
+  const window = getReservationWindow(date, slot, guests);
+  if (!window) return [];
+
+  const occupancy = await getDayOccupancy(date, { excludeReservationId });
+  return tableNumbers
+    .map(tableNumber => parseInt(tableNumber, 10))
+    .filter(tableNumber => !isTableFree(occupancy, tableNumber, window));
+};
+
+/**
+ * Re-check the tables of a reservation that was just stored
+ * Two overlapping bookings saved at the same time both passed the check made
+ * before saving. Here only reservations with a lower _id count, so the earlier
+ * one keeps its tables and the later one finds the conflict and withdraws.
+ * Holds and private events count as usual.
+ * @param {Object} reservation - Stored reservation ({ _id, tableNumber, date, slot, guests })
+ * @returns {Promise<Array<number>>} Conflicting table numbers (empty when it may stay)
+ */
+const findRaceConflicts = async (reservation) => {
+  const { _id, tableNumber, date, slot, guests } = reservation;
+  if (!tableNumber || tableNumber.length === 0) return [];
+
+  const window = getReservationWindow(date, slot, guests);
+  if (!window) return [];
+
+  const occupancy = await getDayOccupancy(date, { beforeReservationId: _id });
+  return tableNumber
+    .map(number => parseInt(number, 10))
+    .filter(number => !isTableFree(occupancy, number, window));
+};
+
+/**
+ * Get table availability for a specific date
+ * A slot is booked when a reservation holds the table at that time, and
+ * available when a party of `guests` could book it and would not overlap one.
+ * @param {Date|string} date - Target date
+ * @param {number} guests - Party size used for availableSlots (default 2)
+ * @returns {Promise<Array>} Availability for all active tables
+ */
+const getTableAvailability = async (date, guests = 2) => {
+  const tables = await Table.find({ isActive: true }).sort({ tableNumber: 1 });
+  const occupancy = await getDayOccupancy(date);
+  const bookableSlots = getAllTimeSlots(date).filter(({ slot }) => checkSlotBookable(date, slot, guests).bookable);
+
+  return tables.map(table => {
+    const entries = occupancy.get(table.tableNumber) || [];
+    const bookedSlots = [...new Set(entries.flatMap(entry => getSlotsInWindow(date, entry)))]
+      .sort((a, b) => a - b);
+
+    const availableSlots = bookableSlots
+      .filter(({ slot }) => isTableFree(occupancy, table.tableNumber, getReservationWindow(date, slot, guests)))
+      .map(({ slot }) => slot);
+
+    return {
+      tableNumber: table.tableNumber,
+      capacity: table.capacity,
+      bookedSlots,
+      availableSlots,
+      isFullyBooked: availableSlots.length === 0,
+    };
+  });
+};
+
+module.exports = {
+  ACTIVE_RESERVATION_STATUSES,
+  DEFAULT_SEATING_MINUTES,
+  getSeatingRules,
+  getSeatingMinutes,
+  getReservationWindow,
+  getOccupancyWindow,
+  windowsOverlap,
+  getSlotsInWindow,
+  overlapsBlackout,
+  getEventWindow,
+  checkSlotBookable,
+  getDayOccupancy,
+  isTableFree,
+  findAvailableTables,
+  findConflictingTables,
+  findRaceConflicts,
+  getTableAvailability,
+};
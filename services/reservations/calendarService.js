@@ -0,0 +1,85 @@
+/**
+ * Reservation Calendars - .ics export for guests and the staff feed
+ *
+ * Events keep the reservation ID in their UID, so calendar apps update the
+ * same event when a reservation moves or is cancelled (STATUS:CANCELLED)
+ * instead of adding a new one.
+ */
+
+const Reservation = require('../../models/Reservation');
+const GLOBAL_VAR = require('../../constants/global');
+const { getToday, addDays } = require('../../utils/timezone');
+const { buildCalendar } = require('../../utils/icalendar');
+const { getReservationWindow } = require('./availabilityService');
+
+// The staff feed covers today and this many days ahead
+const FEED_DAYS = 60;
+
+/**
+ * Describe a reservation as a calendar event
+ * @param {Object} reservation - Reservation
+ * @param {Object} options - { forStaff (customer details in the event) }
+ * @returns {Object|null} Event, or null for a slot the schedule no longer has
+ */
+const toCalendarEvent = (reservation, { forStaff = false } = {}) => {
+  const window = getReservationWindow(reservation.date, reservation.slot, reservation.guests);
+  if (!window) return null;
+
+  const tables = reservation.tableNumber.join(' + ');
+  const details = [`Reservation ${reservation.reservationNumber}`, `Guests: ${reservation.guests}`];
+
+  if (forStaff) {
+    details.push(`Tables: ${tables}`, `Status: ${reservation.status}`);
+    if (reservation.contactPhone) details.push(`Phone: ${reservation.contactPhone}`);
+    if (reservation.specialRequest) details.push(`Request: ${reservation.specialRequest}`);
+    if (reservation.notes) details.push(`Notes: ${reservation.notes}`);
+  } else {
+    details.push(`To change or cancel, visit your account or call ${GLOBAL_VAR.PHONE_NUMBER}`);
+  }
+
+  return {
+    uid: `reservation-${reservation._id}@restoh`,
+    start: window.start,
+    end: window.end,
+    summary: forStaff
+      ? `${reservation.userName} (${reservation.guests}) - table ${tables}`
+      : `Table for ${reservation.guests} at ${GLOBAL_VAR.RESTAURANT_NAME}`,
+    description: details.join('\n'),
+    location: forStaff ? null : GLOBAL_VAR.RESTAURANT_NAME,
+    status: reservation.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    lastModified: reservation.updatedAt,
+  };
+};
+
+/**
+ * Build the .ics file of a single reservation (guest view)
+ * @param {Object} reservation - Reservation
+ * @returns {string} iCalendar text
+ */
+const buildReservationCalendar = (reservation) => {
+  const event = toCalendarEvent(reservation);
+  return buildCalendar({ events: event ? [event] : [] });
+};
+
+/**
+ * Build the staff feed: every reservation from today on, cancelled ones included
+ * @param {Object} options - { now }
+ * @returns {Promise<string>} iCalendar text
+ */
+const buildStaffFeed = async ({ now = new Date() } = {}) => {
+  const reservations = await Reservation.find({
+    date: { $gte: getToday(now), $lte: addDays(getToday(now), FEED_DAYS) },
+  }).sort({ date: 1, slot: 1 });
+
+  const events = reservations
+    .map(reservation => toCalendarEvent(reservation, { forStaff: true }))
+    .filter(Boolean);
+
+  return buildCalendar({ name: `${GLOBAL_VAR.RESTAURANT_NAME} - Reservations`, events }, now);
+};
+
+module.exports = {
+  toCalendarEvent,
+  buildReservationCalendar,
+  buildStaffFeed,
+};
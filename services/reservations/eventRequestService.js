@@ -0,0 +1,119 @@
+/**
+ * Private Events - large parties and buyouts booked through the restaurant
+ *
+ * Groups too large for online booking send a request (pending). An admin
+ * prices it and picks the tables (quoted), then approves it: from then on the
+ * event holds its tables for its whole time window (see getDayOccupancy), and
+ * its deposit, if the quote asks one, can be paid through Stripe.
+ */
+
+const EventRequest = require('../../models/EventRequest');
+const Table = require('../../models/Table');
+const logger = require('../../utils/logger');
+const { getDayOccupancy, getEventWindow, isTableFree } = require('./availabilityService');
+const { notifyCapacityFreed } = require('../waitlist/waitlistService');
+
+/**
+ * Statuses the customer or an admin can still act on
+ */
+const OPEN_EVENT_STATUSES = ['pending', 'quoted', 'approved'];
+
+/**
+ * Get the tables an event takes
+ * @param {Object} eventRequest - Event request with a quote
+ * @returns {Promise<Array<number>>} Table numbers (every table for a buyout)
+ */
+const getEventTableNumbers = async (eventRequest) => {
+  if (eventRequest.type !== 'buyout') {
+    return eventRequest.quote ? eventRequest.quote.tableNumbers : [];
+  }
+
+  const tables = await Table.find({}).select('tableNumber').sort({ tableNumber: 1 });
+  return tables.map(table => table.tableNumber);
+};
+
+/**
+ * Find the event's tables already taken during its window
+ * @param {Object} eventRequest - Event request with a quote
+ * @param {Object} options - { now }
+ * @returns {Promise<Array<number>>} Conflicting table numbers (empty when all are free)
+ */
+const findEventConflicts = async (eventRequest, { now = new Date() } = {}) => {
+  const [tableNumbers, occupancy] = await Promise.all([
+    getEventTableNumbers(eventRequest),
+    getDayOccupancy(eventRequest.date, { excludeEventRequestId: eventRequest._id, now }),
+  ]);
+
+  const window = getEventWindow(eventRequest);
+  return tableNumbers.filter(tableNumber => !isTableFree(occupancy, tableNumber, window));
+};
+
+/**
+ * Approve a quoted event so it holds its tables
+ * Reservations already on those tables must be moved first.
+ * @param {Object} eventRequest - Quoted event request
+ * @param {Object} options - { approvedBy, now }
+ * @returns {Promise<Object>} { eventRequest } or { conflicts } when tables are taken
+ */
+const approveEvent = async (eventRequest, { approvedBy = null, now = new Date() } = {}) => {
+  const conflicts = await findEventConflicts(eventRequest, { now });
+  if (conflicts.length > 0) return { conflicts };
+
+  const approved = await EventRequest.findOneAndUpdate(
+    { _id: eventRequest._id, status: 'quoted' },
+    {
+      $set: {
+        status: 'approved',
+        approvedAt: now,
+        approvedBy,
+        depositStatus: eventRequest.quote.depositAmount > 0 ? 'pending' : 'none',
+      },
+    },
+    { new: true }
+  );
+  if (!approved) return { eventRequest: null, conflicts: [] };
+
+  // A booking may have taken a table between the check and the approval
+  const race = await findEventConflicts(approved, { now });
+  if (race.length > 0) {
+    await EventRequest.updateOne(
+      { _id: approved._id },
+      { $set: { status: 'quoted', approvedAt: null, approvedBy: null, depositStatus: 'none' } }
+    );
+    return { conflicts: race };
+  }
+
+  logger.info('Private event approved', { eventRequestId: approved._id, type: approved.type, approvedBy });
+  return { eventRequest: approved, conflicts: [] };
+};
+
+/**
+ * Decline or cancel an event request
+ * Tables held by an approved event go back to bookings and the waitlist.
+ * @param {Object} eventRequest - Open event request
+ * @param {string} status - 'declined' or 'cancelled'
+ * @param {Object} options - { reason }
+ * @returns {Promise<Object|null>} Updated request, or null if it was closed meanwhile
+ */
+const closeEvent = async (eventRequest, status, { reason = null } = {}) => {
+  const closed = await EventRequest.findOneAndUpdate(
+    { _id: eventRequest._id, status: { $in: OPEN_EVENT_STATUSES } },
+    { $set: { status, declineReason: status === 'declined' ? reason : null } },
+    { new: true }
+  );
+  if (!closed) return null;
+
+  if (eventRequest.status === 'approved') {
+    await notifyCapacityFreed(closed.date);
+  }
+
+  return closed;
+};
+
+module.exports = {
+  OPEN_EVENT_STATUSES,
+  getEventTableNumbers,
+  findEventConflicts,
+  approveEvent,
+  closeEvent,
+};
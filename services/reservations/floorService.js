@@ -0,0 +1,186 @@
+/**
+ * Floor Management - the host stand's view of the dining room
+ *
+ * Walk-ins are stored as Reservation documents (source 'walk-in', seated on
+ * arrival), so they hold their tables through the same occupancy rules as
+ * online bookings. Seating and clearing record the actual times, which then
+ * drive occupancy instead of the booked slot.
+ */
+
+const Table = require('../../models/Table');
+const Reservation = require('../../models/Reservation');
+const { getAllTimeSlots, getLabelFromSlot, getReservationDateTime } = require('../../utils/timeSlots');
+const { getToday, addDays } = require('../../utils/timezone');
+const { loadActiveTables, chooseTables } = require('./tableAssignmentService');
+const {
+  ACTIVE_RESERVATION_STATUSES,
+  getSeatingMinutes,
+  getOccupancyWindow,
+  getDayOccupancy,
+  isTableFree
+} = require('./availabilityService');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Get the slot a party arriving now belongs to
+ * @param {Date} now - Arrival time
+ * @returns {number|null} Last slot started by now (first slot before service), null on a closed day
+ */
+const getCurrentSlot = (now = new Date()) => {
+  const slots = getAllTimeSlots(now);
+  if (slots.length === 0) return null;
+
+  const started = slots.filter(({ slot }) => getReservationDateTime(now, slot) <= now);
+  return started.length > 0 ? started[started.length - 1].slot : slots[0].slot;
+};
+
+/**
+ * Get the window a party seated now would hold its tables
+ * @param {number} guests - Party size
+ * @param {Date} now - Seating time
+ * @returns {Object} { start, end }
+ */
+const getSeatingWindow = (guests, now = new Date()) => ({
+  start: now,
+  end: new Date(now.getTime() + getSeatingMinutes(guests) * MINUTE_MS),
+});
+
+/**
+ * Check tables picked by the host: they must exist and seat the party
+ * Unlike online bookings, a small party may take a larger table.
+ * @param {Array<number>} tableNumbers - Picked tables
+ * @param {number} guests - Party size
+ * @returns {Promise<Object>} { valid, missingTables, totalCapacity }
+ */
+const checkHostTables = async (tableNumbers, guests) => {
+  const tables = await Table.find({ tableNumber: { $in: tableNumbers }, isActive: true }).select('tableNumber capacity');
+  const found = new Set(tables.map(table => table.tableNumber));
+  const missingTables = tableNumbers.filter(tableNumber => !found.has(tableNumber));
+  const totalCapacity = tables.reduce((sum, table) => sum + table.capacity, 0);
+
+  return {
+    valid: missingTables.length === 0 && totalCapacity >= guests,
+    missingTables,
+    totalCapacity,
+  };
+};
+
+/**
+ * Find tables free from now for a party's seating time
+ * @param {number} guests - Party size
+ * @param {Object} options - { tableNumbers (tables to check instead of choosing), excludeReservationId,
+ *                             window (defaults to a full seating from now), now }
+ * @returns {Promise<Object>} { tableNumbers, conflicts } - chosen tables, or the requested ones that are taken
+ */
+const findTablesForNow = async (guests, {
+  tableNumbers = null,
+  excludeReservationId = null,
+  now = new Date(),
+  window = getSeatingWindow(guests, now),
+} = {}) => {
+  const occupancy = await getDayOccupancy(now, { excludeReservationId, now });
+
+  if (tableNumbers) {
+    const conflicts = tableNumbers.filter(tableNumber => !isTableFree(occupancy, tableNumber, window));
+    return { tableNumbers, conflicts };
+  }
+
+  const tables = await loadActiveTables();
+  const assignment = chooseTables(tables.filter(table => isTableFree(occupancy, table.tableNumber, window)), guests);
+  return { tableNumbers: assignment ? assignment.tableNumbers : null, conflicts: [] };
+};
+
+/**
+ * Describe a reservation for the floor map
+ * @param {Object} reservation - Reservation document
+ * @param {Date} now - Reference time
+ * @returns {Object} Party summary
+ */
+const describeParty = (reservation, now) => {
+  const window = getOccupancyWindow(reservation, now);
+  const expectedEnd = reservation.seatedAt
+    ? new Date(reservation.seatedAt.getTime() + getSeatingMinutes(reservation.guests) * MINUTE_MS)
+    : window.end;
+
+  return {
+    reservationId: reservation._id,
+    reservationNumber: reservation.reservationNumber,
+    name: reservation.userName,
+    guests: reservation.guests,
+    source: reservation.source,
+    tableNumbers: reservation.tableNumber,
+    time: getLabelFromSlot(reservation.slot, reservation.date),
+    start: window.start,
+    seatedAt: reservation.seatedAt,
+    expectedFreeAt: expectedEnd,
+    overdue: reservation.status === 'seated' && expectedEnd <= now,
+  };
+};
+
+/**
+ * Build the live floor map
+ * Each table shows the party at it, when it should free up, and the next
+ * party expected there today.
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { at, tables, summary }
+ */
+const buildFloorMap = async (now = new Date()) => {
+  const dayStart = getToday(now);
+  const dayEnd = new Date(addDays(dayStart, 1).getTime() - 1);
+
+  const [tables, reservations] = await Promise.all([
+    Table.find({ isActive: true }).sort({ tableNumber: 1 }).select('tableNumber capacity'),
+    Reservation.find({
+      date: { $gte: dayStart, $lte: dayEnd },
+      status: { $in: ACTIVE_RESERVATION_STATUSES },
+    }),
+  ]);
+
+  const parties = reservations
+    .filter(reservation => getOccupancyWindow(reservation, now))
+    .map(reservation => ({ reservation, party: describeParty(reservation, now) }))
+    .sort((a, b) => a.party.start - b.party.start);
+
+  const floor = tables.map(table => {
+    const atTable = parties.filter(({ reservation }) => reservation.tableNumber.includes(table.tableNumber));
+    const seated = atTable.find(({ reservation }) => reservation.status === 'seated');
+    const next = atTable.find(({ reservation }) => reservation.status === 'confirmed' &&
+      getOccupancyWindow(reservation, now).end > now);
+
+    return {
+      tableNumber: table.tableNumber,
+      capacity: table.capacity,
+      status: seated ? 'occupied' : 'free',
+      party: seated ? seated.party : null,
+      // Past this time an occupied table shows as party.overdue
+      expectedFreeAt: seated ? seated.party.expectedFreeAt : now,
+      nextReservation: next ? next.party : null,
+      // Latest time a walk-in must leave before the next booked party
+      freeUntil: next ? next.party.start : null,
+    };
+  });
+
+  const seatedParties = parties.filter(({ reservation }) => reservation.status === 'seated');
+
+  return {
+    at: now,
+    tables: floor,
+    summary: {
+      tables: floor.length,
+      occupied: floor.filter(table => table.status === 'occupied').length,
+      free: floor.filter(table => table.status === 'free').length,
+      seatedParties: seatedParties.length,
+      seatedGuests: seatedParties.reduce((sum, { reservation }) => sum + reservation.guests, 0),
+      expectedArrivals: parties.filter(({ reservation }) => reservation.status === 'confirmed').length,
+    },
+  };
+};
+
+module.exports = {
+  getCurrentSlot,
+  getSeatingWindow,
+  checkHostTables,
+  findTablesForNow,
+  buildFloorMap,
+};
@@ -0,0 +1,190 @@
+/**
+ * Customer Reliability - no-shows, late cancellations and booking policies
+ *
+ * Each customer keeps two counters on User (noShowCount, lateCancellationCount).
+ * A background job turns confirmed reservations nobody showed up for into
+ * no-shows and frees their tables; admins set the policy that decides when a
+ * customer must be called to confirm, or can no longer book online.
+ */
+
+const Reservation = require('../../models/Reservation');
+const ReservationPolicy = require('../../models/ReservationPolicy');
+const User = require('../../models/User');
+const logger = require('../../utils/logger');
+const { getReservationDateTime, startOfDay } = require('../../utils/timeSlots');
+const { getToday, addDays } = require('../../utils/timezone');
+const { notifyCapacityFreed } = require('../waitlist/waitlistService');
+
+const POLICY_ID = 'default';
+const POLICY_FIELDS = [
+  'noShowGraceMinutes',
+  'lateCancellationHours',
+  'phoneConfirmationAfterNoShows',
+  'blockOnlineBookingAfterNoShows',
+  'blockOnlineBookingAfterLateCancellations',
+];
+
+/**
+ * Policy used until an admin saves one
+ */
+const DEFAULT_POLICY = {
+  noShowGraceMinutes: 30,
+  lateCancellationHours: 24,
+  phoneConfirmationAfterNoShows: null,
+  blockOnlineBookingAfterNoShows: null,
+  blockOnlineBookingAfterLateCancellations: null,
+};
+
+// No-shows are only looked for this far back (the job runs every minute)
+const NO_SHOW_LOOKBACK_DAYS = 2;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Get the reservation policy in effect
+ * @returns {Promise<Object>} Policy (defaults when none is saved)
+ */
+const getPolicy = async () => {
+  const doc = await ReservationPolicy.findById(POLICY_ID).lean();
+  if (!doc) return { ...DEFAULT_POLICY };
+
+  return POLICY_FIELDS.reduce((policy, field) => ({
+    ...policy,
+    [field]: doc[field] === undefined ? DEFAULT_POLICY[field] : doc[field],
+  }), { updatedAt: doc.updatedAt, updatedBy: doc.updatedBy });
+};
+
+/**
+ * Save a policy change
+ * @param {Object} changes - Validated update (see validateReservationPolicyUpdate)
+ * @param {Object} options - { updatedBy }
+ * @returns {Promise<Object>} Policy in effect
+ */
+const updatePolicy = async (changes, { updatedBy = null } = {}) => {
+  await ReservationPolicy.findByIdAndUpdate(
+    POLICY_ID,
+    { ...changes, updatedBy },
+    { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  logger.info('Reservation policy updated', { updatedBy, fields: Object.keys(changes) });
+  return getPolicy();
+};
+
+/**
+ * Decide what the policy allows a customer to book online
+ * @param {Object} user - Customer (noShowCount, lateCancellationCount)
+ * @param {Object} policy - Policy in effect
+ * @returns {Object} { blocked, reason, count, limit, requiresPhoneConfirmation }
+ */
+const getBookingRestriction = (user, policy) => {
+  const noShows = user.noShowCount || 0;
+  const lateCancellations = user.lateCancellationCount || 0;
+  const reached = (count, limit) => limit !== null && limit !== undefined && count >= limit;
+
+  if (reached(noShows, policy.blockOnlineBookingAfterNoShows)) {
+    return { blocked: true, reason: 'no-shows', count: noShows, limit: policy.blockOnlineBookingAfterNoShows };
+  }
+  if (reached(lateCancellations, policy.blockOnlineBookingAfterLateCancellations)) {
+    return {
+      blocked: true,
+      reason: 'late-cancellations',
+      count: lateCancellations,
+      limit: policy.blockOnlineBookingAfterLateCancellations,
+    };
+  }
+
+  return {
+    blocked: false,
+    requiresPhoneConfirmation: reached(noShows, policy.phoneConfirmationAfterNoShows),
+  };
+};
+
+/**
+ * Count a customer cancellation against them when it comes too close to the visit
+ * @param {Object} reservation - Cancelled reservation
+ * @param {Object} options - { now }
+ * @returns {Promise<boolean>} True if it was a late cancellation
+ */
+const recordCancellation = async (reservation, { now = new Date() } = {}) => {
+  const policy = await getPolicy();
+  const slotTime = getReservationDateTime(reservation.date, reservation.slot);
+  if (!slotTime || !reservation.userId || policy.lateCancellationHours === 0) return false;
+
+  const isLate = slotTime.getTime() - now.getTime() < policy.lateCancellationHours * HOUR_MS;
+  if (isLate) {
+    await User.updateOne({ _id: reservation.userId }, { $inc: { lateCancellationCount: 1 } });
+  }
+  return isLate;
+};
+
+/**
+ * Keep the no-show counter in line with a status change
+ * Admins can mark a no-show by hand, or undo one the job marked by mistake.
+ * @param {Object} reservation - Reservation ({ userId })
+ * @param {string} previousStatus - Status before the change
+ * @param {string} status - Status after the change
+ */
+const recordStatusChange = async (reservation, previousStatus, status) => {
+  if (!reservation.userId || previousStatus === status) return;
+
+  if (status === 'no-show') {
+    await User.updateOne({ _id: reservation.userId }, { $inc: { noShowCount: 1 } });
+  } else if (previousStatus === 'no-show') {
+    await User.updateOne({ _id: reservation.userId, noShowCount: { $gt: 0 } }, { $inc: { noShowCount: -1 } });
+  }
+};
+
+/**
+ * Mark confirmed reservations past their grace period as no-shows
+ * Their tables are released and offered to the waitlist.
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { marked }
+ */
+const markNoShows = async ({ now = new Date() } = {}) => {
+  const policy = await getPolicy();
+  const candidates = await Reservation.find({
+    status: 'confirmed',
+    date: { $gte: addDays(getToday(now), -NO_SHOW_LOOKBACK_DAYS), $lte: getToday(now) },
+  }).select('date slot userId');
+
+  const graceMs = policy.noShowGraceMinutes * MINUTE_MS;
+  const days = new Map();
+  let marked = 0;
+
+  for (const reservation of candidates) {
+    const slotTime = getReservationDateTime(reservation.date, reservation.slot);
+    if (!slotTime || slotTime.getTime() + graceMs > now.getTime()) continue;
+
+    const result = await Reservation.updateOne(
+      { _id: reservation._id, status: 'confirmed' },
+      { $set: { status: 'no-show', updatedAt: now } }
+    );
+    if (result.modifiedCount === 0) continue; // Seated or cancelled meanwhile
+
+    marked++;
+    await recordStatusChange(reservation, 'confirmed', 'no-show');
+    days.set(startOfDay(reservation.date).getTime(), reservation.date);
+  }
+
+  for (const date of days.values()) {
+    await notifyCapacityFreed(date);
+  }
+
+  if (marked > 0) {
+    logger.info('Reservations marked as no-show', { marked });
+  }
+
+  return { marked };
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  getPolicy,
+  updatePolicy,
+  getBookingRestriction,
+  recordCancellation,
+  recordStatusChange,
+  markNoShows,
+};
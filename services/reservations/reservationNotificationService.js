@@ -0,0 +1,115 @@
+/**
+ * Reservation Emails - confirmation, update, cancellation and reminder
+ *
+ * Emails are best effort: a failure is logged and never undoes the booking.
+ * Reminders go out RESERVATION_REMINDER_HOURS before the slot from the
+ * background jobs; Reservation.reminderSentAt is claimed before sending so a
+ * reminder is sent once, whatever the restarts or the number of instances.
+ */
+
+const Reservation = require('../../models/Reservation');
+const emailService = require('../email/emailService');
+const logger = require('../../utils/logger');
+const { getLabelFromSlot, getReservationDateTime } = require('../../utils/timeSlots');
+const { getToday, formatDay } = require('../../utils/timezone');
+const { buildReservationLinks } = require('../../utils/reservationLinks');
+
+const DEFAULT_REMINDER_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+const EMAIL_SENDERS = {
+  confirmation: 'sendReservationConfirmationEmail',
+  update: 'sendReservationUpdateEmail',
+  cancellation: 'sendReservationCancellationEmail',
+};
+
+/**
+ * Get how long before the slot reminders are sent
+ * @returns {number} Hours
+ */
+const getReminderHours = () => parseInt(process.env.RESERVATION_REMINDER_HOURS, 10) || DEFAULT_REMINDER_HOURS;
+
+/**
+ * Describe a reservation for an email template
+ * @param {Object} reservation - Reservation
+ * @returns {Object} { reservationNumber, date, time, guests }
+ */
+const describeReservation = (reservation) => ({
+  reservationNumber: reservation.reservationNumber,
+  date: formatDay(reservation.date),
+  time: getLabelFromSlot(reservation.slot, reservation.date),
+  guests: reservation.guests,
+});
+
+/**
+ * Email the customer about their reservation
+ * Walk-ins have no email address and are skipped.
+ * @param {Object} reservation - Reservation
+ * @param {string} type - 'confirmation', 'update' or 'cancellation'
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendReservationEmail = async (reservation, type) => {
+  if (!reservation.userEmail) return false;
+
+  try {
+    await emailService[EMAIL_SENDERS[type]](reservation.userEmail, reservation.userName, describeReservation(reservation));
+    return true;
+  } catch (error) {
+    logger.error('Failed to send reservation email', { reservationId: reservation._id, type, error: error.message });
+    return false;
+  }
+};
+
+/**
+ * Send the reminders due by now
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { sent }
+ */
+const sendDueReminders = async ({ now = new Date() } = {}) => {
+  const horizon = new Date(now.getTime() + getReminderHours() * HOUR_MS);
+  const candidates = await Reservation.find({
+    status: 'confirmed',
+    source: { $ne: 'walk-in' },
+    reminderSentAt: null,
+    date: { $gte: getToday(now), $lte: getToday(horizon) },
+  }).select('date slot');
+
+  let sent = 0;
+
+  for (const candidate of candidates) {
+    const slotTime = getReservationDateTime(candidate.date, candidate.slot);
+    if (!slotTime || slotTime <= now || slotTime > horizon) continue;
+
+    // Claim the reminder first; whoever loses the race skips it
+    const reservation = await Reservation.findOneAndUpdate(
+      { _id: candidate._id, status: 'confirmed', reminderSentAt: null },
+      { $set: { reminderSentAt: now } },
+      { new: true }
+    );
+    if (!reservation) continue;
+
+    try {
+      await emailService.sendReservationReminderEmail(reservation.userEmail, reservation.userName, {
+        ...describeReservation(reservation),
+        ...buildReservationLinks(reservation),
+      });
+      sent++;
+    } catch (error) {
+      // Not sent: release the claim so the next round retries
+      await Reservation.updateOne({ _id: reservation._id, reminderSentAt: now }, { $set: { reminderSentAt: null } });
+      logger.error('Failed to send reservation reminder', { reservationId: reservation._id, error: error.message });
+    }
+  }
+
+  if (sent > 0) {
+    logger.info('Reservation reminders sent', { sent });
+  }
+
+  return { sent };
+};
+
+module.exports = {
+  getReminderHours,
+  sendReservationEmail,
+  sendDueReminders,
+};
@@ -0,0 +1,212 @@
+/**
+ * Table Assignment - choose tables for a party when the client does not
+ *
+ * Candidates are single free tables and groups of free tables that admins
+ * declared joinable (Table.combinableWith). The best candidate wastes the
+ * fewest seats; ties go to fewer tables, then to the candidate whose largest
+ * table is smallest, so big tables stay free for big parties.
+ */
+
+const Table = require('../../models/Table');
+const { getAllTimeSlots, getReservationDateTime } = require('../../utils/timeSlots');
+const { isValidNewReservationTime } = require('../../utils/reservationHelpers');
+const {
+  checkSlotBookable,
+  getDayOccupancy,
+  getReservationWindow,
+  isTableFree
+} = require('./availabilityService');
+
+/**
+ * Assignment settings
+ * - maxCombinedTables: largest group of joined tables considered
+ * - maxSuggestedSlots: alternative slots returned with a rejection
+ */
+const TABLE_ASSIGNMENT = {
+  maxCombinedTables: 3,
+  maxSuggestedSlots: 3,
+};
+
+/**
+ * Build the joinable-table graph among the given tables
+ * A declaration on either table is enough, so the graph is symmetric.
+ * @param {Array<Object>} tables - Tables ({ tableNumber, combinableWith })
+ * @returns {Map} tableNumber -> Set of joinable table numbers
+ */
+const buildCombinationGraph = (tables) => {
+  const present = new Set(tables.map(table => table.tableNumber));
+  const graph = new Map(tables.map(table => [table.tableNumber, new Set()]));
+
+  tables.forEach(table => {
+    (table.combinableWith || []).forEach(other => {
+      if (other === table.tableNumber || !present.has(other)) return;
+      graph.get(table.tableNumber).add(other);
+      graph.get(other).add(table.tableNumber);
+    });
+  });
+
+  return graph;
+};
+
+/**
+ * Score a group of tables for a party
+ * @param {Array<Object>} group - Tables ({ tableNumber, capacity })
+ * @param {number} guests - Party size
+ * @returns {Object} { tableNumbers, totalCapacity, wastedSeats, largestCapacity }
+ */
+const describeAssignment = (group, guests) => {
+  const totalCapacity = group.reduce((sum, table) => sum + table.capacity, 0);
+  return {
+    tableNumbers: group.map(table => table.tableNumber).sort((a, b) => a - b),
+    totalCapacity,
+    wastedSeats: totalCapacity - guests,
+    largestCapacity: Math.max(...group.map(table => table.capacity)),
+  };
+};
+
+/**
+ * Order two assignments, best first
+ * @param {Object} a - Assignment
+ * @param {Object} b - Assignment
+ * @returns {number} Negative if a is better
+ */
+const compareAssignments = (a, b) => {
+  return (a.wastedSeats - b.wastedSeats) ||
+    (a.tableNumbers.length - b.tableNumbers.length) ||
+    (a.largestCapacity - b.largestCapacity) ||
+    a.tableNumbers.join(',').localeCompare(b.tableNumbers.join(','), undefined, { numeric: true });
+};
+
+/**
+ * Choose the best tables among free ones
+ * Groups only grow while they are too small, so no candidate has a table it does not need.
+ * @param {Array<Object>} freeTables - Free tables ({ tableNumber, capacity, combinableWith })
+ * @param {number} guests - Party size
+ * @returns {Object|null} Best assignment, or null if the party cannot be seated
+ */
+const chooseTables = (freeTables, guests) => {
+  const byNumber = new Map(freeTables.map(table => [table.tableNumber, table]));
+  const graph = buildCombinationGraph(freeTables);
+  const seen = new Set();
+  let best = null;
+
+  const consider = (group) => {
+    const key = group.map(table => table.tableNumber).sort((a, b) => a - b).join(',');
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const assignment = describeAssignment(group, guests);
+    if (assignment.totalCapacity >= guests) {
+      if (!best || compareAssignments(assignment, best) < 0) best = assignment;
+      return;
+    }
+    if (group.length >= TABLE_ASSIGNMENT.maxCombinedTables) return;
+
+    // Grow the group with any table joinable to one of its members
+    const members = new Set(group.map(table => table.tableNumber));
+    group.forEach(table => {
+      graph.get(table.tableNumber).forEach(neighbour => {
+        if (!members.has(neighbour)) consider([...group, byNumber.get(neighbour)]);
+      });
+    });
+  };
+
+  freeTables.forEach(table => consider([table]));
+
+  return best;
+};
+
+/**
+ * Load active tables as plain objects
+ * @returns {Promise<Array<Object>>} Tables ({ tableNumber, capacity, combinableWith })
+ */
+const loadActiveTables = async () => {
+  return Table.find({ isActive: true }).select('tableNumber capacity combinableWith').lean();
+};
+
+/**
+ * Choose tables for a slot using a preloaded day
+ * @param {Array<Object>} tables - Active tables
+ * @param {Map} occupancy - Result of getDayOccupancy
+ * @param {Date|string} date - Reservation date
+ * @param {number} slot - Slot number
+ * @param {number} guests - Party size
+ * @returns {Object|null} Best assignment or null
+ */
+const chooseTablesForSlot = (tables, occupancy, date, slot, guests) => {
+  if (!checkSlotBookable(date, slot, guests).bookable) return null;
+  const window = getReservationWindow(date, slot, guests);
+
+  const freeTables = tables.filter(table => isTableFree(occupancy, table.tableNumber, window));
+  return chooseTables(freeTables, guests);
+};
+
+/**
+ * Find the best free tables for a reservation
+ * @param {Date|string} date - Reservation date
+ * @param {number} slot - Slot number
+ * @param {number} guests - Party size
+ * @param {Object} options - { excludeReservationId }
+ * @returns {Promise<Object|null>} { tableNumbers, totalCapacity, wastedSeats, largestCapacity } or null
+ */
+const findBestTableAssignment = async (date, slot, guests, { excludeReservationId = null } = {}) => {
+  const [tables, occupancy] = await Promise.all([
+    loadActiveTables(),
+    getDayOccupancy(date, { excludeReservationId }),
+  ]);
+
+  return chooseTablesForSlot(tables, occupancy, date, slot, guests);
+};
+
+/**
+ * Suggest other slots of the same day where the party can be seated
+ * Closest times first; slots that are too soon to book or blacked out are skipped.
+ * @param {Date|string} date - Reservation date
+ * @param {number} slot - Requested slot
+ * @param {number} guests - Party size
+ * @param {Object} options - { excludeReservationId, limit, now }
+ * @returns {Promise<Array<Object>>} [{ slot, time, tableNumbers }]
+ */
+const suggestAlternativeSlots = async (date, slot, guests, {
+  excludeReservationId = null,
+  limit = TABLE_ASSIGNMENT.maxSuggestedSlots,
+  now = new Date(),
+} = {}) => {
+  const requestedTime = getReservationDateTime(date, parseInt(slot, 10));
+  if (!requestedTime) return [];
+
+  const [tables, occupancy] = await Promise.all([
+    loadActiveTables(),
+    getDayOccupancy(date, { excludeReservationId }),
+  ]);
+
+  const distance = (candidate) => Math.abs(getReservationDateTime(date, candidate.slot) - requestedTime);
+  const suggestions = [];
+
+  for (const candidate of getAllTimeSlots(date).sort((a, b) => distance(a) - distance(b))) {
+    if (suggestions.length >= limit) break;
+    if (candidate.slot === parseInt(slot, 10)) continue;
+    if (!isValidNewReservationTime(date, candidate.slot, now).isValid) continue;
+
+    const assignment = chooseTablesForSlot(tables, occupancy, date, candidate.slot, guests);
+    if (assignment) {
+      suggestions.push({
+        slot: candidate.slot,
+        time: candidate.label,
+        tableNumbers: assignment.tableNumbers,
+      });
+    }
+  }
+
+  return suggestions;
+};
+
+module.exports = {
+  TABLE_ASSIGNMENT,
+  buildCombinationGraph,
+  chooseTables,
+  loadActiveTables,
+  chooseTablesForSlot,
+  findBestTableAssignment,
+  suggestAlternativeSlots,
+};
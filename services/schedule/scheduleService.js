@@ -0,0 +1,422 @@
+/**
+ * Restaurant Schedule - admin-managed opening hours, closures and blackouts
+ *
+ * The schedule is one RestaurantSchedule document. It is cached in
+ * utils/timeSlots.js so every slot lookup (reservations, availability,
+ * scheduled orders) stays synchronous: loaded at startup, replaced on save.
+ * Other API instances only learn about a save from the background jobs, which
+ * reload it every JOBS_INTERVAL_SECONDS (services/jobs/jobRunner.js). Saves
+ * start from the stored document and carry a version, so two admins saving
+ * through different instances never overwrite each other.
+ *
+ * Slot numbers are positions in a day, so a change of hours can renumber a
+ * day. Saving moves upcoming reservations and waitlist holds to the slot that
+ * keeps their time, and refuses the change when an active reservation or a
+ * hold would lose its time. Waiting guests keep the times they asked for.
+ * Reservations store their booked time and the schedule version they were
+ * numbered under; bookings made through an instance that had not reloaded yet
+ * are realigned after the save and by the reload job.
+ */
+
+const RestaurantSchedule = require('../../models/RestaurantSchedule');
+const Reservation = require('../../models/Reservation');
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const logger = require('../../utils/logger');
+const {
+  DEFAULT_SCHEDULE,
+  getActiveSchedule,
+  setActiveSchedule,
+  getDaySchedule,
+  startOfDay,
+  toMinutes
+} = require('../../utils/timeSlots');
+const { getToday, formatDay, getZonedDateTime } = require('../../utils/timezone');
+const {
+  ACTIVE_RESERVATION_STATUSES,
+  getSeatingMinutes,
+  overlapsBlackout
+} = require('../reservations/availabilityService');
+const { OPEN_WAITLIST_STATUSES } = require('../waitlist/waitlistService');
+
+const SCHEDULE_ID = 'default';
+const SCHEDULE_FIELDS = ['version', 'slotMinutes', 'weeklyHours', 'closures', 'blackouts', 'specialDays'];
+const SAVE_ATTEMPTS = 3;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Keep only the schedule fields of a stored document
+ * @param {Object} doc - Lean RestaurantSchedule document
+ * @returns {Object} Schedule
+ */
+const toSchedule = (doc) => {
+  return SCHEDULE_FIELDS.reduce((schedule, field) => ({ ...schedule, [field]: doc[field] }), {});
+};
+
+/**
+ * Get the version of a schedule (0 for the default schedule and documents saved before versions)
+ * @param {Object} schedule - Schedule
+ * @returns {number} Version
+ */
+const getScheduleVersion = (schedule) => schedule.version || 0;
+
+/**
+ * Load the saved schedule into the slot cache (default schedule when none is saved)
+ * @returns {Promise<Object>} Active schedule
+ */
+const loadSchedule = async () => {
+  const doc = await RestaurantSchedule.findById(SCHEDULE_ID).lean();
+  setActiveSchedule(doc ? toSchedule(doc) : null);
+  return getActiveSchedule();
+};
+
+/**
+ * Apply an update to a schedule
+ * Weekdays are merged by dayOfWeek; other lists are replaced as a whole.
+ * @param {Object} current - Current schedule
+ * @param {Object} changes - Validated update
+ * @returns {Object} New schedule
+ */
+const mergeSchedule = (current, changes) => {
+  const next = { ...current, ...changes };
+
+  if (changes.weeklyHours) {
+    const byDay = new Map(current.weeklyHours.map(day => [day.dayOfWeek, day]));
+    changes.weeklyHours.forEach(day => byDay.set(day.dayOfWeek, day));
+    next.weeklyHours = [...byDay.values()].sort((a, b) => a.dayOfWeek - b.dayOfWeek);
+  }
+
+  return next;
+};
+
+/**
+ * Check the rules Joi cannot express
+ * @param {Object} schedule - Schedule to check
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+const findScheduleProblems = (schedule) => {
+  const problems = [];
+
+  const checkPeriods = (periods, where) => {
+    const sorted = [...periods].sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+    sorted.forEach((period, index) => {
+      if (toMinutes(period.close) <= toMinutes(period.open)) {
+        problems.push(`${where}: ${period.name} must close after it opens`);
+      }
+      const next = sorted[index + 1];
+      if (next && toMinutes(next.open) < toMinutes(period.close)) {
+        problems.push(`${where}: ${period.name} and ${next.name} overlap`);
+      }
+    });
+  };
+
+  schedule.weeklyHours.forEach(day => checkPeriods(day.periods, `Day ${day.dayOfWeek}`));
+  schedule.specialDays.forEach(day => checkPeriods(day.periods, `Special day ${formatDay(day.date)}`));
+
+  schedule.blackouts.forEach(blackout => {
+    if (blackout.start && toMinutes(blackout.end) <= toMinutes(blackout.start)) {
+      problems.push(`Blackout on ${formatDay(blackout.date)} must end after it starts`);
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Check whether a party seated at a time would run into a private event
+ * @param {Date} date - Day
+ * @param {string} label - Time of the slot (HH:MM)
+ * @param {number} guests - Party size
+ * @param {Object} schedule - Schedule to check against
+ * @returns {boolean} True when the seating overlaps a blackout
+ */
+const hitsBlackout = (date, label, guests, schedule) => {
+  const start = getZonedDateTime(date, toMinutes(label));
+  const window = { start, end: new Date(start.getTime() + getSeatingMinutes(guests) * MINUTE_MS) };
+  return overlapsBlackout(date, window, schedule);
+};
+
+/**
+ * Compare upcoming reservations against a new schedule
+ * A reservation keeps its booked time (reservation.time, or its slot's time in
+ * `current` for reservations stored before it existed); it is renumbered when
+ * its slot number changes, and reported when that time no longer exists or
+ * hits a blackout.
+ * @param {Object} current - Schedule the reservations were booked under
+ * @param {Object} next - New schedule
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { conflicts, remaps }
+ */
+const compareReservations = async (current, next, now) => {
+  const reservations = await Reservation.find({ date: { $gte: getToday(now) } })
+    .select('date slot time guests status reservationNumber');
+
+  const conflicts = [];
+  const remaps = [];
+
+  reservations.forEach(reservation => {
+    const bookedTime = reservation.time ||
+      getDaySchedule(reservation.date, current).slots.find(s => s.slot === reservation.slot)?.label;
+    if (!bookedTime) return; // Already outside the schedule
+
+    const isActive = ACTIVE_RESERVATION_STATUSES.includes(reservation.status);
+    const newSlot = getDaySchedule(reservation.date, next).slots.find(s => s.label === bookedTime);
+
+    const conflict = (reason) => conflicts.push({
+      type: 'reservation',
+      id: reservation._id,
+      reservationNumber: reservation.reservationNumber,
+      date: reservation.date,
+      time: bookedTime,
+      reason,
+    });
+
+    if (!newSlot) {
+      if (isActive) conflict('outside opening hours');
+      return;
+    }
+
+    if (isActive && hitsBlackout(reservation.date, newSlot.label, reservation.guests, next)) {
+      conflict('private event');
+      return;
+    }
+
+    if (newSlot.slot !== reservation.slot) {
+      remaps.push({ id: reservation._id, slot: newSlot.slot, time: bookedTime });
+    }
+  });
+
+  return { conflicts, remaps };
+};
+
+/**
+ * Compare open waitlist entries against a new schedule
+ * A hold keeps its time like a reservation: it is renumbered, or reported when
+ * its time disappears or hits a blackout. A waiting range keeps the times it
+ * covered; an entry left without any slot can never be served and expires.
+ * @param {Object} current - Schedule the entries were made under
+ * @param {Object} next - New schedule
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { conflicts, updates } (updates: [{ id, status, set }])
+ */
+const compareWaitlist = async (current, next, now) => {
+  const entries = await WaitlistEntry.find({ date: { $gte: getToday(now) }, status: { $in: OPEN_WAITLIST_STATUSES } })
+    .select('date slotFrom slotTo guests status offer');
+
+  const conflicts = [];
+  const updates = [];
+
+  entries.forEach(entry => {
+    const currentSlots = getDaySchedule(entry.date, current).slots;
+    const nextSlots = getDaySchedule(entry.date, next).slots;
+    const set = {};
+
+    if (entry.status === 'offered' && entry.offer) {
+      const heldSlot = currentSlots.find(s => s.slot === entry.offer.slot);
+      const newSlot = heldSlot && nextSlots.find(s => s.label === heldSlot.label);
+
+      const conflict = (reason) => conflicts.push({
+        type: 'waitlist-hold',
+        id: entry._id,
+        reservationNumber: null,
+        date: entry.date,
+        time: heldSlot.label,
+        reason,
+      });
+
+      if (heldSlot && !newSlot) {
+        conflict('outside opening hours');
+        return;
+      }
+      if (newSlot && hitsBlackout(entry.date, newSlot.label, entry.guests, next)) {
+        conflict('private event');
+        return;
+      }
+      if (newSlot && newSlot.slot !== entry.offer.slot) {
+        set['offer.slot'] = newSlot.slot;
+      }
+    }
+
+    const from = currentSlots.find(s => s.slot === entry.slotFrom);
+    const to = currentSlots.find(s => s.slot === entry.slotTo);
+    if (from && to) {
+      const inRange = nextSlots.filter(s => toMinutes(s.label) >= toMinutes(from.label) &&
+                                            toMinutes(s.label) <= toMinutes(to.label));
+      if (inRange.length === 0) {
+        set.status = 'expired';
+        set.offer = null;
+      } else {
+        const slotFrom = inRange[0].slot;
+        const slotTo = inRange[inRange.length - 1].slot;
+        if (slotFrom !== entry.slotFrom) set.slotFrom = slotFrom;
+        if (slotTo !== entry.slotTo) set.slotTo = slotTo;
+      }
+    }
+
+    if (Object.keys(set).length > 0) {
+      updates.push({ id: entry._id, status: entry.status, set });
+    }
+  });
+
+  return { conflicts, updates };
+};
+
+/**
+ * Move upcoming reservations booked under an older schedule to the slot of their booked time
+ * Catches bookings made by an instance that had not reloaded the schedule yet,
+ * including ones saved after updateSchedule compared the reservations. Versions
+ * only grow, so an instance still holding an older schedule never moves them back.
+ * @param {Object} schedule - Schedule to align with (the active one)
+ * @param {Object} options - { now }
+ * @returns {Promise<number>} Number of reservations moved to another slot
+ */
+const realignReservations = async (schedule = getActiveSchedule(), { now = new Date() } = {}) => {
+  const version = getScheduleVersion(schedule);
+  const reservations = await Reservation.find({
+    date: { $gte: getToday(now) },
+    time: { $ne: null },
+    scheduleVersion: { $lt: version },
+  }).select('date slot time scheduleVersion reservationNumber');
+
+  let moved = 0;
+  const operations = reservations.map(reservation => {
+    const newSlot = getDaySchedule(reservation.date, schedule).slots.find(s => s.label === reservation.time);
+    const set = { scheduleVersion: version };
+
+    if (!newSlot) {
+      logger.warn('Reservation time is outside the opening hours', {
+        reservationNumber: reservation.reservationNumber,
+        time: reservation.time,
+      });
+    } else if (newSlot.slot !== reservation.slot) {
+      set.slot = newSlot.slot;
+      moved++;
+    }
+
+    return {
+      updateOne: {
+        filter: { _id: reservation._id, scheduleVersion: reservation.scheduleVersion },
+        update: { $set: set },
+      },
+    };
+  });
+
+  if (operations.length > 0) {
+    await Reservation.bulkWrite(operations);
+  }
+  return moved;
+};
+
+/**
+ * Store a schedule unless another save happened since `doc` was read
+ * @param {Object|null} doc - Stored document the change was computed from (null when none)
+ * @param {Object} schedule - Schedule to store, with its new version
+ * @returns {Promise<Object|null>} Saved document, or null when it changed meanwhile
+ */
+const saveIfUnchanged = async (doc, schedule) => {
+  if (!doc) {
+    try {
+      const created = await RestaurantSchedule.create({ _id: SCHEDULE_ID, ...schedule });
+      return created.toObject();
+    } catch (error) {
+      if (error.code === 11000) return null; // Created by another save
+      throw error;
+    }
+  }
+
+  return RestaurantSchedule.findOneAndUpdate(
+    { _id: SCHEDULE_ID, version: doc.version === undefined ? null : doc.version },
+    schedule,
+    { new: true, runValidators: true }
+  ).lean();
+};
+
+/**
+ * Save a schedule change
+ * Optimistic: the change is merged onto the stored document and saved only if
+ * no other save happened meanwhile; otherwise it is recomputed (SAVE_ATTEMPTS).
+ * @param {Object} changes - Validated update (see validateScheduleUpdate)
+ * @param {Object} options - { updatedBy, now }
+ * @returns {Promise<Object>} { problems } | { conflicts } | { changed } | { schedule, remappedReservations, remappedWaitlistEntries }
+ */
+const updateSchedule = async (changes, { updatedBy = null, now = new Date() } = {}) => {
+  for (let attempt = 0; attempt < SAVE_ATTEMPTS; attempt++) {
+    // Start from the stored schedule: this process's copy may be behind another instance's save
+    const doc = await RestaurantSchedule.findById(SCHEDULE_ID).lean();
+    const current = { ...DEFAULT_SCHEDULE, ...(doc ? toSchedule(doc) : {}) };
+    const next = { ...mergeSchedule(current, changes), version: getScheduleVersion(current) + 1 };
+
+    const problems = findScheduleProblems(next);
+    if (problems.length > 0) return { problems };
+
+    const [reservationCheck, waitlistCheck] = await Promise.all([
+      compareReservations(current, next, now),
+      compareWaitlist(current, next, now),
+    ]);
+    const conflicts = [...reservationCheck.conflicts, ...waitlistCheck.conflicts];
+    if (conflicts.length > 0) return { conflicts };
+    const { remaps } = reservationCheck;
+    const { updates } = waitlistCheck;
+
+    const saved = await saveIfUnchanged(doc, { ...next, updatedBy });
+    if (!saved) continue; // Another save landed meanwhile: compare against that one
+    setActiveSchedule(toSchedule(saved));
+
+    if (remaps.length > 0) {
+      await Reservation.bulkWrite(remaps.map(({ id, slot, time }) => ({
+        updateOne: { filter: { _id: id }, update: { $set: { slot, time, scheduleVersion: next.version } } },
+      })));
+    }
+    if (updates.length > 0) {
+      // Only if the entry did not move on meanwhile (confirmed, left, hold expired)
+      await WaitlistEntry.bulkWrite(updates.map(({ id, status, set }) => ({
+        updateOne: { filter: { _id: id, status }, update: { $set: set } },
+      })));
+    }
+
+    // Bookings saved since the comparison still carry the old numbering
+    const realigned = await realignReservations(getActiveSchedule(), { now });
+
+    logger.info('Restaurant schedule updated', {
+      updatedBy,
+      version: next.version,
+      remappedReservations: remaps.length + realigned,
+      remappedWaitlistEntries: updates.length,
+    });
+
+    return {
+      schedule: getActiveSchedule(),
+      remappedReservations: remaps.length + realigned,
+      remappedWaitlistEntries: updates.length,
+    };
+  }
+
+  return { changed: true };
+};
+
+/**
+ * Public part of the schedule: hours plus upcoming closures and special days
+ * Blackouts are left out (private events); their slots show as unavailable.
+ * @param {Date} now - Reference time
+ * @returns {Object} { slotMinutes, weeklyHours, closures, specialDays }
+ */
+const getPublicSchedule = (now = new Date()) => {
+  const schedule = getActiveSchedule();
+  const today = getToday(now);
+
+  return {
+    slotMinutes: schedule.slotMinutes,
+    weeklyHours: schedule.weeklyHours,
+    closures: schedule.closures.filter(closure => startOfDay(closure.to || closure.from) >= today),
+    specialDays: schedule.specialDays.filter(day => startOfDay(day.date) >= today),
+  };
+};
+
+module.exports = {
+  loadSchedule,
+  realignReservations,
+  mergeSchedule,
+  findScheduleProblems,
+  updateSchedule,
+  getPublicSchedule,
+};
@@ -0,0 +1,107 @@
+/**
+ * Security Settings - account security policy set by owners
+ *
+ * For now a single switch: requireTwoFactorForStaff. While it is on, staff
+ * accounts without two-factor authentication are refused on every staff
+ * route (middleware/auth.js requirePermission) until they enable it.
+ * Controllers that check a permission inline use hasStaffPermission, which
+ * applies the same rule.
+ */
+
+const SecuritySettings = require('../../models/SecuritySettings');
+const User = require('../../models/User');
+const logger = require('../../utils/logger');
+const { ROLES } = require('../../constants/permissions');
+const { hasPermission, isStaff } = require('../../utils/permissionHelpers');
+
+const SETTINGS_ID = 'default';
+
+/**
+ * Settings used until an owner saves some
+ */
+const DEFAULT_SETTINGS = {
+  requireTwoFactorForStaff: false,
+};
+
+/**
+ * Get the security settings in effect
+ * @returns {Promise<Object>} Settings (defaults when none are saved)
+ */
+const getSecuritySettings = async () => {
+  const doc = await SecuritySettings.findById(SETTINGS_ID).lean();
+  if (!doc) return { ...DEFAULT_SETTINGS };
+
+  return {
+    requireTwoFactorForStaff: doc.requireTwoFactorForStaff === true,
+    updatedAt: doc.updatedAt,
+    updatedBy: doc.updatedBy,
+  };
+};
+
+/**
+ * Save a settings change
+ * @param {Object} changes - Validated update (see validateSecuritySettingsUpdate)
+ * @param {Object} options - { updatedBy }
+ * @returns {Promise<Object>} Settings in effect
+ */
+const updateSecuritySettings = async (changes, { updatedBy = null } = {}) => {
+  await SecuritySettings.findByIdAndUpdate(
+    SETTINGS_ID,
+    { ...changes, updatedBy },
+    { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  logger.info('Security settings updated', { updatedBy, ...changes });
+  return getSecuritySettings();
+};
+
+/**
+ * Check whether a user must have two-factor authentication
+ * @param {Object} user - User (role)
+ * @param {Object} settings - Settings in effect
+ * @returns {boolean} True for staff while the policy is on
+ */
+const isTwoFactorRequired = (user, settings) => {
+  return settings.requireTwoFactorForStaff && isStaff(user);
+};
+
+/**
+ * Check whether a user is refused staff access until they enable two-factor authentication
+ * @param {Object} user - User (role, twoFactorEnabled)
+ * @returns {Promise<boolean>} True for staff without 2FA while the policy is on
+ */
+const isMissingRequiredTwoFactor = async (user) => {
+  if (user.twoFactorEnabled) return false;
+  return isTwoFactorRequired(user, await getSecuritySettings());
+};
+
+/**
+ * Check whether a user may use some permissions right now
+ * hasPermission plus the two-factor policy, as enforced by requirePermission.
+ * @param {Object|null} user - User (or null when not logged in)
+ * @param {...string} permissions - Accepted permissions
+ * @returns {Promise<boolean>} True if the role grants any of them and 2FA is not missing
+ */
+const hasStaffPermission = async (user, ...permissions) => {
+  if (!hasPermission(user, ...permissions)) return false;
+  return !(await isMissingRequiredTwoFactor(user));
+};
+
+/**
+ * Count the active staff accounts that have not enabled two-factor authentication
+ * @returns {Promise<number>} Accounts the policy would lock out of staff routes
+ */
+const countStaffWithoutTwoFactor = async () => {
+  const staffRoles = ROLES.filter(role => isStaff({ role }));
+  return User.countDocuments({ role: { $in: staffRoles }, isActive: true, twoFactorEnabled: { $ne: true } });
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSecuritySettings,
+  updateSecuritySettings,
+  isTwoFactorRequired,
+  isMissingRequiredTwoFactor,
+  hasStaffPermission,
+  countStaffWithoutTwoFactor,
+};
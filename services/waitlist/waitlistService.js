@@ -0,0 +1,274 @@
+/**
+ * Reservation Waitlist - offer freed tables to waiting guests
+ *
+ * Guests wait for a day, a range of slots and a party size. Whenever capacity
+ * frees up on that day (cancellation, admin status change, expired hold) the
+ * queue is walked in joining order and the first guest who now fits gets a
+ * hold: the tables count as occupied (see getDayOccupancy) until the guest
+ * confirms, which turns the hold into a reservation, or the hold expires and
+ * the tables go to the next guest.
+ */
+
+const Reservation = require('../../models/Reservation');
+const User = require('../../models/User');
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const emailService = require('../email/emailService');
+const logger = require('../../utils/logger');
+const { getLabelFromSlot, getReservationDateTime, startOfDay, toLabel } = require('../../utils/timeSlots');
+const { getToday, addDays, formatDay, getMinutesOfDay } = require('../../utils/timezone');
+const { isValidNewReservationTime } = require('../../utils/reservationHelpers');
+const { getDayOccupancy, findRaceConflicts, isTableFree, getReservationWindow } = require('../reservations/availabilityService');
+const { loadActiveTables, chooseTablesForSlot } = require('../reservations/tableAssignmentService');
+
+/**
+ * Entry statuses still in the queue
+ */
+const OPEN_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+const DEFAULT_HOLD_MINUTES = 15;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Get how long a freed table is held (WAITLIST_HOLD_MINUTES)
+ * @returns {number} Minutes
+ */
+const getHoldMinutes = () => {
+  const minutes = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10);
+  return minutes > 0 ? minutes : DEFAULT_HOLD_MINUTES;
+};
+
+/**
+ * Get the date range query of a day
+ * @param {Date|string} date - Any time of the day
+ * @returns {Object} { $gte, $lte }
+ */
+const dayRange = (date) => {
+  const start = startOfDay(date);
+  return { $gte: start, $lte: new Date(addDays(start, 1).getTime() - 1) };
+};
+
+/**
+ * Find the earliest slot of an entry's range that can seat the party now
+ * @param {Object} entry - Waitlist entry
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object|null>} { slot, tableNumbers } or null
+ */
+const findOfferForEntry = async (entry, now) => {
+  const [tables, occupancy] = await Promise.all([
+    loadActiveTables(),
+    getDayOccupancy(entry.date, { now }),
+  ]);
+
+  for (let slot = entry.slotFrom; slot <= entry.slotTo; slot++) {
+    if (!isValidNewReservationTime(entry.date, slot, now).isValid) continue;
+
+    const assignment = chooseTablesForSlot(tables, occupancy, entry.date, slot, entry.guests);
+    if (assignment) {
+      return { slot, tableNumbers: assignment.tableNumbers };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Email a guest that a table is held for them
+ * Failures are logged: the hold stands and shows in the guest's waitlist.
+ * @param {Object} entry - Entry with its offer
+ */
+const sendOfferEmail = async (entry) => {
+  try {
+    await emailService.sendWaitlistOfferEmail(entry.userEmail, entry.userName, {
+      date: formatDay(entry.date),
+      time: getLabelFromSlot(entry.offer.slot, entry.date),
+      guests: entry.guests,
+      expiresAt: toLabel(getMinutesOfDay(entry.offer.expiresAt)),
+      confirmUrl: `${process.env.FRONTEND_URL}/reservations/waitlist/${entry._id}`,
+    });
+  } catch (error) {
+    logger.error('Failed to send waitlist offer email', { entryId: entry._id, error: error.message });
+  }
+};
+
+/**
+ * Offer freed capacity of a day to waiting guests, first come first served
+ * @param {Date|string} date - Day where tables were freed
+ * @param {Object} options - { now }
+ * @returns {Promise<number>} Number of holds created
+ */
+const offerFreedCapacity = async (date, { now = new Date() } = {}) => {
+  const waiting = await WaitlistEntry.find({ date: dayRange(date), status: 'waiting' }).sort({ createdAt: 1, _id: 1 });
+  let offers = 0;
+
+  for (const entry of waiting) {
+    const found = await findOfferForEntry(entry, now);
+    if (!found) continue;
+
+    const slotStart = getReservationDateTime(entry.date, found.slot);
+    const expiresAt = new Date(Math.min(now.getTime() + getHoldMinutes() * MINUTE_MS, slotStart.getTime()));
+
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { $set: { status: 'offered', offer: { ...found, offeredAt: now, expiresAt } } },
+      { new: true }
+    );
+    if (!offered) continue; // Left the queue meanwhile
+
+    // Another offer or booking may have taken the same tables since we looked
+    const occupancy = await getDayOccupancy(entry.date, { excludeWaitlistEntryId: entry._id, now });
+    const window = getReservationWindow(entry.date, found.slot, entry.guests);
+    if (!found.tableNumbers.every(tableNumber => isTableFree(occupancy, tableNumber, window))) {
+      await WaitlistEntry.updateOne({ _id: entry._id, status: 'offered' }, { $set: { status: 'waiting', offer: null } });
+      continue;
+    }
+
+    offers++;
+    logger.info('Waitlist hold offered', { entryId: entry._id, slot: found.slot, tables: found.tableNumbers });
+    await sendOfferEmail(offered);
+  }
+
+  return offers;
+};
+
+/**
+ * Offer a day's freed capacity without failing the caller
+ * Used after cancellations and status changes, which already succeeded.
+ * @param {Date|string} date - Day where tables were freed
+ */
+const notifyCapacityFreed = async (date) => {
+  try {
+    await offerFreedCapacity(date);
+  } catch (error) {
+    logger.error('Failed to offer freed tables to the waitlist', error);
+  }
+};
+
+/**
+ * Expire unconfirmed holds and pass their tables to the next guests
+ * Waiting entries for past days are closed too.
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { expired, offered }
+ */
+const expireHolds = async ({ now = new Date() } = {}) => {
+  const due = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: now } }).select('date');
+
+  const days = new Map();
+  let expired = 0;
+  for (const entry of due) {
+    const result = await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'offered', 'offer.expiresAt': { $lte: now } },
+      { $set: { status: 'expired' } }
+    );
+    if (result.modifiedCount === 0) continue; // Confirmed meanwhile
+
+    expired++;
+    days.set(startOfDay(entry.date).getTime(), entry.date);
+  }
+
+  await WaitlistEntry.updateMany(
+    { status: 'waiting', date: { $lt: getToday(now) } },
+    { $set: { status: 'expired' } }
+  );
+
+  let offered = 0;
+  for (const date of days.values()) {
+    offered += await offerFreedCapacity(date, { now });
+  }
+
+  if (expired > 0) {
+    logger.info('Waitlist holds expired', { expired, offered });
+  }
+
+  return { expired, offered };
+};
+
+/**
+ * Turn a guest's hold into a reservation
+ * @param {string} entryId - Waitlist entry ID
+ * @param {string} userId - Guest confirming the hold
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { expired: true } | { conflicts, entry } | { reservation, entry }
+ */
+const confirmOffer = async (entryId, userId, { now = new Date() } = {}) => {
+  // Claiming the entry releases the hold, so the reservation below does not clash with it
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: entryId, userId, status: 'offered', 'offer.expiresAt': { $gt: now } },
+    { $set: { status: 'confirmed' } },
+    { new: true }
+  );
+  if (!entry) return { expired: true };
+
+  const { slot, tableNumbers } = entry.offer;
+  // The hold is gone either way: offer what is still free, as leaveWaitlist and expireHolds do
+  const reopen = async () => {
+    await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { status: 'waiting', offer: null } });
+    await notifyCapacityFreed(entry.date);
+  };
+
+  const reservation = new Reservation({
+    userId: entry.userId,
+    userEmail: entry.userEmail,
+    userName: entry.userName,
+    date: entry.date,
+    slot,
+    guests: entry.guests,
+    tableNumber: tableNumbers,
+    specialRequest: entry.specialRequest,
+    contactPhone: entry.contactPhone,
+  });
+
+  try {
+    await reservation.save();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    await reopen();
+    return { conflicts: tableNumbers, entry };
+  }
+
+  const conflicts = await findRaceConflicts(reservation);
+  if (conflicts.length > 0) {
+    await Reservation.deleteOne({ _id: reservation._id });
+    await reopen();
+    return { conflicts, entry };
+  }
+
+  entry.reservationId = reservation._id;
+  await entry.save();
+
+  try {
+    await User.findByIdAndUpdate(entry.userId, { $inc: { totalReservations: 1 } });
+  } catch (error) {
+    logger.error('Error updating user statistics', error);
+  }
+
+  return { reservation, entry };
+};
+
+/**
+ * Take a guest off the waitlist, releasing any hold to the next guest
+ * @param {Object} entry - Open waitlist entry
+ * @returns {Promise<Object>} Updated entry
+ */
+const leaveWaitlist = async (entry) => {
+  const wasOffered = entry.status === 'offered';
+
+  entry.status = 'cancelled';
+  await entry.save();
+
+  if (wasOffered) {
+    await notifyCapacityFreed(entry.date);
+  }
+
+  return entry;
+};
+
+module.exports = {
+  OPEN_WAITLIST_STATUSES,
+  getHoldMinutes,
+  dayRange,
+  offerFreedCapacity,
+  notifyCapacityFreed,
+  expireHolds,
+  confirmOffer,
+  leaveWaitlist,
+};
@@ -1,9 +1,11 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../../models/User');
 const MenuItem = require('../../models/MenuItem');
 const Order = require('../../models/Order');
 const Reservation = require('../../models/Reservation');
 const Table = require('../../models/Table');
+const { getToday, addDays } = require('../../utils/timezone');
 
 const createTestUser = async (userData = {}) => {
   const defaultUser = {
@@ -102,6 +104,26 @@ const generateAuthToken = (userId) => {
   });
 };
 
+// Local fake Stripe signer: builds a Stripe-Signature header for a raw payload
+// Same scheme as Stripe: t=<timestamp>,v1=HMAC_SHA256(secret, "<timestamp>.<payload>")
+const signStripePayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`, 'utf8')
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Build a minimal Stripe event object
+const buildStripeEvent = (type, object, id = `evt_test_${crypto.randomBytes(8).toString('hex')}`) => ({
+  id,
+  object: 'event',
+  type,
+  created: Math.floor(Date.now() / 1000),
+  data: { object },
+});
+
 const mockRequest = (overrides = {}) => {
   const req = {
     body: {},
@@ -146,13 +168,8 @@ const mockResponse = () => {
 
 const mockNext = () => jest.fn();
 
-// Helper to get a future date (days from now)
-const getFutureDate = (daysFromNow = 3) => {
-  const date = new Date();
-  date.setDate(date.getDate() + daysFromNow);
-  date.setHours(0, 0, 0, 0);
-  return date;
-};
+// Helper to get a future date (days from now), stored form: UTC midnight of the restaurant's day
+const getFutureDate = (daysFromNow = 3) => addDays(getToday(), daysFromNow);
 
 const createTestTable = async (tableData = {}) => {
   const defaultTable = {
@@ -168,7 +185,7 @@ const createTestTable = async (tableData = {}) => {
 
 const createTestReservation = async (reservationData = {}) => {
   const defaultDate = reservationData.date || getFutureDate(3);
-  const isPastDate = new Date(defaultDate) < new Date().setHours(0, 0, 0, 0);
+  const isPastDate = new Date(defaultDate) < getToday();
 
   const defaultReservation = {
     userId: reservationData.userId,
@@ -205,6 +222,8 @@ module.exports = {
   createTestReservation,
   getFutureDate,
   generateAuthToken,
+  signStripePayload,
+  buildStripeEvent,
   mockRequest,
   mockResponse,
   mockNext,
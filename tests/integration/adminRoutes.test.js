@@ -5,6 +5,7 @@ const mongoose = require('mongoose');
 const adminRoutes = require('../../routes/admin');
 const errorHandler = require('../../middleware/errorHandler');
 const MenuItem = require('../../models/MenuItem');
+const { getToday, addDays, getZonedDateTime } = require('../../utils/timezone');
 const {
   createTestUser,
   createTestAdmin,
@@ -208,6 +209,34 @@ describe('Admin Routes Integration Tests', () => {
       expect(res.body.data.orders.thisMonth.total).toBeGreaterThanOrEqual(2);
     });
 
+    it('should subtract refunds from revenue', async () => {
+      const resBefore = await request(app)
+        .get('/api/admin/stats')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await createTestOrder({
+        userId: regularUser._id,
+        userEmail: regularUser.email,
+        userName: regularUser.name,
+        orderType: 'pickup',
+        totalPrice: 50.00,
+        status: 'delivered',
+        paymentMethod: 'card',
+        paymentStatus: 'partially_refunded',
+        refundedAmount: 20,
+        refunds: [{ amount: 20, method: 'stripe' }]
+      });
+
+      const res = await request(app)
+        .get('/api/admin/stats')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data.orders.thisMonth.revenue - resBefore.body.data.orders.thisMonth.revenue).toBeCloseTo(30);
+      expect(res.body.data.revenue.today - resBefore.body.data.revenue.today).toBeCloseTo(30);
+    });
+
     it('should exclude cancelled and no-show reservations from stats', async () => {
       // Get stats before adding cancelled reservation
       const resBefore = await request(app)
@@ -238,6 +267,38 @@ describe('Admin Routes Integration Tests', () => {
       expect(resAfter.body.data.reservations.thisMonth.totalGuests).toBe(guestsBefore);
     });
 
+    it('should count scheduled orders on their scheduled day when asked', async () => {
+      const tomorrow = getZonedDateTime(addDays(getToday(), 1), 19 * 60);
+      await createTestOrder({
+        userId: regularUser._id,
+        orderType: 'pickup',
+        totalPrice: 40.00,
+        scheduledFor: tomorrow
+      });
+
+      const byCreation = await request(app)
+        .get('/api/admin/stats')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const byScheduledTime = await request(app)
+        .get('/api/admin/stats?orderDateField=scheduledFor')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(byScheduledTime.body.data.orderDateField).toBe('scheduledFor');
+      expect(byScheduledTime.body.data.orders.today.total).toBe(byCreation.body.data.orders.today.total - 1);
+    });
+
+    it('should reject an unknown order date field', async () => {
+      const res = await request(app)
+        .get('/api/admin/stats?orderDateField=updatedAt')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(res.body.success).toBe(false);
+    });
+
     it('should return zero for periods with no data', async () => {
       const res = await request(app)
         .get('/api/admin/stats')
@@ -0,0 +1,144 @@
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const reservationRoutes = require('../../routes/reservations');
+const adminRoutes = require('../../routes/admin');
+const errorHandler = require('../../middleware/errorHandler');
+const User = require('../../models/User');
+const { getReservationDateTime } = require('../../utils/timeSlots');
+const { formatDateTime } = require('../../utils/icalendar');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestTable,
+  createTestReservation,
+  getFutureDate,
+  generateAuthToken,
+} = require('../helpers/testHelpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use(errorHandler);
+
+describe('Calendar Routes Integration Tests', () => {
+  let user;
+  let admin;
+  let userToken;
+  let otherToken;
+  let adminToken;
+  let reservation;
+
+  const createFeed = async () => {
+    const res = await request(app)
+      .post('/api/admin/calendar-feed')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(201);
+    return new URL(res.body.data.url).pathname;
+  };
+
+  beforeEach(async () => {
+    user = await createTestUser({ email: 'calendar@example.com' });
+    const other = await createTestUser({ email: 'other@example.com' });
+    admin = await createTestAdmin({ email: 'calendaradmin@example.com' });
+    userToken = generateAuthToken(user._id);
+    otherToken = generateAuthToken(other._id);
+    adminToken = generateAuthToken(admin._id);
+
+    await createTestTable({ tableNumber: 1, capacity: 2 });
+    reservation = await createTestReservation({ userId: user._id, date: getFutureDate(3), slot: 12 });
+  });
+
+  describe('GET /api/reservations/:id/ics', () => {
+    it('should export the reservation as an event', async () => {
+      const res = await request(app)
+        .get(`/api/reservations/${reservation._id}/ics`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.headers['content-type']).toContain('text/calendar');
+      expect(res.headers['content-disposition']).toContain('.ics');
+      expect(res.text).toContain('BEGIN:VEVENT');
+      expect(res.text).toContain(`UID:reservation-${reservation._id}@restoh`);
+      expect(res.text).toContain(`DTSTART:${formatDateTime(getReservationDateTime(reservation.date, reservation.slot))}`);
+      expect(res.text).toContain('STATUS:CONFIRMED');
+      expect(res.text).toMatch(/\r\n$/);
+    });
+
+    it('should mark a cancelled reservation as cancelled', async () => {
+      const cancelled = await createTestReservation({
+        userId: user._id,
+        date: getFutureDate(4),
+        status: 'cancelled',
+      });
+
+      const res = await request(app)
+        .get(`/api/reservations/${cancelled._id}/ics`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.text).toContain('STATUS:CANCELLED');
+    });
+
+    it('should not export another customer\'s reservation', async () => {
+      await request(app)
+        .get(`/api/reservations/${reservation._id}/ics`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Admin calendar feed', () => {
+    it('should list upcoming reservations and follow status changes', async () => {
+      const feedPath = await createFeed();
+
+      const before = await request(app).get(feedPath).expect(200);
+      expect(before.text).toContain('X-WR-CALNAME:');
+      expect(before.text).toContain(`UID:reservation-${reservation._id}@restoh`);
+      expect(before.text).toContain('STATUS:CONFIRMED');
+
+      await request(app)
+        .patch(`/api/reservations/admin/${reservation._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'cancelled' })
+        .expect(200);
+
+      const after = await request(app).get(feedPath).expect(200);
+      expect(after.text).toContain('STATUS:CANCELLED');
+    });
+
+    it('should leave past days out of the feed', async () => {
+      const past = await createTestReservation({ userId: user._id, date: getFutureDate(-3) });
+      const feedPath = await createFeed();
+
+      const res = await request(app).get(feedPath).expect(200);
+
+      expect(res.text).not.toContain(`reservation-${past._id}`);
+    });
+
+    it('should refuse revoked and replaced feed URLs', async () => {
+      const firstPath = await createFeed();
+      const secondPath = await createFeed();
+
+      await request(app).get(firstPath).expect(401);
+      await request(app).get(secondPath).expect(200);
+
+      await request(app)
+        .delete('/api/admin/calendar-feed')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app).get(secondPath).expect(401);
+    });
+
+    it('should stop working when its owner is no longer an admin', async () => {
+      const feedPath = await createFeed();
+      await User.updateOne({ _id: admin._id }, { role: 'user' });
+
+      await request(app).get(feedPath).expect(401);
+    });
+  });
+});
@@ -0,0 +1,313 @@
+// Set test Stripe key before loading the payment controller
+process.env.STRIPE_SECRET_KEY = 'sk_test_mock_key_for_testing';
+
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const Stripe = require('stripe');
+const reservationRoutes = require('../../routes/reservations');
+const paymentRoutes = require('../../routes/payments');
+const errorHandler = require('../../middleware/errorHandler');
+const EventRequest = require('../../models/EventRequest');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestTable,
+  createTestReservation,
+  getFutureDate,
+  generateAuthToken,
+} = require('../helpers/testHelpers');
+
+// Mocked Stripe client created by the payment controller (see tests/setupMocks.js)
+const stripeClient = Stripe.mock.results[0].value;
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use(errorHandler);
+
+describe('Event Request Routes Integration Tests', () => {
+  const day = getFutureDate(5);
+  let user;
+  let userToken;
+  let adminToken;
+
+  const sendRequest = (overrides = {}) => request(app)
+    .post('/api/reservations/events')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({
+      type: 'large-party',
+      date: day.toISOString(),
+      startTime: '19:00',
+      endTime: '22:00',
+      guests: 30,
+      occasion: 'Company dinner',
+      contactPhone: '0612345678',
+      ...overrides,
+    });
+
+  const quote = (id, body) => request(app)
+    .put(`/api/reservations/admin/events/${id}/quote`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  const approve = (id) => request(app)
+    .post(`/api/reservations/admin/events/${id}/approve`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  const book = (overrides = {}) => request(app)
+    .post('/api/reservations')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({
+      date: day.toISOString(),
+      slot: 10, // 19:30
+      guests: 2,
+      contactPhone: '0612345678',
+      ...overrides,
+    });
+
+  // Quoted then approved large party on tables 2 and 3
+  const createApprovedEvent = async (quoteOverrides = {}) => {
+    const res = await sendRequest().expect(201);
+    await quote(res.body.data._id, { totalAmount: 1500, tableNumbers: [2, 3], ...quoteOverrides }).expect(200);
+    await approve(res.body.data._id).expect(200);
+    return EventRequest.findById(res.body.data._id);
+  };
+
+  beforeEach(async () => {
+    user = await createTestUser({ email: 'eventuser@example.com' });
+    const admin = await createTestAdmin({ email: 'eventadmin@example.com' });
+    userToken = generateAuthToken(user._id);
+    adminToken = generateAuthToken(admin._id);
+
+    await createTestTable({ tableNumber: 1, capacity: 2 });
+    await createTestTable({ tableNumber: 2, capacity: 2 });
+    await createTestTable({ tableNumber: 3, capacity: 30 });
+  });
+
+  describe('POST /api/reservations/events', () => {
+    it('should accept parties above the online booking limit', async () => {
+      const res = await sendRequest().expect(201);
+
+      expect(res.body.data.status).toBe('pending');
+      expect(res.body.data.guests).toBe(30);
+      expect(res.body.data.userEmail).toBe('eventuser@example.com');
+      expect(res.body.data.quote).toBeNull();
+    });
+
+    it('should reject an event ending before it starts', async () => {
+      const res = await sendRequest({ startTime: '22:00', endTime: '19:00' }).expect(400);
+
+      expect(res.body.message).toContain('endTime');
+    });
+
+    it('should list the customer\'s own requests', async () => {
+      await sendRequest().expect(201);
+
+      const res = await request(app)
+        .get('/api/reservations/events')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.body.count).toBe(1);
+    });
+  });
+
+  describe('Quote and approval', () => {
+    it('should save a quote with the tables of a large party', async () => {
+      const created = await sendRequest().expect(201);
+
+      const res = await quote(created.body.data._id, {
+        totalAmount: 1500,
+        depositAmount: 300,
+        tableNumbers: [2, 3],
+      }).expect(200);
+
+      expect(res.body.data.status).toBe('quoted');
+      expect(res.body.data.quote.depositAmount).toBe(300);
+      expect(res.body.data.quote.currency).toBe('usd');
+      expect(res.body.data.quote.tableNumbers).toEqual([2, 3]);
+    });
+
+    it('should refuse tables that cannot seat the party', async () => {
+      const created = await sendRequest().expect(201);
+
+      const res = await quote(created.body.data._id, { totalAmount: 1500, tableNumbers: [1, 2] }).expect(400);
+
+      expect(res.body.code).toBe('CAPACITY_INSUFFICIENT');
+    });
+
+    it('should not take tables for a buyout quote', async () => {
+      const created = await sendRequest({ type: 'buyout' }).expect(201);
+
+      await quote(created.body.data._id, { totalAmount: 5000, tableNumbers: [2] }).expect(400);
+      await quote(created.body.data._id, { totalAmount: 5000 }).expect(200);
+    });
+
+    it('should only approve quoted requests', async () => {
+      const created = await sendRequest().expect(201);
+
+      const res = await approve(created.body.data._id).expect(400);
+
+      expect(res.body.code).toBe('EVENT_REQUEST_INVALID_STATUS');
+    });
+
+    it('should refuse approval while reservations hold the tables', async () => {
+      await createTestReservation({ userId: user._id, date: day, slot: 10, tableNumber: [3] });
+      const created = await sendRequest().expect(201);
+      await quote(created.body.data._id, { totalAmount: 1500, tableNumbers: [2, 3] }).expect(200);
+
+      const res = await approve(created.body.data._id).expect(409);
+
+      expect(res.body.code).toBe('TABLES_UNAVAILABLE');
+      expect(res.body.details.unavailableTables).toEqual([3]);
+    });
+
+    it('should be reserved to admins', async () => {
+      const created = await sendRequest().expect(201);
+
+      await request(app)
+        .put(`/api/reservations/admin/events/${created.body.data._id}/quote`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ totalAmount: 1500, tableNumbers: [2, 3] })
+        .expect(403);
+    });
+  });
+
+  describe('Availability', () => {
+    it('should block the event tables during the event', async () => {
+      await createApprovedEvent();
+
+      const res = await book({ tableNumber: [2] }).expect(409);
+      expect(res.body.code).toBe('TABLES_UNAVAILABLE');
+
+      // Tables outside the event stay bookable
+      await book({ tableNumber: [1] }).expect(201);
+    });
+
+    it('should block every table for a buyout', async () => {
+      const created = await sendRequest({ type: 'buyout', guests: 45 }).expect(201);
+      await quote(created.body.data._id, { totalAmount: 5000 }).expect(200);
+      await approve(created.body.data._id).expect(200);
+
+      const res = await book().expect(409);
+      expect(res.body.code).toBe('NO_TABLE_AVAILABLE');
+
+      // Lunch is not part of the event
+      await book({ slot: 3 }).expect(201);
+    });
+
+    it('should list approved events for admins', async () => {
+      await createApprovedEvent();
+
+      const res = await request(app)
+        .get('/api/reservations/admin/events')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data[0].status).toBe('approved');
+      expect(res.body.data[0].depositStatus).toBe('none');
+    });
+
+    it('should free the tables when the customer cancels', async () => {
+      const event = await createApprovedEvent();
+
+      await request(app)
+        .delete(`/api/reservations/events/${event._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      await book({ tableNumber: [2] }).expect(201);
+    });
+
+    it('should free the tables when an admin declines', async () => {
+      const event = await createApprovedEvent();
+
+      const res = await request(app)
+        .post(`/api/reservations/admin/events/${event._id}/decline`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Kitchen closed for maintenance' })
+        .expect(200);
+
+      expect(res.body.data.status).toBe('declined');
+      expect(res.body.data.declineReason).toBe('Kitchen closed for maintenance');
+      await book({ tableNumber: [2] }).expect(201);
+    });
+  });
+
+  describe('Deposits', () => {
+    const createIntent = (eventRequestId, token = userToken) => request(app)
+      .post('/api/payments/stripe/event-deposit/create-intent')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ eventRequestId: eventRequestId.toString() });
+
+    it('should create a payment intent for the quoted deposit', async () => {
+      const event = await createApprovedEvent({ depositAmount: 300, currency: 'eur' });
+      expect(event.depositStatus).toBe('pending');
+
+      const res = await createIntent(event._id).expect(200);
+
+      expect(res.body.data.amount).toBe(300);
+      expect(stripeClient.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 30000,
+        currency: 'eur',
+        metadata: expect.objectContaining({ eventRequestId: event._id.toString() }),
+      }));
+
+      const updated = await EventRequest.findById(event._id);
+      expect(updated.paymentIntentId).toBe('pi_test_123');
+    });
+
+    it('should confirm a succeeded deposit payment', async () => {
+      const event = await createApprovedEvent({ depositAmount: 300 });
+      await createIntent(event._id).expect(200);
+      stripeClient.paymentIntents.retrieve.mockResolvedValueOnce({
+        id: 'pi_test_123',
+        amount: 30000,
+        amount_received: 30000,
+        currency: 'usd',
+        status: 'succeeded',
+        metadata: { eventRequestId: event._id.toString() },
+      });
+
+      const res = await request(app)
+        .post('/api/payments/stripe/event-deposit/confirm')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ paymentIntentId: 'pi_test_123' })
+        .expect(200);
+
+      expect(res.body.data.eventRequest.depositStatus).toBe('paid');
+      expect(res.body.data.eventRequest.depositPaidAt).toBeDefined();
+    });
+
+    it('should refuse a deposit before approval', async () => {
+      const created = await sendRequest().expect(201);
+      await quote(created.body.data._id, { totalAmount: 1500, depositAmount: 300, tableNumbers: [2, 3] }).expect(200);
+
+      const res = await createIntent(created.body.data._id).expect(400);
+
+      expect(res.body.code).toBe('EVENT_DEPOSIT_NOT_PAYABLE');
+      expect(stripeClient.paymentIntents.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a deposit when the quote asks none', async () => {
+      const event = await createApprovedEvent();
+
+      const res = await createIntent(event._id).expect(400);
+
+      expect(res.body.code).toBe('EVENT_DEPOSIT_NOT_PAYABLE');
+    });
+
+    it('should not let another customer pay the deposit', async () => {
+      const event = await createApprovedEvent({ depositAmount: 300 });
+      const other = await createTestUser({ email: 'otherevent@example.com' });
+
+      const res = await createIntent(event._id, generateAuthToken(other._id)).expect(404);
+
+      expect(res.body.code).toBe('EVENT_REQUEST_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const floorRoutes = require('../../routes/floor');
+const errorHandler = require('../../middleware/errorHandler');
+const Reservation = require('../../models/Reservation');
+const { setActiveSchedule } = require('../../utils/timeSlots');
+const { getCurrentSlot } = require('../../services/reservations/floorService');
+const { getToday } = require('../../utils/timezone');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestTable,
+  createTestReservation,
+  generateAuthToken,
+} = require('../helpers/testHelpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/floor', floorRoutes);
+app.use(errorHandler);
+
+// Open around the clock so the host stand works whenever the suite runs
+const ALL_DAY = {
+  weeklyHours: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({
+    dayOfWeek,
+    periods: [{ name: 'all day', open: '00:00', close: '23:59' }],
+  })),
+};
+
+describe('Floor Routes Integration Tests', () => {
+  const today = getToday();
+  let user;
+  let userToken;
+  let adminToken;
+
+  const walkIn = (body) => request(app)
+    .post('/api/floor/walk-ins')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  const getFloor = () => request(app)
+    .get('/api/floor')
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  const tableOnFloor = (res, tableNumber) => res.body.data.tables.find(table => table.tableNumber === tableNumber);
+
+  beforeEach(async () => {
+    setActiveSchedule(ALL_DAY);
+
+    user = await createTestUser({ email: 'flooruser@example.com' });
+    const admin = await createTestAdmin({ email: 'flooradmin@example.com' });
+    userToken = generateAuthToken(user._id);
+    adminToken = generateAuthToken(admin._id);
+
+    await createTestTable({ tableNumber: 1, capacity: 2 });
+    await createTestTable({ tableNumber: 2, capacity: 4 });
+  });
+
+  afterAll(() => {
+    setActiveSchedule(null);
+  });
+
+  describe('POST /api/floor/walk-ins', () => {
+    it('should seat a walk-in on the best free table', async () => {
+      const res = await walkIn({ guests: 2, name: 'Martin' }).expect(201);
+
+      expect(res.body.data.source).toBe('walk-in');
+      expect(res.body.data.status).toBe('seated');
+      expect(res.body.data.tableNumber).toEqual([1]);
+      expect(res.body.data.seatedAt).toBeDefined();
+      expect(res.body.data.userName).toBe('Martin');
+    });
+
+    it('should seat a small party at a larger table picked by the host', async () => {
+      const res = await walkIn({ guests: 1, tableNumber: [2] }).expect(201);
+
+      expect(res.body.data.tableNumber).toEqual([2]);
+      expect(res.body.data.userName).toBe('Walk-in');
+    });
+
+    it('should refuse a table booked before the walk-in would leave', async () => {
+      await createTestReservation({
+        userId: user._id,
+        date: today,
+        slot: getCurrentSlot() + 1,
+        tableNumber: [1],
+      });
+
+      const res = await walkIn({ guests: 2, tableNumber: [1] }).expect(409);
+
+      expect(res.body.code).toBe('TABLES_UNAVAILABLE');
+    });
+
+    it('should refuse walk-ins while the restaurant is closed', async () => {
+      setActiveSchedule({ weeklyHours: [] });
+
+      const res = await walkIn({ guests: 2 }).expect(400);
+
+      expect(res.body.code).toBe('SLOT_UNAVAILABLE');
+    });
+  });
+
+  describe('Seating, moving and clearing', () => {
+    let reservation;
+
+    beforeEach(async () => {
+      reservation = await createTestReservation({
+        userId: user._id,
+        date: today,
+        slot: getCurrentSlot(),
+        tableNumber: [1],
+      });
+    });
+
+    it('should seat an arriving reservation and show it on the floor', async () => {
+      const res = await request(app)
+        .post(`/api/floor/reservations/${reservation._id}/seat`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data.status).toBe('seated');
+
+      const floor = await getFloor().expect(200);
+      const table = tableOnFloor(floor, 1);
+      expect(table.status).toBe('occupied');
+      expect(table.party.guests).toBe(2);
+      expect(new Date(table.expectedFreeAt).getTime()).toBeGreaterThan(Date.now());
+      expect(floor.body.data.summary.seatedGuests).toBe(2);
+    });
+
+    it('should move a seated party to another table', async () => {
+      await request(app)
+        .post(`/api/floor/reservations/${reservation._id}/seat`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/floor/reservations/${reservation._id}/move`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ tableNumber: [2] })
+        .expect(200);
+
+      const floor = await getFloor().expect(200);
+      expect(tableOnFloor(floor, 1).status).toBe('free');
+      expect(tableOnFloor(floor, 2).status).toBe('occupied');
+    });
+
+    it('should clear the table when the party leaves', async () => {
+      await request(app)
+        .post(`/api/floor/reservations/${reservation._id}/seat`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/floor/reservations/${reservation._id}/clear`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const cleared = await Reservation.findById(reservation._id);
+      expect(cleared.status).toBe('completed');
+      expect(cleared.clearedAt).toBeInstanceOf(Date);
+
+      const floor = await getFloor().expect(200);
+      expect(tableOnFloor(floor, 1).status).toBe('free');
+    });
+
+    it('should not seat a party on a table still in use', async () => {
+      await walkIn({ guests: 4, tableNumber: [2] }).expect(201);
+
+      const res = await request(app)
+        .post(`/api/floor/reservations/${reservation._id}/seat`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ tableNumber: [2] })
+        .expect(409);
+
+      expect(res.body.code).toBe('TABLES_UNAVAILABLE');
+    });
+  });
+
+  it('should be reserved to admins', async () => {
+    await request(app)
+      .get('/api/floor')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+  });
+});
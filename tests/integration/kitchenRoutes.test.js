@@ -0,0 +1,252 @@
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const kitchenRoutes = require('../../routes/kitchen');
+const errorHandler = require('../../middleware/errorHandler');
+const Order = require('../../models/Order');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestMenuItem,
+  createTestOrder,
+  generateAuthToken,
+} = require('../helpers/testHelpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/kitchen', kitchenRoutes);
+app.use(errorHandler);
+
+describe('Kitchen Routes Integration Tests', () => {
+  let user;
+  let userToken;
+  let adminToken;
+  let menuItem;
+
+  beforeEach(async () => {
+    user = await createTestUser({ email: 'kitchenuser@example.com' });
+    const admin = await createTestAdmin({ email: 'kitchenadmin@example.com' });
+    userToken = generateAuthToken(user._id);
+    adminToken = generateAuthToken(admin._id);
+    menuItem = await createTestMenuItem({ name: 'Kitchen Dish', price: 9 });
+  });
+
+  const createKitchenOrder = (overrides = {}) => createTestOrder({
+    userId: user._id,
+    menuItemId: menuItem._id,
+    orderType: 'pickup',
+    items: [
+      { menuItem: menuItem._id, name: 'Burger', quantity: 2, price: 9, image: 'burger.jpg', specialInstructions: 'No onions' },
+      { menuItem: menuItem._id, name: 'Fries', quantity: 1, price: 3, image: 'fries.jpg' },
+    ],
+    totalPrice: 21,
+    ...overrides,
+  });
+
+  describe('GET /api/kitchen/board', () => {
+    it('should group active orders by stage', async () => {
+      await createKitchenOrder({ status: 'confirmed' });
+      await createKitchenOrder({ status: 'preparing' });
+      await createKitchenOrder({ status: 'ready' });
+      await createKitchenOrder({ status: 'pending' });
+      await createKitchenOrder({ status: 'delivered' });
+
+      const res = await request(app)
+        .get('/api/kitchen/board')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.stages).toEqual(['confirmed', 'preparing', 'ready']);
+      expect(res.body.data.counts).toEqual({ confirmed: 1, preparing: 1, ready: 1 });
+      expect(res.body.data.board.pending).toBeUndefined();
+    });
+
+    it('should include item lines with special instructions', async () => {
+      await createKitchenOrder({ status: 'confirmed' });
+
+      const res = await request(app)
+        .get('/api/kitchen/board')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const ticket = res.body.data.board.confirmed[0];
+      expect(ticket.items).toHaveLength(2);
+      expect(ticket.items[0].name).toBe('Burger');
+      expect(ticket.items[0].quantity).toBe(2);
+      expect(ticket.items[0].specialInstructions).toBe('No onions');
+      expect(ticket.items[0].bumped).toBe(false);
+      expect(ticket.itemsTotal).toBe(2);
+      expect(ticket.itemsBumped).toBe(0);
+    });
+
+    it('should report time spent in the current stage', async () => {
+      const enteredAt = new Date(Date.now() - 12 * 60 * 1000);
+      await createKitchenOrder({
+        status: 'preparing',
+        statusHistory: [
+          { status: 'pending', changedAt: new Date(Date.now() - 30 * 60 * 1000) },
+          { status: 'confirmed', fromStatus: 'pending', changedAt: new Date(Date.now() - 20 * 60 * 1000) },
+          { status: 'preparing', fromStatus: 'confirmed', changedAt: enteredAt },
+        ],
+      });
+
+      const res = await request(app)
+        .get('/api/kitchen/board')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const ticket = res.body.data.board.preparing[0];
+      expect(new Date(ticket.stageEnteredAt).getTime()).toBe(enteredAt.getTime());
+      expect(ticket.minutesInStage).toBe(12);
+    });
+
+    it('should hide scheduled orders until their prep window opens', async () => {
+      const later = new Date(Date.now() + 3 * 60 * 60 * 1000);
+      await createKitchenOrder({
+        status: 'confirmed',
+        scheduledFor: later,
+        kitchenReleaseAt: new Date(later.getTime() - 25 * 60 * 1000),
+      });
+      await createKitchenOrder({
+        status: 'confirmed',
+        scheduledFor: new Date(Date.now() + 20 * 60 * 1000),
+        kitchenReleaseAt: new Date(Date.now() - 5 * 60 * 1000),
+      });
+
+      const res = await request(app)
+        .get('/api/kitchen/board')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data.counts.confirmed).toBe(1);
+      expect(res.body.data.upcomingScheduled).toBe(1);
+      expect(res.body.data.board.confirmed[0].scheduledFor).toBeDefined();
+    });
+
+    it('should fail as regular user', async () => {
+      const res = await request(app)
+        .get('/api/kitchen/board')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/kitchen/orders/:id/items/:itemId/bump', () => {
+    it('should bump an item and start preparing a confirmed order', async () => {
+      const order = await createKitchenOrder({ status: 'confirmed' });
+
+      const res = await request(app)
+        .post(`/api/kitchen/orders/${order._id}/items/${order.items[0]._id}/bump`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data.ticket.items[0].bumped).toBe(true);
+      expect(res.body.data.ticket.status).toBe('preparing');
+      expect(res.body.data.statusChanges).toEqual(['preparing']);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.items[0].bumpedAt).toBeTruthy();
+      expect(updated.items[1].bumpedAt).toBeNull();
+    });
+
+    it('should move the order to ready once every item is bumped', async () => {
+      const order = await createKitchenOrder({ status: 'confirmed' });
+
+      await request(app)
+        .post(`/api/kitchen/orders/${order._id}/items/${order.items[0]._id}/bump`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .post(`/api/kitchen/orders/${order._id}/items/${order.items[1]._id}/bump`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data.ticket.status).toBe('ready');
+      expect(res.body.data.statusChanges).toEqual(['ready']);
+
+      const updated = await Order.findById(order._id);
+      const history = updated.statusHistory.map(entry => entry.status);
+      expect(history).toEqual(['preparing', 'ready']);
+      expect(updated.statusHistory[1].actorRole).toBe('system');
+    });
+
+    it('should ignore a second bump of the same item', async () => {
+      const order = await createKitchenOrder({ status: 'preparing' });
+      const path = `/api/kitchen/orders/${order._id}/items/${order.items[0]._id}/bump`;
+
+      await request(app).post(path).set('Authorization', `Bearer ${adminToken}`).expect(200);
+      const res = await request(app).post(path).set('Authorization', `Bearer ${adminToken}`).expect(200);
+
+      expect(res.body.message).toBe('Item already bumped');
+      expect(res.body.data.ticket.status).toBe('preparing');
+    });
+
+    it('should fail for an order that is not in the kitchen', async () => {
+      const order = await createKitchenOrder({ status: 'pending' });
+
+      const res = await request(app)
+        .post(`/api/kitchen/orders/${order._id}/items/${order.items[0]._id}/bump`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(res.body.code).toBe('ORDER_NOT_IN_KITCHEN');
+    });
+
+    it('should fail for an unknown item', async () => {
+      const order = await createKitchenOrder({ status: 'preparing' });
+
+      const res = await request(app)
+        .post(`/api/kitchen/orders/${order._id}/items/507f1f77bcf86cd799439011/bump`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+
+      expect(res.body.code).toBe('ORDER_ITEM_NOT_FOUND');
+    });
+
+    it('should fail as regular user', async () => {
+      const order = await createKitchenOrder({ status: 'preparing' });
+
+      await request(app)
+        .post(`/api/kitchen/orders/${order._id}/items/${order.items[0]._id}/bump`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('DELETE /api/kitchen/orders/:id/items/:itemId/bump', () => {
+    it('should undo a bump', async () => {
+      const order = await createKitchenOrder({ status: 'preparing' });
+      const path = `/api/kitchen/orders/${order._id}/items/${order.items[0]._id}/bump`;
+
+      await request(app).post(path).set('Authorization', `Bearer ${adminToken}`).expect(200);
+
+      const res = await request(app)
+        .delete(path)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data.ticket.items[0].bumped).toBe(false);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.items[0].bumpedAt).toBeNull();
+      expect(updated.items[0].bumpedBy).toBeNull();
+    });
+
+    it('should fail once the order is ready', async () => {
+      const order = await createKitchenOrder({ status: 'ready' });
+
+      const res = await request(app)
+        .delete(`/api/kitchen/orders/${order._id}/items/${order.items[0]._id}/bump`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(res.body.code).toBe('ORDER_NOT_IN_KITCHEN');
+    });
+  });
+});
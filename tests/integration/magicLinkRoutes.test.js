@@ -0,0 +1,218 @@
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const authRoutes = require('../../routes/auth');
+const errorHandler = require('../../middleware/errorHandler');
+const User = require('../../models/User');
+const LoginToken = require('../../models/LoginToken');
+const emailService = require('../../services/email/emailService');
+const { createTestUser } = require('../helpers/testHelpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+/**
+ * Request a sign-in email and return what it contained
+ * @param {Object} body - Request body ({ email, name, rememberMe })
+ * @returns {Promise<Object>} { token, code } from the last email sent
+ */
+const requestSignInEmail = async (body) => {
+  await request(app)
+    .post('/api/auth/magic-link')
+    .send(body)
+    .expect(200);
+
+  const calls = emailService.sendLoginLinkEmail.mock.calls;
+  const [, , loginUrl, code] = calls[calls.length - 1];
+  return { token: loginUrl.split('/magic-login/')[1], code };
+};
+
+describe('Passwordless Login Integration Tests', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createTestUser({ email: 'customer@example.com', name: 'Customer' });
+  });
+
+  describe('POST /api/auth/magic-link', () => {
+    it('should email a link and a code without storing them in clear', async () => {
+      const { token, code } = await requestSignInEmail({ email: 'customer@example.com' });
+
+      expect(token).toMatch(/^[a-f0-9]{64}$/);
+      expect(code).toMatch(/^\d{6}$/);
+
+      const stored = await LoginToken.findOne({ email: 'customer@example.com' });
+      expect(stored.userId.toString()).toBe(user._id.toString());
+      expect(stored.tokenHash).not.toBe(token);
+      expect(stored.codeHash).not.toBe(code);
+    });
+
+    it('should answer the same for an unknown email and send nothing', async () => {
+      const res = await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(res.body.success).toBe(true);
+      expect(emailService.sendLoginLinkEmail).not.toHaveBeenCalled();
+    });
+
+    it('should not send sign-in emails to staff', async () => {
+      await createTestUser({ email: 'host@example.com', role: 'host' });
+
+      await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: 'host@example.com' })
+        .expect(200);
+
+      expect(emailService.sendLoginLinkEmail).not.toHaveBeenCalled();
+    });
+
+    it('should replace the previous link', async () => {
+      const first = await requestSignInEmail({ email: 'customer@example.com' });
+      await requestSignInEmail({ email: 'customer@example.com' });
+
+      const res = await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token: first.token })
+        .expect(401);
+
+      expect(res.body.code).toBe('AUTH_LOGIN_LINK_INVALID');
+    });
+  });
+
+  describe('POST /api/auth/magic-link/verify', () => {
+    it('should sign in with the link token, once', async () => {
+      const { token } = await requestSignInEmail({ email: 'customer@example.com' });
+
+      const res = await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token })
+        .expect(200);
+
+      expect(res.body.accessToken).toBeDefined();
+      expect(res.body.user.email).toBe('customer@example.com');
+      const refreshCookie = res.headers['set-cookie'].find(c => c.startsWith('refreshToken='));
+      expect(refreshCookie).toBeDefined();
+
+      await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token })
+        .expect(401);
+    });
+
+    it('should sign in with the emailed code', async () => {
+      const { code } = await requestSignInEmail({ email: 'customer@example.com' });
+
+      const res = await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ email: 'customer@example.com', code })
+        .expect(200);
+
+      expect(res.body.accessToken).toBeDefined();
+    });
+
+    it('should stop accepting the code after 5 wrong tries', async () => {
+      const { code } = await requestSignInEmail({ email: 'customer@example.com' });
+      const wrongCode = code === '000000' ? '111111' : '000000';
+
+      for (let i = 0; i < 5; i++) {
+        const res = await request(app)
+          .post('/api/auth/magic-link/verify')
+          .send({ email: 'customer@example.com', code: wrongCode })
+          .expect(401);
+
+        expect(res.body.code).toBe('AUTH_LOGIN_CODE_INVALID');
+      }
+
+      await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ email: 'customer@example.com', code })
+        .expect(401);
+    });
+
+    it('should reject an expired link', async () => {
+      const { token } = await requestSignInEmail({ email: 'customer@example.com' });
+      await LoginToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token })
+        .expect(401);
+    });
+
+    it('should require the email with a code', async () => {
+      await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ code: '123456' })
+        .expect(400);
+    });
+
+    it('should verify the email of an unverified account', async () => {
+      await User.updateOne({ _id: user._id }, { isEmailVerified: false });
+      const { token } = await requestSignInEmail({ email: 'customer@example.com' });
+
+      await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token })
+        .expect(200);
+
+      const updated = await User.findById(user._id);
+      expect(updated.isEmailVerified).toBe(true);
+    });
+
+    it('should ask for the second factor when 2FA is on', async () => {
+      await User.updateOne({ _id: user._id }, { twoFactorEnabled: true });
+      const { token } = await requestSignInEmail({ email: 'customer@example.com' });
+
+      const res = await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token })
+        .expect(200);
+
+      expect(res.body.twoFactorRequired).toBe(true);
+      expect(res.body.accessToken).toBeUndefined();
+    });
+  });
+
+  describe('Accounts without a password', () => {
+    it('should create the account when the link is used', async () => {
+      const { token } = await requestSignInEmail({ email: 'newcomer@example.com', name: 'Newcomer' });
+
+      // Nothing is created before the email is proven
+      expect(await User.findOne({ email: 'newcomer@example.com' })).toBeNull();
+
+      const res = await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token })
+        .expect(201);
+
+      expect(res.body.accessToken).toBeDefined();
+      expect(res.body.user.name).toBe('Newcomer');
+      expect(res.body.user.isEmailVerified).toBe(true);
+    });
+
+    it('should sign in again by email and refuse password logins', async () => {
+      const first = await requestSignInEmail({ email: 'newcomer@example.com', name: 'Newcomer' });
+      await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token: first.token })
+        .expect(201);
+
+      const { code } = await requestSignInEmail({ email: 'newcomer@example.com' });
+      await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ email: 'newcomer@example.com', code })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'newcomer@example.com', password: 'password123' })
+        .expect(401);
+    });
+  });
+});
@@ -270,6 +270,54 @@ describe('Menu Routes Integration Tests', () => {
 
       expect(res.body.success).toBe(false);
     });
+
+    it('should create a menu item with modifier groups', async () => {
+      const res = await request(app)
+        .post('/api/menu')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          ...validMenuItem,
+          modifierGroups: [
+            {
+              name: 'Size',
+              minSelections: 1,
+              maxSelections: 1,
+              options: [{ name: 'Regular', isDefault: true }, { name: 'Large', priceDelta: 4 }]
+            },
+            {
+              name: 'Add-ons',
+              maxSelections: 3,
+              options: [{ name: 'Extra cheese', priceDelta: 1.5 }]
+            }
+          ]
+        })
+        .expect(201);
+
+      const [size, addOns] = res.body.data.modifierGroups;
+      expect(size.minSelections).toBe(1);
+      expect(size.options[1].priceDelta).toBe(4);
+      expect(size.options[1]._id).toBeDefined();
+      expect(addOns.minSelections).toBe(0);
+      expect(addOns.options[0].isAvailable).toBe(true);
+    });
+
+    it('should fail when a group requires more selections than it allows', async () => {
+      const res = await request(app)
+        .post('/api/menu')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          ...validMenuItem,
+          modifierGroups: [{
+            name: 'Sides',
+            minSelections: 2,
+            maxSelections: 1,
+            options: [{ name: 'Rice' }, { name: 'Salad' }]
+          }]
+        })
+        .expect(400);
+
+      expect(res.body.code).toBe('VALIDATION_ERROR');
+    });
   });
 
   describe('PUT /api/menu/:id (Admin only)', () => {
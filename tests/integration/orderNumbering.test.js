@@ -0,0 +1,141 @@
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const orderRoutes = require('../../routes/orders');
+const errorHandler = require('../../middleware/errorHandler');
+const Order = require('../../models/Order');
+const { resetOrderNumberAlignment, getOrderNumberPrefix } = require('../../utils/orderNumberHelpers');
+const { getToday, toDateKey } = require('../../utils/timezone');
+const {
+  createTestUser,
+  createTestMenuItem,
+  generateAuthToken,
+} = require('../helpers/testHelpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/orders', orderRoutes);
+app.use(errorHandler);
+
+describe('Order Numbering Integration Tests', () => {
+  let user;
+  let userToken;
+  let menuItem;
+  const originalScheme = process.env.ORDER_NUMBER_SCHEME;
+  const originalTimezone = process.env.RESTAURANT_TIMEZONE;
+
+  beforeEach(async () => {
+    resetOrderNumberAlignment();
+    user = await createTestUser({ email: 'numberuser@example.com' });
+    userToken = generateAuthToken(user._id);
+    menuItem = await createTestMenuItem({ name: 'Numbered Dish', price: 10 });
+  });
+
+  afterEach(() => {
+    if (originalScheme === undefined) {
+      delete process.env.ORDER_NUMBER_SCHEME;
+    } else {
+      process.env.ORDER_NUMBER_SCHEME = originalScheme;
+    }
+    if (originalTimezone === undefined) {
+      delete process.env.RESTAURANT_TIMEZONE;
+    } else {
+      process.env.RESTAURANT_TIMEZONE = originalTimezone;
+    }
+  });
+
+  const buildOrder = (overrides = {}) => ({
+    userId: user._id,
+    userEmail: user.email,
+    userName: user.name,
+    phone: '0612345678',
+    items: [{ menuItem: menuItem._id, name: 'Numbered Dish', quantity: 1, price: 10, image: 'dish.jpg' }],
+    totalPrice: 10,
+    orderType: 'pickup',
+    paymentMethod: 'cash',
+    ...overrides,
+  });
+
+  it('should give unique sequential numbers to orders created in parallel', async () => {
+    const orders = await Promise.all(
+      Array.from({ length: 50 }, () => Order.create(buildOrder()))
+    );
+
+    const numbers = orders.map(order => order.orderNumber).sort();
+    const expected = Array.from({ length: 50 }, (_, i) => `ORD-${String(i + 1).padStart(6, '0')}`);
+
+    expect(new Set(numbers).size).toBe(50);
+    expect(numbers).toEqual(expected);
+  });
+
+  it('should handle parallel checkouts through the API', async () => {
+    const responses = await Promise.all(
+      Array.from({ length: 10 }, () => request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          userId: user._id.toString(),
+          items: [{ menuItem: menuItem._id.toString(), quantity: 1 }],
+          orderType: 'pickup',
+          phone: '0612345678',
+          paymentMethod: 'cash'
+        }))
+    );
+
+    responses.forEach(res => expect(res.status).toBe(201));
+    const numbers = responses.map(res => res.body.data.orderNumber);
+    expect(new Set(numbers).size).toBe(10);
+    numbers.forEach(number => expect(number).toMatch(/^ORD-\d{6}$/));
+  });
+
+  it('should continue after existing order numbers', async () => {
+    await Order.create(buildOrder({ orderNumber: 'ORD-000120' }));
+    resetOrderNumberAlignment();
+
+    const order = await Order.create(buildOrder());
+
+    expect(order.orderNumber).toBe('ORD-000121');
+  });
+
+  it('should keep the order number when the order is saved again', async () => {
+    const order = await Order.create(buildOrder());
+    const { orderNumber } = order;
+
+    order.specialInstructions = 'Extra napkins';
+    await order.save();
+
+    const reloaded = await Order.findById(order._id);
+    expect(reloaded.orderNumber).toBe(orderNumber);
+  });
+
+  it('should use a yearly prefix when configured', async () => {
+    process.env.ORDER_NUMBER_SCHEME = 'yearly';
+    const year = toDateKey(getToday()).slice(0, 4);
+
+    const first = await Order.create(buildOrder());
+    const second = await Order.create(buildOrder());
+
+    expect(first.orderNumber).toBe(`ORD-${year}-000001`);
+    expect(second.orderNumber).toBe(`ORD-${year}-000002`);
+  });
+
+  it('should use a daily prefix when configured', async () => {
+    process.env.ORDER_NUMBER_SCHEME = 'daily';
+    const day = toDateKey(getToday()).replace(/-/g, '');
+
+    const order = await Order.create(buildOrder());
+
+    expect(order.orderNumber).toBe(`ORD-${day}-000001`);
+  });
+
+  it('should take the day and year in the restaurant timezone', () => {
+    process.env.RESTAURANT_TIMEZONE = 'Europe/Paris';
+    // 00:30 on New Year's Day in Paris
+    const date = new Date('2026-12-31T23:30:00.000Z');
+
+    expect(getOrderNumberPrefix('daily', date)).toEqual({ prefix: 'ORD-20270101-', counterKey: 'order:20270101' });
+    expect(getOrderNumberPrefix('yearly', date)).toEqual({ prefix: 'ORD-2027-', counterKey: 'order:2027' });
+  });
+});
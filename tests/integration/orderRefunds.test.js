@@ -0,0 +1,228 @@
+// Set test Stripe key before loading controller
+process.env.STRIPE_SECRET_KEY = 'sk_test_mock_key_for_testing';
+
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const Stripe = require('stripe');
+const orderRoutes = require('../../routes/orders');
+const errorHandler = require('../../middleware/errorHandler');
+const Order = require('../../models/Order');
+const User = require('../../models/User');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestOrder,
+  generateAuthToken,
+} = require('../helpers/testHelpers');
+
+// Mocked Stripe client created by the payment controller (see tests/setupMocks.js)
+const stripeClient = Stripe.mock.results[0].value;
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/orders', orderRoutes);
+app.use(errorHandler);
+
+describe('Order Refunds Integration Tests', () => {
+  let user;
+  let userToken;
+  let adminToken;
+  let paidOrder;
+
+  beforeEach(async () => {
+    user = await createTestUser({ email: 'refunduser@example.com', totalOrders: 1, totalSpent: 40 });
+    const admin = await createTestAdmin({ email: 'refundadmin@example.com' });
+    userToken = generateAuthToken(user._id);
+    adminToken = generateAuthToken(admin._id);
+
+    paidOrder = await createTestOrder({
+      userId: user._id,
+      paymentMethod: 'card',
+      paymentStatus: 'paid',
+      paymentIntentId: 'pi_test_refund',
+      paidAt: new Date(),
+      totalPrice: 40,
+    });
+  });
+
+  describe('POST /api/orders/:id/refunds', () => {
+    it('should issue a partial Stripe refund', async () => {
+      const res = await request(app)
+        .post(`/api/orders/${paidOrder._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 15, reason: 'Missing side dish' })
+        .expect(201);
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.refund.amount).toBe(15);
+      expect(res.body.data.refund.method).toBe('stripe');
+      expect(res.body.data.refund.stripeRefundId).toBe('re_test_123');
+      expect(res.body.data.order.paymentStatus).toBe('partially_refunded');
+      expect(res.body.data.order.refundedAmount).toBe(15);
+
+      expect(stripeClient.refunds.create).toHaveBeenCalledWith(expect.objectContaining({
+        payment_intent: 'pi_test_refund',
+        amount: 1500,
+      }));
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalSpent).toBe(25);
+    });
+
+    it('should refund the remaining balance when amount is omitted', async () => {
+      await Order.findByIdAndUpdate(paidOrder._id, {
+        paymentStatus: 'partially_refunded',
+        refundedAmount: 10,
+        refunds: [{ amount: 10, method: 'cash' }],
+      });
+
+      const res = await request(app)
+        .post(`/api/orders/${paidOrder._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(201);
+
+      expect(res.body.data.refund.amount).toBe(30);
+      expect(res.body.data.order.paymentStatus).toBe('refunded');
+      expect(res.body.data.order.refunds).toHaveLength(2);
+    });
+
+    it('should fail when amount exceeds refundable balance', async () => {
+      const res = await request(app)
+        .post(`/api/orders/${paidOrder._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 40.01 })
+        .expect(400);
+
+      expect(res.body.code).toBe('REFUND_AMOUNT_EXCEEDED');
+      expect(stripeClient.refunds.create).not.toHaveBeenCalled();
+    });
+
+    it('should fail for an unpaid order', async () => {
+      const unpaidOrder = await createTestOrder({ userId: user._id, paymentMethod: 'card' });
+
+      const res = await request(app)
+        .post(`/api/orders/${unpaidOrder._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+
+      expect(res.body.code).toBe('ORDER_NOT_REFUNDABLE');
+    });
+
+    it('should fail for a fully refunded order', async () => {
+      await Order.findByIdAndUpdate(paidOrder._id, { paymentStatus: 'refunded', refundedAmount: 40 });
+
+      const res = await request(app)
+        .post(`/api/orders/${paidOrder._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 5 })
+        .expect(400);
+
+      expect(res.body.code).toBe('ORDER_NOT_REFUNDABLE');
+    });
+
+    it('should report Stripe errors', async () => {
+      stripeClient.refunds.create.mockRejectedValueOnce(new Error('Charge already refunded'));
+
+      const res = await request(app)
+        .post(`/api/orders/${paidOrder._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 5 })
+        .expect(500);
+
+      expect(res.body.code).toBe('REFUND_FAILED');
+
+      const unchanged = await Order.findById(paidOrder._id);
+      expect(unchanged.refunds).toHaveLength(0);
+      expect(unchanged.paymentStatus).toBe('paid');
+    });
+
+    it('should report a Stripe refund the ledger could not take', async () => {
+      // A cash refund for the whole balance lands while Stripe processes this one
+      stripeClient.refunds.create.mockImplementationOnce(async (params) => {
+        await Order.findByIdAndUpdate(paidOrder._id, {
+          paymentStatus: 'refunded',
+          refundedAmount: 40,
+          refunds: [{ amount: 40, method: 'cash' }],
+        });
+        return { id: 're_test_late', amount: params.amount, status: 'succeeded', metadata: {} };
+      });
+
+      const res = await request(app)
+        .post(`/api/orders/${paidOrder._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 5 })
+        .expect(409);
+
+      expect(res.body.success).toBe(false);
+      expect(res.body.code).toBe('REFUND_RECONCILIATION_REQUIRED');
+      expect(res.body.details.stripeRefundId).toBe('re_test_late');
+      expect(res.body.details.refundableAmount).toBe(0);
+
+      const updatedOrder = await Order.findById(paidOrder._id);
+      expect(updatedOrder.refunds).toHaveLength(1);
+    });
+
+    it('should fail as regular user', async () => {
+      const res = await request(app)
+        .post(`/api/orders/${paidOrder._id}/refunds`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({})
+        .expect(403);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/orders/:id/refunds/cash', () => {
+    it('should record a cash refund for a delivered cash order', async () => {
+      const cashOrder = await createTestOrder({
+        userId: user._id,
+        paymentMethod: 'cash',
+        status: 'delivered',
+        totalPrice: 20,
+      });
+
+      const res = await request(app)
+        .post(`/api/orders/${cashOrder._id}/refunds/cash`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 5, reason: 'Cold fries' })
+        .expect(201);
+
+      expect(res.body.data.refund.method).toBe('cash');
+      expect(res.body.data.refund.reason).toBe('Cold fries');
+      expect(res.body.data.order.paymentStatus).toBe('partially_refunded');
+      expect(stripeClient.refunds.create).not.toHaveBeenCalled();
+    });
+
+    it('should record a cash refund for a card order', async () => {
+      const res = await request(app)
+        .post(`/api/orders/${paidOrder._id}/refunds/cash`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(201);
+
+      expect(res.body.data.order.paymentStatus).toBe('refunded');
+      expect(res.body.data.order.refundedAmount).toBe(40);
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalSpent).toBe(0);
+    });
+
+    it('should fail for a cash order not yet delivered', async () => {
+      const cashOrder = await createTestOrder({ userId: user._id, paymentMethod: 'cash', status: 'preparing' });
+
+      const res = await request(app)
+        .post(`/api/orders/${cashOrder._id}/refunds/cash`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+
+      expect(res.body.code).toBe('ORDER_NOT_REFUNDABLE');
+    });
+  });
+});
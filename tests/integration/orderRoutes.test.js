@@ -5,6 +5,8 @@ const mongoose = require('mongoose');
 const orderRoutes = require('../../routes/orders');
 const errorHandler = require('../../middleware/errorHandler');
 const Order = require('../../models/Order');
+const MenuItem = require('../../models/MenuItem');
+const { getToday, addDays, getZonedDateTime } = require('../../utils/timezone');
 const {
   createTestUser,
   createTestAdmin,
@@ -89,6 +91,43 @@ describe('Order Routes Integration Tests', () => {
       expect(res.body.data.deliveryAddress).toBeNull();
     });
 
+    it('should reject a client-supplied paid payment status', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          userId: user._id.toString(),
+          items: [{ menuItem: menuItem._id.toString(), quantity: 1 }],
+          orderType: 'pickup',
+          phone: '0612345678',
+          paymentMethod: 'card',
+          paymentStatus: 'paid'
+        })
+        .expect(400);
+
+      expect(res.body.success).toBe(false);
+
+      const orders = await Order.countDocuments({ userId: user._id });
+      expect(orders).toBe(0);
+    });
+
+    it('should create card order with pending payment', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          userId: user._id.toString(),
+          items: [{ menuItem: menuItem._id.toString(), quantity: 1 }],
+          orderType: 'pickup',
+          phone: '0612345678',
+          paymentMethod: 'card'
+        })
+        .expect(201);
+
+      expect(res.body.data.paymentStatus).toBe('pending');
+      expect(res.body.data.paymentIntentId).toBeNull();
+    });
+
     it('should fail without authentication', async () => {
       const res = await request(app)
         .post('/api/orders')
@@ -311,6 +350,25 @@ describe('Order Routes Integration Tests', () => {
       expect(res.body.success).toBe(false);
     });
 
+    it('should fail to cancel partially refunded order', async () => {
+      const order = await createTestOrder({
+        userId: user._id,
+        status: 'confirmed',
+        paymentStatus: 'partially_refunded',
+        refundedAmount: 5,
+      });
+
+      const res = await request(app)
+        .delete(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+
+      expect(res.body.details.paymentStatus).toBe('partially_refunded');
+
+      const unchanged = await Order.findById(order._id);
+      expect(unchanged.status).toBe('confirmed');
+    });
+
     it('should fail to cancel preparing order', async () => {
       const order = await createTestOrder({
         userId: user._id,
@@ -395,6 +453,508 @@ describe('Order Routes Integration Tests', () => {
 
       expect(res.body.success).toBe(false);
     });
+
+    it('should record the transition in statusHistory', async () => {
+      await request(app)
+        .patch(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'confirmed', note: 'Kitchen notified' })
+        .expect(200);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.statusHistory).toHaveLength(1);
+      expect(updated.statusHistory[0].status).toBe('confirmed');
+      expect(updated.statusHistory[0].fromStatus).toBe('pending');
+      expect(updated.statusHistory[0].actorRole).toBe('admin');
+      expect(updated.statusHistory[0].changedBy.toString()).toBe(admin._id.toString());
+      expect(updated.statusHistory[0].note).toBe('Kitchen notified');
+      expect(updated.statusHistory[0].changedAt).toBeInstanceOf(Date);
+    });
+
+    it('should reject skipping steps', async () => {
+      const res = await request(app)
+        .patch(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'delivered' })
+        .expect(400);
+
+      expect(res.body.code).toBe('ORDER_INVALID_TRANSITION');
+      expect(res.body.details.allowedTransitions).toEqual(['confirmed', 'cancelled']);
+    });
+
+    it('should reject moving a delivered order back to pending', async () => {
+      const delivered = await createTestOrder({ userId: user._id, status: 'delivered' });
+
+      const res = await request(app)
+        .patch(`/api/orders/${delivered._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'pending' })
+        .expect(400);
+
+      expect(res.body.code).toBe('ORDER_INVALID_TRANSITION');
+
+      const unchanged = await Order.findById(delivered._id);
+      expect(unchanged.status).toBe('delivered');
+    });
+
+    it('should never send a pickup order out for delivery', async () => {
+      const pickup = await createTestOrder({
+        userId: user._id,
+        orderType: 'pickup',
+        status: 'ready',
+        deliveryAddress: null
+      });
+
+      const res = await request(app)
+        .patch(`/api/orders/${pickup._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'out-for-delivery' })
+        .expect(400);
+
+      expect(res.body.code).toBe('ORDER_INVALID_TRANSITION');
+    });
+
+    it('should send a ready delivery order out for delivery', async () => {
+      const delivery = await createTestOrder({ userId: user._id, orderType: 'delivery', status: 'ready' });
+
+      const res = await request(app)
+        .patch(`/api/orders/${delivery._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'out-for-delivery' })
+        .expect(200);
+
+      expect(res.body.data.status).toBe('out-for-delivery');
+    });
+
+    it('should fail with a note longer than 200 characters', async () => {
+      const res = await request(app)
+        .patch(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'confirmed', note: 'x'.repeat(201) })
+        .expect(400);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('Order status timeline', () => {
+    it('should start the timeline when the order is created', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          userId: user._id.toString(),
+          items: [{ menuItem: menuItem._id.toString(), quantity: 1 }],
+          orderType: 'pickup',
+          phone: '0612345678',
+          paymentMethod: 'cash'
+        })
+        .expect(201);
+
+      expect(res.body.data.statusHistory).toHaveLength(1);
+      expect(res.body.data.statusHistory[0].status).toBe('pending');
+      expect(res.body.data.statusHistory[0].actorRole).toBe('customer');
+    });
+
+    it('should show the timeline to the customer without staff identities', async () => {
+      const order = await createTestOrder({ userId: user._id, status: 'pending' });
+
+      await request(app)
+        .patch(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'confirmed', note: 'See you soon' })
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.body.data.statusHistory).toHaveLength(1);
+      expect(res.body.data.statusHistory[0].status).toBe('confirmed');
+      expect(res.body.data.statusHistory[0].note).toBe('See you soon');
+      expect(res.body.data.statusHistory[0].actorRole).toBe('admin');
+      expect(res.body.data.statusHistory[0].changedBy).toBeUndefined();
+    });
+
+    it('should record customer cancellations', async () => {
+      const order = await createTestOrder({ userId: user._id, status: 'pending' });
+
+      await request(app)
+        .delete(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.statusHistory[0].status).toBe('cancelled');
+      expect(updated.statusHistory[0].actorRole).toBe('customer');
+    });
+  });
+
+  describe('Order line modifiers', () => {
+    let burger;
+    let size;
+    let addOns;
+
+    beforeEach(async () => {
+      burger = await createTestMenuItem({
+        name: 'Modifier Burger',
+        price: 12,
+        modifierGroups: [
+          {
+            name: 'Size',
+            minSelections: 1,
+            maxSelections: 1,
+            options: [{ name: 'Regular', isDefault: true }, { name: 'Large', priceDelta: 3 }]
+          },
+          {
+            name: 'Add-ons',
+            minSelections: 0,
+            maxSelections: 2,
+            options: [
+              { name: 'Cheese', priceDelta: 1.5 },
+              { name: 'Bacon', priceDelta: 2 },
+              { name: 'Egg', priceDelta: 1, isAvailable: false }
+            ]
+          }
+        ]
+      });
+      [size, addOns] = burger.modifierGroups;
+    });
+
+    const orderLine = (modifiers, quantity = 1) => ({
+      userId: user._id.toString(),
+      items: [{ menuItem: burger._id.toString(), quantity, modifiers }],
+      orderType: 'pickup',
+      phone: '0612345678',
+      paymentMethod: 'cash'
+    });
+
+    const pick = (group, index) => ({ groupId: group._id.toString(), optionId: group.options[index]._id.toString() });
+
+    it('should price selected options server-side and snapshot them', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(orderLine([pick(size, 1), pick(addOns, 0), pick(addOns, 1)], 2))
+        .expect(201);
+
+      const line = res.body.data.items[0];
+      expect(line.basePrice).toBe(12);
+      expect(line.price).toBe(18.5);
+      expect(res.body.data.totalPrice).toBe(37);
+      expect(line.modifiers.map(m => m.name)).toEqual(['Large', 'Cheese', 'Bacon']);
+      expect(line.modifiers[0].groupName).toBe('Size');
+      expect(line.modifiers[0].priceDelta).toBe(3);
+    });
+
+    it('should apply default options when a required group is left empty', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(orderLine(undefined))
+        .expect(201);
+
+      expect(res.body.data.items[0].price).toBe(12);
+      expect(res.body.data.items[0].modifiers[0].name).toBe('Regular');
+    });
+
+    it('should allow the same dish on several lines with different options', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          ...orderLine([pick(size, 0)]),
+          items: [
+            { menuItem: burger._id.toString(), quantity: 1, modifiers: [pick(size, 0)] },
+            { menuItem: burger._id.toString(), quantity: 1, modifiers: [pick(size, 1)] }
+          ]
+        })
+        .expect(201);
+
+      expect(res.body.data.items).toHaveLength(2);
+      expect(res.body.data.totalPrice).toBe(27);
+    });
+
+    it('should fail when a required group has no choice and no default', async () => {
+      await MenuItem.updateOne(
+        { _id: burger._id },
+        { $set: { 'modifierGroups.0.options.0.isDefault': false } }
+      );
+
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(orderLine([pick(addOns, 0)]))
+        .expect(400);
+
+      expect(res.body.code).toBe('MENU_INVALID_MODIFIERS');
+      expect(res.body.details.message).toContain('Size');
+    });
+
+    it('should fail with too many selections in a group', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(orderLine([pick(size, 0), pick(size, 1)]))
+        .expect(400);
+
+      expect(res.body.code).toBe('MENU_INVALID_MODIFIERS');
+    });
+
+    it('should fail with an unavailable option', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(orderLine([pick(addOns, 2)]))
+        .expect(400);
+
+      expect(res.body.code).toBe('MENU_INVALID_MODIFIERS');
+    });
+
+    it('should fail with an option from another item', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(orderLine([{ groupId: new mongoose.Types.ObjectId().toString(), optionId: size.options[0]._id.toString() }]))
+        .expect(400);
+
+      expect(res.body.code).toBe('MENU_INVALID_MODIFIERS');
+    });
+  });
+
+  describe('Order ETA', () => {
+    const minutesFromNow = (date) => Math.round((new Date(date) - Date.now()) / 60000);
+
+    it('should estimate ready and delivery times at creation', async () => {
+      const slowDish = await createTestMenuItem({ name: 'Slow Roast', price: 20, preparationTime: 25 });
+
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          userId: user._id.toString(),
+          items: [
+            { menuItem: slowDish._id.toString(), quantity: 1 },
+            { menuItem: menuItem._id.toString(), quantity: 2 }
+          ],
+          orderType: 'delivery',
+          deliveryAddress: { street: '1 Rue Test', city: 'Paris', zipCode: '75001' },
+          phone: '0612345678',
+          paymentMethod: 'cash'
+        })
+        .expect(201);
+
+      // Slowest dish (25) + 2 extra portions (2 x 2); delivery adds 20
+      expect(res.body.data.preparationMinutes).toBe(29);
+      expect(minutesFromNow(res.body.data.estimatedReadyTime)).toBe(29);
+      expect(minutesFromNow(res.body.data.estimatedDeliveryTime)).toBe(49);
+    });
+
+    it('should add kitchen load to the estimate', async () => {
+      await createTestOrder({ userId: user._id, status: 'preparing' });
+      await createTestOrder({ userId: user._id, status: 'preparing' });
+
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          userId: user._id.toString(),
+          items: [{ menuItem: menuItem._id.toString(), quantity: 1 }],
+          orderType: 'pickup',
+          phone: '0612345678',
+          paymentMethod: 'cash'
+        })
+        .expect(201);
+
+      // 15 min preparation + 2 orders in the kitchen x 5 min; pickup has no travel time
+      expect(minutesFromNow(res.body.data.estimatedReadyTime)).toBe(25);
+      expect(res.body.data.estimatedDeliveryTime).toBe(res.body.data.estimatedReadyTime);
+    });
+
+    it('should recompute the estimate on status change', async () => {
+      const order = await createTestOrder({
+        userId: user._id,
+        status: 'ready',
+        orderType: 'delivery',
+        preparationMinutes: 15,
+        estimatedReadyTime: new Date(Date.now() - 60 * 60 * 1000),
+      });
+
+      const res = await request(app)
+        .patch(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'out-for-delivery' })
+        .expect(200);
+
+      expect(minutesFromNow(res.body.data.estimatedDeliveryTime)).toBe(20);
+    });
+
+    it('should return the estimate to the customer', async () => {
+      const estimatedReadyTime = new Date(Date.now() + 10 * 60 * 1000);
+      const order = await createTestOrder({ userId: user._id, status: 'preparing', estimatedReadyTime });
+
+      const res = await request(app)
+        .get(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(new Date(res.body.data.estimatedReadyTime).getTime()).toBe(estimatedReadyTime.getTime());
+      expect(res.body.data.isLate).toBeUndefined();
+    });
+
+    it('should flag late orders for admins', async () => {
+      await createTestOrder({
+        userId: user._id,
+        status: 'preparing',
+        estimatedReadyTime: new Date(Date.now() - 10 * 60 * 1000),
+      });
+      await createTestOrder({
+        userId: user._id,
+        status: 'preparing',
+        estimatedReadyTime: new Date(Date.now() + 10 * 60 * 1000),
+      });
+
+      const res = await request(app)
+        .get('/api/orders/admin')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const late = res.body.data.filter(order => order.isLate);
+      expect(late).toHaveLength(1);
+      expect(late[0].minutesLate).toBe(10);
+
+      const filtered = await request(app)
+        .get('/api/orders/admin?late=true')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(filtered.body.data).toHaveLength(1);
+      expect(filtered.body.data[0].isLate).toBe(true);
+    });
+
+    it('should not flag pickup orders waiting at the counter', async () => {
+      const order = await createTestOrder({
+        userId: user._id,
+        status: 'ready',
+        orderType: 'pickup',
+        estimatedReadyTime: new Date(Date.now() - 30 * 60 * 1000),
+        estimatedDeliveryTime: new Date(Date.now() - 30 * 60 * 1000),
+      });
+
+      const res = await request(app)
+        .get(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data.isLate).toBe(false);
+    });
+  });
+
+  describe('Scheduled orders', () => {
+    // Opening hours are restaurant time; tomorrow evening is always bookable
+    const tomorrowAt = (hours, minutes = 0) => getZonedDateTime(addDays(getToday(), 1), hours * 60 + minutes);
+
+    const scheduleOrder = (scheduledFor, overrides = {}) => request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        userId: user._id.toString(),
+        items: [{ menuItem: menuItem._id.toString(), quantity: 1 }],
+        orderType: 'pickup',
+        phone: '0612345678',
+        paymentMethod: 'cash',
+        scheduledFor: scheduledFor.toISOString(),
+        ...overrides
+      });
+
+    it('should accept a time inside opening hours', async () => {
+      const scheduledFor = tomorrowAt(19);
+
+      const res = await scheduleOrder(scheduledFor).expect(201);
+
+      expect(new Date(res.body.data.scheduledFor).getTime()).toBe(scheduledFor.getTime());
+      // 15 min preparation + 10 min buffer before a pickup
+      expect(new Date(res.body.data.kitchenReleaseAt).getTime())
+        .toBe(scheduledFor.getTime() - 25 * 60 * 1000);
+    });
+
+    it('should base the estimate on the scheduled time', async () => {
+      const scheduledFor = tomorrowAt(19, 30);
+
+      const res = await scheduleOrder(scheduledFor, {
+        orderType: 'delivery',
+        deliveryAddress: { street: '1 Rue Test', city: 'Paris', zipCode: '75001' }
+      }).expect(201);
+
+      // Ready before the 20 min drive so the food arrives on time
+      expect(new Date(res.body.data.estimatedReadyTime).getTime())
+        .toBe(scheduledFor.getTime() - 20 * 60 * 1000);
+      expect(new Date(res.body.data.estimatedDeliveryTime).getTime()).toBe(scheduledFor.getTime());
+    });
+
+    it('should reject a time inside the minimum lead time', async () => {
+      const res = await scheduleOrder(new Date(Date.now() + 10 * 60 * 1000)).expect(400);
+
+      expect(res.body.code).toBe('ORDER_INVALID_SCHEDULE');
+      expect(res.body.details.earliest).toBeDefined();
+    });
+
+    it('should reject a time outside opening hours', async () => {
+      const res = await scheduleOrder(tomorrowAt(3)).expect(400);
+
+      expect(res.body.code).toBe('ORDER_INVALID_SCHEDULE');
+      expect(res.body.details.openingHours.length).toBeGreaterThan(0);
+    });
+
+    it('should reject a time too far ahead', async () => {
+      const farAhead = tomorrowAt(19);
+      farAhead.setDate(farAhead.getDate() + 10);
+
+      const res = await scheduleOrder(farAhead).expect(400);
+
+      expect(res.body.code).toBe('ORDER_INVALID_SCHEDULE');
+    });
+
+    it('should filter admin lists by scheduled time', async () => {
+      const scheduledFor = tomorrowAt(12);
+      await createTestOrder({ userId: user._id, scheduledFor });
+      await createTestOrder({ userId: user._id });
+
+      const scheduledOnly = await request(app)
+        .get('/api/orders/admin?scheduled=true')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(scheduledOnly.body.data).toHaveLength(1);
+
+      const startDate = tomorrowAt(0).toISOString();
+      const endDate = tomorrowAt(23, 59).toISOString();
+
+      const byScheduledTime = await request(app)
+        .get(`/api/orders/admin?dateField=scheduledFor&startDate=${startDate}&endDate=${endDate}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(byScheduledTime.body.data).toHaveLength(1);
+      expect(new Date(byScheduledTime.body.data[0].scheduledFor).getTime()).toBe(scheduledFor.getTime());
+
+      const byCreation = await request(app)
+        .get(`/api/orders/admin?startDate=${startDate}&endDate=${endDate}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(byCreation.body.data).toHaveLength(0);
+    });
+
+    it('should reject an unknown date field', async () => {
+      const res = await request(app)
+        .get('/api/orders/admin?dateField=updatedAt')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(res.body.success).toBe(false);
+    });
   });
 
   describe('GET /api/orders/admin (Admin)', () => {
@@ -477,7 +1037,8 @@ describe('Order Routes Integration Tests', () => {
       const testMenuItem = await createTestMenuItem({ name: 'Count Item', price: 10, orderCount: 0 });
       const order = await createTestOrder({
         userId: user._id,
-        status: 'confirmed',
+        orderType: 'pickup',
+        status: 'ready',
         menuItemId: testMenuItem._id,
       });
 
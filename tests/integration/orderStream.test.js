@@ -0,0 +1,244 @@
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const orderRoutes = require('../../routes/orders');
+const errorHandler = require('../../middleware/errorHandler');
+const { getSubscriberCount } = require('../../services/realtime/orderEvents');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestMenuItem,
+  createTestOrder,
+  generateAuthToken,
+} = require('../helpers/testHelpers');
+const { generateStreamTicket } = require('../../utils/tokenUtils');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/orders', orderRoutes);
+app.use(errorHandler);
+
+// SSE responses never end, so streams are read from a real listening server
+let server;
+let port;
+
+/**
+ * Open an order stream and collect parsed events
+ * Resolves once the initial `connected` event has been received.
+ */
+const openStream = (token, { ticket = null } = {}) => {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const waiters = [];
+    let buffer = '';
+
+    const options = {
+      port,
+      path: ticket ? `/api/orders/stream?ticket=${ticket}` : '/api/orders/stream',
+      headers: ticket ? {} : { Authorization: `Bearer ${token}` },
+    };
+
+    const req = http.get(options, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`Stream responded ${res.statusCode}`));
+      }
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        for (const block of blocks) {
+          const eventLine = block.split('\n').find(line => line.startsWith('event: '));
+          const dataLine = block.split('\n').find(line => line.startsWith('data: '));
+          if (!eventLine || !dataLine) continue;
+
+          const event = { type: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+          events.push(event);
+          waiters.filter(w => w.type === event.type).forEach(w => w.resolve(event));
+
+          if (event.type === 'connected') {
+            resolve({
+              events,
+              waitFor: (type, timeout = 2000) => new Promise((res2, rej2) => {
+                const found = events.find(e => e.type === type);
+                if (found) return res2(found);
+                waiters.push({ type, resolve: res2 });
+                setTimeout(() => rej2(new Error(`Timed out waiting for ${type}`)), timeout);
+              }),
+              close: () => req.destroy(),
+            });
+          }
+        }
+      });
+    });
+
+    req.on('error', () => {});
+  });
+};
+
+// Give the event loop a moment so events that should not arrive have a chance to
+const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+describe('Order Stream Integration Tests', () => {
+  let user;
+  let otherUser;
+  let userToken;
+  let otherToken;
+  let adminToken;
+  let menuItem;
+  const streams = [];
+
+  beforeAll((done) => {
+    server = app.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    user = await createTestUser({ email: 'streamuser@example.com' });
+    otherUser = await createTestUser({ email: 'streamother@example.com' });
+    const admin = await createTestAdmin({ email: 'streamadmin@example.com' });
+    userToken = generateAuthToken(user._id);
+    otherToken = generateAuthToken(otherUser._id);
+    adminToken = generateAuthToken(admin._id);
+    menuItem = await createTestMenuItem({ name: 'Stream Dish', price: 12 });
+  });
+
+  afterEach(async () => {
+    streams.splice(0).forEach(stream => stream.close());
+    await settle();
+  });
+
+  const track = async (promise) => {
+    const stream = await promise;
+    streams.push(stream);
+    return stream;
+  };
+
+  const placeOrder = (token, userId) => request(app)
+    .post('/api/orders')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      userId: userId.toString(),
+      items: [{ menuItem: menuItem._id.toString(), quantity: 1 }],
+      orderType: 'pickup',
+      phone: '0612345678',
+      paymentMethod: 'cash'
+    })
+    .expect(201);
+
+  it('should fail without authentication', async () => {
+    const res = await request(app)
+      .get('/api/orders/stream')
+      .expect(401);
+
+    expect(res.body.success).toBe(false);
+  });
+
+  it('should push created orders to their owner only', async () => {
+    const ownerStream = await track(openStream(userToken));
+    const otherStream = await track(openStream(otherToken));
+
+    await placeOrder(userToken, user._id);
+
+    const event = await ownerStream.waitFor('order.created');
+    expect(event.data.order.status).toBe('pending');
+    expect(event.data.order.orderNumber).toBeDefined();
+
+    await settle();
+    expect(otherStream.events.find(e => e.type === 'order.created')).toBeUndefined();
+  });
+
+  it('should push status changes and cancellations to the customer', async () => {
+    const order = await createTestOrder({ userId: user._id, status: 'pending' });
+    const stream = await track(openStream(userToken));
+
+    await request(app)
+      .patch(`/api/orders/${order._id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'confirmed' })
+      .expect(200);
+
+    const changed = await stream.waitFor('order.status_changed');
+    expect(changed.data.order.status).toBe('confirmed');
+    // Customers do not see who changed the status
+    expect(changed.data.order.statusHistory[0].changedBy).toBeUndefined();
+
+    await request(app)
+      .delete(`/api/orders/${order._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const cancelled = await stream.waitFor('order.cancelled');
+    expect(cancelled.data.order.status).toBe('cancelled');
+  });
+
+  it('should push every order to admins', async () => {
+    const adminStream = await track(openStream(adminToken));
+
+    await placeOrder(userToken, user._id);
+    await placeOrder(otherToken, otherUser._id);
+
+    await settle();
+    const created = adminStream.events.filter(e => e.type === 'order.created');
+    expect(created).toHaveLength(2);
+    expect(created[0].data.order.userEmail).toBeDefined();
+  });
+
+  it('should open the stream with a ticket', async () => {
+    const res = await request(app)
+      .post('/api/orders/stream/ticket')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(201);
+
+    expect(res.body.data.expiresIn).toBe(60);
+
+    const stream = await track(openStream(null, { ticket: res.body.data.ticket }));
+    expect(stream.events[0].data.scope).toBe('own');
+  });
+
+  it('should not accept the access token as a query parameter', async () => {
+    await request(app)
+      .get(`/api/orders/stream?access_token=${userToken}`)
+      .expect(401);
+  });
+
+  it('should refuse invalid tickets', async () => {
+    const res = await request(app)
+      .get(`/api/orders/stream?ticket=${userToken}`)
+      .expect(401);
+
+    expect(res.body.message).toBe('Stream ticket is invalid or expired');
+  });
+
+  it('should not accept a ticket as an access token', async () => {
+    const ticket = generateStreamTicket(user._id);
+
+    await request(app)
+      .get('/api/orders')
+      .set('Authorization', `Bearer ${ticket}`)
+      .expect(401);
+  });
+
+  it('should unsubscribe when the client disconnects', async () => {
+    const before = getSubscriberCount();
+    const stream = await openStream(userToken);
+    expect(getSubscriberCount()).toBe(before + 1);
+
+    stream.close();
+    await settle();
+
+    expect(getSubscriberCount()).toBe(before);
+  });
+});
@@ -4,13 +4,22 @@ process.env.STRIPE_SECRET_KEY = 'sk_test_mock_key_for_testing';
 const request = require('supertest');
 const express = require('express');
 const cookieParser = require('cookie-parser');
+const mongoose = require('mongoose');
+const Stripe = require('stripe');
 const paymentRoutes = require('../../routes/payments');
 const errorHandler = require('../../middleware/errorHandler');
+const Order = require('../../models/Order');
+const User = require('../../models/User');
 const {
   createTestUser,
+  createTestOrder,
   generateAuthToken,
 } = require('../helpers/testHelpers');
 
+// Mocked Stripe client created by the payment controller (see tests/setupMocks.js)
+// Captured before clearMocks wipes mock.results between tests
+const stripeClient = Stripe.mock.results[0].value;
+
 // Create test app
 const app = express();
 app.use(express.json());
@@ -60,19 +69,71 @@ describe('Payment Routes Integration Tests', () => {
   });
 
   describe('POST /api/payments/stripe/create-intent', () => {
-    it('should create a payment intent', async () => {
+    let order;
+
+    beforeEach(async () => {
+      order = await createTestOrder({
+        userId: user._id,
+        paymentMethod: 'card',
+        totalPrice: 42.5,
+      });
+    });
+
+    it('should create a payment intent for the order total', async () => {
       const res = await request(app)
         .post('/api/payments/stripe/create-intent')
         .set('Authorization', `Bearer ${userToken}`)
-        .send({ amount: 25.00, currency: 'usd' })
+        .send({ orderId: order._id.toString() })
         .expect(200);
 
       expect(res.body.success).toBe(true);
       expect(res.body.data.clientSecret).toBeDefined();
-      expect(res.body.data.paymentIntentId).toBeDefined();
+      expect(res.body.data.paymentIntentId).toBe('pi_test_123');
+      expect(res.body.data.amount).toBe(42.5);
+
+      expect(stripeClient.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 4250,
+        currency: 'usd',
+        metadata: expect.objectContaining({ orderId: order._id.toString() }),
+      }));
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentIntentId).toBe('pi_test_123');
+      expect(updatedOrder.paymentIntentStatus).toBe('requires_payment_method');
+      expect(updatedOrder.paymentStatus).toBe('pending');
+    });
+
+    it('should reject an amount sent by the client', async () => {
+      await request(app)
+        .post('/api/payments/stripe/create-intent')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ orderId: order._id.toString(), amount: 1 })
+        .expect(400);
+
+      expect(stripeClient.paymentIntents.create).not.toHaveBeenCalled();
     });
 
-    it('should fail with missing amount', async () => {
+    it('should reuse the pending intent already linked to the order', async () => {
+      await Order.findByIdAndUpdate(order._id, { paymentIntentId: 'pi_existing' });
+      stripeClient.paymentIntents.retrieve.mockResolvedValueOnce({
+        id: 'pi_existing',
+        client_secret: 'pi_existing_secret',
+        amount: 4250,
+        currency: 'usd',
+        status: 'requires_payment_method',
+      });
+
+      const res = await request(app)
+        .post('/api/payments/stripe/create-intent')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ orderId: order._id.toString() })
+        .expect(200);
+
+      expect(res.body.data.paymentIntentId).toBe('pi_existing');
+      expect(stripeClient.paymentIntents.create).not.toHaveBeenCalled();
+    });
+
+    it('should fail with missing orderId', async () => {
       const res = await request(app)
         .post('/api/payments/stripe/create-intent')
         .set('Authorization', `Bearer ${userToken}`)
@@ -80,35 +141,72 @@ describe('Payment Routes Integration Tests', () => {
         .expect(400);
 
       expect(res.body.success).toBe(false);
-      expect(res.body.code).toBe('INVALID_AMOUNT');
+      expect(res.body.code).toBe('VALIDATION_ERROR');
     });
 
-    it('should fail with zero amount', async () => {
+    it('should fail for unknown order', async () => {
       const res = await request(app)
         .post('/api/payments/stripe/create-intent')
         .set('Authorization', `Bearer ${userToken}`)
-        .send({ amount: 0, currency: 'usd' })
-        .expect(400);
+        .send({ orderId: new mongoose.Types.ObjectId().toString() })
+        .expect(404);
+
+      expect(res.body.code).toBe('ORDER_NOT_FOUND');
+    });
+
+    it('should fail for another user order', async () => {
+      const otherUser = await createTestUser({ email: 'otherpayer@example.com' });
+      const otherOrder = await createTestOrder({ userId: otherUser._id, paymentMethod: 'card' });
+
+      const res = await request(app)
+        .post('/api/payments/stripe/create-intent')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ orderId: otherOrder._id.toString() })
+        .expect(403);
 
       expect(res.body.success).toBe(false);
-      expect(res.body.code).toBe('INVALID_AMOUNT');
     });
 
-    it('should fail with negative amount', async () => {
+    it('should fail for an order already paid', async () => {
+      await Order.findByIdAndUpdate(order._id, { paymentStatus: 'paid' });
+
       const res = await request(app)
         .post('/api/payments/stripe/create-intent')
         .set('Authorization', `Bearer ${userToken}`)
-        .send({ amount: -10, currency: 'usd' })
+        .send({ orderId: order._id.toString() })
         .expect(400);
 
-      expect(res.body.success).toBe(false);
-      expect(res.body.code).toBe('INVALID_AMOUNT');
+      expect(res.body.code).toBe('ORDER_NOT_PAYABLE');
+    });
+
+    it('should fail for a cash order', async () => {
+      const cashOrder = await createTestOrder({ userId: user._id, paymentMethod: 'cash' });
+
+      const res = await request(app)
+        .post('/api/payments/stripe/create-intent')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ orderId: cashOrder._id.toString() })
+        .expect(400);
+
+      expect(res.body.code).toBe('ORDER_NOT_PAYABLE');
+    });
+
+    it('should fail for a cancelled order', async () => {
+      await Order.findByIdAndUpdate(order._id, { status: 'cancelled' });
+
+      const res = await request(app)
+        .post('/api/payments/stripe/create-intent')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ orderId: order._id.toString() })
+        .expect(400);
+
+      expect(res.body.code).toBe('ORDER_NOT_PAYABLE');
     });
 
     it('should fail without authentication', async () => {
       const res = await request(app)
         .post('/api/payments/stripe/create-intent')
-        .send({ amount: 25.00 })
+        .send({ orderId: order._id.toString() })
         .expect(401);
 
       expect(res.body.success).toBe(false);
@@ -116,7 +214,18 @@ describe('Payment Routes Integration Tests', () => {
   });
 
   describe('POST /api/payments/stripe/confirm', () => {
-    it('should confirm a successful payment', async () => {
+    let order;
+
+    beforeEach(async () => {
+      order = await createTestOrder({
+        userId: user._id,
+        paymentMethod: 'card',
+        paymentIntentId: 'pi_test_123',
+        totalPrice: 25,
+      });
+    });
+
+    it('should confirm a successful payment and mark the order as paid', async () => {
       const res = await request(app)
         .post('/api/payments/stripe/confirm')
         .set('Authorization', `Bearer ${userToken}`)
@@ -127,6 +236,93 @@ describe('Payment Routes Integration Tests', () => {
       expect(res.body.message).toContain('confirmed');
       expect(res.body.data.paymentIntentId).toBe('pi_test_123');
       expect(res.body.data.status).toBe('succeeded');
+      expect(res.body.data.order.paymentStatus).toBe('paid');
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalOrders).toBe(1);
+      expect(updatedUser.totalSpent).toBe(25);
+    });
+
+    it('should not count the same payment twice', async () => {
+      await request(app)
+        .post('/api/payments/stripe/confirm')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ paymentIntentId: 'pi_test_123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/payments/stripe/confirm')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ paymentIntentId: 'pi_test_123' })
+        .expect(200);
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalOrders).toBe(1);
+    });
+
+    it('should not mark order as paid when payment is not completed', async () => {
+      stripeClient.paymentIntents.retrieve.mockResolvedValueOnce({
+        id: 'pi_test_123',
+        amount: 2500,
+        currency: 'usd',
+        status: 'requires_action',
+        metadata: {},
+      });
+
+      const res = await request(app)
+        .post('/api/payments/stripe/confirm')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ paymentIntentId: 'pi_test_123' })
+        .expect(400);
+
+      expect(res.body.code).toBe('PAYMENT_NOT_COMPLETED');
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('pending');
+      expect(updatedOrder.paymentIntentStatus).toBe('requires_action');
+    });
+
+    it('should not mark order as paid when amount is lower than total', async () => {
+      await Order.findByIdAndUpdate(order._id, { totalPrice: 99 });
+
+      const res = await request(app)
+        .post('/api/payments/stripe/confirm')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ paymentIntentId: 'pi_test_123' })
+        .expect(400);
+
+      expect(res.body.code).toBe('PAYMENT_FAILED');
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('pending');
+    });
+
+    it('should fail for a payment linked to another user order', async () => {
+      const otherUser = await createTestUser({ email: 'otherconfirm@example.com' });
+      await Order.findByIdAndUpdate(order._id, { userId: otherUser._id });
+
+      const res = await request(app)
+        .post('/api/payments/stripe/confirm')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ paymentIntentId: 'pi_test_123' })
+        .expect(403);
+
+      expect(res.body.success).toBe(false);
+
+      const unchanged = await Order.findById(order._id);
+      expect(unchanged.paymentStatus).toBe('pending');
+    });
+
+    it('should fail when no order is linked to the payment', async () => {
+      await Order.findByIdAndUpdate(order._id, { paymentIntentId: null });
+
+      const res = await request(app)
+        .post('/api/payments/stripe/confirm')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ paymentIntentId: 'pi_test_123' })
+        .expect(404);
+
+      expect(res.body.code).toBe('ORDER_NOT_FOUND');
     });
 
     it('should fail with missing paymentIntentId', async () => {
@@ -148,6 +148,189 @@ describe('Refresh Token System Integration Tests', () => {
     });
   });
 
+  describe('POST /api/auth/refresh - Token Rotation', () => {
+    let user;
+    let refreshToken;
+
+    /**
+     * Read the refresh token set by a response
+     * @param {Object} res - Supertest response
+     * @returns {string|undefined} Refresh token
+     */
+    const getRefreshCookie = (res) => {
+      const cookie = (res.headers['set-cookie'] || []).find(c => c.startsWith('refreshToken='));
+      return cookie && cookie.split('=')[1].split(';')[0];
+    };
+
+    /**
+     * Pretend a token was rotated long before the reuse grace period
+     * @param {string} token - Refresh token
+     */
+    const ageRotation = async (token) => {
+      await RefreshToken.updateOne({ token }, { rotatedAt: new Date(Date.now() - 60 * 60 * 1000) });
+    };
+
+    beforeEach(async () => {
+      user = await createTestUser({
+        email: 'rotation@example.com',
+        password: 'password123',
+      });
+
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'rotation@example.com',
+          password: 'password123',
+        });
+
+      refreshToken = getRefreshCookie(loginRes);
+    });
+
+    it('should issue a new refresh token on every refresh', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${refreshToken}`)
+        .expect(200);
+
+      const newToken = getRefreshCookie(res);
+      expect(newToken).toBeDefined();
+      expect(newToken).not.toBe(refreshToken);
+
+      const [oldDoc, newDoc] = await Promise.all([
+        RefreshToken.findOne({ token: refreshToken }),
+        RefreshToken.findOne({ token: newToken }),
+      ]);
+      expect(oldDoc.rotatedAt).toBeInstanceOf(Date);
+      expect(newDoc.family.equals(oldDoc.family)).toBe(true);
+      // Rotation does not extend the session
+      expect(newDoc.expiresAt.getTime()).toBe(oldDoc.expiresAt.getTime());
+    });
+
+    it('should keep refreshing with the rotated tokens', async () => {
+      let token = refreshToken;
+
+      for (let i = 0; i < 3; i++) {
+        const res = await request(app)
+          .post('/api/auth/refresh')
+          .set('Cookie', `refreshToken=${token}`)
+          .expect(200);
+        token = getRefreshCookie(res);
+      }
+
+      const sessions = await RefreshToken.getUserSessions(user._id);
+      expect(sessions).toHaveLength(1);
+    });
+
+    it('should give a just-rotated token its own sibling token (parallel tabs)', async () => {
+      const firstRes = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${refreshToken}`)
+        .expect(200);
+      const firstToken = getRefreshCookie(firstRes);
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${refreshToken}`)
+        .expect(200);
+
+      expect(res.body.accessToken).toBeDefined();
+      const siblingToken = getRefreshCookie(res);
+      expect(siblingToken).toBeDefined();
+      // The token the first request received is never handed out again
+      expect(siblingToken).not.toBe(firstToken);
+      expect(siblingToken).not.toBe(refreshToken);
+
+      const [firstDoc, siblingDoc] = await Promise.all([
+        RefreshToken.findOne({ token: firstToken }),
+        RefreshToken.findOne({ token: siblingToken }),
+      ]);
+      expect(siblingDoc.family.equals(firstDoc.family)).toBe(true);
+      expect(firstDoc.rotatedAt).toBeNull();
+
+      // Both tabs keep working, and the session is listed once
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${firstToken}`)
+        .expect(200);
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${siblingToken}`)
+        .expect(200);
+
+      const sessions = await RefreshToken.getUserSessions(user._id);
+      expect(sessions).toHaveLength(1);
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const firstRes = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${refreshToken}`)
+        .expect(200);
+      const currentToken = getRefreshCookie(firstRes);
+
+      await ageRotation(refreshToken);
+
+      // Attacker replays the stolen token
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${refreshToken}`)
+        .expect(401);
+
+      expect(res.body.code).toBe('AUTH_REFRESH_TOKEN_REUSED');
+      expect(await RefreshToken.countDocuments({ userId: user._id })).toBe(0);
+
+      // The token the legitimate client holds is revoked too
+      const victimRes = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${currentToken}`)
+        .expect(401);
+
+      expect(victimRes.body.code).toBe('AUTH_INVALID_REFRESH_TOKEN');
+    });
+
+    it('should not touch the other sessions of the user', async () => {
+      const otherLogin = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'rotation@example.com',
+          password: 'password123',
+        });
+      const otherToken = getRefreshCookie(otherLogin);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${refreshToken}`)
+        .expect(200);
+      await ageRotation(refreshToken);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${refreshToken}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${otherToken}`)
+        .expect(200);
+    });
+
+    it('should revoke the whole family on logout', async () => {
+      const refreshRes = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${refreshToken}`)
+        .expect(200);
+      const currentToken = getRefreshCookie(refreshRes);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${refreshRes.body.accessToken}`)
+        .set('Cookie', `refreshToken=${currentToken}`)
+        .expect(200);
+
+      expect(await RefreshToken.countDocuments({ userId: user._id })).toBe(0);
+    });
+  });
+
   describe('POST /api/auth/logout - Token Revocation', () => {
     let accessToken;
     let refreshToken;
@@ -274,6 +457,128 @@ describe('Refresh Token System Integration Tests', () => {
     });
   });
 
+  describe('Session management - /api/auth/sessions', () => {
+    let accessToken;
+    let refreshTokens;
+
+    beforeEach(async () => {
+      refreshTokens = [];
+      await createTestUser({
+        email: 'sessions@example.com',
+        password: 'password123',
+      });
+
+      // Two devices
+      for (const userAgent of ['Laptop Browser', 'Phone Browser']) {
+        const loginRes = await request(app)
+          .post('/api/auth/login')
+          .set('User-Agent', userAgent)
+          .send({
+            email: 'sessions@example.com',
+            password: 'password123',
+          });
+
+        accessToken = loginRes.body.accessToken;
+        const refreshCookie = loginRes.headers['set-cookie'].find(c => c.startsWith('refreshToken='));
+        refreshTokens.push(refreshCookie.split('=')[1].split(';')[0]);
+      }
+    });
+
+    it('should list active sessions with the current one marked', async () => {
+      const res = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('Cookie', `refreshToken=${refreshTokens[1]}`)
+        .expect(200);
+
+      expect(res.body.count).toBe(2);
+      const current = res.body.data.filter(session => session.current);
+      expect(current).toHaveLength(1);
+      expect(current[0].userAgent).toBe('Phone Browser');
+
+      // The refresh token itself is never exposed
+      expect(res.body.data[0].token).toBeUndefined();
+    });
+
+    it('should not mark a session without a refresh cookie', async () => {
+      const res = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.every(session => !session.current)).toBe(true);
+    });
+
+    it('should revoke another device', async () => {
+      const laptop = await RefreshToken.findOne({ token: refreshTokens[0] });
+
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${laptop._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('Cookie', `refreshToken=${refreshTokens[1]}`)
+        .expect(200);
+
+      expect(res.body.details.current).toBe(false);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${refreshTokens[0]}`)
+        .expect(401);
+
+      // The phone is still signed in
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${refreshTokens[1]}`)
+        .expect(200);
+    });
+
+    it('should clear cookies when revoking the current session', async () => {
+      const phone = await RefreshToken.findOne({ token: refreshTokens[1] });
+
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${phone._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('Cookie', `refreshToken=${refreshTokens[1]}`)
+        .expect(200);
+
+      expect(res.body.details.current).toBe(true);
+      const refreshCookie = res.headers['set-cookie'].find(c => c.startsWith('refreshToken='));
+      expect(refreshCookie).toContain('refreshToken=;');
+    });
+
+    it("should not revoke another user's session", async () => {
+      const other = await createTestUser({ email: 'other-sessions@example.com' });
+      const otherSession = await RefreshToken.createToken(other._id, null);
+
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${otherSession._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+
+      expect(res.body.code).toBe('SESSION_NOT_FOUND');
+      expect(await RefreshToken.countDocuments({ userId: other._id })).toBe(1);
+    });
+
+    it('should return 404 for an invalid session ID', async () => {
+      const res = await request(app)
+        .delete('/api/auth/sessions/not-an-id')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+
+      expect(res.body.code).toBe('SESSION_NOT_FOUND');
+    });
+
+    it('should record when a session was last used', async () => {
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${refreshTokens[0]}`)
+        .expect(200);
+
+      const laptop = await RefreshToken.findOne({ token: refreshTokens[0] });
+      expect(laptop.lastUsedAt).toBeInstanceOf(Date);
+    });
+  });
+
   describe('Protected Routes with Access Token', () => {
     let user;
     let accessToken;
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const reservationRoutes = require('../../routes/reservations');
+const adminRoutes = require('../../routes/admin');
+const errorHandler = require('../../middleware/errorHandler');
+const Reservation = require('../../models/Reservation');
+const User = require('../../models/User');
+const { markNoShows, updatePolicy } = require('../../services/reservations/reliabilityService');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestTable,
+  createTestReservation,
+  getFutureDate,
+  generateAuthToken,
+} = require('../helpers/testHelpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use(errorHandler);
+
+describe('Customer Reliability Integration Tests', () => {
+  let user;
+  let userToken;
+  let adminToken;
+
+  const book = (overrides = {}) => request(app)
+    .post('/api/reservations')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({
+      date: getFutureDate(3).toISOString(),
+      slot: 12,
+      guests: 2,
+      contactPhone: '0612345678',
+      ...overrides,
+    });
+
+  beforeEach(async () => {
+    user = await createTestUser({ email: 'reliable@example.com' });
+    const admin = await createTestAdmin({ email: 'policyadmin@example.com' });
+    userToken = generateAuthToken(user._id);
+    adminToken = generateAuthToken(admin._id);
+
+    await createTestTable({ tableNumber: 1, capacity: 2 });
+  });
+
+  describe('No-show detection', () => {
+    it('should mark a confirmed reservation past its grace period as no-show', async () => {
+      const reservation = await createTestReservation({ userId: user._id, date: getFutureDate(-1), slot: 12 });
+
+      const { marked } = await markNoShows({ now: new Date() });
+
+      expect(marked).toBe(1);
+      expect((await Reservation.findById(reservation._id)).status).toBe('no-show');
+      expect((await User.findById(user._id)).noShowCount).toBe(1);
+    });
+
+    it('should leave reservations still within the grace period alone', async () => {
+      const reservation = await createTestReservation({ userId: user._id, date: getFutureDate(1), slot: 12 });
+
+      const { marked } = await markNoShows({ now: new Date() });
+
+      expect(marked).toBe(0);
+      expect((await Reservation.findById(reservation._id)).status).toBe('confirmed');
+    });
+
+    it('should take the no-show back when an admin corrects the status', async () => {
+      const reservation = await createTestReservation({ userId: user._id, date: getFutureDate(-1), slot: 12 });
+      await markNoShows({ now: new Date() });
+
+      await request(app)
+        .patch(`/api/reservations/admin/${reservation._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      expect((await User.findById(user._id)).noShowCount).toBe(0);
+    });
+  });
+
+  describe('Late cancellations', () => {
+    it('should count a cancellation inside the late-cancellation window', async () => {
+      await updatePolicy({ lateCancellationHours: 168 });
+      const reservation = await createTestReservation({ userId: user._id, date: getFutureDate(3) });
+
+      await request(app)
+        .delete(`/api/reservations/${reservation._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect((await User.findById(user._id)).lateCancellationCount).toBe(1);
+    });
+
+    it('should not count an early cancellation', async () => {
+      const reservation = await createTestReservation({ userId: user._id, date: getFutureDate(5) });
+
+      await request(app)
+        .delete(`/api/reservations/${reservation._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect((await User.findById(user._id)).lateCancellationCount).toBe(0);
+    });
+  });
+
+  describe('Booking policies', () => {
+    it('should block online booking once the no-show limit is reached', async () => {
+      await updatePolicy({ blockOnlineBookingAfterNoShows: 2 });
+      await User.updateOne({ _id: user._id }, { noShowCount: 2 });
+
+      const res = await book().expect(403);
+
+      expect(res.body.code).toBe('ONLINE_BOOKING_BLOCKED');
+      expect(res.body.details.reason).toBe('no-shows');
+    });
+
+    it('should block joining the waitlist for the same customers', async () => {
+      await updatePolicy({ blockOnlineBookingAfterLateCancellations: 1 });
+      await User.updateOne({ _id: user._id }, { lateCancellationCount: 1 });
+
+      const res = await request(app)
+        .post('/api/reservations/waitlist')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ date: getFutureDate(3).toISOString(), slotFrom: 9, guests: 2, contactPhone: '0612345678' })
+        .expect(403);
+
+      expect(res.body.details.reason).toBe('late-cancellations');
+    });
+
+    it('should flag bookings that need a phone confirmation', async () => {
+      await updatePolicy({ phoneConfirmationAfterNoShows: 1 });
+      await User.updateOne({ _id: user._id }, { noShowCount: 1 });
+
+      const res = await book().expect(201);
+      expect(res.body.data.phoneConfirmation.required).toBe(true);
+
+      const pending = await request(app)
+        .get('/api/reservations/admin/recent?phoneConfirmation=pending')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(pending.body.data).toHaveLength(1);
+
+      const confirmed = await request(app)
+        .patch(`/api/reservations/admin/${res.body.data._id}/phone-confirmation`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(confirmed.body.data.phoneConfirmation.confirmedAt).toBeDefined();
+    });
+
+    it('should let customers under every limit book normally', async () => {
+      await updatePolicy({ blockOnlineBookingAfterNoShows: 3 });
+
+      const res = await book().expect(201);
+
+      expect(res.body.data.phoneConfirmation.required).toBe(false);
+    });
+  });
+
+  describe('GET/PUT /api/admin/reservation-policy', () => {
+    it('should return the default policy', async () => {
+      const res = await request(app)
+        .get('/api/admin/reservation-policy')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data.noShowGraceMinutes).toBe(30);
+      expect(res.body.data.blockOnlineBookingAfterNoShows).toBeNull();
+    });
+
+    it('should update thresholds', async () => {
+      const res = await request(app)
+        .put('/api/admin/reservation-policy')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ noShowGraceMinutes: 45, blockOnlineBookingAfterNoShows: 3 })
+        .expect(200);
+
+      expect(res.body.data.noShowGraceMinutes).toBe(45);
+      expect(res.body.data.blockOnlineBookingAfterNoShows).toBe(3);
+    });
+
+    it('should reject invalid thresholds', async () => {
+      await request(app)
+        .put('/api/admin/reservation-policy')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ blockOnlineBookingAfterNoShows: 0 })
+        .expect(400);
+    });
+
+    it('should be reserved to admins', async () => {
+      await request(app)
+        .get('/api/admin/reservation-policy')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+});
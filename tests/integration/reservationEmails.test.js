@@ -0,0 +1,187 @@
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const reservationRoutes = require('../../routes/reservations');
+const errorHandler = require('../../middleware/errorHandler');
+const Reservation = require('../../models/Reservation');
+const emailService = require('../../services/email/emailService');
+const { sendDueReminders } = require('../../services/reservations/reservationNotificationService');
+const { createReservationLinkToken } = require('../../utils/reservationLinks');
+const { getReservationDateTime } = require('../../utils/timeSlots');
+const {
+  createTestUser,
+  createTestTable,
+  createTestReservation,
+  getFutureDate,
+  generateAuthToken,
+} = require('../helpers/testHelpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/reservations', reservationRoutes);
+app.use(errorHandler);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Reservation Emails Integration Tests', () => {
+  let user;
+  let userToken;
+
+  beforeEach(async () => {
+    user = await createTestUser({ email: 'guest@example.com', name: 'Guest' });
+    userToken = generateAuthToken(user._id);
+
+    await createTestTable({ tableNumber: 1, capacity: 2 });
+  });
+
+  describe('Transactional emails', () => {
+    it('should email a confirmation when a reservation is created', async () => {
+      await request(app)
+        .post('/api/reservations')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ date: getFutureDate(3).toISOString(), slot: 12, guests: 2, contactPhone: '0612345678' })
+        .expect(201);
+
+      expect(emailService.sendReservationConfirmationEmail).toHaveBeenCalledWith(
+        'guest@example.com',
+        'Guest',
+        expect.objectContaining({ guests: 2, time: '20:30' })
+      );
+    });
+
+    it('should email an update when the reservation moves', async () => {
+      const reservation = await createTestReservation({ userId: user._id, userEmail: 'guest@example.com' });
+
+      await request(app)
+        .put(`/api/reservations/${reservation._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ slot: 13 })
+        .expect(200);
+
+      expect(emailService.sendReservationUpdateEmail).toHaveBeenCalledWith(
+        'guest@example.com',
+        expect.any(String),
+        expect.objectContaining({ time: '21:00' })
+      );
+    });
+
+    it('should email a cancellation', async () => {
+      const reservation = await createTestReservation({ userId: user._id, userEmail: 'guest@example.com' });
+
+      await request(app)
+        .delete(`/api/reservations/${reservation._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(emailService.sendReservationCancellationEmail).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Reminders', () => {
+    it('should send a reminder once, with confirm and cancel links', async () => {
+      const reservation = await createTestReservation({ userId: user._id, userEmail: 'guest@example.com' });
+      const now = new Date(getReservationDateTime(reservation.date, reservation.slot).getTime() - 3 * HOUR_MS);
+
+      expect((await sendDueReminders({ now })).sent).toBe(1);
+      expect((await sendDueReminders({ now })).sent).toBe(0);
+
+      expect(emailService.sendReservationReminderEmail).toHaveBeenCalledTimes(1);
+      const [, , details] = emailService.sendReservationReminderEmail.mock.calls[0];
+      expect(details.confirmUrl).toContain('/reservations/respond/');
+      expect(details.cancelUrl).toContain('/reservations/respond/');
+      expect((await Reservation.findById(reservation._id)).reminderSentAt).toBeInstanceOf(Date);
+    });
+
+    it('should not remind reservations further away than the reminder window', async () => {
+      await createTestReservation({ userId: user._id, date: getFutureDate(3) });
+
+      const { sent } = await sendDueReminders({ now: new Date() });
+
+      expect(sent).toBe(0);
+    });
+
+    it('should retry a reminder whose email failed', async () => {
+      const reservation = await createTestReservation({ userId: user._id });
+      const now = new Date(getReservationDateTime(reservation.date, reservation.slot).getTime() - HOUR_MS);
+      emailService.sendReservationReminderEmail.mockRejectedValueOnce(new Error('Brevo down'));
+
+      expect((await sendDueReminders({ now })).sent).toBe(0);
+      expect((await sendDueReminders({ now })).sent).toBe(1);
+    });
+  });
+
+  describe('One-click email links', () => {
+    let reservation;
+
+    beforeEach(async () => {
+      reservation = await createTestReservation({ userId: user._id, date: getFutureDate(3) });
+    });
+
+    it('should show the reservation behind a link', async () => {
+      const token = createReservationLinkToken(reservation, 'cancel');
+
+      const res = await request(app)
+        .get(`/api/reservations/email-links/${token}`)
+        .expect(200);
+
+      expect(res.body.data.action).toBe('cancel');
+      expect(res.body.data.canCancel).toBe(true);
+      expect(res.body.data.reservation.contactPhone).toBeUndefined();
+    });
+
+    it('should confirm attendance', async () => {
+      const token = createReservationLinkToken(reservation, 'confirm');
+
+      const res = await request(app)
+        .post(`/api/reservations/email-links/${token}`)
+        .expect(200);
+
+      expect(res.body.data.attendanceConfirmedAt).toBeDefined();
+      expect((await Reservation.findById(reservation._id)).attendanceConfirmedAt).toBeInstanceOf(Date);
+    });
+
+    it('should cancel, and accept a second click', async () => {
+      const token = createReservationLinkToken(reservation, 'cancel');
+
+      await request(app).post(`/api/reservations/email-links/${token}`).expect(200);
+      const res = await request(app).post(`/api/reservations/email-links/${token}`).expect(200);
+
+      expect(res.body.message).toBe('Reservation already cancelled');
+      expect((await Reservation.findById(reservation._id)).status).toBe('cancelled');
+      expect(emailService.sendReservationCancellationEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse a link issued before the reservation moved', async () => {
+      const token = createReservationLinkToken(reservation, 'cancel');
+      reservation.slot = 13;
+      await reservation.save();
+
+      const res = await request(app)
+        .post(`/api/reservations/email-links/${token}`)
+        .expect(400);
+
+      expect(res.body.code).toBe('RESERVATION_LINK_INVALID');
+      expect(res.body.details.reason).toBe('outdated');
+    });
+
+    it('should accept a link after the schedule is renumbered', async () => {
+      const token = createReservationLinkToken(reservation, 'confirm');
+      // Same time, new slot number (see realignReservations)
+      await Reservation.updateOne({ _id: reservation._id }, { slot: reservation.slot + 2 });
+
+      await request(app)
+        .post(`/api/reservations/email-links/${token}`)
+        .expect(200);
+    });
+
+    it('should refuse a tampered link', async () => {
+      const res = await request(app)
+        .post('/api/reservations/email-links/not-a-token')
+        .expect(400);
+
+      expect(res.body.details.reason).toBe('invalid');
+    });
+  });
+});
@@ -5,6 +5,7 @@ const mongoose = require('mongoose');
 const reservationRoutes = require('../../routes/reservations');
 const errorHandler = require('../../middleware/errorHandler');
 const Reservation = require('../../models/Reservation');
+const { findRaceConflicts } = require('../../services/reservations/availabilityService');
 const {
   createTestUser,
   createTestAdmin,
@@ -411,9 +412,7 @@ describe('Reservation Routes Integration Tests', () => {
     it('should update reservation status as admin', async () => {
       // Create a past reservation using direct insert to bypass date validation
       // This simulates a reservation that already happened and can be marked as seated
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      yesterday.setHours(0, 0, 0, 0);
+      const yesterday = getFutureDate(-1);
 
       const pastReservation = await createTestReservation({
         userId: user._id,
@@ -588,6 +587,35 @@ describe('Reservation Routes Integration Tests', () => {
       expect(res.body.data.tableNumber).toContain(2);
     });
 
+    it('should record seating and clearing times like the status route', async () => {
+      const seatedRes = await request(app)
+        .put(`/api/reservations/admin/${reservation._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'seated' })
+        .expect(200);
+
+      const seatedAt = seatedRes.body.data.seatedAt;
+      expect(seatedAt).toBeDefined();
+
+      const completedRes = await request(app)
+        .put(`/api/reservations/admin/${reservation._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      expect(completedRes.body.data.clearedAt).toBeDefined();
+      // Seating time is kept once set
+      expect(completedRes.body.data.seatedAt).toBe(seatedAt);
+
+      const confirmedRes = await request(app)
+        .put(`/api/reservations/admin/${reservation._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'confirmed' })
+        .expect(200);
+
+      expect(confirmedRes.body.data.seatedAt).toBeNull();
+    });
+
     it('should fail as regular user', async () => {
       const res = await request(app)
         .put(`/api/reservations/admin/${reservation._id}`)
@@ -934,4 +962,172 @@ describe('Reservation Routes Integration Tests', () => {
       expect(res.body.data.status).toBe('cancelled');
     });
   });
+
+  describe('Table availability (seating duration)', () => {
+    const reservationDate = getFutureDate(4);
+
+    const bookTable = (overrides = {}) => request(app)
+      .post('/api/reservations')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        date: reservationDate.toISOString(),
+        slot: 10,
+        guests: 2,
+        tableNumber: [1],
+        contactPhone: '0612345678',
+        ...overrides,
+      });
+
+    it('should reject a table held by an overlapping reservation', async () => {
+      // 19:00 for 2 guests holds table 1 until 20:30
+      await createTestReservation({ userId: user._id, date: reservationDate, slot: 9, tableNumber: [1], guests: 2 });
+
+      const res = await bookTable({ slot: 10 }).expect(409);
+
+      expect(res.body.code).toBe('TABLES_UNAVAILABLE');
+      expect(res.body.details.unavailableTables).toEqual([1]);
+    });
+
+    it('should accept the same table once the previous party has left', async () => {
+      // 18:00 for 2 guests holds table 1 until 19:30
+      await createTestReservation({ userId: user._id, date: reservationDate, slot: 7, tableNumber: [1], guests: 2 });
+
+      const res = await bookTable({ slot: 10 }).expect(201);
+
+      expect(res.body.data.tableNumber).toEqual([1]);
+    });
+
+    it('should hold tables longer for larger parties', async () => {
+      await createTestTable({ tableNumber: 3, capacity: 6 });
+      // 18:00 for 6 guests holds table 3 until 20:00
+      await createTestReservation({ userId: user._id, date: reservationDate, slot: 7, tableNumber: [3], guests: 6 });
+
+      const res = await bookTable({ slot: 10, guests: 5, tableNumber: [3] }).expect(409);
+
+      expect(res.body.code).toBe('TABLES_UNAVAILABLE');
+    });
+
+    it('should ignore cancelled reservations', async () => {
+      await createTestReservation({
+        userId: user._id,
+        date: reservationDate,
+        slot: 9,
+        tableNumber: [1],
+        guests: 2,
+        status: 'cancelled',
+      });
+
+      await bookTable({ slot: 10 }).expect(201);
+    });
+
+    it('should not reactivate a reservation whose table was rebooked', async () => {
+      const cancelled = await createTestReservation({
+        userId: user._id,
+        date: reservationDate,
+        slot: 9,
+        tableNumber: [1],
+        guests: 2,
+        status: 'cancelled',
+      });
+      await createTestReservation({ userId: user._id, date: reservationDate, slot: 10, tableNumber: [1], guests: 2 });
+
+      const res = await request(app)
+        .patch(`/api/reservations/admin/${cancelled._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'confirmed' })
+        .expect(409);
+
+      expect(res.body.code).toBe('TABLES_UNAVAILABLE');
+    });
+
+    it('should reject moving a reservation onto a taken table', async () => {
+      await createTestTable({ tableNumber: 3, capacity: 2 });
+      await createTestReservation({ userId: user._id, date: reservationDate, slot: 9, tableNumber: [3], guests: 2 });
+      const reservation = await createTestReservation({
+        userId: user._id,
+        date: reservationDate,
+        slot: 9,
+        tableNumber: [1],
+        guests: 2,
+      });
+
+      const res = await request(app)
+        .put(`/api/reservations/${reservation._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ tableNumber: [3] })
+        .expect(409);
+
+      expect(res.body.details.unavailableTables).toEqual([3]);
+    });
+
+    it('should keep exactly one of two bookings that raced for a table', async () => {
+      // Both stored before either re-checked: the later one yields
+      const earlier = await createTestReservation({ userId: user._id, date: reservationDate, slot: 9, tableNumber: [1], guests: 2 });
+      const later = await createTestReservation({ userId: user._id, date: reservationDate, slot: 10, tableNumber: [1], guests: 2 });
+
+      expect(await findRaceConflicts(later)).toEqual([1]);
+      expect(await findRaceConflicts(earlier)).toEqual([]);
+    });
+  });
+
+  describe('Automatic table assignment', () => {
+    const reservationDate = getFutureDate(5);
+
+    const bookWithoutTables = (overrides = {}) => request(app)
+      .post('/api/reservations')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        date: reservationDate.toISOString(),
+        slot: 10,
+        guests: 2,
+        contactPhone: '0612345678',
+        ...overrides,
+      });
+
+    it('should pick the table that wastes the fewest seats', async () => {
+      const res = await bookWithoutTables({ guests: 2 }).expect(201);
+      expect(res.body.data.tableNumber).toEqual([1]);
+
+      const larger = await bookWithoutTables({ guests: 3, slot: 12 }).expect(201);
+      expect(larger.body.data.tableNumber).toEqual([2]);
+    });
+
+    it('should join declared tables for a large party', async () => {
+      await createTestTable({ tableNumber: 3, capacity: 4, combinableWith: [4] });
+      await createTestTable({ tableNumber: 4, capacity: 4 });
+
+      const res = await bookWithoutTables({ guests: 8 }).expect(201);
+
+      expect(res.body.data.tableNumber).toEqual([3, 4]);
+    });
+
+    it('should prefer one table over joined tables with the same seats', async () => {
+      await createTestTable({ tableNumber: 3, capacity: 2, combinableWith: [4] });
+      await createTestTable({ tableNumber: 4, capacity: 2 });
+
+      const res = await bookWithoutTables({ guests: 4 }).expect(201);
+
+      expect(res.body.data.tableNumber).toEqual([2]);
+    });
+
+    it('should suggest other times when nothing fits', async () => {
+      // Both tables are held from 19:30 to 21:00
+      await createTestReservation({ userId: user._id, date: reservationDate, slot: 10, tableNumber: [1], guests: 2 });
+      await createTestReservation({ userId: user._id, date: reservationDate, slot: 10, tableNumber: [2], guests: 2 });
+
+      const res = await bookWithoutTables({ slot: 10 }).expect(409);
+
+      expect(res.body.code).toBe('NO_TABLE_AVAILABLE');
+      expect(res.body.details.suggestedSlots[0]).toEqual({ slot: 7, time: '18:00', tableNumbers: [1] });
+    });
+
+    it('should suggest other times when chosen tables are taken', async () => {
+      await createTestReservation({ userId: user._id, date: reservationDate, slot: 10, tableNumber: [1], guests: 2 });
+
+      const res = await bookWithoutTables({ tableNumber: [1] }).expect(409);
+
+      expect(res.body.code).toBe('TABLES_UNAVAILABLE');
+      expect(res.body.details.suggestedSlots.length).toBeGreaterThan(0);
+    });
+  });
 });
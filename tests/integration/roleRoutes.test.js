@@ -0,0 +1,227 @@
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const userRoutes = require('../../routes/users');
+const menuRoutes = require('../../routes/menu');
+const orderRoutes = require('../../routes/orders');
+const reservationRoutes = require('../../routes/reservations');
+const errorHandler = require('../../middleware/errorHandler');
+const User = require('../../models/User');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestOrder,
+  createTestTable,
+  createTestReservation,
+  getFutureDate,
+  generateAuthToken,
+} = require('../helpers/testHelpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/users', userRoutes);
+app.use('/api/menu', menuRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use(errorHandler);
+
+describe('Staff Roles Integration Tests', () => {
+  let owner;
+  let ownerToken;
+  let customer;
+
+  /**
+   * Create a staff member and sign them in
+   * @param {string} role - Staff role
+   * @returns {Promise<Object>} { user, token }
+   */
+  const createStaff = async (role) => {
+    const user = await createTestUser({ email: `${role}@example.com`, name: `Test ${role}`, role });
+    return { user, token: generateAuthToken(user._id) };
+  };
+
+  beforeEach(async () => {
+    owner = await createTestAdmin({ email: 'owner@example.com', role: 'owner' });
+    ownerToken = generateAuthToken(owner._id);
+    customer = await createTestUser({ email: 'customer@example.com' });
+  });
+
+  describe('Host', () => {
+    let hostToken;
+
+    beforeEach(async () => {
+      ({ token: hostToken } = await createStaff('host'));
+    });
+
+    it('should manage reservations', async () => {
+      await createTestTable({ tableNumber: 1, capacity: 4 });
+      const reservation = await createTestReservation({
+        userId: customer._id,
+        date: getFutureDate(1),
+        tableNumber: [1],
+      });
+
+      const res = await request(app)
+        .patch(`/api/reservations/admin/${reservation._id}/status`)
+        .set('Authorization', `Bearer ${hostToken}`)
+        .send({ status: 'cancelled' })
+        .expect(200);
+
+      expect(res.body.data.status).toBe('cancelled');
+    });
+
+    it('should not edit the menu', async () => {
+      const res = await request(app)
+        .post('/api/menu')
+        .set('Authorization', `Bearer ${hostToken}`)
+        .send({ name: 'New Dish', price: 12 })
+        .expect(403);
+
+      expect(res.body.code).toBe('AUTH_PERMISSION_DENIED');
+      expect(res.body.details.role).toBe('host');
+      expect(res.body.details.requiredPermissions).toEqual(['menu:manage']);
+    });
+
+    it('should not refund orders', async () => {
+      const order = await createTestOrder({ userId: customer._id, status: 'delivered' });
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/refunds/cash`)
+        .set('Authorization', `Bearer ${hostToken}`)
+        .send({ amount: 5, reason: 'Cold fries' })
+        .expect(403);
+
+      expect(res.body.code).toBe('AUTH_PERMISSION_DENIED');
+    });
+  });
+
+  describe('Driver', () => {
+    let driverToken;
+
+    beforeEach(async () => {
+      ({ token: driverToken } = await createStaff('driver'));
+    });
+
+    it('should move a delivery order out for delivery', async () => {
+      const order = await createTestOrder({ userId: customer._id, orderType: 'delivery', status: 'ready' });
+
+      const res = await request(app)
+        .patch(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ status: 'out-for-delivery' })
+        .expect(200);
+
+      expect(res.body.data.status).toBe('out-for-delivery');
+    });
+
+    it('should not move an order through the kitchen', async () => {
+      const order = await createTestOrder({ userId: customer._id, orderType: 'delivery', status: 'confirmed' });
+
+      const res = await request(app)
+        .patch(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ status: 'preparing' })
+        .expect(403);
+
+      expect(res.body.code).toBe('AUTH_PERMISSION_DENIED');
+    });
+
+    it('should not complete pickup orders', async () => {
+      const order = await createTestOrder({ userId: customer._id, orderType: 'pickup', status: 'ready' });
+
+      await request(app)
+        .patch(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ status: 'delivered' })
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/users/roles', () => {
+    it('should list every role with its permissions', async () => {
+      const res = await request(app)
+        .get('/api/users/roles')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const host = res.body.data.find(entry => entry.role === 'host');
+      expect(host.permissions).toContain('reservations:manage');
+      expect(host.permissions).not.toContain('menu:manage');
+    });
+  });
+
+  describe('PUT /api/users/:id/role', () => {
+    it('should assign a role as owner', async () => {
+      const res = await request(app)
+        .put(`/api/users/${customer._id}/role`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'kitchen' })
+        .expect(200);
+
+      expect(res.body.data.role).toBe('kitchen');
+      expect(res.body.data.permissions).toContain('kitchen:manage');
+
+      const updated = await User.findById(customer._id);
+      expect(updated.role).toBe('kitchen');
+    });
+
+    it('should reject an unknown role', async () => {
+      await request(app)
+        .put(`/api/users/${customer._id}/role`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'superuser' })
+        .expect(400);
+    });
+
+    it('should not change own role', async () => {
+      const res = await request(app)
+        .put(`/api/users/${owner._id}/role`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'user' })
+        .expect(400);
+
+      expect(res.body.code).toBe('CANNOT_MODIFY_OWN_ROLE');
+    });
+
+    it('should not let a manager assign roles', async () => {
+      const { token: managerToken } = await createStaff('manager');
+
+      const res = await request(app)
+        .put(`/api/users/${customer._id}/role`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ role: 'manager' })
+        .expect(403);
+
+      expect(res.body.code).toBe('AUTH_PERMISSION_DENIED');
+    });
+  });
+
+  describe('Staff accounts', () => {
+    it('should not let a manager deactivate a staff account', async () => {
+      const { token: managerToken } = await createStaff('manager');
+      const { user: host } = await createStaff('host');
+
+      const res = await request(app)
+        .put(`/api/users/${host._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ isActive: false })
+        .expect(403);
+
+      expect(res.body.code).toBe('STAFF_ACCOUNT_PROTECTED');
+    });
+
+    it('should let a manager deactivate a customer account', async () => {
+      const { token: managerToken } = await createStaff('manager');
+
+      const res = await request(app)
+        .put(`/api/users/${customer._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ isActive: false })
+        .expect(200);
+
+      expect(res.body.data.isActive).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,287 @@
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const scheduleRoutes = require('../../routes/schedule');
+const adminRoutes = require('../../routes/admin');
+const reservationRoutes = require('../../routes/reservations');
+const errorHandler = require('../../middleware/errorHandler');
+const Reservation = require('../../models/Reservation');
+const RestaurantSchedule = require('../../models/RestaurantSchedule');
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const { loadSchedule, realignReservations } = require('../../services/schedule/scheduleService');
+const { getActiveSchedule } = require('../../utils/timeSlots');
+const { runJobs } = require('../../services/jobs/jobRunner');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestTable,
+  createTestReservation,
+  getFutureDate,
+  generateAuthToken,
+} = require('../helpers/testHelpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/schedule', scheduleRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use(errorHandler);
+
+describe('Schedule Routes Integration Tests', () => {
+  const day = getFutureDate(4);
+  let user;
+  let userToken;
+  let adminToken;
+
+  const getDay = () => request(app).get(`/api/schedule/day?date=${day.toISOString()}`);
+
+  const saveSchedule = (changes) => request(app)
+    .put('/api/admin/schedule')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(changes);
+
+  const joinWaitlist = (overrides = {}) => WaitlistEntry.create({
+    userId: user._id,
+    userEmail: user.email,
+    userName: user.name,
+    date: day,
+    slotFrom: 10,
+    slotTo: 12,
+    guests: 2,
+    contactPhone: '0612345678',
+    ...overrides,
+  });
+
+  const book = (overrides = {}) => request(app)
+    .post('/api/reservations')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({
+      date: day.toISOString(),
+      slot: 10,
+      guests: 2,
+      tableNumber: [1],
+      contactPhone: '0612345678',
+      ...overrides,
+    });
+
+  beforeEach(async () => {
+    // Previous tests' schedule was wiped with the database: reload the default
+    await loadSchedule();
+
+    user = await createTestUser({ email: 'scheduleuser@example.com' });
+    const admin = await createTestAdmin({ email: 'scheduleadmin@example.com' });
+    userToken = generateAuthToken(user._id);
+    adminToken = generateAuthToken(admin._id);
+    await createTestTable({ tableNumber: 1, capacity: 2 });
+  });
+
+  describe('GET /api/schedule/day', () => {
+    it('should list the default lunch and dinner slots', async () => {
+      const res = await getDay().expect(200);
+
+      expect(res.body.data.isClosed).toBe(false);
+      expect(res.body.data.slots).toHaveLength(15);
+      expect(res.body.data.slots[0]).toEqual({ slot: 1, label: '11:00', period: 'lunch', available: true });
+      expect(res.body.data.slots[14].label).toBe('22:00');
+    });
+
+    it('should require a date', async () => {
+      const res = await request(app).get('/api/schedule/day').expect(400);
+
+      expect(res.body.code).toBe('DATE_REQUIRED');
+    });
+  });
+
+  describe('PUT /api/admin/schedule', () => {
+    it('should change the hours of a weekday', async () => {
+      await saveSchedule({
+        slotMinutes: 60,
+        weeklyHours: [{ dayOfWeek: day.getUTCDay(), periods: [{ name: 'dinner', open: '19:00', close: '23:00' }] }],
+      }).expect(200);
+
+      const res = await getDay().expect(200);
+
+      expect(res.body.data.slots.map(slot => slot.label)).toEqual(['19:00', '20:00', '21:00', '22:00']);
+    });
+
+    it('should close the restaurant on holidays', async () => {
+      await saveSchedule({ closures: [{ from: day.toISOString(), reason: 'Annual holiday' }] }).expect(200);
+
+      const dayRes = await getDay().expect(200);
+      expect(dayRes.body.data.isClosed).toBe(true);
+      expect(dayRes.body.data.reason).toBe('Annual holiday');
+
+      const res = await book().expect(400);
+      expect(res.body.code).toBe('SLOT_UNAVAILABLE');
+    });
+
+    it('should block private event hours without revealing them', async () => {
+      await saveSchedule({
+        blackouts: [{ date: day.toISOString(), start: '19:00', end: '23:00', reason: 'Wedding' }],
+      }).expect(200);
+
+      const dayRes = await getDay().expect(200);
+      expect(dayRes.body.data.slots.find(slot => slot.label === '19:30').available).toBe(false);
+      expect(JSON.stringify(dayRes.body)).not.toContain('Wedding');
+
+      const res = await book({ slot: 10 }).expect(400);
+      expect(res.body.code).toBe('SLOT_UNAVAILABLE');
+      expect(res.body.details.suggestedSlots.map(s => s.time)).toContain('13:30');
+    });
+
+    it('should reject overlapping service periods', async () => {
+      const res = await saveSchedule({
+        weeklyHours: [{
+          dayOfWeek: 1,
+          periods: [
+            { name: 'lunch', open: '11:00', close: '15:00' },
+            { name: 'dinner', open: '14:00', close: '22:00' },
+          ],
+        }],
+      }).expect(400);
+
+      expect(res.body.code).toBe('INVALID_SCHEDULE');
+    });
+
+    it('should refuse hours that would strand an upcoming reservation', async () => {
+      await createTestReservation({ userId: user._id, date: day, slot: 13, tableNumber: [1] }); // 21:00
+
+      const res = await saveSchedule({
+        weeklyHours: [{ dayOfWeek: day.getUTCDay(), periods: [{ name: 'dinner', open: '18:00', close: '21:00' }] }],
+      }).expect(409);
+
+      expect(res.body.code).toBe('SCHEDULE_CONFLICT');
+      expect(res.body.details.reservations[0].time).toBe('21:00');
+    });
+
+    it('should renumber reservations so they keep their time', async () => {
+      const reservation = await createTestReservation({ userId: user._id, date: day, slot: 12, tableNumber: [1] }); // 20:30
+
+      const res = await saveSchedule({
+        weeklyHours: [{
+          dayOfWeek: day.getUTCDay(),
+          periods: [
+            { name: 'lunch', open: '10:30', close: '14:00' },
+            { name: 'dinner', open: '18:00', close: '22:30' },
+          ],
+        }],
+      }).expect(200);
+
+      expect(res.body.remappedReservations).toBe(1);
+      expect((await Reservation.findById(reservation._id)).slot).toBe(13);
+    });
+
+    it('should pick up a schedule saved by another instance with the background jobs', async () => {
+      // Another API instance saved a closure: this process still has the old hours
+      await RestaurantSchedule.create({
+        ...getActiveSchedule(),
+        version: 1,
+        closures: [{ from: day, reason: 'Annual holiday' }],
+      });
+      expect((await getDay().expect(200)).body.data.isClosed).toBe(false);
+
+      await runJobs();
+
+      const res = await getDay().expect(200);
+      expect(res.body.data.isClosed).toBe(true);
+    });
+
+    it('should renumber waitlist ranges and holds so they keep their time', async () => {
+      const waiting = await joinWaitlist(); // 19:30 - 20:30
+      const offered = await joinWaitlist({
+        status: 'offered',
+        offer: { slot: 11, tableNumbers: [1], expiresAt: new Date(Date.now() + 15 * 60 * 1000) }, // 20:00
+      });
+
+      const res = await saveSchedule({
+        weeklyHours: [{
+          dayOfWeek: day.getUTCDay(),
+          periods: [
+            { name: 'lunch', open: '10:30', close: '14:00' },
+            { name: 'dinner', open: '18:00', close: '22:30' },
+          ],
+        }],
+      }).expect(200);
+
+      expect(res.body.remappedWaitlistEntries).toBe(2);
+
+      const movedWaiting = await WaitlistEntry.findById(waiting._id);
+      expect([movedWaiting.slotFrom, movedWaiting.slotTo]).toEqual([11, 13]);
+      expect((await WaitlistEntry.findById(offered._id)).offer.slot).toBe(12);
+    });
+
+    it('should refuse hours that would strand a waitlist hold', async () => {
+      await joinWaitlist({
+        status: 'offered',
+        offer: { slot: 13, tableNumbers: [1], expiresAt: new Date(Date.now() + 15 * 60 * 1000) }, // 21:00
+      });
+
+      const res = await saveSchedule({
+        weeklyHours: [{ dayOfWeek: day.getUTCDay(), periods: [{ name: 'dinner', open: '18:00', close: '21:00' }] }],
+      }).expect(409);
+
+      expect(res.body.code).toBe('SCHEDULE_CONFLICT');
+      expect(res.body.details.reservations[0]).toMatchObject({ type: 'waitlist-hold', time: '21:00' });
+    });
+
+    it('should expire waiting entries whose times no longer exist', async () => {
+      const entry = await joinWaitlist({ slotFrom: 14, slotTo: 15 }); // 21:30 - 22:00
+
+      await saveSchedule({
+        weeklyHours: [{ dayOfWeek: day.getUTCDay(), periods: [{ name: 'dinner', open: '18:00', close: '21:00' }] }],
+      }).expect(200);
+
+      expect((await WaitlistEntry.findById(entry._id)).status).toBe('expired');
+    });
+
+    it('should keep changes saved by another instance', async () => {
+      // Saved elsewhere: this process still has the default schedule in memory
+      await RestaurantSchedule.create({
+        ...getActiveSchedule(),
+        version: 1,
+        closures: [{ from: day, reason: 'Annual holiday' }],
+      });
+
+      const res = await saveSchedule({ slotMinutes: 60 }).expect(200);
+
+      expect(res.body.data.version).toBe(2);
+      expect(res.body.data.closures).toHaveLength(1);
+      expect((await RestaurantSchedule.findById('default')).closures).toHaveLength(1);
+    });
+
+    it('should move bookings taken with the old numbering after the save', async () => {
+      await saveSchedule({
+        weeklyHours: [{
+          dayOfWeek: day.getUTCDay(),
+          periods: [
+            { name: 'lunch', open: '10:30', close: '14:00' },
+            { name: 'dinner', open: '18:00', close: '22:30' },
+          ],
+        }],
+      }).expect(200);
+
+      // Booked at 20:30 through an instance that had not reloaded: old slot 12
+      const reservation = await createTestReservation({ userId: user._id, date: day, slot: 13, tableNumber: [1] });
+      await Reservation.updateOne({ _id: reservation._id }, { slot: 12, time: '20:30', scheduleVersion: 0 });
+
+      expect(await realignReservations()).toBe(1);
+
+      const moved = await Reservation.findById(reservation._id);
+      expect(moved.slot).toBe(13);
+      expect(moved.scheduleVersion).toBe(1);
+
+      // An instance still on the old schedule does not move it back
+      expect(await realignReservations({ ...getActiveSchedule(), version: 0 })).toBe(0);
+    });
+
+    it('should be reserved to admins', async () => {
+      await request(app)
+        .put('/api/admin/schedule')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ slotMinutes: 15 })
+        .expect(403);
+    });
+  });
+});
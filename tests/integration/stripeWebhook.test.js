@@ -0,0 +1,463 @@
+// Set test Stripe keys before loading controller
+process.env.STRIPE_SECRET_KEY = 'sk_test_mock_key_for_testing';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret_for_webhooks';
+
+const request = require('supertest');
+const express = require('express');
+const Stripe = require('stripe');
+const cookieParser = require('cookie-parser');
+const paymentRoutes = require('../../routes/payments');
+const errorHandler = require('../../middleware/errorHandler');
+const Order = require('../../models/Order');
+const User = require('../../models/User');
+const StripeEvent = require('../../models/StripeEvent');
+const EventRequest = require('../../models/EventRequest');
+const {
+  createTestUser,
+  createTestOrder,
+  signStripePayload,
+  buildStripeEvent,
+} = require('../helpers/testHelpers');
+
+const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+// Mocked Stripe client created by the payment controller (see tests/setupMocks.js)
+const stripeClient = Stripe.mock.results[0].value;
+
+// Create test app (same body parsing order as server.js)
+const app = express();
+app.use('/api/payments/stripe/webhook', express.raw({ type: 'application/json' }));
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/payments', paymentRoutes);
+app.use(errorHandler);
+
+// Send a signed event to the webhook endpoint
+const sendEvent = (event, secret = WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  return request(app)
+    .post('/api/payments/stripe/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', signStripePayload(payload, secret))
+    .send(payload);
+};
+
+describe('Stripe Webhook Integration Tests', () => {
+  let user;
+  let order;
+
+  beforeEach(async () => {
+    user = await createTestUser({ email: 'webhookuser@example.com' });
+    order = await createTestOrder({
+      userId: user._id,
+      paymentMethod: 'card',
+      paymentStatus: 'pending',
+      paymentIntentId: 'pi_test_webhook_1',
+      totalPrice: 25,
+    });
+  });
+
+  const succeededIntent = (overrides = {}) => ({
+    id: 'pi_test_webhook_1',
+    object: 'payment_intent',
+    amount: 2500,
+    amount_received: 2500,
+    currency: 'usd',
+    status: 'succeeded',
+    metadata: {},
+    ...overrides,
+  });
+
+  describe('Signature verification', () => {
+    it('should reject request without signature header', async () => {
+      const res = await request(app)
+        .post('/api/payments/stripe/webhook')
+        .set('Content-Type', 'application/json')
+        .send(JSON.stringify(buildStripeEvent('payment_intent.succeeded', succeededIntent())))
+        .expect(400);
+
+      expect(res.body.success).toBe(false);
+      expect(res.body.code).toBe('WEBHOOK_SIGNATURE_INVALID');
+    });
+
+    it('should reject payload signed with wrong secret', async () => {
+      const event = buildStripeEvent('payment_intent.succeeded', succeededIntent());
+
+      const res = await sendEvent(event, 'whsec_wrong_secret').expect(400);
+
+      expect(res.body.code).toBe('WEBHOOK_SIGNATURE_INVALID');
+
+      const unchanged = await Order.findById(order._id);
+      expect(unchanged.paymentStatus).toBe('pending');
+    });
+
+    it('should reject tampered payload', async () => {
+      const event = buildStripeEvent('payment_intent.succeeded', succeededIntent());
+      const payload = JSON.stringify(event);
+      const signature = signStripePayload(payload, WEBHOOK_SECRET);
+
+      const res = await request(app)
+        .post('/api/payments/stripe/webhook')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', signature)
+        .send(payload.replace('2500', '9999'))
+        .expect(400);
+
+      expect(res.body.code).toBe('WEBHOOK_SIGNATURE_INVALID');
+    });
+
+    it('should reject expired signature timestamp', async () => {
+      const payload = JSON.stringify(buildStripeEvent('payment_intent.succeeded', succeededIntent()));
+      const oldTimestamp = Math.floor(Date.now() / 1000) - 60 * 60;
+
+      const res = await request(app)
+        .post('/api/payments/stripe/webhook')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', signStripePayload(payload, WEBHOOK_SECRET, oldTimestamp))
+        .send(payload)
+        .expect(400);
+
+      expect(res.body.code).toBe('WEBHOOK_SIGNATURE_INVALID');
+    });
+
+    it('should not require authentication', async () => {
+      const event = buildStripeEvent('customer.created', { id: 'cus_123' });
+
+      const res = await sendEvent(event).expect(200);
+
+      expect(res.body.received).toBe(true);
+      expect(res.body.data.handled).toBe(false);
+    });
+  });
+
+  describe('payment_intent.succeeded', () => {
+    it('should mark linked order as paid and update user statistics', async () => {
+      const event = buildStripeEvent('payment_intent.succeeded', succeededIntent());
+
+      const res = await sendEvent(event).expect(200);
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.handled).toBe(true);
+      expect(res.body.data.orderId).toBe(order._id.toString());
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('paid');
+      expect(updatedOrder.paidAt).toBeInstanceOf(Date);
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalOrders).toBe(1);
+      expect(updatedUser.totalSpent).toBe(25);
+    });
+
+    it('should not count an order already counted on delivery again', async () => {
+      // Delivered (and counted) before the payment landed
+      await Order.updateOne({ _id: order._id }, { status: 'delivered', statsCounted: true });
+      await User.updateOne({ _id: user._id }, { totalOrders: 1, totalSpent: 25 });
+
+      await sendEvent(buildStripeEvent('payment_intent.succeeded', succeededIntent())).expect(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('paid');
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalOrders).toBe(1);
+      expect(updatedUser.totalSpent).toBe(25);
+    });
+
+    it('should find order through metadata.orderId', async () => {
+      const otherOrder = await createTestOrder({
+        userId: user._id,
+        paymentMethod: 'card',
+        totalPrice: 25,
+      });
+      const event = buildStripeEvent('payment_intent.succeeded', succeededIntent({
+        id: 'pi_test_metadata',
+        metadata: { orderId: otherOrder._id.toString() },
+      }));
+
+      await sendEvent(event).expect(200);
+
+      const updatedOrder = await Order.findById(otherOrder._id);
+      expect(updatedOrder.paymentStatus).toBe('paid');
+      expect(updatedOrder.paymentIntentId).toBe('pi_test_metadata');
+    });
+
+    it('should not mark order as paid when amount is lower than total', async () => {
+      const event = buildStripeEvent('payment_intent.succeeded', succeededIntent({
+        amount: 100,
+        amount_received: 100,
+      }));
+
+      await sendEvent(event).expect(200);
+
+      const unchanged = await Order.findById(order._id);
+      expect(unchanged.paymentStatus).toBe('pending');
+    });
+
+    it('should mark an event deposit as paid without touching orders', async () => {
+      const eventRequest = await EventRequest.create({
+        userId: user._id,
+        userEmail: user.email,
+        userName: user.name,
+        type: 'buyout',
+        date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        startTime: '18:00',
+        endTime: '23:00',
+        guests: 40,
+        contactPhone: '0612345678',
+        status: 'approved',
+        quote: { totalAmount: 4000, depositAmount: 25 },
+        depositStatus: 'pending',
+      });
+      const event = buildStripeEvent('payment_intent.succeeded', succeededIntent({
+        id: 'pi_test_deposit',
+        metadata: { eventRequestId: eventRequest._id.toString() },
+      }));
+
+      const res = await sendEvent(event).expect(200);
+
+      expect(res.body.data.eventRequestId).toBe(eventRequest._id.toString());
+      expect(res.body.data.orderId).toBeNull();
+
+      const paid = await EventRequest.findById(eventRequest._id);
+      expect(paid.depositStatus).toBe('paid');
+      expect(paid.paymentIntentId).toBe('pi_test_deposit');
+
+      const unchanged = await Order.findById(order._id);
+      expect(unchanged.paymentStatus).toBe('pending');
+    });
+
+    it('should acknowledge event with no matching order', async () => {
+      const event = buildStripeEvent('payment_intent.succeeded', succeededIntent({ id: 'pi_unknown' }));
+
+      const res = await sendEvent(event).expect(200);
+
+      expect(res.body.data.handled).toBe(true);
+      expect(res.body.data.orderId).toBeNull();
+    });
+  });
+
+  describe('Idempotency', () => {
+    it('should process the same event only once', async () => {
+      const event = buildStripeEvent('payment_intent.succeeded', succeededIntent());
+
+      await sendEvent(event).expect(200);
+      const res = await sendEvent(event).expect(200);
+
+      expect(res.body.data.duplicate).toBe(true);
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalOrders).toBe(1);
+      expect(updatedUser.totalSpent).toBe(25);
+
+      const records = await StripeEvent.countDocuments({ eventId: event.id });
+      expect(records).toBe(1);
+    });
+
+    it('should not double count distinct events for the same intent', async () => {
+      await sendEvent(buildStripeEvent('payment_intent.succeeded', succeededIntent())).expect(200);
+      await sendEvent(buildStripeEvent('payment_intent.succeeded', succeededIntent())).expect(200);
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalSpent).toBe(25);
+    });
+  });
+
+  describe('payment_intent.payment_failed', () => {
+    it('should mark pending order payment as failed', async () => {
+      const event = buildStripeEvent('payment_intent.payment_failed', succeededIntent({
+        status: 'requires_payment_method',
+        amount_received: 0,
+        last_payment_error: { message: 'Your card was declined.' },
+      }));
+
+      await sendEvent(event).expect(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('failed');
+    });
+
+    it('should not downgrade a paid order', async () => {
+      await Order.findByIdAndUpdate(order._id, { paymentStatus: 'paid' });
+      const event = buildStripeEvent('payment_intent.payment_failed', succeededIntent({ status: 'requires_payment_method' }));
+
+      await sendEvent(event).expect(200);
+
+      const unchanged = await Order.findById(order._id);
+      expect(unchanged.paymentStatus).toBe('paid');
+    });
+
+    it('should allow a failed order to be paid on retry', async () => {
+      await sendEvent(buildStripeEvent('payment_intent.payment_failed', succeededIntent({ status: 'requires_payment_method' }))).expect(200);
+      await sendEvent(buildStripeEvent('payment_intent.succeeded', succeededIntent())).expect(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('paid');
+    });
+  });
+
+  describe('charge.refunded', () => {
+    // Current API versions send the charge without its refunds
+    const refundedCharge = (overrides = {}) => ({
+      id: 'ch_test_1',
+      object: 'charge',
+      amount: 2500,
+      amount_refunded: 2500,
+      refunded: true,
+      payment_intent: 'pi_test_webhook_1',
+      metadata: {},
+      ...overrides,
+    });
+
+    const chargeRefund = {
+      id: 're_test_charge_1',
+      object: 'refund',
+      amount: 2500,
+      charge: 'ch_test_1',
+      payment_intent: 'pi_test_webhook_1',
+      status: 'succeeded',
+      metadata: {},
+    };
+
+    beforeEach(() => {
+      stripeClient.refunds.list.mockResolvedValue({ object: 'list', data: [chargeRefund], has_more: false });
+    });
+
+    it('should mark paid order as refunded and correct user totalSpent', async () => {
+      await sendEvent(buildStripeEvent('payment_intent.succeeded', succeededIntent())).expect(200);
+      await sendEvent(buildStripeEvent('charge.refunded', refundedCharge())).expect(200);
+
+      expect(stripeClient.refunds.list).toHaveBeenCalledWith(expect.objectContaining({ charge: 'ch_test_1' }));
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('refunded');
+      expect(updatedOrder.refunds).toHaveLength(1);
+      expect(updatedOrder.refunds[0].stripeRefundId).toBe('re_test_charge_1');
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalSpent).toBe(0);
+    });
+
+    it('should not record a refund twice when refund.created also arrives', async () => {
+      await sendEvent(buildStripeEvent('payment_intent.succeeded', succeededIntent())).expect(200);
+      await sendEvent(buildStripeEvent('refund.created', chargeRefund)).expect(200);
+      await sendEvent(buildStripeEvent('charge.refunded', refundedCharge())).expect(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.refunds).toHaveLength(1);
+      expect(updatedOrder.refundedAmount).toBe(25);
+    });
+
+    it('should read every page of refunds', async () => {
+      stripeClient.refunds.list
+        .mockResolvedValueOnce({
+          object: 'list',
+          data: [{ ...chargeRefund, id: 're_test_charge_1', amount: 1000 }],
+          has_more: true,
+        })
+        .mockResolvedValueOnce({
+          object: 'list',
+          data: [{ ...chargeRefund, id: 're_test_charge_2', amount: 500 }],
+          has_more: false,
+        });
+
+      await sendEvent(buildStripeEvent('payment_intent.succeeded', succeededIntent())).expect(200);
+      await sendEvent(buildStripeEvent('charge.refunded', refundedCharge({ amount_refunded: 1500 }))).expect(200);
+
+      expect(stripeClient.refunds.list).toHaveBeenLastCalledWith(expect.objectContaining({
+        charge: 'ch_test_1',
+        starting_after: 're_test_charge_1',
+      }));
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('partially_refunded');
+      expect(updatedOrder.refundedAmount).toBe(15);
+    });
+
+    it('should let Stripe retry when the refunds cannot be listed', async () => {
+      stripeClient.refunds.list.mockRejectedValueOnce(new Error('Stripe unavailable'));
+
+      await sendEvent(buildStripeEvent('payment_intent.succeeded', succeededIntent())).expect(200);
+      const event = buildStripeEvent('charge.refunded', refundedCharge());
+      await sendEvent(event).expect(500);
+
+      expect(await StripeEvent.isProcessed(event.id)).toBe(false);
+    });
+
+    it('should ignore refund for an unpaid order', async () => {
+      await sendEvent(buildStripeEvent('charge.refunded', refundedCharge())).expect(200);
+
+      const unchanged = await Order.findById(order._id);
+      expect(unchanged.paymentStatus).toBe('pending');
+    });
+  });
+
+  describe('refund events', () => {
+    const stripeRefund = (overrides = {}) => ({
+      id: 're_test_webhook_1',
+      object: 'refund',
+      amount: 1000,
+      payment_intent: 'pi_test_webhook_1',
+      status: 'succeeded',
+      metadata: {},
+      ...overrides,
+    });
+
+    beforeEach(async () => {
+      await sendEvent(buildStripeEvent('payment_intent.succeeded', succeededIntent())).expect(200);
+    });
+
+    it('should record a dashboard partial refund in the ledger', async () => {
+      await sendEvent(buildStripeEvent('refund.created', stripeRefund())).expect(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('partially_refunded');
+      expect(updatedOrder.refundedAmount).toBe(10);
+      expect(updatedOrder.refunds).toHaveLength(1);
+      expect(updatedOrder.refunds[0].method).toBe('stripe');
+      expect(updatedOrder.refunds[0].stripeRefundId).toBe('re_test_webhook_1');
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalSpent).toBe(15);
+    });
+
+    it('should mark order as refunded once the total is refunded', async () => {
+      await sendEvent(buildStripeEvent('refund.created', stripeRefund({ amount: 2500 }))).expect(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('refunded');
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalSpent).toBe(0);
+    });
+
+    it('should record the same refund only once', async () => {
+      await sendEvent(buildStripeEvent('refund.created', stripeRefund({ status: 'pending' }))).expect(200);
+      await sendEvent(buildStripeEvent('refund.updated', stripeRefund())).expect(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.refunds).toHaveLength(1);
+      expect(updatedOrder.refunds[0].status).toBe('succeeded');
+      expect(updatedOrder.refundedAmount).toBe(10);
+    });
+
+    it('should reverse a failed refund', async () => {
+      await sendEvent(buildStripeEvent('refund.created', stripeRefund())).expect(200);
+      await sendEvent(buildStripeEvent('refund.failed', stripeRefund({ status: 'failed' }))).expect(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('paid');
+      expect(updatedOrder.refundedAmount).toBe(0);
+      expect(updatedOrder.refunds[0].status).toBe('failed');
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalSpent).toBe(25);
+    });
+
+    it('should ignore refund for an unknown payment', async () => {
+      const res = await sendEvent(buildStripeEvent('refund.created', stripeRefund({ payment_intent: 'pi_unknown' }))).expect(200);
+
+      expect(res.body.data.orderId).toBeNull();
+    });
+  });
+});
@@ -8,6 +8,8 @@ const Table = require('../../models/Table');
 const {
   createTestUser,
   createTestAdmin,
+  createTestReservation,
+  getFutureDate,
   generateAuthToken,
 } = require('../helpers/testHelpers');
 
@@ -101,6 +103,28 @@ describe('Table Routes Integration Tests', () => {
       expect(res.body.date).toBe(dateStr);
     });
 
+    it('should derive booked slots from reservations', async () => {
+      const date = getFutureDate(2);
+      // 19:00 for 2 guests: 90 min seating
+      await createTestReservation({ userId: user._id, date, slot: 9, tableNumber: [1], guests: 2 });
+      await createTestReservation({ userId: user._id, date, slot: 9, tableNumber: [2], guests: 2, status: 'cancelled' });
+
+      const res = await request(app)
+        .get(`/api/tables/availability?date=${date.toISOString()}&guests=2`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const table1 = res.body.data.find(table => table.tableNumber === 1);
+      const table2 = res.body.data.find(table => table.tableNumber === 2);
+      expect(table1.bookedSlots).toEqual([9, 10, 11]);
+      // 18:00 and 18:30 would still be seated at 19:00; 20:30 is free again
+      expect(table1.availableSlots).not.toContain(7);
+      expect(table1.availableSlots).not.toContain(11);
+      expect(table1.availableSlots).toContain(12);
+      expect(table1.availableSlots).toContain(6);
+      expect(table2.bookedSlots).toEqual([]);
+    });
+
     it('should fail without date parameter', async () => {
       const res = await request(app)
         .get('/api/tables/availability')
@@ -141,6 +165,33 @@ describe('Table Routes Integration Tests', () => {
       expect(res.body.data.notEligibleTables).toBeDefined();
     });
 
+    it('should list tables held by an overlapping reservation as occupied', async () => {
+      const date = getFutureDate(2);
+      await createTestReservation({ userId: user._id, date, slot: 9, tableNumber: [1], guests: 2 });
+
+      const res = await request(app)
+        .get(`/api/tables/available?date=${date.toISOString()}&slot=10&capacity=3`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.body.data.occupiedTables).toEqual([1]);
+      expect(res.body.data.availableTables).toEqual([2, 3]);
+      expect(res.body.data.notEligibleTables).toEqual([4, 5]);
+    });
+
+    it('should recommend the table the server would assign', async () => {
+      const date = getFutureDate(2);
+      await createTestReservation({ userId: user._id, date, slot: 9, tableNumber: [1], guests: 2 });
+
+      const res = await request(app)
+        .get(`/api/tables/available?date=${date.toISOString()}&slot=10&capacity=5`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      // Tables 2-3 seat 4, tables 4-5 seat 6: the first 6-seat table wastes least
+      expect(res.body.data.recommendedTables).toEqual([4]);
+    });
+
     it('should fail without date parameter', async () => {
       const res = await request(app)
         .get('/api/tables/available?slot=5')
@@ -270,6 +321,35 @@ describe('Table Routes Integration Tests', () => {
       expect(res.body.data.isActive).toBe(false);
     });
 
+    it('should keep joinable tables in sync on both sides', async () => {
+      await request(app)
+        .put(`/api/tables/${table._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ combinableWith: [2, 3] })
+        .expect(200);
+
+      const res = await request(app)
+        .put(`/api/tables/${table._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ combinableWith: [2] })
+        .expect(200);
+
+      expect(res.body.data.combinableWith).toEqual([2]);
+      expect((await Table.findOne({ tableNumber: 2 })).combinableWith).toEqual([1]);
+      expect((await Table.findOne({ tableNumber: 3 })).combinableWith).toEqual([]);
+    });
+
+    it('should reject joining a table with itself or a missing table', async () => {
+      const res = await request(app)
+        .put(`/api/tables/${table._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ combinableWith: [1, 2, 9] })
+        .expect(400);
+
+      expect(res.body.code).toBe('INVALID_TABLE_COMBINATION');
+      expect(res.body.details.invalidTables).toEqual([1, 9]);
+    });
+
     it('should return 404 for non-existent table', async () => {
       const fakeId = new mongoose.Types.ObjectId();
       const res = await request(app)
@@ -0,0 +1,395 @@
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const authRoutes = require('../../routes/auth');
+const userRoutes = require('../../routes/users');
+const adminRoutes = require('../../routes/admin');
+const orderRoutes = require('../../routes/orders');
+const errorHandler = require('../../middleware/errorHandler');
+const User = require('../../models/User');
+const SecuritySettings = require('../../models/SecuritySettings');
+const { generateSecret, generateCode } = require('../../utils/totp');
+const { encryptSecret, generateRecoveryCodes } = require('../../utils/twoFactorHelpers');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestOrder,
+  generateAuthToken,
+} = require('../helpers/testHelpers');
+
+// Mock email service to prevent actual emails during tests
+jest.mock('../../services/email/emailService', () => ({
+  sendVerificationEmail: jest.fn().mockResolvedValue(true),
+}));
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/orders', orderRoutes);
+app.use(errorHandler);
+
+/**
+ * Turn 2FA on for a user without going through enrolment
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { secret, recoveryCodes }
+ */
+const enableTwoFactorFor = async (user) => {
+  const secret = generateSecret();
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await User.updateOne({ _id: user._id }, {
+    twoFactorEnabled: true,
+    twoFactorEnabledAt: new Date(),
+    twoFactorSecret: encryptSecret(secret),
+    twoFactorRecoveryCodes: hashes,
+  });
+
+  return { secret, recoveryCodes: codes };
+};
+
+describe('Two-Factor Authentication Integration Tests', () => {
+  let user;
+  let userToken;
+
+  beforeEach(async () => {
+    user = await createTestUser({ email: 'twofactor@example.com', password: 'password123' });
+    userToken = generateAuthToken(user._id);
+  });
+
+  describe('Enrolment', () => {
+    it('should return a secret and provisioning URI, then enable with a code', async () => {
+      const setupRes = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ password: 'password123' })
+        .expect(200);
+
+      const { secret, otpauthUrl } = setupRes.body.data;
+      expect(otpauthUrl).toMatch(/^otpauth:\/\/totp\/RestOh:twofactor%40example\.com\?/);
+      expect(otpauthUrl).toContain(`secret=${secret}`);
+
+      // Not enabled until confirmed
+      let stored = await User.findById(user._id);
+      expect(stored.twoFactorEnabled).toBe(false);
+
+      const enableRes = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ code: generateCode(secret) })
+        .expect(200);
+
+      expect(enableRes.body.data.recoveryCodes).toHaveLength(10);
+
+      stored = await User.findById(user._id).select('+twoFactorSecret +twoFactorRecoveryCodes');
+      expect(stored.twoFactorEnabled).toBe(true);
+      expect(stored.twoFactorSecret).not.toContain(secret);
+      expect(stored.twoFactorRecoveryCodes).not.toContain(enableRes.body.data.recoveryCodes[0]);
+    });
+
+    it('should reject setup with a wrong password', async () => {
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ password: 'wrongpassword' })
+        .expect(400);
+    });
+
+    it('should reject enabling before setup', async () => {
+      const res = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ code: '123456' })
+        .expect(400);
+
+      expect(res.body.code).toBe('TWO_FACTOR_SETUP_NOT_STARTED');
+    });
+
+    it('should reject a wrong confirmation code', async () => {
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ password: 'password123' })
+        .expect(200);
+
+      const res = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ code: '000000' })
+        .expect(400);
+
+      expect(res.body.code).toBe('TWO_FACTOR_INVALID_CODE');
+    });
+  });
+
+  describe('Login', () => {
+    let secret;
+    let recoveryCodes;
+
+    beforeEach(async () => {
+      ({ secret, recoveryCodes } = await enableTwoFactorFor(user));
+    });
+
+    /**
+     * Log in with the password and return the challenge token
+     * @returns {Promise<string>} Challenge token
+     */
+    const startLogin = async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'twofactor@example.com', password: 'password123', rememberMe: false })
+        .expect(200);
+
+      return res.body.challengeToken;
+    };
+
+    it('should ask for the second factor instead of issuing tokens', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'twofactor@example.com', password: 'password123' })
+        .expect(200);
+
+      expect(res.body.twoFactorRequired).toBe(true);
+      expect(res.body.challengeToken).toBeDefined();
+      expect(res.body.accessToken).toBeUndefined();
+      expect(res.headers['set-cookie']).toBeUndefined();
+    });
+
+    it('should not accept the challenge token as an access token', async () => {
+      const challengeToken = await startLogin();
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${challengeToken}`)
+        .expect(401);
+    });
+
+    it('should issue tokens with a valid code', async () => {
+      const challengeToken = await startLogin();
+
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: generateCode(secret) })
+        .expect(200);
+
+      expect(res.body.accessToken).toBeDefined();
+      expect(res.body.user.twoFactorEnabled).toBe(true);
+      expect(res.body.user.twoFactorSecret).toBeUndefined();
+
+      const refreshCookie = res.headers['set-cookie'].find(c => c.startsWith('refreshToken='));
+      expect(refreshCookie).toBeDefined();
+    });
+
+    it('should refuse a code used twice', async () => {
+      const code = generateCode(secret);
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: await startLogin(), code })
+        .expect(200);
+
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: await startLogin(), code })
+        .expect(401);
+
+      expect(res.body.code).toBe('TWO_FACTOR_INVALID_CODE');
+    });
+
+    it('should accept a recovery code only once', async () => {
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: await startLogin(), recoveryCode: recoveryCodes[0].toUpperCase() })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: await startLogin(), recoveryCode: recoveryCodes[0] })
+        .expect(401);
+
+      const stored = await User.findById(user._id).select('+twoFactorRecoveryCodes');
+      expect(stored.twoFactorRecoveryCodes).toHaveLength(9);
+    });
+
+    it('should lock the account after repeated wrong codes', async () => {
+      const challengeToken = await startLogin();
+
+      for (let i = 0; i < 4; i++) {
+        await request(app)
+          .post('/api/auth/login/2fa')
+          .send({ challengeToken, code: '000000' })
+          .expect(401);
+      }
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: '000000' })
+        .expect(423);
+    });
+
+    it('should reject an invalid challenge token', async () => {
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'not-a-token', code: generateCode(secret) })
+        .expect(401);
+
+      expect(res.body.code).toBe('TWO_FACTOR_CHALLENGE_INVALID');
+    });
+
+    it('should reject an access token used as challenge token', async () => {
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: userToken, code: generateCode(secret) })
+        .expect(401);
+
+      expect(res.body.code).toBe('TWO_FACTOR_CHALLENGE_INVALID');
+    });
+  });
+
+  describe('Disable and recovery codes', () => {
+    let secret;
+
+    beforeEach(async () => {
+      ({ secret } = await enableTwoFactorFor(user));
+    });
+
+    it('should disable with the password and a code', async () => {
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ password: 'password123', code: generateCode(secret) })
+        .expect(200);
+
+      const stored = await User.findById(user._id).select('+twoFactorSecret');
+      expect(stored.twoFactorEnabled).toBe(false);
+      expect(stored.twoFactorSecret).toBeNull();
+    });
+
+    it('should not disable without a valid code', async () => {
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ password: 'password123', code: '000000' })
+        .expect(400);
+    });
+
+    it('should regenerate recovery codes', async () => {
+      const res = await request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ code: generateCode(secret) })
+        .expect(200);
+
+      expect(res.body.data.recoveryCodes).toHaveLength(10);
+
+      const statusRes = await request(app)
+        .get('/api/auth/2fa')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(statusRes.body.data.enabled).toBe(true);
+      expect(statusRes.body.data.recoveryCodesRemaining).toBe(10);
+    });
+  });
+
+  describe('Staff enforcement', () => {
+    let owner;
+    let ownerToken;
+
+    beforeEach(async () => {
+      owner = await createTestAdmin({ email: 'owner@example.com', role: 'owner' });
+      ownerToken = generateAuthToken(owner._id);
+    });
+
+    it('should not enforce 2FA while the owner has not enabled it', async () => {
+      const res = await request(app)
+        .put('/api/admin/security-settings')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ requireTwoFactorForStaff: true })
+        .expect(400);
+
+      expect(res.body.code).toBe('TWO_FACTOR_NOT_ENABLED');
+    });
+
+    it('should block staff without 2FA once enforced', async () => {
+      await enableTwoFactorFor(owner);
+      const manager = await createTestUser({ email: 'manager@example.com', role: 'manager' });
+
+      const res = await request(app)
+        .put('/api/admin/security-settings')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ requireTwoFactorForStaff: true })
+        .expect(200);
+
+      expect(res.body.data.requireTwoFactorForStaff).toBe(true);
+      expect(res.body.data.staffWithoutTwoFactor).toBe(1);
+
+      const blockedRes = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${generateAuthToken(manager._id)}`)
+        .expect(403);
+
+      expect(blockedRes.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+
+      // The owner (2FA on) keeps access
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+    });
+
+    it('should not grant staff access from inline permission checks without 2FA', async () => {
+      await SecuritySettings.create({ _id: 'default', requireTwoFactorForStaff: true });
+      const manager = await createTestUser({ email: 'manager@example.com', role: 'manager' });
+      const order = await createTestOrder({ userId: user._id });
+
+      await request(app)
+        .get(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${generateAuthToken(manager._id)}`)
+        .expect(403);
+
+      // The customer still sees their own order
+      await request(app)
+        .get(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+    });
+
+    it('should not let staff disable 2FA while enforced', async () => {
+      const { secret } = await enableTwoFactorFor(owner);
+      await SecuritySettings.create({ _id: 'default', requireTwoFactorForStaff: true });
+
+      const res = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ password: 'password123', code: generateCode(secret) })
+        .expect(403);
+
+      expect(res.body.code).toBe('TWO_FACTOR_REQUIRED_BY_POLICY');
+    });
+
+    it('should not let a manager change security settings', async () => {
+      const manager = await createTestUser({ email: 'manager@example.com', role: 'manager' });
+
+      await request(app)
+        .get('/api/admin/security-settings')
+        .set('Authorization', `Bearer ${generateAuthToken(manager._id)}`)
+        .expect(403);
+    });
+
+    it('should let an owner reset a user\'s 2FA', async () => {
+      await enableTwoFactorFor(user);
+
+      await request(app)
+        .delete(`/api/users/${user._id}/two-factor`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const stored = await User.findById(user._id);
+      expect(stored.twoFactorEnabled).toBe(false);
+    });
+  });
+});
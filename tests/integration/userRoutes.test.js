@@ -5,6 +5,7 @@ const mongoose = require('mongoose');
 const userRoutes = require('../../routes/users');
 const errorHandler = require('../../middleware/errorHandler');
 const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
 const {
   createTestUser,
   createTestAdmin,
@@ -368,4 +369,48 @@ describe('User Routes Integration Tests (Admin)', () => {
       expect(res.body.success).toBe(false);
     });
   });
+
+  describe('/api/users/:id/sessions', () => {
+    beforeEach(async () => {
+      await RefreshToken.createToken(regularUser._id, null);
+      await RefreshToken.createToken(regularUser._id, null);
+    });
+
+    it("should list a user's sessions as admin", async () => {
+      const res = await request(app)
+        .get(`/api/users/${regularUser._id}/sessions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.count).toBe(2);
+      expect(res.body.data[0].id).toBeDefined();
+      expect(res.body.data[0].token).toBeUndefined();
+    });
+
+    it("should force-revoke a user's sessions as admin", async () => {
+      const res = await request(app)
+        .delete(`/api/users/${regularUser._id}/sessions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.details.revokedSessions).toBe(2);
+      expect(await RefreshToken.countDocuments({ userId: regularUser._id })).toBe(0);
+    });
+
+    it('should fail for non-existent user', async () => {
+      const fakeId = new mongoose.Types.ObjectId();
+
+      await request(app)
+        .delete(`/api/users/${fakeId}/sessions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should fail as regular user', async () => {
+      await request(app)
+        .delete(`/api/users/${regularUser._id}/sessions`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
 });
@@ -0,0 +1,210 @@
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const reservationRoutes = require('../../routes/reservations');
+const errorHandler = require('../../middleware/errorHandler');
+const Reservation = require('../../models/Reservation');
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const emailService = require('../../services/email/emailService');
+const { expireHolds } = require('../../services/waitlist/waitlistService');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestTable,
+  createTestReservation,
+  getFutureDate,
+  generateAuthToken,
+} = require('../helpers/testHelpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/reservations', reservationRoutes);
+app.use(errorHandler);
+
+describe('Waitlist Routes Integration Tests', () => {
+  const day = getFutureDate(3);
+  let owner;
+  let ownerToken;
+  let firstToken;
+  let secondToken;
+  let adminToken;
+  let reservation;
+
+  const join = (token, overrides = {}) => request(app)
+    .post('/api/reservations/waitlist')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      date: day.toISOString(),
+      slotFrom: 9,
+      slotTo: 11,
+      guests: 2,
+      contactPhone: '0612345678',
+      ...overrides,
+    });
+
+  const cancelReservation = () => request(app)
+    .delete(`/api/reservations/${reservation._id}`)
+    .set('Authorization', `Bearer ${ownerToken}`);
+
+  const confirm = (token, entryId) => request(app)
+    .post(`/api/reservations/waitlist/${entryId}/confirm`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    owner = await createTestUser({ email: 'owner@example.com' });
+    const first = await createTestUser({ email: 'first@example.com', name: 'First Guest' });
+    const second = await createTestUser({ email: 'second@example.com', name: 'Second Guest' });
+    const admin = await createTestAdmin({ email: 'waitlistadmin@example.com' });
+    ownerToken = generateAuthToken(owner._id);
+    firstToken = generateAuthToken(first._id);
+    secondToken = generateAuthToken(second._id);
+    adminToken = generateAuthToken(admin._id);
+
+    // A single table, booked all evening
+    await createTestTable({ tableNumber: 1, capacity: 2 });
+    reservation = await createTestReservation({ userId: owner._id, date: day, slot: 10, tableNumber: [1] });
+  });
+
+  describe('POST /api/reservations/waitlist', () => {
+    it('should queue a guest when no table is free', async () => {
+      const res = await join(firstToken).expect(201);
+
+      expect(res.body.data.status).toBe('waiting');
+      expect(res.body.data.position).toBe(1);
+    });
+
+    it('should allow one open entry per day', async () => {
+      await join(firstToken).expect(201);
+
+      const res = await join(firstToken, { slotFrom: 2, slotTo: 3 }).expect(409);
+
+      expect(res.body.code).toBe('WAITLIST_ALREADY_JOINED');
+    });
+
+    it('should reject slots the day does not have', async () => {
+      const res = await join(firstToken, { slotTo: 40 }).expect(400);
+
+      expect(res.body.code).toBe('INVALID_SLOT_NUMBER');
+    });
+  });
+
+  describe('Offering freed tables', () => {
+    it('should hold the freed table for the first guest in line', async () => {
+      const first = await join(firstToken).expect(201);
+      const second = await join(secondToken).expect(201);
+
+      await cancelReservation().expect(200);
+
+      const firstEntry = await WaitlistEntry.findById(first.body.data._id);
+      const secondEntry = await WaitlistEntry.findById(second.body.data._id);
+      expect(firstEntry.status).toBe('offered');
+      expect(firstEntry.offer.tableNumbers).toEqual([1]);
+      expect(secondEntry.status).toBe('waiting');
+      expect(emailService.sendWaitlistOfferEmail).toHaveBeenCalledWith(
+        'first@example.com',
+        'First Guest',
+        expect.objectContaining({ guests: 2 })
+      );
+    });
+
+    it('should keep a held table away from other bookings', async () => {
+      await join(firstToken).expect(201);
+      await cancelReservation().expect(200);
+
+      const res = await request(app)
+        .post('/api/reservations')
+        .set('Authorization', `Bearer ${secondToken}`)
+        .send({ date: day.toISOString(), slot: 10, guests: 2, contactPhone: '0612345678' })
+        .expect(409);
+
+      expect(res.body.code).toBe('NO_TABLE_AVAILABLE');
+    });
+
+    it('should offer tables freed by an admin status change', async () => {
+      const first = await join(firstToken).expect(201);
+
+      await request(app)
+        .patch(`/api/reservations/admin/${reservation._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'cancelled' })
+        .expect(200);
+
+      expect((await WaitlistEntry.findById(first.body.data._id)).status).toBe('offered');
+    });
+  });
+
+  describe('POST /api/reservations/waitlist/:id/confirm', () => {
+    it('should turn the hold into a reservation', async () => {
+      const first = await join(firstToken).expect(201);
+      await cancelReservation().expect(200);
+
+      const res = await confirm(firstToken, first.body.data._id).expect(201);
+
+      expect(res.body.data.tableNumber).toEqual([1]);
+      expect(res.body.data.status).toBe('confirmed');
+      const entry = await WaitlistEntry.findById(first.body.data._id);
+      expect(entry.status).toBe('confirmed');
+      expect(entry.reservationId.toString()).toBe(res.body.data.id);
+    });
+
+    it('should pass an expired hold to the next guest', async () => {
+      const first = await join(firstToken).expect(201);
+      const second = await join(secondToken).expect(201);
+      await cancelReservation().expect(200);
+
+      await WaitlistEntry.updateOne(
+        { _id: first.body.data._id },
+        { $set: { 'offer.expiresAt': new Date(Date.now() - 1000) } }
+      );
+      const result = await expireHolds();
+
+      expect(result).toEqual({ expired: 1, offered: 1 });
+      expect((await WaitlistEntry.findById(second.body.data._id)).status).toBe('offered');
+
+      const res = await confirm(firstToken, first.body.data._id).expect(409);
+      expect(res.body.code).toBe('WAITLIST_HOLD_EXPIRED');
+      expect(await Reservation.countDocuments({ status: 'confirmed' })).toBe(0);
+    });
+
+    it('should not confirm another customer\'s entry', async () => {
+      const first = await join(firstToken).expect(201);
+      await cancelReservation().expect(200);
+
+      const res = await confirm(secondToken, first.body.data._id).expect(404);
+
+      expect(res.body.code).toBe('WAITLIST_ENTRY_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /api/reservations/waitlist/:id', () => {
+    it('should release a held table to the next guest', async () => {
+      const first = await join(firstToken).expect(201);
+      const second = await join(secondToken).expect(201);
+      await cancelReservation().expect(200);
+
+      await request(app)
+        .delete(`/api/reservations/waitlist/${first.body.data._id}`)
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(200);
+
+      expect((await WaitlistEntry.findById(first.body.data._id)).status).toBe('cancelled');
+      expect((await WaitlistEntry.findById(second.body.data._id)).status).toBe('offered');
+    });
+  });
+
+  describe('GET /api/reservations/admin/waitlist', () => {
+    it('should list the open entries of a day in queue order', async () => {
+      await join(firstToken).expect(201);
+      await join(secondToken).expect(201);
+
+      const res = await request(app)
+        .get(`/api/reservations/admin/waitlist?date=${day.toISOString()}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data.map(entry => entry.userEmail)).toEqual(['first@example.com', 'second@example.com']);
+    });
+  });
+});
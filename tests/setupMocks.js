@@ -27,6 +27,12 @@ jest.mock('../services/email/emailService', () => ({
   sendEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'mock-id' }),
   sendVerificationEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'mock-id' }),
   sendPasswordResetEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'mock-id' }),
+  sendLoginLinkEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'mock-id' }),
+  sendWaitlistOfferEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'mock-id' }),
+  sendReservationConfirmationEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'mock-id' }),
+  sendReservationUpdateEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'mock-id' }),
+  sendReservationCancellationEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'mock-id' }),
+  sendReservationReminderEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'mock-id' }),
   sendNewsletterEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'mock-id' }),
   sendPromotionEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'mock-id' }),
   sendBulkEmails: jest.fn().mockResolvedValue({ success: 0, failed: 0, errors: [] }),
@@ -34,22 +40,39 @@ jest.mock('../services/email/emailService', () => ({
 }));
 
 // Mock Stripe globally to prevent real API calls
+// Webhook signature verification stays real (pure crypto, no network)
 jest.mock('stripe', () => {
+  const { webhooks } = jest.requireActual('stripe');
+
   return jest.fn().mockImplementation(() => ({
+    webhooks,
     paymentIntents: {
-      create: jest.fn().mockResolvedValue({
+      create: jest.fn().mockImplementation(async (params) => ({
         id: 'pi_test_123',
         client_secret: 'pi_test_123_secret_abc',
-        amount: 2500,
-        currency: 'usd',
+        amount: params.amount,
+        currency: params.currency,
         status: 'requires_payment_method',
-      }),
+        metadata: params.metadata || {},
+      })),
       retrieve: jest.fn().mockResolvedValue({
         id: 'pi_test_123',
         amount: 2500,
+        amount_received: 2500,
         currency: 'usd',
         status: 'succeeded',
+        metadata: {},
       }),
     },
+    refunds: {
+      create: jest.fn().mockImplementation(async (params) => ({
+        id: 're_test_123',
+        amount: params.amount,
+        payment_intent: params.payment_intent,
+        status: 'succeeded',
+        metadata: params.metadata || {},
+      })),
+      list: jest.fn().mockResolvedValue({ object: 'list', data: [], has_more: false }),
+    },
   }));
 });
@@ -125,6 +125,20 @@ describe('Rate Limiter Middleware', () => {
       expect(res.status).toBe(200);
       expect(res.headers['ratelimit-limit']).toBe('100');
     });
+
+    it('should not limit the Stripe webhook', async () => {
+      for (let i = 0; i < 100; i++) {
+        await request(app).post('/api/payments/stripe/webhook');
+      }
+
+      const res = await request(app).post('/api/payments/stripe/webhook');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['ratelimit-limit']).toBeUndefined();
+
+      // Other routes keep their limit
+      expect((await request(app).get('/api')).headers['ratelimit-limit']).toBe('100');
+    });
   });
 
   describe('contactLimiter', () => {
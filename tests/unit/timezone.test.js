@@ -0,0 +1,108 @@
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Server timezones the probes run under: the results must not depend on them
+const SERVER_TIMEZONES = ['UTC', 'America/Los_Angeles', 'Europe/Paris', 'Asia/Tokyo', 'Pacific/Kiritimati'];
+
+// Runs in a fresh node process: TZ is only read when the process starts
+const PROBE = `
+  const { getReservationDateTime, getDaySchedule, isOpenAt, setActiveSchedule } = require('./utils/timeSlots');
+  const { startOfDay, getToday, addDays, toDateKey, formatDay, getDayOfWeek } = require('./utils/timezone');
+  const { getEventWindow } = require('./services/reservations/availabilityService');
+
+  setActiveSchedule({
+    weeklyHours: [{ dayOfWeek: 4, periods: [{ name: 'dinner', open: '18:00', close: '23:00' }] }],
+  });
+
+  const iso = (date) => date && date.toISOString();
+  const event = getEventWindow({ date: '2026-03-29', startTime: '19:00', endTime: '23:00' });
+
+  console.log(JSON.stringify({
+    summerSlot: iso(getReservationDateTime('2026-07-16', 4)),
+    winterSlot: iso(getReservationDateTime('2026-01-15', 4)),
+    browserMidnight: toDateKey('2026-10-21T22:00:00.000Z'),
+    storedDay: iso(startOfDay(new Date('2026-10-22T00:00:00.000Z'))),
+    lateEvening: toDateKey(getToday(new Date('2026-10-21T23:30:00.000Z'))),
+    nextDay: toDateKey(addDays('2026-10-31', 1)),
+    weekday: getDayOfWeek('2026-10-22'),
+    label: formatDay('2026-10-22'),
+    thursdaySlots: getDaySchedule('2026-10-22').slots.length,
+    fridaySlots: getDaySchedule('2026-10-23').slots.length,
+    openAt: isOpenAt(new Date('2026-10-22T17:30:00.000Z')),
+    eventStart: iso(event.start),
+    eventEnd: iso(event.end),
+  }));
+`;
+
+/**
+ * Run the probe with a server and a restaurant timezone
+ * @param {string} serverTimezone - TZ of the process
+ * @param {string} restaurantTimezone - RESTAURANT_TIMEZONE
+ * @returns {Object} Probe output
+ */
+const runProbe = (serverTimezone, restaurantTimezone) => {
+  const result = spawnSync(process.execPath, ['-e', PROBE], {
+    cwd: path.join(__dirname, '../..'),
+    env: { ...process.env, TZ: serverTimezone, RESTAURANT_TIMEZONE: restaurantTimezone },
+    encoding: 'utf8',
+    timeout: 20000,
+  });
+
+  if (result.status !== 0) {
+    throw new Error(`Probe failed under TZ=${serverTimezone}: ${result.stderr}`);
+  }
+  return JSON.parse(result.stdout.trim().split('\n').pop());
+};
+
+describe('Restaurant timezone', () => {
+  describe('RESTAURANT_TIMEZONE=Europe/Paris', () => {
+    const expected = {
+      summerSlot: '2026-07-16T17:30:00.000Z', // 19:30 CEST
+      winterSlot: '2026-01-15T18:30:00.000Z', // 19:30 CET
+      browserMidnight: '2026-10-22',
+      storedDay: '2026-10-22T00:00:00.000Z',
+      lateEvening: '2026-10-22',
+      nextDay: '2026-11-01',
+      weekday: 4,
+      label: 'Thu Oct 22 2026',
+      thursdaySlots: 10,
+      fridaySlots: 0,
+      openAt: true, // 19:30 in Paris
+      eventStart: '2026-03-29T17:00:00.000Z', // Clocks moved forward that night
+      eventEnd: '2026-03-29T21:00:00.000Z',
+    };
+
+    it.each(SERVER_TIMEZONES)('should give the same results on a server in %s', (serverTimezone) => {
+      expect(runProbe(serverTimezone, 'Europe/Paris')).toEqual(expected);
+    });
+  });
+
+  describe('RESTAURANT_TIMEZONE=America/Los_Angeles', () => {
+    const expected = {
+      summerSlot: '2026-07-17T02:30:00.000Z', // 19:30 PDT
+      winterSlot: '2026-01-16T03:30:00.000Z', // 19:30 PST
+      browserMidnight: '2026-10-21',
+      storedDay: '2026-10-22T00:00:00.000Z',
+      lateEvening: '2026-10-21',
+      nextDay: '2026-11-01',
+      weekday: 4,
+      label: 'Thu Oct 22 2026',
+      thursdaySlots: 10,
+      fridaySlots: 0,
+      openAt: false, // 10:30 in Los Angeles
+      eventStart: '2026-03-30T02:00:00.000Z',
+      eventEnd: '2026-03-30T06:00:00.000Z',
+    };
+
+    it.each(SERVER_TIMEZONES)('should give the same results on a server in %s', (serverTimezone) => {
+      expect(runProbe(serverTimezone, 'America/Los_Angeles')).toEqual(expected);
+    });
+  });
+
+  it('should fall back to UTC for an unknown timezone', () => {
+    const result = runProbe('Asia/Tokyo', 'Mars/Olympus_Mons');
+
+    expect(result.summerSlot).toBe('2026-07-16T19:30:00.000Z');
+    expect(result.browserMidnight).toBe('2026-10-21');
+  });
+});
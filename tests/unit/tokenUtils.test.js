@@ -0,0 +1,46 @@
+/**
+ * Load tokenUtils with a given REFRESH_TOKEN_REUSE_GRACE_SECONDS
+ * The value is read once, when the module is first required.
+ * @param {string|undefined} value - Environment value (undefined to unset it)
+ * @returns {number} Grace period the module uses
+ */
+const loadGraceSeconds = (value) => {
+  const previous = process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS;
+  if (value === undefined) {
+    delete process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS;
+  } else {
+    process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS = value;
+  }
+
+  let graceSeconds;
+  jest.isolateModules(() => {
+    graceSeconds = require('../../utils/tokenUtils').REFRESH_TOKEN_REUSE_GRACE_SECONDS;
+  });
+
+  if (previous === undefined) {
+    delete process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS;
+  } else {
+    process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS = previous;
+  }
+  return graceSeconds;
+};
+
+describe('Token Utils', () => {
+  describe('REFRESH_TOKEN_REUSE_GRACE_SECONDS', () => {
+    it('should default to 10 seconds when unset', () => {
+      expect(loadGraceSeconds(undefined)).toBe(10);
+    });
+
+    it('should keep 0 (no grace period)', () => {
+      expect(loadGraceSeconds('0')).toBe(0);
+    });
+
+    it('should use the configured value', () => {
+      expect(loadGraceSeconds('30')).toBe(30);
+    });
+
+    it('should fall back to 10 seconds for a non-numeric value', () => {
+      expect(loadGraceSeconds('soon')).toBe(10);
+    });
+  });
+});
@@ -1,39 +1,38 @@
 const Order = require('../models/Order');
 const Reservation = require('../models/Reservation');
 const User = require('../models/User');
+const { buildOrderDateQuery } = require('./orderSchedulingHelpers');
+const { getToday, addDays, getZonedParts, getZonedDateTime } = require('./timezone');
 
 /**
  * Get date boundaries for statistics calculations
+ * Days are the restaurant's (utils/timezone.js). Orders are matched on the
+ * instants bounding those days; reservations, which store their day, on
+ * `reservationDays`.
+ * @param {Date} now - Reference time
  * @returns {Object} Date boundaries for this month, last month, today, same day last week
  */
-const getDateBoundaries = () => {
-  const now = new Date();
-
-  // This month: from 1st of current month at 00:00:00
-  const thisMonthStart = new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0, 0);
-
-  // Last month: from 1st to last day of previous month
-  const lastMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1, 0, 0, 0, 0);
-  const lastMonthEnd = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59, 999);
-
-  // Today: from 00:00:00 to 23:59:59
-  const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0, 0);
-  const todayEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59, 999);
-
-  // Same day last week
-  const sameDayLastWeekStart = new Date(todayStart);
-  sameDayLastWeekStart.setDate(sameDayLastWeekStart.getDate() - 7);
-  const sameDayLastWeekEnd = new Date(todayEnd);
-  sameDayLastWeekEnd.setDate(sameDayLastWeekEnd.getDate() - 7);
+const getDateBoundaries = (now = new Date()) => {
+  const today = getToday(now);
+  const { year, month } = getZonedParts(now);
+  const thisMonth = new Date(Date.UTC(year, month - 1, 1));
+  const lastMonth = new Date(Date.UTC(year, month - 2, 1));
+  const sameDayLastWeek = addDays(today, -7);
+
+  // Each period runs from the start of its first day to the last millisecond before the next period
+  const build = (toBoundary) => ({
+    thisMonthStart: toBoundary(thisMonth),
+    lastMonthStart: toBoundary(lastMonth),
+    lastMonthEnd: new Date(toBoundary(thisMonth).getTime() - 1),
+    todayStart: toBoundary(today),
+    todayEnd: new Date(toBoundary(addDays(today, 1)).getTime() - 1),
+    sameDayLastWeekStart: toBoundary(sameDayLastWeek),
+    sameDayLastWeekEnd: new Date(toBoundary(addDays(sameDayLastWeek, 1)).getTime() - 1),
+  });
 
   return {
-    thisMonthStart,
-    lastMonthStart,
-    lastMonthEnd,
-    todayStart,
-    todayEnd,
-    sameDayLastWeekStart,
-    sameDayLastWeekEnd
+    ...build(day => getZonedDateTime(day, 0)),
+    reservationDays: build(day => day),
   };
 };
 
@@ -41,11 +40,13 @@ const getDateBoundaries = () => {
  * Get order statistics for a date range
  * @param {Date} startDate - Start of date range
  * @param {Date} endDate - End of date range (optional, defaults to now)
+ * @param {string} dateField - 'createdAt' (placed) or 'scheduledFor' (fulfilled; ASAP orders use createdAt)
+ * Revenue is net of refunds recorded on the orders.
  * @returns {Object} Order stats: total, revenue, pickup count, delivery count
  */
-const getOrderStats = async (startDate, endDate = new Date()) => {
+const getOrderStats = async (startDate, endDate = new Date(), dateField = 'createdAt') => {
   const matchStage = {
-    createdAt: { $gte: startDate, $lte: endDate },
+    ...buildOrderDateQuery(dateField, startDate, endDate),
     status: { $nin: ['cancelled'] }
   };
 
@@ -55,7 +56,9 @@ const getOrderStats = async (startDate, endDate = new Date()) => {
       $group: {
         _id: null,
         total: { $sum: 1 },
-        revenue: { $sum: '$totalPrice' },
+        revenue: {
+          $sum: { $subtract: ['$totalPrice', { $ifNull: ['$refundedAmount', 0] }] }
+        },
         pickup: {
           $sum: { $cond: [{ $eq: ['$orderType', 'pickup'] }, 1, 0] }
         },
@@ -105,9 +108,10 @@ const getActiveUsersCount = async () => {
 
 /**
  * Get all dashboard statistics
+ * @param {Object} options - { orderDateField: 'createdAt' | 'scheduledFor' }
  * @returns {Object} Complete dashboard statistics
  */
-const getDashboardStats = async () => {
+const getDashboardStats = async ({ orderDateField = 'createdAt' } = {}) => {
   const dates = getDateBoundaries();
 
   // Parallel execution for better performance
@@ -122,14 +126,14 @@ const getDashboardStats = async () => {
     reservationsSameDayLastWeek,
     activeUsers
   ] = await Promise.all([
-    getOrderStats(dates.thisMonthStart),
-    getOrderStats(dates.lastMonthStart, dates.lastMonthEnd),
-    getOrderStats(dates.todayStart, dates.todayEnd),
-    getOrderStats(dates.sameDayLastWeekStart, dates.sameDayLastWeekEnd),
-    getReservationStats(dates.thisMonthStart),
-    getReservationStats(dates.lastMonthStart, dates.lastMonthEnd),
-    getReservationStats(dates.todayStart, dates.todayEnd),
-    getReservationStats(dates.sameDayLastWeekStart, dates.sameDayLastWeekEnd),
+    getOrderStats(dates.thisMonthStart, new Date(), orderDateField),
+    getOrderStats(dates.lastMonthStart, dates.lastMonthEnd, orderDateField),
+    getOrderStats(dates.todayStart, dates.todayEnd, orderDateField),
+    getOrderStats(dates.sameDayLastWeekStart, dates.sameDayLastWeekEnd, orderDateField),
+    getReservationStats(dates.reservationDays.thisMonthStart, dates.reservationDays.todayEnd),
+    getReservationStats(dates.reservationDays.lastMonthStart, dates.reservationDays.lastMonthEnd),
+    getReservationStats(dates.reservationDays.todayStart, dates.reservationDays.todayEnd),
+    getReservationStats(dates.reservationDays.sameDayLastWeekStart, dates.reservationDays.sameDayLastWeekEnd),
     getActiveUsersCount()
   ]);
 
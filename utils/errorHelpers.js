@@ -177,6 +177,42 @@ const createInvalidRefreshTokenError = () => {
   };
 };
 
+/**
+ * Create a refresh token reused error
+ * An already rotated token came back: the session was revoked in case it was stolen.
+ * @returns {Object} Structured error response
+ */
+const createRefreshTokenReusedError = () => {
+  return {
+    success: false,
+    error: 'Session revoked for security reasons',
+    code: ERROR_CODES.AUTH_REFRESH_TOKEN_REUSED,
+    details: {
+      message: 'This session was used from somewhere else with an old token, so it was signed out.',
+      suggestion: 'Please log in again. Change your password if you did not expect this.',
+      action: 'redirect-to-login'
+    }
+  };
+};
+
+/**
+ * Create a session not found error
+ * @param {string} sessionId - Session ID
+ * @returns {Object} Structured error response
+ */
+const createSessionNotFoundError = (sessionId) => {
+  return {
+    success: false,
+    error: 'Session not found',
+    code: ERROR_CODES.SESSION_NOT_FOUND,
+    details: {
+      sessionId,
+      message: 'This session does not exist, has expired or was already signed out.',
+      suggestion: 'Refresh the list of active sessions.'
+    }
+  };
+};
+
 /**
  * Create an access token expired error
  * @returns {Object} Structured error response
@@ -194,6 +230,181 @@ const createAccessTokenExpiredError = () => {
   };
 };
 
+/**
+ * Create a permission denied error (role lacks the permission a route needs)
+ * @param {Array<string>} permissions - Permissions the route accepts (any of them)
+ * @param {string} role - Role of the current user
+ * @returns {Object} Structured error response
+ */
+const createPermissionDeniedError = (permissions, role) => {
+  return {
+    success: false,
+    error: 'Not allowed for your role',
+    code: ERROR_CODES.AUTH_PERMISSION_DENIED,
+    details: {
+      role,
+      requiredPermissions: permissions,
+      message: `Your role (${role}) does not have the permission this action needs.`,
+      suggestion: 'Ask an owner to change your role if you need this access.'
+    }
+  };
+};
+
+/**
+ * Create an invalid sign-in link error (unknown, expired or already used)
+ * @returns {Object} Structured error response
+ */
+const createLoginLinkInvalidError = () => {
+  return {
+    success: false,
+    error: 'Invalid sign-in link',
+    code: ERROR_CODES.AUTH_LOGIN_LINK_INVALID,
+    details: {
+      message: 'This sign-in link has expired or was already used.',
+      suggestion: 'Request a new sign-in email.',
+      action: 'request-new-link'
+    }
+  };
+};
+
+/**
+ * Create an invalid emailed sign-in code error
+ * @returns {Object} Structured error response
+ */
+const createLoginCodeInvalidError = () => {
+  return {
+    success: false,
+    error: 'Invalid sign-in code',
+    code: ERROR_CODES.AUTH_LOGIN_CODE_INVALID,
+    details: {
+      field: 'code',
+      message: 'The code is wrong, expired or was already used. Codes stop working after 5 wrong tries.',
+      suggestion: 'Check the latest sign-in email or request a new code.'
+    }
+  };
+};
+
+// ========================================
+// TWO-FACTOR AUTHENTICATION ERRORS
+// ========================================
+
+/**
+ * Create an invalid 2FA challenge error (login must start over)
+ * @returns {Object} Structured error response
+ */
+const createTwoFactorChallengeInvalidError = () => {
+  return {
+    success: false,
+    error: 'Login verification expired',
+    code: ERROR_CODES.TWO_FACTOR_CHALLENGE_INVALID,
+    details: {
+      message: 'The two-factor step of this login is no longer valid.',
+      suggestion: 'Log in again with your email and password.',
+      action: 'redirect-to-login'
+    }
+  };
+};
+
+/**
+ * Create an invalid 2FA code error
+ * @returns {Object} Structured error response
+ */
+const createTwoFactorInvalidCodeError = () => {
+  return {
+    success: false,
+    error: 'Invalid authentication code',
+    code: ERROR_CODES.TWO_FACTOR_INVALID_CODE,
+    details: {
+      field: 'code',
+      message: 'The code is wrong, expired or was already used.',
+      suggestion: 'Enter the current code from your authenticator app, or one of your recovery codes.'
+    }
+  };
+};
+
+/**
+ * Create a 2FA already enabled error
+ * @returns {Object} Structured error response
+ */
+const createTwoFactorAlreadyEnabledError = () => {
+  return {
+    success: false,
+    error: 'Two-factor authentication is already enabled',
+    code: ERROR_CODES.TWO_FACTOR_ALREADY_ENABLED,
+    details: {
+      message: 'Your account already uses two-factor authentication.',
+      suggestion: 'Disable it first to move it to another authenticator app.'
+    }
+  };
+};
+
+/**
+ * Create a 2FA not enabled error
+ * @returns {Object} Structured error response
+ */
+const createTwoFactorNotEnabledError = () => {
+  return {
+    success: false,
+    error: 'Two-factor authentication is not enabled',
+    code: ERROR_CODES.TWO_FACTOR_NOT_ENABLED,
+    details: {
+      message: 'This account does not use two-factor authentication.',
+      suggestion: 'Enable two-factor authentication from your security settings first.'
+    }
+  };
+};
+
+/**
+ * Create a 2FA setup not started error (enable called before setup)
+ * @returns {Object} Structured error response
+ */
+const createTwoFactorSetupNotStartedError = () => {
+  return {
+    success: false,
+    error: 'Two-factor setup not started',
+    code: ERROR_CODES.TWO_FACTOR_SETUP_NOT_STARTED,
+    details: {
+      message: 'There is no authenticator app waiting to be confirmed.',
+      suggestion: 'Start the setup again to get a new QR code.'
+    }
+  };
+};
+
+/**
+ * Create a 2FA setup required error (staff account while the policy requires 2FA)
+ * @param {string} role - Role of the current user
+ * @returns {Object} Structured error response
+ */
+const createTwoFactorSetupRequiredError = (role) => {
+  return {
+    success: false,
+    error: 'Two-factor authentication required',
+    code: ERROR_CODES.TWO_FACTOR_SETUP_REQUIRED,
+    details: {
+      role,
+      message: 'Staff accounts must use two-factor authentication.',
+      suggestion: 'Enable two-factor authentication in your account security settings.',
+      action: 'setup-two-factor'
+    }
+  };
+};
+
+/**
+ * Create a 2FA required by policy error (staff cannot turn it off)
+ * @returns {Object} Structured error response
+ */
+const createTwoFactorRequiredByPolicyError = () => {
+  return {
+    success: false,
+    error: 'Two-factor authentication cannot be disabled',
+    code: ERROR_CODES.TWO_FACTOR_REQUIRED_BY_POLICY,
+    details: {
+      message: 'Two-factor authentication is required for staff accounts.',
+      suggestion: 'Regenerate your recovery codes or ask an owner to reset your two-factor setup.'
+    }
+  };
+};
+
 // ========================================
 // RESERVATION ERRORS
 // ========================================
@@ -202,9 +413,10 @@ const createAccessTokenExpiredError = () => {
  * Create a tables unavailable error
  * @param {Array<number>} unavailableTables - Table numbers that are not available
  * @param {Array<number>} suggestedTables - Alternative table suggestions
+ * @param {Array<Object>} suggestedSlots - Other times that can seat the party ({ slot, time, tableNumbers })
  * @returns {Object} Structured error response
  */
-const createTablesUnavailableError = (unavailableTables, suggestedTables = []) => {
+const createTablesUnavailableError = (unavailableTables, suggestedTables = [], suggestedSlots = []) => {
   const tablesList = unavailableTables.length === 1
     ? `Table ${unavailableTables[0]} is`
     : `Tables ${unavailableTables.join(' and ')} are`;
@@ -216,7 +428,31 @@ const createTablesUnavailableError = (unavailableTables, suggestedTables = []) =
     details: {
       unavailableTables,
       message: 'These tables were just booked by another customer.',
-      suggestedTables
+      suggestedTables,
+      suggestedSlots
+    }
+  };
+};
+
+/**
+ * Create a no table available error (automatic assignment found nothing)
+ * @param {number} guests - Number of guests
+ * @param {number} slot - Requested slot
+ * @param {Array<Object>} suggestedSlots - Other times that can seat the party ({ slot, time, tableNumbers })
+ * @returns {Object} Structured error response
+ */
+const createNoTableAvailableError = (guests, slot, suggestedSlots = []) => {
+  return {
+    success: false,
+    error: `No table is available for ${guests} guests at this time`,
+    code: ERROR_CODES.NO_TABLE_AVAILABLE,
+    details: {
+      guests,
+      slot,
+      message: suggestedSlots.length > 0
+        ? 'We are fully booked at this time, but these times are still available.'
+        : 'We are fully booked for your party on this day. You can join the waitlist.',
+      suggestedSlots
     }
   };
 };
@@ -228,9 +464,10 @@ const createTablesUnavailableError = (unavailableTables, suggestedTables = []) =
  * @param {number} totalCapacity - Total capacity of selected tables
  * @param {number} maxAllowed - Maximum allowed capacity
  * @param {Array<number>} suggestedTables - Alternative table suggestions
+ * @param {Array<Object>} suggestedSlots - Other times that can seat the party
  * @returns {Object} Structured error response
  */
-const createCapacityExceededError = (guests, selectedTables, totalCapacity, maxAllowed, suggestedTables = []) => {
+const createCapacityExceededError = (guests, selectedTables, totalCapacity, maxAllowed, suggestedTables = [], suggestedSlots = []) => {
   return {
     success: false,
     error: `Total capacity (${totalCapacity}) exceeds maximum allowed (${maxAllowed}) for ${guests} guests`,
@@ -242,7 +479,8 @@ const createCapacityExceededError = (guests, selectedTables, totalCapacity, maxA
       maxAllowed,
       message: `You selected tables with ${totalCapacity} total seats for ${guests} guests. Maximum allowed is ${maxAllowed} seats (party size + 1).`,
       rule: 'Total capacity must not exceed party size + 1',
-      suggestedTables
+      suggestedTables,
+      suggestedSlots
     }
   };
 };
@@ -280,9 +518,10 @@ const createInvalidTableCapacityError = (tableNumber, tableCapacity, guests, sug
  * @param {Array<number>} selectedTables - Selected table numbers
  * @param {number} totalCapacity - Total capacity of selected tables
  * @param {Array<number>} suggestedTables - Alternative table suggestions
+ * @param {Array<Object>} suggestedSlots - Other times that can seat the party
  * @returns {Object} Structured error response
  */
-const createCapacityInsufficientError = (guests, selectedTables, totalCapacity, suggestedTables = []) => {
+const createCapacityInsufficientError = (guests, selectedTables, totalCapacity, suggestedTables = [], suggestedSlots = []) => {
   return {
     success: false,
     error: `Total capacity (${totalCapacity}) is insufficient for ${guests} guests`,
@@ -293,7 +532,8 @@ const createCapacityInsufficientError = (guests, selectedTables, totalCapacity,
       totalCapacity,
       needed: guests,
       message: `The selected tables have only ${totalCapacity} seats, but you need ${guests} seats for your party.`,
-      suggestedTables
+      suggestedTables,
+      suggestedSlots
     }
   };
 };
@@ -365,6 +605,190 @@ const createReservationTooLateError = (hoursUntil, contactPhone = '+33 1 23 45 6
   };
 };
 
+// ========================================
+// WAITLIST ERRORS
+// ========================================
+
+/**
+ * Create a waitlist entry not found error
+ * @param {string} entryId - Waitlist entry ID
+ * @returns {Object} Structured error response
+ */
+const createWaitlistEntryNotFoundError = (entryId = null) => {
+  return {
+    success: false,
+    error: 'Waitlist entry not found',
+    code: ERROR_CODES.WAITLIST_ENTRY_NOT_FOUND,
+    details: {
+      entryId,
+      message: 'This waitlist entry does not exist or belongs to another account.',
+    }
+  };
+};
+
+/**
+ * Create a waitlist already joined error
+ * @param {Object} entry - The customer's open entry for that day
+ * @returns {Object} Structured error response
+ */
+const createWaitlistAlreadyJoinedError = (entry) => {
+  return {
+    success: false,
+    error: 'You are already on the waitlist for this day',
+    code: ERROR_CODES.WAITLIST_ALREADY_JOINED,
+    details: {
+      entryId: entry._id,
+      status: entry.status,
+      message: 'Each customer can wait for one table per day.',
+      suggestion: 'Leave your current entry first to change the time range or party size.'
+    }
+  };
+};
+
+/**
+ * Create a waitlist hold expired error
+ * @param {string} entryId - Waitlist entry ID
+ * @param {string} status - Current entry status
+ * @returns {Object} Structured error response
+ */
+const createWaitlistHoldExpiredError = (entryId, status) => {
+  return {
+    success: false,
+    error: 'This table is no longer held for you',
+    code: ERROR_CODES.WAITLIST_HOLD_EXPIRED,
+    details: {
+      entryId,
+      status,
+      message: 'The hold was not confirmed in time and has been offered to the next guest.',
+      suggestion: 'Book another time or join the waitlist again.'
+    }
+  };
+};
+
+// ========================================
+// RELIABILITY ERRORS
+// ========================================
+
+/**
+ * Create an online booking blocked error (reliability policy)
+ * @param {string} reason - 'no-shows' or 'late-cancellations'
+ * @param {number} count - Customer's count for that reason
+ * @param {number} limit - Policy threshold
+ * @param {string} contactPhone - Restaurant contact phone
+ * @returns {Object} Structured error response
+ */
+const createOnlineBookingBlockedError = (reason, count, limit, contactPhone = GLOBAL_VAR.PHONE_NUMBER) => {
+  const what = reason === 'no-shows' ? 'missed reservations' : 'late cancellations';
+
+  return {
+    success: false,
+    error: 'Online booking is not available for this account',
+    code: ERROR_CODES.ONLINE_BOOKING_BLOCKED,
+    details: {
+      reason,
+      count,
+      limit,
+      message: `Online booking is suspended after ${limit} ${what}.`,
+      contactPhone,
+      action: `Please call us at ${contactPhone} to book a table`
+    }
+  };
+};
+
+// ========================================
+// RESERVATION EMAIL LINK ERRORS
+// ========================================
+
+/**
+ * Create an invalid reservation link error (reminder email confirm/cancel links)
+ * @param {string} reason - 'invalid', 'expired' or 'outdated' (reservation moved since the email)
+ * @param {string} contactPhone - Restaurant contact phone
+ * @returns {Object} Structured error response
+ */
+const createReservationLinkInvalidError = (reason = 'invalid', contactPhone = GLOBAL_VAR.PHONE_NUMBER) => {
+  const messages = {
+    invalid: 'This link is not valid.',
+    expired: 'This link has expired: the reservation time has passed.',
+    outdated: 'This reservation has changed since the email was sent.',
+  };
+
+  return {
+    success: false,
+    error: 'Invalid reservation link',
+    code: ERROR_CODES.RESERVATION_LINK_INVALID,
+    details: {
+      reason,
+      message: messages[reason] || messages.invalid,
+      contactPhone,
+      action: 'Please manage your reservation from your account'
+    }
+  };
+};
+
+// ========================================
+// PRIVATE EVENT ERRORS
+// ========================================
+
+/**
+ * Create an event request not found error
+ * @param {string} eventRequestId - Event request ID
+ * @returns {Object} Structured error response
+ */
+const createEventRequestNotFoundError = (eventRequestId = null) => {
+  return {
+    success: false,
+    error: 'Event request not found',
+    code: ERROR_CODES.EVENT_REQUEST_NOT_FOUND,
+    details: {
+      eventRequestId,
+      message: 'This event request does not exist or belongs to another account.',
+    }
+  };
+};
+
+/**
+ * Create an event request invalid status error (step not allowed in the current status)
+ * @param {Object} eventRequest - Event request
+ * @param {Array<string>} allowedStatuses - Statuses the step is allowed from
+ * @returns {Object} Structured error response
+ */
+const createEventRequestInvalidStatusError = (eventRequest, allowedStatuses) => {
+  return {
+    success: false,
+    error: `This event request is ${eventRequest.status}`,
+    code: ERROR_CODES.EVENT_REQUEST_INVALID_STATUS,
+    details: {
+      eventRequestId: eventRequest._id,
+      status: eventRequest.status,
+      allowedStatuses,
+      message: `This action is only possible while the request is ${allowedStatuses.join(' or ')}.`,
+    }
+  };
+};
+
+/**
+ * Create an event deposit not payable error
+ * @param {Object} eventRequest - Event request
+ * @param {string} reason - Why the deposit cannot be paid
+ * @param {string} contactPhone - Restaurant contact phone
+ * @returns {Object} Structured error response
+ */
+const createEventDepositNotPayableError = (eventRequest, reason, contactPhone = GLOBAL_VAR.PHONE_NUMBER) => {
+  return {
+    success: false,
+    error: 'Event deposit cannot be paid online',
+    code: ERROR_CODES.EVENT_DEPOSIT_NOT_PAYABLE,
+    details: {
+      eventRequestId: eventRequest._id,
+      status: eventRequest.status,
+      depositStatus: eventRequest.depositStatus,
+      message: reason,
+      contactPhone,
+      suggestion: 'Check your event request or call us if you believe this is an error.'
+    }
+  };
+};
+
 // ========================================
 // USER MANAGEMENT ERRORS
 // ========================================
@@ -439,6 +863,48 @@ const createCannotDeleteOwnAccountError = () => {
   };
 };
 
+/**
+ * Create a cannot modify own role error
+ * @param {Object} user - Current user
+ * @param {string} attemptedRole - Role that was asked for
+ * @returns {Object} Structured error response
+ */
+const createCannotModifyOwnRoleError = (user, attemptedRole) => {
+  return {
+    success: false,
+    error: 'You cannot modify your own role',
+    code: ERROR_CODES.CANNOT_MODIFY_OWN_ROLE,
+    details: {
+      userId: user._id.toString(),
+      currentRole: user.role,
+      attemptedRole,
+      message: 'Admins cannot modify their own role for security reasons.',
+      suggestion: 'Ask another administrator to change your role if needed.'
+    }
+  };
+};
+
+/**
+ * Create a staff account protected error
+ * Staff accounts can only be changed or deleted by users who can assign roles.
+ * @param {string} userId - Staff user ID
+ * @param {string} role - Role of that user
+ * @returns {Object} Structured error response
+ */
+const createStaffAccountProtectedError = (userId, role) => {
+  return {
+    success: false,
+    error: 'Staff accounts are managed by owners',
+    code: ERROR_CODES.STAFF_ACCOUNT_PROTECTED,
+    details: {
+      userId,
+      role,
+      message: 'Changing a role or a staff account requires the roles:assign permission.',
+      suggestion: 'Ask an owner to make this change.'
+    }
+  };
+};
+
 // ========================================
 // TABLE ERRORS
 // ========================================
@@ -517,6 +983,103 @@ const createInvalidSlotNumberError = (providedSlot = null, maxSlot = 15) => {
   };
 };
 
+/**
+ * Create an invalid table combination error
+ * @param {number} tableNumber - Table being updated
+ * @param {Array<number>} invalidTables - Tables that cannot be joined to it
+ * @returns {Object} Structured error response
+ */
+const createInvalidTableCombinationError = (tableNumber, invalidTables) => {
+  return {
+    success: false,
+    error: 'Invalid joinable tables',
+    code: ERROR_CODES.INVALID_TABLE_COMBINATION,
+    details: {
+      field: 'combinableWith',
+      tableNumber,
+      invalidTables,
+      message: `Table ${tableNumber} can only be joined with other existing tables.`
+    }
+  };
+};
+
+// ========================================
+// SCHEDULE ERRORS
+// ========================================
+
+/**
+ * Create a slot unavailable error (closed day or private event)
+ * @param {Date|string} date - Requested date
+ * @param {number} slot - Requested slot
+ * @param {string} reason - Why the slot cannot be booked
+ * @param {Array<Object>} suggestedSlots - Other times of the day ({ slot, time, tableNumbers })
+ * @returns {Object} Structured error response
+ */
+const createSlotUnavailableError = (date, slot, reason, suggestedSlots = []) => {
+  return {
+    success: false,
+    error: 'This time is not available for reservations',
+    code: ERROR_CODES.SLOT_UNAVAILABLE,
+    details: {
+      date,
+      slot,
+      message: reason,
+      suggestedSlots
+    }
+  };
+};
+
+/**
+ * Create an invalid schedule error
+ * @param {Array<string>} problems - Rule violations found in the schedule
+ * @returns {Object} Structured error response
+ */
+const createInvalidScheduleError = (problems) => {
+  return {
+    success: false,
+    error: 'Invalid schedule',
+    code: ERROR_CODES.INVALID_SCHEDULE,
+    details: {
+      problems,
+      message: problems[0]
+    }
+  };
+};
+
+/**
+ * Create a schedule conflict error (change would strand upcoming reservations)
+ * @param {Array<Object>} reservations - Affected reservations and waitlist holds ({ type, id, reservationNumber, date, time, reason })
+ * @returns {Object} Structured error response
+ */
+const createScheduleConflictError = (reservations) => {
+  return {
+    success: false,
+    error: `${reservations.length} upcoming reservation(s) or waitlist hold(s) fall outside the new schedule`,
+    code: ERROR_CODES.SCHEDULE_CONFLICT,
+    details: {
+      reservations,
+      message: 'These reservations or held tables would no longer fit the opening hours.',
+      suggestion: 'Move or cancel them first, then save the schedule again.'
+    }
+  };
+};
+
+/**
+ * Create a schedule changed error (other saves kept landing while this one was computed)
+ * @returns {Object} Structured error response
+ */
+const createScheduleChangedError = () => {
+  return {
+    success: false,
+    error: 'The schedule was changed while saving',
+    code: ERROR_CODES.SCHEDULE_CHANGED,
+    details: {
+      message: 'Another administrator saved the schedule at the same time.',
+      suggestion: 'Reload the schedule and save your changes again.'
+    }
+  };
+};
+
 // ========================================
 // PAYMENT ERRORS
 // ========================================
@@ -614,6 +1177,129 @@ const createPaymentConfirmationFailedError = (reason = 'Unknown error') => {
   };
 };
 
+/**
+ * Create a webhook signature invalid error
+ * @param {string} reason - Reason the signature check failed
+ * @returns {Object} Structured error response
+ */
+const createWebhookSignatureInvalidError = (reason = 'Invalid signature') => {
+  return {
+    success: false,
+    error: 'Webhook signature verification failed',
+    code: ERROR_CODES.WEBHOOK_SIGNATURE_INVALID,
+    details: {
+      reason,
+      message: 'The webhook payload could not be verified against the configured signing secret.'
+    }
+  };
+};
+
+/**
+ * Create an order not payable error
+ * @param {Object} order - Order that cannot be paid online
+ * @param {string} reason - Why the order cannot be paid
+ * @returns {Object} Structured error response
+ */
+const createOrderNotPayableError = (order, reason) => {
+  return {
+    success: false,
+    error: 'Order cannot be paid online',
+    code: ERROR_CODES.ORDER_NOT_PAYABLE,
+    details: {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      paymentMethod: order.paymentMethod,
+      message: reason,
+      suggestion: 'Check your order history or contact support if you believe this is an error.'
+    }
+  };
+};
+
+/**
+ * Create an order not refundable error
+ * @param {Object} order - Order that cannot be refunded
+ * @param {string} reason - Why the order cannot be refunded
+ * @returns {Object} Structured error response
+ */
+const createOrderNotRefundableError = (order, reason) => {
+  return {
+    success: false,
+    error: 'Order cannot be refunded',
+    code: ERROR_CODES.ORDER_NOT_REFUNDABLE,
+    details: {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      paymentStatus: order.paymentStatus,
+      paymentMethod: order.paymentMethod,
+      message: reason
+    }
+  };
+};
+
+/**
+ * Create a refund amount exceeded error
+ * @param {number} requestedAmount - Amount requested for refund
+ * @param {number} refundableAmount - Amount still refundable on the order
+ * @returns {Object} Structured error response
+ */
+const createRefundAmountExceededError = (requestedAmount, refundableAmount) => {
+  return {
+    success: false,
+    error: 'Refund amount exceeds refundable amount',
+    code: ERROR_CODES.REFUND_AMOUNT_EXCEEDED,
+    details: {
+      requestedAmount,
+      refundableAmount,
+      message: `Only ${refundableAmount} can still be refunded on this order.`,
+      suggestion: 'Lower the refund amount or omit it to refund the remaining balance.'
+    }
+  };
+};
+
+/**
+ * Create a refund failed error
+ * @param {string} reason - Reason for failure
+ * @returns {Object} Structured error response
+ */
+const createRefundFailedError = (reason = 'Unknown error') => {
+  return {
+    success: false,
+    error: 'Failed to issue refund',
+    code: ERROR_CODES.REFUND_FAILED,
+    details: {
+      reason,
+      message: 'The payment provider could not process the refund.',
+      suggestion: 'Check the payment in the Stripe dashboard or record a cash refund instead.'
+    }
+  };
+};
+
+/**
+ * Create a refund reconciliation required error
+ * Stripe issued the refund but the order ledger no longer had room for it
+ * (another refund was recorded meanwhile).
+ * @param {string} stripeRefundId - Stripe Refund ID
+ * @param {number} amount - Refunded amount
+ * @param {number} refundableAmount - Amount the ledger could still take
+ * @returns {Object} Structured error response
+ */
+const createRefundReconciliationRequiredError = (stripeRefundId, amount, refundableAmount) => {
+  return {
+    success: false,
+    error: 'Refund issued but not recorded',
+    code: ERROR_CODES.REFUND_RECONCILIATION_REQUIRED,
+    details: {
+      stripeRefundId,
+      amount,
+      refundableAmount,
+      message: 'Stripe refunded the customer, but the order had meanwhile been refunded by another request, so this refund is not in the order ledger.',
+      suggestion: 'Compare the order refunds with the Stripe dashboard and reverse the duplicate refund there.'
+    }
+  };
+};
+
 // ========================================
 // MENU ERRORS
 // ========================================
@@ -652,6 +1338,28 @@ const createMenuNothingToUpdateError = () => {
   };
 };
 
+/**
+ * Create an invalid modifier selection error (order line options)
+ * @param {Object} menuItem - Menu item the selection was made for
+ * @param {string} reason - What is wrong with the selection
+ * @param {Object} selectionDetails - Group/option context
+ * @returns {Object} Structured error response
+ */
+const createInvalidModifiersError = (menuItem, reason, selectionDetails = {}) => {
+  return {
+    success: false,
+    error: `Invalid options for ${menuItem.name}`,
+    code: ERROR_CODES.MENU_INVALID_MODIFIERS,
+    details: {
+      menuItemId: menuItem._id,
+      itemName: menuItem.name,
+      ...selectionDetails,
+      message: reason,
+      suggestion: 'Refresh the menu and choose the options again.'
+    }
+  };
+};
+
 /**
  * Create an invalid rating error
  * @param {number} providedRating - The invalid rating provided
@@ -823,6 +1531,91 @@ const createOrderInvalidStatusError = (currentStatus, attemptedStatus, validTran
   };
 };
 
+/**
+ * Create an invalid order status transition error
+ * @param {Object} order - Order with its current status and type
+ * @param {string} attemptedStatus - Status the order was asked to move to
+ * @param {Array<string>} allowedTransitions - Statuses allowed from the current status
+ * @returns {Object} Structured error response
+ */
+const createOrderInvalidTransitionError = (order, attemptedStatus, allowedTransitions = []) => {
+  return {
+    success: false,
+    error: `Cannot change ${order.orderType} order from ${order.status} to ${attemptedStatus}`,
+    code: ERROR_CODES.ORDER_INVALID_TRANSITION,
+    details: {
+      orderId: order._id,
+      orderType: order.orderType,
+      currentStatus: order.status,
+      attemptedStatus,
+      allowedTransitions,
+      message: allowedTransitions.length > 0
+        ? `This order is currently ${order.status}. It can only move to: ${allowedTransitions.join(', ')}.`
+        : `This order is ${order.status} and its status can no longer change.`
+    }
+  };
+};
+
+/**
+ * Create an order item not found error
+ * @param {string} orderId - Order ID
+ * @param {string} itemId - Order item (line) ID
+ * @returns {Object} Structured error response
+ */
+const createOrderItemNotFoundError = (orderId, itemId) => {
+  return {
+    success: false,
+    error: 'Order item not found',
+    code: ERROR_CODES.ORDER_ITEM_NOT_FOUND,
+    details: {
+      orderId,
+      itemId,
+      message: 'This item is not part of the order. Refresh the kitchen board and try again.'
+    }
+  };
+};
+
+/**
+ * Create an order not in kitchen error (item bumps outside the preparation stages)
+ * @param {Object} order - Order document
+ * @param {Array<string>} kitchenStatuses - Statuses in which items can be bumped
+ * @returns {Object} Structured error response
+ */
+const createOrderNotInKitchenError = (order, kitchenStatuses = []) => {
+  return {
+    success: false,
+    error: `Items of a ${order.status} order cannot be changed from the kitchen`,
+    code: ERROR_CODES.ORDER_NOT_IN_KITCHEN,
+    details: {
+      orderId: order._id,
+      currentStatus: order.status,
+      kitchenStatuses,
+      message: `Items can only be bumped while the order is ${kitchenStatuses.join(' or ')}.`
+    }
+  };
+};
+
+/**
+ * Create an invalid scheduled time error
+ * @param {string|Date} scheduledFor - Requested pickup/delivery time
+ * @param {string} reason - Why the time cannot be accepted
+ * @param {Object} scheduleDetails - Earliest/latest time or opening hours
+ * @returns {Object} Structured error response
+ */
+const createOrderInvalidScheduleError = (scheduledFor, reason, scheduleDetails = {}) => {
+  return {
+    success: false,
+    error: 'This pickup/delivery time is not available',
+    code: ERROR_CODES.ORDER_INVALID_SCHEDULE,
+    details: {
+      scheduledFor,
+      ...scheduleDetails,
+      message: reason,
+      suggestion: 'Choose another time or order for as soon as possible.'
+    }
+  };
+};
+
 /**
  * Create a payment failed error
  * @param {string} reason - Reason for payment failure
@@ -933,19 +1726,42 @@ module.exports = {
   createEmailNotVerifiedError,
   createNoRefreshTokenError,
   createInvalidRefreshTokenError,
+  createRefreshTokenReusedError,
+  createSessionNotFoundError,
   createAccessTokenExpiredError,
+  createPermissionDeniedError,
+  createLoginLinkInvalidError,
+  createLoginCodeInvalidError,
+
+  // Two-Factor Authentication
+  createTwoFactorChallengeInvalidError,
+  createTwoFactorInvalidCodeError,
+  createTwoFactorAlreadyEnabledError,
+  createTwoFactorNotEnabledError,
+  createTwoFactorSetupNotStartedError,
+  createTwoFactorSetupRequiredError,
+  createTwoFactorRequiredByPolicyError,
 
   // User Management
   createUserNotFoundError,
   createUserAlreadyDeletedError,
   createCannotModifyDeletedAccountError,
   createCannotDeleteOwnAccountError,
+  createCannotModifyOwnRoleError,
+  createStaffAccountProtectedError,
 
   // Tables
   createTableNotFoundError,
   createDateRequiredError,
   createDateAndSlotRequiredError,
   createInvalidSlotNumberError,
+  createInvalidTableCombinationError,
+
+  // Schedule
+  createSlotUnavailableError,
+  createInvalidScheduleError,
+  createScheduleConflictError,
+  createScheduleChangedError,
 
   // Payment
   createInvalidAmountError,
@@ -953,10 +1769,17 @@ module.exports = {
   createPaymentIntentCreationFailedError,
   createPaymentNotCompletedError,
   createPaymentConfirmationFailedError,
+  createWebhookSignatureInvalidError,
+  createOrderNotPayableError,
+  createOrderNotRefundableError,
+  createRefundAmountExceededError,
+  createRefundFailedError,
+  createRefundReconciliationRequiredError,
 
   // Menu
   createMenuItemNotFoundError,
   createMenuNothingToUpdateError,
+  createInvalidModifiersError,
   createInvalidRatingError,
   createReviewAlreadyExistsError,
   createReviewNotFoundError,
@@ -964,6 +1787,7 @@ module.exports = {
 
   // Reservations
   createTablesUnavailableError,
+  createNoTableAvailableError,
   createCapacityExceededError,
   createInvalidTableCapacityError,
   createCapacityInsufficientError,
@@ -971,12 +1795,32 @@ module.exports = {
   createModificationTooLateError,
   createReservationTooLateError,
 
+  // Waitlist
+  createWaitlistEntryNotFoundError,
+  createWaitlistAlreadyJoinedError,
+  createWaitlistHoldExpiredError,
+
+  // Reliability
+  createOnlineBookingBlockedError,
+
+  // Reservation email links
+  createReservationLinkInvalidError,
+
+  // Private events
+  createEventRequestNotFoundError,
+  createEventRequestInvalidStatusError,
+  createEventDepositNotPayableError,
+
   // Orders
   createOrderEmptyItemsError,
   createOrderInvalidTypeError,
   createOrderMissingDeliveryAddressError,
   createOrderNotFoundError,
   createOrderInvalidStatusError,
+  createOrderInvalidTransitionError,
+  createOrderItemNotFoundError,
+  createOrderNotInKitchenError,
+  createOrderInvalidScheduleError,
   createPaymentFailedError,
   createMenuItemUnavailableError,
 
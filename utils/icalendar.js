@@ -0,0 +1,111 @@
+/**
+ * iCalendar (RFC 5545) writer - just what reservation exports need
+ *
+ * Times are written in UTC, lines end with CRLF and are folded at 75 octets.
+ */
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const PRODUCT_ID = '-//RestOh//Reservations//EN';
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ * @param {*} value - Value to write
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a date as a UTC DATE-TIME (e.g. 20250314T193000Z)
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar date-time
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line so that no line exceeds 75 octets
+ * Continuation lines start with a space; multi-byte characters are never split.
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+};
+
+/**
+ * Build the lines of a VEVENT
+ * @param {Object} event - { uid, start, end, summary, description, location, status, lastModified }
+ * @param {Date} now - DTSTAMP
+ * @returns {Array<string>} Content lines
+ */
+const buildEventLines = (event, now) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} calendar - { name (shown by calendar apps for subscriptions), events }
+ * @param {Date} now - Generation time
+ * @returns {string} iCalendar text
+ */
+const buildCalendar = ({ name = null, events = [] }, now = new Date()) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  events.forEach(event => lines.push(...buildEventLines(event, now)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildCalendar,
+};
@@ -0,0 +1,168 @@
+const Order = require('../models/Order');
+const { canTransitionOrder, transitionOrderStatus } = require('./orderStatusHelpers');
+const { getOrderLateness } = require('./orderEtaHelpers');
+
+/**
+ * Order statuses shown on the kitchen board, in board column order
+ */
+const KITCHEN_STAGES = ['confirmed', 'preparing', 'ready'];
+
+/**
+ * Order statuses in which line cooks can bump items
+ * Once an order is ready its items are with the counter or the driver.
+ */
+const BUMPABLE_STATUSES = ['confirmed', 'preparing'];
+
+/**
+ * Get the date an order entered its current status
+ * Orders created before status history was recorded fall back to updatedAt.
+ * @param {Object} order - Order document or plain object
+ * @returns {Date} Date the current stage started
+ */
+const getStageEnteredAt = (order) => {
+  const history = order.statusHistory || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].status === order.status) {
+      return history[i].changedAt;
+    }
+  }
+  return order.updatedAt || order.createdAt;
+};
+
+/**
+ * Check whether every item of an order has been bumped
+ * @param {Object} order - Order document
+ * @returns {boolean} True if all items are done
+ */
+const areAllItemsBumped = (order) => {
+  return order.items.length > 0 && order.items.every(item => Boolean(item.bumpedAt));
+};
+
+/**
+ * Format an order as a kitchen ticket
+ * @param {Object} order - Order document
+ * @param {Date} now - Reference time for time in stage
+ * @returns {Object} Kitchen ticket
+ */
+const toKitchenTicket = (order, now = new Date()) => {
+  const stageEnteredAt = getStageEnteredAt(order);
+  const items = order.items.map(item => ({
+    id: item._id.toString(),
+    menuItem: item.menuItem,
+    name: item.name,
+    quantity: item.quantity,
+    modifiers: (item.modifiers || []).map(modifier => ({ group: modifier.groupName, name: modifier.name })),
+    specialInstructions: item.specialInstructions || null,
+    bumped: Boolean(item.bumpedAt),
+    bumpedAt: item.bumpedAt || null,
+  }));
+
+  return {
+    id: order._id.toString(),
+    orderNumber: order.orderNumber,
+    orderType: order.orderType,
+    status: order.status,
+    customerName: order.userName,
+    specialInstructions: order.specialInstructions || null,
+    scheduledFor: order.scheduledFor || null,
+    createdAt: order.createdAt,
+    stageEnteredAt,
+    minutesInStage: Math.max(0, Math.floor((now - new Date(stageEnteredAt)) / 60000)),
+    estimatedReadyTime: order.estimatedReadyTime || null,
+    ...getOrderLateness(order, now),
+    itemsBumped: items.filter(item => item.bumped).length,
+    itemsTotal: items.length,
+    items,
+  };
+};
+
+/**
+ * Group active orders into kitchen board columns
+ * @param {Array<Object>} orders - Orders in a kitchen stage, oldest first
+ * @param {Date} now - Reference time for time in stage
+ * @returns {Object} Tickets keyed by stage
+ */
+const groupKitchenBoard = (orders, now = new Date()) => {
+  const board = {};
+  KITCHEN_STAGES.forEach(stage => { board[stage] = []; });
+
+  orders.forEach(order => {
+    if (board[order.status]) {
+      board[order.status].push(toKitchenTicket(order, now));
+    }
+  });
+
+  return board;
+};
+
+/**
+ * Set or clear the bump on one order item
+ * Only applies while the order is in a bumpable status and the item is not
+ * already in the requested state, so double taps and races are no-ops.
+ * @param {string} orderId - Order ID
+ * @param {string} itemId - Order item ID
+ * @param {Object|null} user - Cook bumping the item (null to clear the bump)
+ * @returns {Promise<Object|null>} Updated order, or null if nothing changed
+ */
+const setOrderItemBump = async (orderId, itemId, user) => {
+  const bumped = Boolean(user);
+
+  return Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      status: { $in: BUMPABLE_STATUSES },
+      items: { $elemMatch: { _id: itemId, bumpedAt: bumped ? null : { $ne: null } } },
+    },
+    {
+      $set: {
+        'items.$.bumpedAt': bumped ? new Date() : null,
+        'items.$.bumpedBy': bumped ? user._id : null,
+      },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Move an order forward after an item bump
+ * The first bump on a confirmed order starts preparation; once every item is
+ * bumped the order becomes ready. Each step is recorded in statusHistory.
+ * @param {Object} order - Order document after the bump
+ * @param {Object} user - Cook who bumped the item
+ * @returns {Promise<Object>} { order, changes } where changes lists the new statuses
+ */
+const advanceBumpedOrder = async (order, user) => {
+  const changes = [];
+  let current = order;
+
+  if (current.status === 'confirmed' && canTransitionOrder(current, 'preparing')) {
+    const started = await transitionOrderStatus(current, 'preparing', { user });
+    if (!started) {
+      return { order: await Order.findById(order._id), changes };
+    }
+    current = started;
+    changes.push('preparing');
+  }
+
+  if (current.status === 'preparing' && areAllItemsBumped(current)) {
+    const ready = await transitionOrderStatus(current, 'ready', { note: 'All items bumped' });
+    if (!ready) {
+      return { order: await Order.findById(order._id), changes };
+    }
+    current = ready;
+    changes.push('ready');
+  }
+
+  return { order: current, changes };
+};
+
+module.exports = {
+  KITCHEN_STAGES,
+  BUMPABLE_STATUSES,
+  getStageEnteredAt,
+  areAllItemsBumped,
+  toKitchenTicket,
+  groupKitchenBoard,
+  setOrderItemBump,
+  advanceBumpedOrder,
+};
@@ -0,0 +1,100 @@
+/**
+ * Menu Modifier Helpers - validate and price option selections on order lines
+ *
+ * A menu item has modifier groups (size, spice level, add-ons). Each group
+ * accepts between minSelections and maxSelections options; groups with
+ * minSelections >= 1 are required. Prices always come from the menu item,
+ * never from the client.
+ */
+
+const sameId = (a, b) => a.toString() === b.toString();
+
+/**
+ * Round a price to cents
+ * @param {number} amount - Amount in the order currency
+ * @returns {number} Rounded amount
+ */
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Validate a line's option selections and compute its unit price
+ * Groups left empty fall back to their default options.
+ * @param {Object} menuItem - MenuItem document
+ * @param {Array<Object>} selections - [{ groupId, optionId }] from the client
+ * @returns {Object} { modifiers, unitPrice } or { error: { reason, details } }
+ */
+const resolveModifierSelections = (menuItem, selections = []) => {
+  const groups = menuItem.modifierGroups || [];
+  const selected = new Map(); // groupId -> [option]
+
+  for (const { groupId, optionId } of selections) {
+    const group = groups.find(g => sameId(g._id, groupId));
+    if (!group) {
+      return { error: { reason: 'This option group does not exist for this item.', details: { groupId } } };
+    }
+
+    const option = group.options.find(o => sameId(o._id, optionId));
+    if (!option) {
+      return { error: { reason: `Unknown option in "${group.name}".`, details: { groupId, optionId } } };
+    }
+    if (!option.isAvailable) {
+      return {
+        error: { reason: `"${option.name}" is currently unavailable.`, details: { groupId, optionId } },
+      };
+    }
+
+    const chosen = selected.get(group._id.toString()) || [];
+    if (chosen.some(o => sameId(o._id, option._id))) {
+      return { error: { reason: `"${option.name}" was selected twice.`, details: { groupId, optionId } } };
+    }
+    chosen.push(option);
+    selected.set(group._id.toString(), chosen);
+  }
+
+  const modifiers = [];
+
+  for (const group of groups) {
+    let chosen = selected.get(group._id.toString());
+    if (!chosen) {
+      chosen = group.options.filter(o => o.isDefault && o.isAvailable);
+    }
+
+    if (chosen.length < group.minSelections) {
+      return {
+        error: {
+          reason: group.minSelections === 1
+            ? `Please choose an option for "${group.name}".`
+            : `Please choose at least ${group.minSelections} options for "${group.name}".`,
+          details: { groupId: group._id, minSelections: group.minSelections },
+        },
+      };
+    }
+    if (chosen.length > group.maxSelections) {
+      return {
+        error: {
+          reason: `You can choose at most ${group.maxSelections} option(s) for "${group.name}".`,
+          details: { groupId: group._id, maxSelections: group.maxSelections },
+        },
+      };
+    }
+
+    chosen.forEach(option => {
+      modifiers.push({
+        groupId: group._id,
+        groupName: group.name,
+        optionId: option._id,
+        name: option.name,
+        priceDelta: option.priceDelta || 0,
+      });
+    });
+  }
+
+  const unitPrice = roundPrice(menuItem.price + modifiers.reduce((sum, m) => sum + m.priceDelta, 0));
+
+  return { modifiers, unitPrice: Math.max(0, unitPrice) };
+};
+
+module.exports = {
+  roundPrice,
+  resolveModifierSelections,
+};
@@ -0,0 +1,170 @@
+const Order = require('../models/Order');
+
+/**
+ * ETA estimation settings (minutes)
+ * - defaultPreparation: used when a menu item or legacy order has no preparation time
+ * - perExtraPortion: added for each portion beyond the first (items cook in parallel)
+ * - perOrderInKitchen: queue delay per order already `preparing`, applied until this one starts
+ * - delivery: travel time added to delivery orders once ready
+ */
+const ETA_MINUTES = {
+  defaultPreparation: 15,
+  perExtraPortion: 2,
+  perOrderInKitchen: 5,
+  delivery: 20,
+};
+
+/**
+ * Statuses in which an order still waits for the kitchen to start on it
+ */
+const QUEUED_STATUSES = ['pending', 'confirmed'];
+
+const MINUTE_MS = 60 * 1000;
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * MINUTE_MS);
+
+/**
+ * Compute how long the kitchen needs for an order
+ * The slowest dish sets the pace; each extra portion adds a little.
+ * @param {Array<Object>} items - Order items ({ menuItem, quantity })
+ * @param {Array<Object>} menuItems - MenuItem documents for those items
+ * @returns {number} Preparation time in minutes
+ */
+const computePreparationMinutes = (items, menuItems) => {
+  let slowest = 0;
+  let portions = 0;
+
+  items.forEach(item => {
+    const menuItem = menuItems.find(mi => mi._id.toString() === item.menuItem.toString());
+    const preparationTime = menuItem && typeof menuItem.preparationTime === 'number'
+      ? menuItem.preparationTime
+      : ETA_MINUTES.defaultPreparation;
+
+    slowest = Math.max(slowest, preparationTime);
+    portions += item.quantity;
+  });
+
+  return slowest + Math.max(0, portions - 1) * ETA_MINUTES.perExtraPortion;
+};
+
+/**
+ * Count orders currently being prepared (kitchen load)
+ * @param {string|null} excludeOrderId - Order to leave out of the count
+ * @returns {Promise<number>} Number of orders in `preparing`
+ */
+const getKitchenLoad = async (excludeOrderId = null) => {
+  const query = { status: 'preparing' };
+  if (excludeOrderId) {
+    query._id = { $ne: excludeOrderId };
+  }
+  return Order.countDocuments(query);
+};
+
+/**
+ * Estimate ready and handover times for an order entering a status
+ * For pickup orders the handover time is the ready time. Scheduled orders
+ * waiting for the kitchen are not expected before their scheduled time.
+ * @param {Object} order - Order (orderType, preparationMinutes, scheduledFor)
+ * @param {string} status - Status the order is entering
+ * @param {Object} options - { now, kitchenLoad }
+ * @returns {Object} ETA fields to set ({} when the order is finished)
+ */
+const estimateOrderTimes = (order, status, { now = new Date(), kitchenLoad = 0 } = {}) => {
+  const preparation = order.preparationMinutes || ETA_MINUTES.defaultPreparation;
+  const travel = order.orderType === 'delivery' ? ETA_MINUTES.delivery : 0;
+  let readyAt;
+
+  if (QUEUED_STATUSES.includes(status)) {
+    readyAt = addMinutes(now, kitchenLoad * ETA_MINUTES.perOrderInKitchen + preparation);
+    if (order.scheduledFor) {
+      const scheduledReadyAt = addMinutes(new Date(order.scheduledFor), -travel);
+      if (scheduledReadyAt > readyAt) readyAt = scheduledReadyAt;
+    }
+  } else if (status === 'preparing') {
+    readyAt = addMinutes(now, preparation);
+  } else if (status === 'ready') {
+    readyAt = now;
+  } else if (status === 'out-for-delivery') {
+    return { estimatedDeliveryTime: addMinutes(now, travel) };
+  } else {
+    // delivered / cancelled: keep the last estimate for reporting
+    return {};
+  }
+
+  return {
+    estimatedReadyTime: readyAt,
+    estimatedDeliveryTime: addMinutes(readyAt, travel),
+  };
+};
+
+/**
+ * Get the estimate an order is currently working towards
+ * Kitchen stages are due at the ready time; delivery orders on their way
+ * are due at the delivery time. Pickup orders waiting at the counter are not due.
+ * @param {Object} order - Order document or plain object
+ * @returns {Date|null} Due time, or null if nothing is due
+ */
+const getOrderDueTime = (order) => {
+  if (['pending', 'confirmed', 'preparing'].includes(order.status)) {
+    return order.estimatedReadyTime || null;
+  }
+  if (order.orderType === 'delivery' && ['ready', 'out-for-delivery'].includes(order.status)) {
+    return order.estimatedDeliveryTime || null;
+  }
+  return null;
+};
+
+/**
+ * Compute the late flag shown to staff
+ * @param {Object} order - Order document or plain object
+ * @param {Date} now - Reference time
+ * @returns {Object} { isLate, minutesLate }
+ */
+const getOrderLateness = (order, now = new Date()) => {
+  const dueTime = getOrderDueTime(order);
+  if (!dueTime || new Date(dueTime) >= now) {
+    return { isLate: false, minutesLate: 0 };
+  }
+  return { isLate: true, minutesLate: Math.floor((now - new Date(dueTime)) / MINUTE_MS) };
+};
+
+/**
+ * Serialize an order for admin views with its late flag
+ * @param {Object} order - Order document
+ * @param {Date} now - Reference time
+ * @returns {Object} Order JSON with isLate and minutesLate
+ */
+const toAdminOrderJSON = (order, now = new Date()) => {
+  return { ...order.toJSON(), ...getOrderLateness(order, now) };
+};
+
+/**
+ * Build a query matching orders past their due time
+ * Mirrors getOrderDueTime so list filters and flags agree.
+ * @param {Date} now - Reference time
+ * @returns {Object} MongoDB query
+ */
+const buildLateOrdersQuery = (now = new Date()) => {
+  return {
+    $or: [
+      { status: { $in: ['pending', 'confirmed', 'preparing'] }, estimatedReadyTime: { $lt: now } },
+      {
+        orderType: 'delivery',
+        status: { $in: ['ready', 'out-for-delivery'] },
+        estimatedDeliveryTime: { $lt: now },
+      },
+    ],
+  };
+};
+
+module.exports = {
+  ETA_MINUTES,
+  QUEUED_STATUSES,
+  computePreparationMinutes,
+  getKitchenLoad,
+  estimateOrderTimes,
+  getOrderDueTime,
+  getOrderLateness,
+  toAdminOrderJSON,
+  buildLateOrdersQuery,
+};
@@ -0,0 +1,115 @@
+const Counter = require('../models/Counter');
+const { getToday, toDateKey } = require('./timezone');
+
+/**
+ * Order number schemes (ORDER_NUMBER_SCHEME)
+ * - global: ORD-000042 (one sequence, never resets) — default
+ * - yearly: ORD-2025-000042 (sequence restarts each year)
+ * - daily:  ORD-20250314-000042 (sequence restarts each day)
+ * Days and years follow the restaurant timezone (RESTAURANT_TIMEZONE), so an
+ * order placed at 00:30 local time belongs to the new day. The sequence part
+ * is always at least 6 digits.
+ */
+const ORDER_NUMBER_SCHEMES = ['global', 'yearly', 'daily'];
+const ORDER_NUMBER_PREFIX = 'ORD-';
+const SEQUENCE_DIGITS = 6;
+
+// Sequence already aligned with existing orders in this process. Only the
+// current prefix matters: a past day or year never receives new numbers.
+let alignedCounterKey = null;
+
+/**
+ * Get the configured order number scheme
+ * @returns {string} 'global', 'yearly' or 'daily'
+ */
+const getOrderNumberScheme = () => {
+  const scheme = process.env.ORDER_NUMBER_SCHEME;
+  return ORDER_NUMBER_SCHEMES.includes(scheme) ? scheme : 'global';
+};
+
+/**
+ * Build the prefix and counter key for an order placed at `date`
+ * @param {string} scheme - Order number scheme
+ * @param {Date} date - Order date
+ * @returns {Object} { prefix, counterKey }
+ */
+const getOrderNumberPrefix = (scheme, date = new Date()) => {
+  const isoDate = toDateKey(getToday(date)).replace(/-/g, '');
+
+  if (scheme === 'yearly') {
+    const year = isoDate.slice(0, 4);
+    return { prefix: `${ORDER_NUMBER_PREFIX}${year}-`, counterKey: `order:${year}` };
+  }
+  if (scheme === 'daily') {
+    return { prefix: `${ORDER_NUMBER_PREFIX}${isoDate}-`, counterKey: `order:${isoDate}` };
+  }
+  return { prefix: ORDER_NUMBER_PREFIX, counterKey: 'order' };
+};
+
+/**
+ * Format an order number
+ * @param {string} prefix - Prefix from getOrderNumberPrefix
+ * @param {number} sequence - Sequence value
+ * @returns {string} Order number
+ */
+const formatOrderNumber = (prefix, sequence) => {
+  return `${prefix}${sequence.toString().padStart(SEQUENCE_DIGITS, '0')}`;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Raise a sequence above the highest order number already stored
+ * Runs once per prefix and process, so databases created before the
+ * counter existed (or seeded with explicit numbers) continue where they left off.
+ * @param {Object} OrderModel - Order model
+ * @param {string} prefix - Order number prefix
+ * @param {string} counterKey - Counter key
+ */
+const alignSequence = async (OrderModel, prefix, counterKey) => {
+  if (alignedCounterKey === counterKey) return;
+
+  const pattern = new RegExp(`^${escapeRegex(prefix)}\\d{${SEQUENCE_DIGITS}}$`);
+  const lastOrder = await OrderModel.findOne({ orderNumber: { $regex: pattern } })
+    .sort({ orderNumber: -1 })
+    .select('orderNumber')
+    .lean();
+
+  if (lastOrder) {
+    await Counter.ensureAtLeast(counterKey, parseInt(lastOrder.orderNumber.slice(prefix.length), 10));
+  }
+  alignedCounterKey = counterKey;
+};
+
+/**
+ * Generate the next order number
+ * The sequence comes from an atomic counter, so concurrent checkouts never
+ * receive the same number.
+ * @param {Object} OrderModel - Order model (used to align with existing numbers)
+ * @param {Date} date - Order date (for yearly/daily schemes)
+ * @returns {Promise<string>} Order number
+ */
+const generateOrderNumber = async (OrderModel, date = new Date()) => {
+  const { prefix, counterKey } = getOrderNumberPrefix(getOrderNumberScheme(), date);
+
+  await alignSequence(OrderModel, prefix, counterKey);
+  const sequence = await Counter.next(counterKey);
+
+  return formatOrderNumber(prefix, sequence);
+};
+
+/**
+ * Forget which sequences were aligned (tests and seeds that wipe orders)
+ */
+const resetOrderNumberAlignment = () => {
+  alignedCounterKey = null;
+};
+
+module.exports = {
+  ORDER_NUMBER_SCHEMES,
+  getOrderNumberScheme,
+  getOrderNumberPrefix,
+  formatOrderNumber,
+  generateOrderNumber,
+  resetOrderNumberAlignment,
+};
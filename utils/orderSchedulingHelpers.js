@@ -0,0 +1,118 @@
+const { isOpenAt, getOpeningHoursForDay } = require('./timeSlots');
+const { ETA_MINUTES } = require('./orderEtaHelpers');
+
+/**
+ * Scheduled order settings
+ * - minLeadMinutes: earliest scheduled time, counted from checkout
+ * - maxDaysAhead: latest scheduled time
+ * - kitchenBufferMinutes: extra margin before the kitchen sees the order
+ */
+const ORDER_SCHEDULING = {
+  minLeadMinutes: 45,
+  maxDaysAhead: 7,
+  kitchenBufferMinutes: 10,
+};
+
+/**
+ * Date fields admin lists and stats can filter orders by
+ */
+const ORDER_DATE_FIELDS = ['createdAt', 'scheduledFor'];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Validate a requested pickup/delivery time
+ * @param {Date} scheduledFor - Requested time
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { reason, details } when invalid, null when valid
+ */
+const validateScheduledTime = (scheduledFor, now = new Date()) => {
+  const earliest = new Date(now.getTime() + ORDER_SCHEDULING.minLeadMinutes * MINUTE_MS);
+  if (scheduledFor < earliest) {
+    return {
+      reason: `Scheduled orders must be placed at least ${ORDER_SCHEDULING.minLeadMinutes} minutes ahead.`,
+      details: { earliest },
+    };
+  }
+
+  const latest = new Date(now.getTime() + ORDER_SCHEDULING.maxDaysAhead * 24 * 60 * MINUTE_MS);
+  if (scheduledFor > latest) {
+    return {
+      reason: `Orders can be scheduled up to ${ORDER_SCHEDULING.maxDaysAhead} days ahead.`,
+      details: { latest },
+    };
+  }
+
+  if (!isOpenAt(scheduledFor)) {
+    return {
+      reason: 'The restaurant is closed at the requested time.',
+      details: { openingHours: getOpeningHoursForDay(scheduledFor) },
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Compute when a scheduled order should appear in the kitchen
+ * @param {Object} order - Order (scheduledFor, orderType, preparationMinutes)
+ * @returns {Date|null} Release time, or null for ASAP orders
+ */
+const getKitchenReleaseTime = (order) => {
+  if (!order.scheduledFor) return null;
+
+  const travel = order.orderType === 'delivery' ? ETA_MINUTES.delivery : 0;
+  const preparation = order.preparationMinutes || ETA_MINUTES.defaultPreparation;
+  const leadMinutes = travel + preparation + ORDER_SCHEDULING.kitchenBufferMinutes;
+
+  return new Date(new Date(order.scheduledFor).getTime() - leadMinutes * MINUTE_MS);
+};
+
+/**
+ * Query for orders the kitchen should see now (ASAP or released scheduled orders)
+ * @param {Date} now - Reference time
+ * @returns {Object} MongoDB query
+ */
+const buildKitchenVisibleQuery = (now = new Date()) => {
+  return {
+    $or: [
+      { kitchenReleaseAt: null },
+      { kitchenReleaseAt: { $lte: now } },
+    ],
+  };
+};
+
+/**
+ * Build a date range query on orders
+ * For `scheduledFor`, ASAP orders are matched on their creation date so every
+ * order falls on the day it is fulfilled.
+ * @param {string} dateField - 'createdAt' or 'scheduledFor'
+ * @param {Date|null} start - Range start (inclusive)
+ * @param {Date|null} end - Range end (inclusive)
+ * @returns {Object} MongoDB query ({} when no bounds are given)
+ */
+const buildOrderDateQuery = (dateField, start = null, end = null) => {
+  const range = {};
+  if (start) range.$gte = start;
+  if (end) range.$lte = end;
+  if (Object.keys(range).length === 0) return {};
+
+  if (dateField === 'scheduledFor') {
+    return {
+      $or: [
+        { scheduledFor: range },
+        { scheduledFor: null, createdAt: range },
+      ],
+    };
+  }
+  return { createdAt: range };
+};
+
+module.exports = {
+  ORDER_SCHEDULING,
+  ORDER_DATE_FIELDS,
+  validateScheduledTime,
+  getKitchenReleaseTime,
+  buildKitchenVisibleQuery,
+  buildOrderDateQuery,
+};
@@ -0,0 +1,122 @@
+const Order = require('../models/Order');
+const { QUEUED_STATUSES, getKitchenLoad, estimateOrderTimes } = require('./orderEtaHelpers');
+const { isStaff } = require('./permissionHelpers');
+
+/**
+ * Allowed order status transitions per order type
+ * Pickup orders are handed over at the counter ('ready' → 'delivered') and
+ * never go through 'out-for-delivery'. 'delivered' and 'cancelled' are final.
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  pickup: {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['delivered', 'cancelled'],
+    delivered: [],
+    cancelled: [],
+  },
+  delivery: {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['out-for-delivery', 'cancelled'],
+    'out-for-delivery': ['delivered', 'cancelled'],
+    delivered: [],
+    cancelled: [],
+  },
+};
+
+/**
+ * All order statuses known to the Order schema
+ */
+const ORDER_STATUSES = Order.schema.path('status').enumValues;
+
+/**
+ * Get the statuses an order can move to from its current status
+ * @param {string} orderType - 'pickup' or 'delivery'
+ * @param {string} currentStatus - Current order status
+ * @returns {Array<string>} Allowed next statuses
+ */
+const getAllowedTransitions = (orderType, currentStatus) => {
+  const graph = ORDER_STATUS_TRANSITIONS[orderType] || {};
+  return graph[currentStatus] || [];
+};
+
+/**
+ * Check whether an order can move to a new status
+ * @param {Object} order - Order document
+ * @param {string} nextStatus - Requested status
+ * @returns {boolean} True if the transition is declared for this order type
+ */
+const canTransitionOrder = (order, nextStatus) => {
+  return getAllowedTransitions(order.orderType, order.status).includes(nextStatus);
+};
+
+/**
+ * Build a status history entry
+ * @param {string} status - New status
+ * @param {string|null} fromStatus - Previous status (null for order creation)
+ * @param {Object|null} user - User who made the change (null for system changes)
+ * @param {string|null} note - Optional note shown in the timeline
+ * @returns {Object} Status history entry
+ */
+const buildStatusHistoryEntry = (status, fromStatus, user = null, note = null) => {
+  let actorRole = 'system';
+  if (user) {
+    // Every staff role shows as staff in the timeline
+    actorRole = isStaff(user) ? 'admin' : 'customer';
+  }
+
+  return {
+    status,
+    fromStatus,
+    changedBy: user ? user._id : null,
+    actorRole,
+    note: note || null,
+    changedAt: new Date(),
+  };
+};
+
+/**
+ * Move an order to a new status and record it in statusHistory
+ * The update only applies if the order is still in the status it was read
+ * with, so two concurrent changes cannot both pass the transition check.
+ * The ETA is recomputed for the new status in the same update.
+ * @param {Object} order - Order document (as read before the change)
+ * @param {string} nextStatus - New status (must be an allowed transition)
+ * @param {Object} options - { user, note }
+ * @returns {Promise<Object|null>} Updated order, or null if the order changed meanwhile
+ */
+const transitionOrderStatus = async (order, nextStatus, { user = null, note = null } = {}) => {
+  const kitchenLoad = QUEUED_STATUSES.includes(nextStatus) ? await getKitchenLoad(order._id) : 0;
+  const eta = estimateOrderTimes(order, nextStatus, { kitchenLoad });
+
+  return Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: { status: nextStatus, ...eta },
+      $push: { statusHistory: buildStatusHistoryEntry(nextStatus, order.status, user, note) },
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+/**
+ * Format the status history for a customer (hides staff identities)
+ * @param {Array<Object>} statusHistory - Order statusHistory (plain objects)
+ * @returns {Array<Object>} Timeline entries without changedBy
+ */
+const toCustomerTimeline = (statusHistory = []) => {
+  return statusHistory.map(({ changedBy, ...entry }) => entry);
+};
+
+module.exports = {
+  ORDER_STATUS_TRANSITIONS,
+  ORDER_STATUSES,
+  getAllowedTransitions,
+  canTransitionOrder,
+  buildStatusHistoryEntry,
+  transitionOrderStatus,
+  toCustomerTimeline,
+};
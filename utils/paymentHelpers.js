@@ -0,0 +1,675 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const StripeEvent = require('../models/StripeEvent');
+const EventRequest = require('../models/EventRequest');
+const logger = require('./logger');
+
+/**
+ * Convert an amount in currency units to Stripe minor units (cents)
+ * @param {number} amount - Amount in currency units (e.g. 25.5)
+ * @returns {number} Amount in cents (e.g. 2550)
+ */
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * Add an order to its customer's totalOrders/totalSpent, once
+ * Orders are counted when paid, or when delivered unpaid (cash). The statsCounted
+ * claim keeps a card order delivered before its payment landed from counting twice.
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} True if this call counted the order
+ */
+const countOrderInUserStats = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, statsCounted: { $ne: true } },
+    { $set: { statsCounted: true } }
+  );
+
+  if (!claimed) return false;
+
+  await User.findByIdAndUpdate(order.userId, {
+    $inc: {
+      totalOrders: 1,
+      totalSpent: order.totalPrice,
+    },
+  });
+  return true;
+};
+
+/**
+ * Find the order linked to a Stripe PaymentIntent
+ * Looks up by stored paymentIntentId first, then by metadata.orderId
+ * @param {string} paymentIntentId - Stripe PaymentIntent ID
+ * @param {Object} metadata - PaymentIntent metadata (optional)
+ * @returns {Promise<Object|null>} Order document or null if not found
+ */
+const findOrderForPaymentIntent = async (paymentIntentId, metadata = {}) => {
+  if (paymentIntentId) {
+    const order = await Order.findOne({ paymentIntentId });
+    if (order) return order;
+  }
+
+  if (metadata && metadata.orderId) {
+    try {
+      return await Order.findById(metadata.orderId);
+    } catch (error) {
+      // Invalid ObjectId in metadata
+      return null;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether an order can still be paid online by card
+ * @param {Object} order - Order document
+ * @returns {Object} { payable, reason }
+ */
+const checkOrderPayable = (order) => {
+  if (order.paymentMethod !== 'card') {
+    return { payable: false, reason: 'This order is not set to be paid by card.' };
+  }
+
+  if (order.status === 'cancelled') {
+    return { payable: false, reason: 'This order has been cancelled.' };
+  }
+
+  if (!['pending', 'failed'].includes(order.paymentStatus)) {
+    return { payable: false, reason: `This order payment is already ${order.paymentStatus}.` };
+  }
+
+  return { payable: true, reason: null };
+};
+
+/**
+ * Mark order as paid from a succeeded PaymentIntent
+ * The update is conditional on the order not being paid yet, so replayed
+ * events never count the same payment twice in user statistics.
+ * @param {Object} paymentIntent - Stripe PaymentIntent object
+ * @returns {Promise<Object>} { order, updated }
+ */
+const markOrderPaid = async (paymentIntent) => {
+  const order = await findOrderForPaymentIntent(paymentIntent.id, paymentIntent.metadata);
+
+  if (!order) {
+    logger.warn('No order found for succeeded payment intent', { paymentIntentId: paymentIntent.id });
+    return { order: null, updated: false };
+  }
+
+  // Never trust a payment that does not cover the order total
+  const amountReceived = paymentIntent.amount_received ?? paymentIntent.amount;
+  if (amountReceived < toCents(order.totalPrice)) {
+    logger.warn('Payment amount does not match order total', {
+      orderId: order._id,
+      paymentIntentId: paymentIntent.id,
+      amountReceived,
+      expected: toCents(order.totalPrice),
+    });
+    return { order, updated: false };
+  }
+
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: { $in: ['pending', 'failed'] } },
+    {
+      $set: {
+        paymentStatus: 'paid',
+        paymentIntentId: paymentIntent.id,
+        paymentIntentStatus: paymentIntent.status,
+        paidAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!updatedOrder) {
+    return { order, updated: false };
+  }
+
+  try {
+    await countOrderInUserStats(updatedOrder);
+  } catch (error) {
+    logger.error('Error updating user statistics', error);
+  }
+
+  logger.success('Order marked as paid', { orderId: updatedOrder._id, paymentIntentId: paymentIntent.id });
+  return { order: updatedOrder, updated: true };
+};
+
+/**
+ * Mark order payment as failed from a failed PaymentIntent
+ * Paid or refunded orders are left untouched.
+ * @param {Object} paymentIntent - Stripe PaymentIntent object
+ * @returns {Promise<Object>} { order, updated }
+ */
+const markOrderPaymentFailed = async (paymentIntent) => {
+  const order = await findOrderForPaymentIntent(paymentIntent.id, paymentIntent.metadata);
+
+  if (!order) {
+    logger.warn('No order found for failed payment intent', { paymentIntentId: paymentIntent.id });
+    return { order: null, updated: false };
+  }
+
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: 'pending' },
+    {
+      $set: {
+        paymentStatus: 'failed',
+        paymentIntentId: paymentIntent.id,
+        paymentIntentStatus: paymentIntent.status,
+      },
+    },
+    { new: true }
+  );
+
+  if (updatedOrder) {
+    logger.debug('Order payment marked as failed', {
+      orderId: updatedOrder._id,
+      reason: paymentIntent.last_payment_error?.message,
+    });
+  }
+
+  return { order: updatedOrder || order, updated: !!updatedOrder };
+};
+
+/**
+ * Round a currency amount to 2 decimals
+ * @param {number} amount - Amount in currency units
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the amount that can still be refunded on an order
+ * @param {Object} order - Order document
+ * @returns {number} Remaining refundable amount in currency units
+ */
+const getRefundableAmount = (order) => {
+  return roundAmount(order.totalPrice - (order.refundedAmount || 0));
+};
+
+/**
+ * Get the payment status matching a refunded amount
+ * Orders with no refund left go back to their pre-refund status
+ * (card orders were paid, cash orders stay pending).
+ * @param {Object} order - Order document
+ * @param {number} refundedAmount - Total refunded amount
+ * @returns {string} Payment status
+ */
+const getRefundPaymentStatus = (order, refundedAmount) => {
+  if (toCents(refundedAmount) >= toCents(order.totalPrice)) return 'refunded';
+  if (refundedAmount > 0) return 'partially_refunded';
+  return order.paidAt ? 'paid' : 'pending';
+};
+
+/**
+ * Check whether an order can be refunded with the given method
+ * Stripe refunds need a paid card order; cash refunds also cover cash
+ * orders collected on delivery.
+ * @param {Object} order - Order document
+ * @param {string} method - Refund method ('stripe' or 'cash')
+ * @returns {Object} { refundable, reason }
+ */
+const checkOrderRefundable = (order, method) => {
+  const isPaid = ['paid', 'partially_refunded'].includes(order.paymentStatus);
+  const isCollectedCash = order.paymentMethod === 'cash'
+    && order.status === 'delivered'
+    && order.paymentStatus === 'pending';
+
+  if (method === 'stripe') {
+    if (order.paymentMethod !== 'card' || !order.paymentIntentId) {
+      return { refundable: false, reason: 'This order was not paid through Stripe.' };
+    }
+    if (!isPaid) {
+      return { refundable: false, reason: `This order payment is ${order.paymentStatus}.` };
+    }
+  } else if (!isPaid && !isCollectedCash) {
+    return { refundable: false, reason: `This order payment is ${order.paymentStatus}.` };
+  }
+
+  if (getRefundableAmount(order) <= 0) {
+    return { refundable: false, reason: 'This order has already been fully refunded.' };
+  }
+
+  return { refundable: true, reason: null };
+};
+
+// Retries when another refund changes the order between read and write
+const REFUND_WRITE_ATTEMPTS = 3;
+
+/**
+ * Add a refund to the order ledger and update refunded amount, payment status
+ * and user statistics. The write is conditional on the refunded amount read,
+ * so concurrent refunds can never exceed the order total. Stripe refunds are
+ * recorded once per stripeRefundId (API response and webhook may both arrive).
+ * @param {string} orderId - Order ID
+ * @param {Object} entry - Refund entry { amount, method, status, reason, stripeRefundId, processedBy }
+ * @returns {Promise<Object>} { order, refund, updated, exceeded }
+ */
+const recordRefund = async (orderId, entry) => {
+  for (let attempt = 0; attempt < REFUND_WRITE_ATTEMPTS; attempt++) {
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return { order: null, refund: null, updated: false, exceeded: false };
+    }
+
+    if (entry.stripeRefundId) {
+      const existing = order.refunds.find(r => r.stripeRefundId === entry.stripeRefundId);
+      if (existing) {
+        return { order, refund: existing, updated: false, exceeded: false };
+      }
+    }
+
+    if (toCents(entry.amount) > toCents(getRefundableAmount(order))) {
+      return { order, refund: null, updated: false, exceeded: true };
+    }
+
+    const refundedAmount = roundAmount((order.refundedAmount || 0) + entry.amount);
+    const query = {
+      _id: order._id,
+      // Orders created before the refund ledger have no refundedAmount field
+      refundedAmount: order.refundedAmount ? order.refundedAmount : { $in: [0, null] },
+    };
+    if (entry.stripeRefundId) {
+      query['refunds.stripeRefundId'] = { $ne: entry.stripeRefundId };
+    }
+
+    const updatedOrder = await Order.findOneAndUpdate(
+      query,
+      {
+        $set: {
+          refundedAmount,
+          paymentStatus: getRefundPaymentStatus(order, refundedAmount),
+        },
+        $push: { refunds: entry },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (updatedOrder) {
+      try {
+        await User.findByIdAndUpdate(updatedOrder.userId, {
+          $inc: { totalSpent: -entry.amount },
+        });
+      } catch (error) {
+        logger.error('Error updating user statistics', error);
+      }
+
+      const refund = updatedOrder.refunds[updatedOrder.refunds.length - 1];
+      logger.success('Refund recorded', {
+        orderId: updatedOrder._id,
+        amount: entry.amount,
+        method: entry.method,
+        paymentStatus: updatedOrder.paymentStatus,
+      });
+      return { order: updatedOrder, refund, updated: true, exceeded: false };
+    }
+  }
+
+  throw new Error(`Could not record refund for order ${orderId}: order changed concurrently`);
+};
+
+/**
+ * Mark a Stripe refund as failed and give its amount back to the order
+ * @param {string} orderId - Order ID
+ * @param {string} stripeRefundId - Stripe Refund ID
+ * @returns {Promise<Object>} { order, updated }
+ */
+const markRefundFailed = async (orderId, stripeRefundId) => {
+  for (let attempt = 0; attempt < REFUND_WRITE_ATTEMPTS; attempt++) {
+    const order = await Order.findById(orderId);
+    const refund = order && order.refunds.find(r => r.stripeRefundId === stripeRefundId);
+
+    if (!refund || refund.status === 'failed') {
+      return { order, updated: false };
+    }
+
+    const refundedAmount = roundAmount(Math.max(0, order.refundedAmount - refund.amount));
+
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, refundedAmount: order.refundedAmount, 'refunds._id': refund._id },
+      {
+        $set: {
+          'refunds.$.status': 'failed',
+          refundedAmount,
+          paymentStatus: getRefundPaymentStatus(order, refundedAmount),
+        },
+      },
+      { new: true }
+    );
+
+    if (updatedOrder) {
+      try {
+        await User.findByIdAndUpdate(updatedOrder.userId, {
+          $inc: { totalSpent: refund.amount },
+        });
+      } catch (error) {
+        logger.error('Error updating user statistics', error);
+      }
+
+      logger.warn('Stripe refund failed', { orderId: updatedOrder._id, stripeRefundId });
+      return { order: updatedOrder, updated: true };
+    }
+  }
+
+  throw new Error(`Could not mark refund ${stripeRefundId} as failed: order changed concurrently`);
+};
+
+/**
+ * Sync a Stripe Refund with the order ledger
+ * Handles refunds issued from the admin API as well as from the Stripe
+ * dashboard: unknown refunds are recorded, failed ones are reversed.
+ * @param {Object} refund - Stripe Refund object
+ * @returns {Promise<Object>} { order, updated }
+ */
+const syncStripeRefund = async (refund) => {
+  const paymentIntentId = typeof refund.payment_intent === 'string'
+    ? refund.payment_intent
+    : refund.payment_intent?.id;
+
+  const order = await findOrderForPaymentIntent(paymentIntentId, refund.metadata);
+
+  if (!order) {
+    logger.warn('No order found for Stripe refund', { refundId: refund.id, paymentIntentId });
+    return { order: null, updated: false };
+  }
+
+  if (['failed', 'canceled'].includes(refund.status)) {
+    return markRefundFailed(order._id, refund.id);
+  }
+
+  const status = refund.status === 'succeeded' ? 'succeeded' : 'pending';
+  const existing = order.refunds.find(r => r.stripeRefundId === refund.id);
+
+  // Nothing was captured for this order in the ledger, so there is nothing to refund
+  if (!existing && !['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+    logger.warn('Stripe refund for an unpaid order ignored', { orderId: order._id, refundId: refund.id });
+    return { order, updated: false };
+  }
+
+  if (existing) {
+    if (existing.status === status) {
+      return { order, updated: false };
+    }
+
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, refunds: { $elemMatch: { _id: existing._id, status: { $ne: 'failed' } } } },
+      { $set: { 'refunds.$.status': status } },
+      { new: true }
+    );
+    return { order: updatedOrder || order, updated: !!updatedOrder };
+  }
+
+  const result = await recordRefund(order._id, {
+    amount: refund.amount / 100,
+    method: 'stripe',
+    status,
+    reason: refund.metadata?.reason || refund.reason || null,
+    stripeRefundId: refund.id,
+    processedBy: null,
+  });
+
+  if (result.exceeded) {
+    logger.warn('Stripe refund exceeds refundable amount', { orderId: order._id, refundId: refund.id });
+  }
+
+  return { order: result.order, updated: result.updated };
+};
+
+/**
+ * List every refund of a Stripe Charge
+ * Charges no longer embed their refunds (API 2022-11-15 and later), so they
+ * are fetched from the API, page by page.
+ * @param {Object} stripe - Stripe client
+ * @param {string} chargeId - Stripe Charge ID
+ * @returns {Promise<Array<Object>>} Stripe Refund objects
+ */
+const listChargeRefunds = async (stripe, chargeId) => {
+  const refunds = [];
+  let startingAfter;
+
+  for (;;) {
+    const page = await stripe.refunds.list({
+      charge: chargeId,
+      limit: 100,
+      ...(startingAfter && { starting_after: startingAfter }),
+    });
+    refunds.push(...page.data);
+    if (!page.has_more || page.data.length === 0) return refunds;
+    startingAfter = page.data[page.data.length - 1].id;
+  }
+};
+
+/**
+ * Sync the refunds of a refunded Stripe Charge with the order ledger
+ * For webhook endpoints subscribed to charge.refunded rather than refund.*;
+ * refunds already recorded (same Stripe refund ID) are skipped. Listing
+ * errors propagate, so the event is not marked processed and Stripe retries.
+ * @param {Object} charge - Stripe Charge object
+ * @param {Object} options - { stripe } (Stripe client)
+ * @returns {Promise<Object>} { order, updated }
+ */
+const syncChargeRefunds = async (charge, { stripe } = {}) => {
+  if (!stripe) {
+    throw new Error(`Cannot list refunds of charge ${charge.id}: Stripe client unavailable`);
+  }
+
+  const refunds = await listChargeRefunds(stripe, charge.id);
+  let order = null;
+  let updated = false;
+
+  if (refunds.length === 0) {
+    logger.warn('Refunded charge without refunds', { chargeId: charge.id, amountRefunded: charge.amount_refunded });
+  }
+
+  for (const refund of refunds) {
+    const result = await syncStripeRefund({
+      ...refund,
+      payment_intent: refund.payment_intent || charge.payment_intent,
+      metadata: { ...charge.metadata, ...refund.metadata },
+    });
+    order = result.order || order;
+    updated = updated || result.updated;
+  }
+
+  return { order, updated };
+};
+
+/**
+ * Check whether a PaymentIntent pays an event deposit rather than an order
+ * @param {Object} paymentIntent - Stripe PaymentIntent object
+ * @returns {boolean} True for event deposits
+ */
+const isEventDepositIntent = (paymentIntent) => !!paymentIntent.metadata?.eventRequestId;
+
+/**
+ * Find the event request whose deposit a Stripe PaymentIntent pays
+ * Looks up by stored paymentIntentId first, then by metadata.eventRequestId
+ * @param {string} paymentIntentId - Stripe PaymentIntent ID
+ * @param {Object} metadata - PaymentIntent metadata (optional)
+ * @returns {Promise<Object|null>} EventRequest document or null if not found
+ */
+const findEventRequestForPaymentIntent = async (paymentIntentId, metadata = {}) => {
+  if (paymentIntentId) {
+    const eventRequest = await EventRequest.findOne({ paymentIntentId });
+    if (eventRequest) return eventRequest;
+  }
+
+  if (metadata && metadata.eventRequestId) {
+    try {
+      return await EventRequest.findById(metadata.eventRequestId);
+    } catch (error) {
+      // Invalid ObjectId in metadata
+      return null;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether the deposit of an event request can be paid online
+ * @param {Object} eventRequest - EventRequest document
+ * @returns {Object} { payable, reason }
+ */
+const checkEventDepositPayable = (eventRequest) => {
+  if (eventRequest.status !== 'approved') {
+    return { payable: false, reason: `This event request is ${eventRequest.status}.` };
+  }
+
+  if (eventRequest.depositStatus === 'none') {
+    return { payable: false, reason: 'No deposit is required for this event.' };
+  }
+
+  if (eventRequest.depositStatus === 'paid') {
+    return { payable: false, reason: 'The deposit for this event has already been paid.' };
+  }
+
+  return { payable: true, reason: null };
+};
+
+/**
+ * Mark an event deposit as paid from a succeeded PaymentIntent
+ * Recorded even if the event was cancelled meanwhile: the money was taken
+ * and the restaurant settles it with the customer.
+ * @param {Object} paymentIntent - Stripe PaymentIntent object
+ * @returns {Promise<Object>} { eventRequest, updated }
+ */
+const markEventDepositPaid = async (paymentIntent) => {
+  const eventRequest = await findEventRequestForPaymentIntent(paymentIntent.id, paymentIntent.metadata);
+
+  if (!eventRequest) {
+    logger.warn('No event request found for succeeded deposit', { paymentIntentId: paymentIntent.id });
+    return { eventRequest: null, updated: false };
+  }
+
+  const amountReceived = paymentIntent.amount_received ?? paymentIntent.amount;
+  const expected = toCents(eventRequest.quote?.depositAmount || 0);
+  if (amountReceived < expected) {
+    logger.warn('Payment amount does not match event deposit', {
+      eventRequestId: eventRequest._id,
+      paymentIntentId: paymentIntent.id,
+      amountReceived,
+      expected,
+    });
+    return { eventRequest, updated: false };
+  }
+
+  const updatedRequest = await EventRequest.findOneAndUpdate(
+    { _id: eventRequest._id, depositStatus: { $in: ['pending', 'failed'] } },
+    {
+      $set: {
+        depositStatus: 'paid',
+        paymentIntentId: paymentIntent.id,
+        paymentIntentStatus: paymentIntent.status,
+        depositPaidAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!updatedRequest) {
+    return { eventRequest, updated: false };
+  }
+
+  logger.success('Event deposit paid', { eventRequestId: updatedRequest._id, paymentIntentId: paymentIntent.id });
+  return { eventRequest: updatedRequest, updated: true };
+};
+
+/**
+ * Mark an event deposit as failed from a failed PaymentIntent
+ * @param {Object} paymentIntent - Stripe PaymentIntent object
+ * @returns {Promise<Object>} { eventRequest, updated }
+ */
+const markEventDepositFailed = async (paymentIntent) => {
+  const eventRequest = await findEventRequestForPaymentIntent(paymentIntent.id, paymentIntent.metadata);
+
+  if (!eventRequest) {
+    logger.warn('No event request found for failed deposit', { paymentIntentId: paymentIntent.id });
+    return { eventRequest: null, updated: false };
+  }
+
+  const updatedRequest = await EventRequest.findOneAndUpdate(
+    { _id: eventRequest._id, depositStatus: 'pending' },
+    {
+      $set: {
+        depositStatus: 'failed',
+        paymentIntentId: paymentIntent.id,
+        paymentIntentStatus: paymentIntent.status,
+      },
+    },
+    { new: true }
+  );
+
+  return { eventRequest: updatedRequest || eventRequest, updated: !!updatedRequest };
+};
+
+/**
+ * Stripe event handlers by event type
+ * PaymentIntents pay either an order or an event deposit (see metadata).
+ * Handlers receive the event object and { stripe } for follow-up API calls.
+ */
+const STRIPE_EVENT_HANDLERS = {
+  'payment_intent.succeeded': (paymentIntent) => (isEventDepositIntent(paymentIntent)
+    ? markEventDepositPaid(paymentIntent)
+    : markOrderPaid(paymentIntent)),
+  'payment_intent.payment_failed': (paymentIntent) => (isEventDepositIntent(paymentIntent)
+    ? markEventDepositFailed(paymentIntent)
+    : markOrderPaymentFailed(paymentIntent)),
+  'charge.refunded': syncChargeRefunds,
+  'refund.created': syncStripeRefund,
+  'refund.updated': syncStripeRefund,
+  'refund.failed': syncStripeRefund,
+};
+
+/**
+ * Process a verified Stripe event (idempotent)
+ * Events already recorded in StripeEvent are skipped. The event is recorded
+ * only after the handler succeeds, so failed processing is retried by Stripe.
+ * @param {Object} event - Verified Stripe event
+ * @param {Object} options - { stripe } (Stripe client, for handlers that fetch more data)
+ * @returns {Promise<Object>} { handled, duplicate, updated, orderId, eventRequestId }
+ */
+const processStripeEvent = async (event, { stripe = null } = {}) => {
+  const handler = STRIPE_EVENT_HANDLERS[event.type];
+
+  if (!handler) {
+    return { handled: false, duplicate: false, updated: false, orderId: null, eventRequestId: null };
+  }
+
+  if (await StripeEvent.isProcessed(event.id)) {
+    logger.debug('Stripe event already processed', { eventId: event.id, type: event.type });
+    return { handled: true, duplicate: true, updated: false, orderId: null, eventRequestId: null };
+  }
+
+  const { order, eventRequest, updated } = await handler(event.data.object, { stripe });
+  const orderId = order ? order._id : null;
+  const eventRequestId = eventRequest ? eventRequest._id : null;
+
+  await StripeEvent.markProcessed(event, orderId);
+
+  return { handled: true, duplicate: false, updated, orderId, eventRequestId };
+};
+
+module.exports = {
+  toCents,
+  countOrderInUserStats,
+  findOrderForPaymentIntent,
+  checkOrderPayable,
+  markOrderPaid,
+  markOrderPaymentFailed,
+  getRefundableAmount,
+  getRefundPaymentStatus,
+  checkOrderRefundable,
+  recordRefund,
+  markRefundFailed,
+  syncStripeRefund,
+  syncChargeRefunds,
+  isEventDepositIntent,
+  findEventRequestForPaymentIntent,
+  checkEventDepositPayable,
+  markEventDepositPaid,
+  markEventDepositFailed,
+  processStripeEvent,
+  STRIPE_EVENT_HANDLERS,
+};
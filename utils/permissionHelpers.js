@@ -0,0 +1,33 @@
+const { ROLE_PERMISSIONS } = require('../constants/permissions');
+
+/**
+ * Get the permissions of a role
+ * @param {string} role - Role name
+ * @returns {Array<string>} Permissions (empty for customers and unknown roles)
+ */
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a user has at least one of some permissions
+ * @param {Object|null} user - User (or null when not logged in)
+ * @param {...string} permissions - Accepted permissions
+ * @returns {boolean} True if the user's role grants any of them
+ */
+const hasPermission = (user, ...permissions) => {
+  if (!user) return false;
+  const granted = getRolePermissions(user.role);
+  return permissions.some(permission => granted.includes(permission));
+};
+
+/**
+ * Check whether a user is staff (any role with permissions)
+ * @param {Object|null} user - User
+ * @returns {boolean} True for every role but customers
+ */
+const isStaff = (user) => Boolean(user) && getRolePermissions(user.role).length > 0;
+
+module.exports = {
+  getRolePermissions,
+  hasPermission,
+  isStaff,
+};
@@ -0,0 +1,95 @@
+/**
+ * Reservation Links - signed one-click links sent in reservation emails
+ *
+ * The token names the reservation, the action and the date/time it was issued
+ * for, and expires at the reservation time. A link for a reservation that has
+ * since moved is refused instead of acting on the new time. The time label is
+ * compared, not the slot number, which changes when the schedule is renumbered.
+ */
+
+const jwt = require('jsonwebtoken');
+const { getReservationDateTime, getLabelFromSlot } = require('./timeSlots');
+
+const LINK_AUDIENCE = 'reservation-link';
+const RESERVATION_LINK_ACTIONS = ['confirm', 'cancel'];
+
+/**
+ * Get the time a reservation was booked for
+ * @param {Object} reservation - Reservation ({ date, slot, time })
+ * @returns {string} Time label ("HH:MM")
+ */
+const getBookedTimeLabel = (reservation) => reservation.time || getLabelFromSlot(reservation.slot, reservation.date);
+
+/**
+ * Sign a one-click link token
+ * @param {Object} reservation - Reservation ({ _id, date, slot, time })
+ * @param {string} action - 'confirm' or 'cancel'
+ * @returns {string} Signed token
+ */
+const createReservationLinkToken = (reservation, action) => {
+  const slotTime = getReservationDateTime(reservation.date, reservation.slot);
+
+  return jwt.sign(
+    {
+      action,
+      date: new Date(reservation.date).toISOString(),
+      time: getBookedTimeLabel(reservation),
+      exp: Math.floor(slotTime.getTime() / 1000),
+    },
+    process.env.JWT_SECRET,
+    { subject: String(reservation._id), audience: LINK_AUDIENCE }
+  );
+};
+
+/**
+ * Read a one-click link token
+ * @param {string} token - Token from the link
+ * @returns {Object} { reservationId, action, date, time, slot } or { error: 'invalid'|'expired' }
+ */
+const verifyReservationLinkToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: LINK_AUDIENCE });
+    if (!RESERVATION_LINK_ACTIONS.includes(payload.action)) {
+      return { error: 'invalid' };
+    }
+
+    return {
+      reservationId: payload.sub,
+      action: payload.action,
+      date: new Date(payload.date),
+      time: payload.time || null,
+      slot: payload.slot, // Links signed before times were stored
+    };
+  } catch (error) {
+    return { error: error.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+  }
+};
+
+/**
+ * Check that a reservation is still at the date and time a link was issued for
+ * @param {Object} reservation - Current reservation
+ * @param {Object} link - Verified link ({ date, time, slot })
+ * @returns {boolean} True if the reservation has not moved
+ */
+const isLinkCurrent = (reservation, link) => {
+  if (new Date(reservation.date).getTime() !== link.date.getTime()) return false;
+  return link.time ? getBookedTimeLabel(reservation) === link.time : reservation.slot === link.slot;
+};
+
+/**
+ * Build the confirm and cancel URLs of a reservation (frontend pages)
+ * @param {Object} reservation - Reservation
+ * @returns {Object} { confirmUrl, cancelUrl }
+ */
+const buildReservationLinks = (reservation) => ({
+  confirmUrl: `${process.env.FRONTEND_URL}/reservations/respond/${createReservationLinkToken(reservation, 'confirm')}`,
+  cancelUrl: `${process.env.FRONTEND_URL}/reservations/respond/${createReservationLinkToken(reservation, 'cancel')}`,
+});
+
+module.exports = {
+  RESERVATION_LINK_ACTIONS,
+  createReservationLinkToken,
+  verifyReservationLinkToken,
+  isLinkCurrent,
+  buildReservationLinks,
+};
@@ -1,76 +1,181 @@
 /**
- * Time slots configuration for reservations
- * Format: { slot: number, label: string }
- * The slot number is sent to/from the frontend
+ * Restaurant schedule and time slots
  *
- * Slots 1-6: Lunch service (11:00-13:30)
- * Slots 7-15: Dinner service (18:00-22:00)
- */
-
-const TIME_SLOTS = [
-  // Lunch service
-  { slot: 1, label: '11:00' },
-  { slot: 2, label: '11:30' },
-  { slot: 3, label: '12:00' },
-  { slot: 4, label: '12:30' },
-  { slot: 5, label: '13:00' },
-  { slot: 6, label: '13:30' },
-
-  // Dinner service
-  { slot: 7, label: '18:00' },
-  { slot: 8, label: '18:30' },
-  { slot: 9, label: '19:00' },
-  { slot: 10, label: '19:30' },
-  { slot: 11, label: '20:00' },
-  { slot: 12, label: '20:30' },
-  { slot: 13, label: '21:00' },
-  { slot: 14, label: '21:30' },
-  { slot: 15, label: '22:00' }
+ * Slots are generated per day from the admin-managed schedule
+ * (models/RestaurantSchedule.js, loaded by services/schedule/scheduleService.js):
+ * every `slotMinutes` from each service period's opening time, as long as a
+ * full slot fits before closing. Slots are numbered 1..n across the day, so a
+ * slot number is only meaningful together with its date.
+ *
+ * With the default schedule every day has slots 1-6 for lunch (11:00-13:30)
+ * and 7-15 for dinner (18:00-22:00).
+ *
+ * Day resolution order: closure (no slots) > special opening day > weekday hours.
+ * Blackouts (private events) keep their slots but mark them `blocked`.
+ *
+ * Days and slot times are read in the restaurant timezone (utils/timezone.js),
+ * never in the server's.
+ */
+
+const {
+  startOfDay,
+  getToday,
+  getDayOfWeek,
+  getZonedDateTime,
+  getMinutesOfDay
+} = require('./timezone');
+
+const DEFAULT_PERIODS = [
+  { name: 'lunch', open: '11:00', close: '14:00' },
+  { name: 'dinner', open: '18:00', close: '22:30' },
 ];
 
 /**
- * Get time label from slot number
- * @param {number} slotNumber - Slot number
- * @returns {string} Time label or 'N/A' if not found
+ * Schedule used until one is saved by an admin
  */
-const getLabelFromSlot = (slotNumber) => {
-  const slot = TIME_SLOTS.find(s => s.slot === slotNumber);
-  return slot ? slot.label : 'N/A';
+const DEFAULT_SCHEDULE = {
+  slotMinutes: 30,
+  weeklyHours: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, periods: DEFAULT_PERIODS })),
+  closures: [],
+  blackouts: [],
+  specialDays: [],
+};
+
+let activeSchedule = DEFAULT_SCHEDULE;
+
+/**
+ * Get the schedule every slot lookup reads
+ * @returns {Object} Active schedule
+ */
+const getActiveSchedule = () => activeSchedule;
+
+/**
+ * Replace the active schedule (null restores the default)
+ * @param {Object|null} schedule - Schedule ({ slotMinutes, weeklyHours, closures, blackouts, specialDays })
+ */
+const setActiveSchedule = (schedule) => {
+  activeSchedule = schedule ? { ...DEFAULT_SCHEDULE, ...schedule } : DEFAULT_SCHEDULE;
+};
+
+/**
+ * Convert 'HH:MM' to minutes since midnight
+ * @param {string} time - Time label
+ * @returns {number} Minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to 'HH:MM'
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time label
+ */
+const toLabel = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const isSameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+/**
+ * Resolve the schedule of one day
+ * @param {Date|string} date - Any time on the day
+ * @param {Object} schedule - Schedule to read (defaults to the active one)
+ * @returns {Object} { isClosed, reason, isSpecialDay, periods, slots, blackouts }
+ *   slots: [{ slot, label, period, blocked }]
+ */
+const getDaySchedule = (date, schedule = activeSchedule) => {
+  const day = startOfDay(date);
+
+  const closure = (schedule.closures || []).find(c =>
+    startOfDay(c.from) <= day && day <= startOfDay(c.to || c.from)
+  );
+  if (closure) {
+    return { isClosed: true, reason: closure.reason || null, isSpecialDay: false, periods: [], slots: [], blackouts: [] };
+  }
+
+  const specialDay = (schedule.specialDays || []).find(s => isSameDay(s.date, day));
+  const weekday = (schedule.weeklyHours || []).find(d => d.dayOfWeek === getDayOfWeek(day));
+  const periods = [...((specialDay || weekday || {}).periods || [])]
+    .sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+
+  // Blackouts without hours cover the whole day
+  const blackouts = (schedule.blackouts || [])
+    .filter(b => isSameDay(b.date, day))
+    .map(b => ({ start: b.start || '00:00', end: b.end || '23:59', reason: b.reason || null }));
+
+  const slots = [];
+  periods.forEach(period => {
+    for (let minutes = toMinutes(period.open); minutes + schedule.slotMinutes <= toMinutes(period.close); minutes += schedule.slotMinutes) {
+      slots.push({
+        slot: slots.length + 1,
+        label: toLabel(minutes),
+        period: period.name,
+        blocked: blackouts.some(b => minutes >= toMinutes(b.start) && minutes < toMinutes(b.end)),
+      });
+    }
+  });
+
+  return {
+    isClosed: slots.length === 0,
+    reason: specialDay ? specialDay.reason || null : null,
+    isSpecialDay: Boolean(specialDay),
+    periods,
+    slots,
+    blackouts,
+  };
+};
+
+/**
+ * Get all time slots of a day
+ * @param {Date|string} date - Reservation date
+ * @returns {Array} [{ slot, label, period, blocked }]
+ */
+const getAllTimeSlots = (date) => {
+  return getDaySchedule(date).slots;
 };
 
 /**
  * Get full slot object from slot number
  * @param {number} slotNumber - Slot number
+ * @param {Date|string} date - Reservation date
  * @returns {object|null} Slot object or null if not found
  */
-const getSlotByNumber = (slotNumber) => {
-  return TIME_SLOTS.find(s => s.slot === slotNumber) || null;
+const getSlotByNumber = (slotNumber, date) => {
+  return getAllTimeSlots(date).find(s => s.slot === slotNumber) || null;
 };
 
 /**
- * Validate if slot number exists
- * @param {number} slotNumber - Slot number to validate
- * @returns {boolean} True if valid slot
+ * Get time label from slot number
+ * @param {number} slotNumber - Slot number
+ * @param {Date|string} date - Reservation date
+ * @returns {string} Time label or 'N/A' if not found
  */
-const isValidSlot = (slotNumber) => {
-  return TIME_SLOTS.some(s => s.slot === slotNumber);
+const getLabelFromSlot = (slotNumber, date) => {
+  const slot = getSlotByNumber(slotNumber, date);
+  return slot ? slot.label : 'N/A';
 };
 
 /**
- * Get all available time slots
- * @returns {Array} Array of all time slots
+ * Validate if slot number exists on a day
+ * @param {number} slotNumber - Slot number to validate
+ * @param {Date|string} date - Reservation date
+ * @returns {boolean} True if valid slot
  */
-const getAllTimeSlots = () => {
-  return [...TIME_SLOTS];
+const isValidSlot = (slotNumber, date) => {
+  return getSlotByNumber(slotNumber, date) !== null;
 };
 
 /**
  * Convert slot number to time components (hours, minutes)
  * @param {number} slotNumber - Slot number
+ * @param {Date|string} date - Reservation date
  * @returns {object|null} Object with hours and minutes, or null if invalid
  */
-const getTimeFromSlot = (slotNumber) => {
-  const slot = getSlotByNumber(slotNumber);
+const getTimeFromSlot = (slotNumber, date) => {
+  const slot = getSlotByNumber(slotNumber, date);
   if (!slot) return null;
 
   const [hours, minutes] = slot.label.split(':');
@@ -87,12 +192,10 @@ const getTimeFromSlot = (slotNumber) => {
  * @returns {Date|null} Full datetime or null if invalid
  */
 const getReservationDateTime = (date, slotNumber) => {
-  const time = getTimeFromSlot(slotNumber);
+  const time = getTimeFromSlot(slotNumber, date);
   if (!time) return null;
 
-  const reservationDate = new Date(date);
-  reservationDate.setHours(time.hours, time.minutes, 0, 0);
-  return reservationDate;
+  return getZonedDateTime(date, time.hours * 60 + time.minutes);
 };
 
 /**
@@ -119,8 +222,40 @@ const isAfterReservationTime = (date, slotNumber) => {
   return new Date() >= reservationDateTime;
 };
 
+/**
+ * Get the opening periods of a day
+ * @param {Date|string} date - Day
+ * @returns {Array<Object>} Periods ({ name, open, close }); empty when closed
+ */
+const getOpeningHoursForDay = (date) => getDaySchedule(date).periods;
+
+/**
+ * Get the opening period containing a date
+ * @param {Date} date - Date to check
+ * @returns {Object|null} { name, open, close } period, or null when closed
+ */
+const getOpeningPeriod = (date) => {
+  const minutes = getMinutesOfDay(date);
+
+  return getOpeningHoursForDay(getToday(date))
+    .find(period => minutes >= toMinutes(period.open) && minutes < toMinutes(period.close)) || null;
+};
+
+/**
+ * Check whether the restaurant is open at a date (orders)
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if inside an opening period
+ */
+const isOpenAt = (date) => getOpeningPeriod(date) !== null;
+
 module.exports = {
-  TIME_SLOTS,
+  DEFAULT_SCHEDULE,
+  getActiveSchedule,
+  setActiveSchedule,
+  toMinutes,
+  toLabel,
+  startOfDay,
+  getDaySchedule,
   getLabelFromSlot,
   getSlotByNumber,
   isValidSlot,
@@ -128,5 +263,8 @@ module.exports = {
   getTimeFromSlot,
   getReservationDateTime,
   isBeforeReservationTime,
-  isAfterReservationTime
-};
\ No newline at end of file
+  isAfterReservationTime,
+  getOpeningHoursForDay,
+  getOpeningPeriod,
+  isOpenAt
+};
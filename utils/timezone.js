@@ -0,0 +1,193 @@
+/**
+ * Restaurant timezone
+ *
+ * Reservation days are stored as UTC midnight of their calendar day
+ * (2026-10-22 → 2026-10-22T00:00:00.000Z), whatever the timezone of the
+ * server. Clock times (slots, opening hours, blackouts) are wall-clock times
+ * in RESTAURANT_TIMEZONE, so "19:30 on the 22nd" always resolves to the same
+ * instant. Nothing here reads the server's local time.
+ */
+
+const logger = require('./logger');
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Intl formatters are costly to build: one per zone
+const formatters = new Map();
+const invalidZones = new Set();
+
+/**
+ * Get the formatter reading wall-clock parts in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat} Formatter (throws RangeError for an unknown zone)
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Get the restaurant timezone (RESTAURANT_TIMEZONE, an IANA name such as "Europe/Paris")
+ * @returns {string} Timezone, UTC when unset or unknown
+ */
+const getRestaurantTimezone = () => {
+  const timeZone = process.env.RESTAURANT_TIMEZONE;
+  if (!timeZone) return DEFAULT_TIMEZONE;
+
+  try {
+    getFormatter(timeZone);
+    return timeZone;
+  } catch (error) {
+    if (!invalidZones.has(timeZone)) {
+      invalidZones.add(timeZone);
+      logger.warn('Invalid RESTAURANT_TIMEZONE, using UTC', { value: timeZone });
+    }
+    return DEFAULT_TIMEZONE;
+  }
+};
+
+/**
+ * Read the wall-clock date and time of an instant in the restaurant timezone
+ * @param {Date|string|number} instant - Point in time
+ * @returns {Object} { year, month (1-12), day, hours, minutes, seconds }
+ */
+const getZonedParts = (instant) => {
+  const parts = getFormatter(getRestaurantTimezone()).formatToParts(new Date(instant));
+  const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hours: value('hour'),
+    minutes: value('minute'),
+    seconds: value('second'),
+  };
+};
+
+/**
+ * Get how far the restaurant's wall clock is ahead of UTC at an instant
+ * @param {number} time - Epoch milliseconds
+ * @returns {number} Offset in milliseconds (negative west of UTC)
+ */
+const getOffset = (time) => {
+  const parts = getZonedParts(time);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+  return wallClock - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Get the calendar day of an instant in the restaurant timezone
+ * @param {Date} now - Point in time
+ * @returns {Date} Day (UTC midnight)
+ */
+const getToday = (now = new Date()) => {
+  const { year, month, day } = getZonedParts(now);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Get the calendar day a date belongs to
+ * Date-only values - "YYYY-MM-DD" and UTC midnights, the stored form - keep
+ * their day; any other instant (e.g. a browser's local midnight) is read in
+ * the restaurant timezone.
+ * @param {Date|string} date - Day or instant
+ * @returns {Date} Day (UTC midnight); an invalid date stays invalid
+ */
+const startOfDay = (date) => {
+  if (typeof date === 'string' && DATE_ONLY.test(date)) {
+    return new Date(`${date}T00:00:00.000Z`);
+  }
+
+  const value = new Date(date);
+  if (Number.isNaN(value.getTime()) || value.getTime() % DAY_MS === 0) return value;
+  return getToday(value);
+};
+
+/**
+ * Move a day by a number of calendar days
+ * @param {Date|string} date - Day
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {Date} Day (UTC midnight)
+ */
+const addDays = (date, days) => new Date(startOfDay(date).getTime() + days * DAY_MS);
+
+/**
+ * Get the day of the week of a day
+ * @param {Date|string} date - Day
+ * @returns {number} 0 (Sunday) - 6 (Saturday)
+ */
+const getDayOfWeek = (date) => startOfDay(date).getUTCDay();
+
+/**
+ * Format a day as YYYY-MM-DD
+ * @param {Date|string} date - Day
+ * @returns {string} Date key
+ */
+const toDateKey = (date) => startOfDay(date).toISOString().slice(0, 10);
+
+/**
+ * Format a day for people ("Thu Oct 22 2026")
+ * @param {Date|string} date - Day
+ * @returns {string} Readable date
+ */
+const formatDay = (date) => {
+  const day = startOfDay(date);
+  const [weekday, dayOfMonth, month, year] = day.toUTCString().split(' ');
+  return `${weekday.replace(',', '')} ${month} ${dayOfMonth} ${year}`;
+};
+
+/**
+ * Get the instant of a wall-clock time on a day in the restaurant timezone
+ * In a daylight-saving gap the clock is moved forward, as the zone does.
+ * @param {Date|string} date - Day
+ * @param {number} minutes - Minutes since midnight
+ * @returns {Date} Instant
+ */
+const getZonedDateTime = (date, minutes) => {
+  const wallClock = startOfDay(date).getTime() + minutes * MINUTE_MS;
+
+  // The offset depends on the instant itself: correct once for DST changes
+  const guess = wallClock - getOffset(wallClock);
+  return new Date(wallClock - getOffset(guess));
+};
+
+/**
+ * Get the minutes since the restaurant's midnight of an instant
+ * @param {Date} instant - Point in time
+ * @returns {number} Minutes since midnight (wall clock)
+ */
+const getMinutesOfDay = (instant) => {
+  const { hours, minutes } = getZonedParts(instant);
+  return hours * 60 + minutes;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getRestaurantTimezone,
+  getZonedParts,
+  getToday,
+  startOfDay,
+  addDays,
+  getDayOfWeek,
+  toDateKey,
+  formatDay,
+  getZonedDateTime,
+  getMinutesOfDay,
+};
@@ -2,7 +2,10 @@
  * Token Utilities for Access Token + Refresh Token System
  *
  * Access Token: Short-lived JWT (15 min) - sent in Authorization header
- * Refresh Token: Long-lived random token (7 days) - stored in HttpOnly cookie + DB
+ * Refresh Token: Long-lived random token (7 days) - stored in HttpOnly cookie + DB,
+ *   replaced by a new one on every refresh (rotation with reuse detection)
+ * Stream Ticket: One-minute JWT that only opens the order stream - sent as ?ticket=,
+ *   because the browser EventSource cannot send an Authorization header
  */
 
 const jwt = require('jsonwebtoken');
@@ -12,6 +15,13 @@ const RefreshToken = require('../models/RefreshToken');
 const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
 const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 7;
 const SESSION_EXPIRE_HOURS = parseInt(process.env.SESSION_EXPIRE_HOURS, 10) || 24; // When rememberMe is false
+// A rotated token is still accepted this long, for parallel refreshes from several tabs.
+// 0 is a valid setting (no grace at all), so only a missing or non-numeric value falls back.
+const parsedGraceSeconds = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS, 10);
+const REFRESH_TOKEN_REUSE_GRACE_SECONDS = Number.isNaN(parsedGraceSeconds) ? 10 : parsedGraceSeconds;
+// Stream tickets end up in URLs (and access logs), so they only live long enough to connect
+const STREAM_TICKET_EXPIRE_SECONDS = 60;
+const STREAM_TICKET_AUDIENCE = 'order-stream';
 
 /**
  * Generate a short-lived access token (JWT)
@@ -26,6 +36,38 @@ const generateAccessToken = (userId) => {
   );
 };
 
+/**
+ * Generate a stream ticket for the holder of an access token
+ * Carries no `id` claim, so protect refuses it as an access token.
+ * @param {string} userId - User ID
+ * @param {Date|null} sessionExpiresAt - Expiry of the access token it was issued for
+ * @returns {string} Signed ticket
+ */
+const generateStreamTicket = (userId, sessionExpiresAt = null) => {
+  return jwt.sign(
+    { sessionExp: sessionExpiresAt ? Math.floor(sessionExpiresAt.getTime() / 1000) : null },
+    process.env.JWT_SECRET,
+    { subject: String(userId), audience: STREAM_TICKET_AUDIENCE, expiresIn: STREAM_TICKET_EXPIRE_SECONDS }
+  );
+};
+
+/**
+ * Read a stream ticket
+ * @param {string} ticket - Ticket from the query string
+ * @returns {Object|null} { userId, sessionExpiresAt }, null if invalid or expired
+ */
+const verifyStreamTicket = (ticket) => {
+  try {
+    const payload = jwt.verify(ticket, process.env.JWT_SECRET, { audience: STREAM_TICKET_AUDIENCE });
+    return {
+      userId: payload.sub,
+      sessionExpiresAt: payload.sessionExp ? new Date(payload.sessionExp * 1000) : null,
+    };
+  } catch {
+    return null;
+  }
+};
+
 /**
  * Generate a refresh token and store it in database
  * Duration depends on rememberMe option:
@@ -53,7 +95,18 @@ const verifyRefreshToken = async (token) => {
 };
 
 /**
- * Revoke a specific refresh token
+ * Rotate a refresh token: the presented token is exchanged for a new one
+ * Replaying a token rotated more than REFRESH_TOKEN_REUSE_GRACE_SECONDS ago
+ * revokes its whole family (see RefreshToken.rotateToken).
+ * @param {string} token - Refresh token from the cookie
+ * @returns {Promise<Object>} { status: 'rotated'|'grace'|'reused'|'invalid', refreshToken }
+ */
+const rotateRefreshToken = async (token) => {
+  return RefreshToken.rotateToken(token, REFRESH_TOKEN_REUSE_GRACE_SECONDS);
+};
+
+/**
+ * Revoke a specific refresh token, with every token rotated from the same login
  * @param {string} token - Refresh token to revoke
  * @returns {Promise<boolean>} True if token was revoked
  */
@@ -73,22 +126,51 @@ const revokeAllUserTokens = async (userId) => {
 /**
  * Get all active sessions for a user
  * @param {string} userId - User ID
- * @returns {Promise<Array>} Array of session info (userAgent, ip, createdAt)
+ * @returns {Promise<Array>} Array of session info (userAgent, ip, createdAt, lastUsedAt, expiresAt)
  */
 const getUserSessions = async (userId) => {
   return RefreshToken.getUserSessions(userId);
 };
 
+/**
+ * Revoke one session of a user (logout a single device)
+ * @param {string} userId - User ID
+ * @param {string} sessionId - RefreshToken document ID
+ * @returns {Promise<boolean>} True if the session existed and was revoked
+ */
+const revokeUserSession = async (userId, sessionId) => {
+  return RefreshToken.revokeUserSession(userId, sessionId);
+};
+
+/**
+ * Find the session a request was made from (its refresh token cookie)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} RefreshToken document, or null without a valid cookie
+ */
+const getCurrentSession = async (req) => {
+  const token = req.cookies?.refreshToken;
+  if (!token) return null;
+
+  const session = await RefreshToken.verifyToken(token);
+  if (!session || !req.user || !session.userId.equals(req.user._id)) return null;
+  return session;
+};
+
 /**
  * Cookie options for refresh token
  * @param {boolean} rememberMe - Whether to use long-lived cookie
+ * @param {Date|null} expiresAt - Token expiry (rotated tokens keep the session's), overrides rememberMe
  * @returns {Object} Cookie options
  */
-const getRefreshTokenCookieOptions = (rememberMe) => {
-  const maxAge = rememberMe
+const getRefreshTokenCookieOptions = (rememberMe, expiresAt = null) => {
+  let maxAge = rememberMe
     ? REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000
     : SESSION_EXPIRE_HOURS * 60 * 60 * 1000;
 
+  if (expiresAt) {
+    maxAge = Math.max(new Date(expiresAt).getTime() - Date.now(), 0);
+  }
+
   const isProduction = process.env.NODE_ENV === 'production';
 
   return {
@@ -108,9 +190,10 @@ const getRefreshTokenCookieOptions = (rememberMe) => {
  * @param {Object} res - Express response object
  * @param {string} token - Refresh token
  * @param {boolean} rememberMe - Whether to use long-lived cookie
+ * @param {Date|null} expiresAt - Token expiry, when known
  */
-const setRefreshTokenCookie = (res, token, rememberMe = true) => {
-  res.cookie('refreshToken', token, getRefreshTokenCookieOptions(rememberMe));
+const setRefreshTokenCookie = (res, token, rememberMe = true, expiresAt = null) => {
+  res.cookie('refreshToken', token, getRefreshTokenCookieOptions(rememberMe, expiresAt));
 };
 
 /**
@@ -151,6 +234,7 @@ const getTokenConfig = () => {
     accessTokenExpire: ACCESS_TOKEN_EXPIRE,
     refreshTokenExpireDays: REFRESH_TOKEN_EXPIRE_DAYS,
     sessionExpireHours: SESSION_EXPIRE_HOURS,
+    refreshTokenReuseGraceSeconds: REFRESH_TOKEN_REUSE_GRACE_SECONDS,
   };
 };
 
@@ -158,9 +242,12 @@ module.exports = {
   // Token generation
   generateAccessToken,
   generateRefreshToken,
+  generateStreamTicket,
 
   // Token verification
   verifyRefreshToken,
+  verifyStreamTicket,
+  rotateRefreshToken,
   decodeAccessToken,
 
   // Token revocation
@@ -169,6 +256,8 @@ module.exports = {
 
   // Session management
   getUserSessions,
+  revokeUserSession,
+  getCurrentSession,
 
   // Cookie helpers
   getRefreshTokenCookieOptions,
@@ -180,4 +269,6 @@ module.exports = {
   ACCESS_TOKEN_EXPIRE,
   REFRESH_TOKEN_EXPIRE_DAYS,
   SESSION_EXPIRE_HOURS,
+  REFRESH_TOKEN_REUSE_GRACE_SECONDS,
+  STREAM_TICKET_EXPIRE_SECONDS,
 };
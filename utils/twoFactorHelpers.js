@@ -0,0 +1,129 @@
+/**
+ * Two-Factor Authentication helpers
+ *
+ * - TOTP secrets are encrypted at rest (AES-256-GCM): unlike passwords they
+ *   must be read back to check codes
+ * - Recovery codes are stored as SHA-256 hashes and shown once
+ * - Logging in with 2FA is two requests: the password returns a short-lived
+ *   challenge token, exchanged with a code for the real tokens
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_AUDIENCE = 'two-factor-challenge';
+const CHALLENGE_EXPIRE_SECONDS = 5 * 60;
+const DEFAULT_ISSUER = 'RestOh';
+
+/**
+ * Get the name authenticator apps show for the account
+ * @returns {string} Issuer (TWO_FACTOR_ISSUER, default "RestOh")
+ */
+const getTwoFactorIssuer = () => process.env.TWO_FACTOR_ISSUER || DEFAULT_ISSUER;
+
+/**
+ * Get the key encrypting TOTP secrets
+ * TWO_FACTOR_ENCRYPTION_KEY; derived from JWT_SECRET when unset
+ * @returns {Buffer} 32-byte key
+ */
+const getEncryptionKey = () => {
+  const material = process.env.TWO_FACTOR_ENCRYPTION_KEY || `two-factor:${process.env.JWT_SECRET}`;
+  return crypto.createHash('sha256').update(material).digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} "iv:tag:ciphertext" (base64)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string|null} Base32 secret, null if it cannot be decrypted (key changed)
+ */
+const decryptSecret = (stored) => {
+  try {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Hash a recovery code for storage or lookup
+ * @param {string} code - Recovery code (dashes and case ignored)
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a set of one-time recovery codes
+ * @returns {Object} { codes: shown to the user once, hashes: stored }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const value = crypto.randomBytes(5).toString('hex'); // 10 hex chars
+    return `${value.slice(0, 5)}-${value.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Sign the token proving the password step of a 2FA login
+ * @param {Object} user - User who passed the password check
+ * @param {boolean} rememberMe - Carried over to the session created after the code
+ * @returns {string} Signed challenge token
+ */
+const createChallengeToken = (user, rememberMe) => {
+  return jwt.sign(
+    { rememberMe: Boolean(rememberMe) },
+    process.env.JWT_SECRET,
+    { subject: String(user._id), audience: CHALLENGE_AUDIENCE, expiresIn: CHALLENGE_EXPIRE_SECONDS }
+  );
+};
+
+/**
+ * Read a challenge token
+ * @param {string} token - Token from the login response
+ * @returns {Object|null} { userId, rememberMe, issuedAt }, null if invalid or expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    return {
+      userId: payload.sub,
+      rememberMe: payload.rememberMe === true,
+      issuedAt: new Date(payload.iat * 1000),
+    };
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  CHALLENGE_EXPIRE_SECONDS,
+  getTwoFactorIssuer,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken,
+};
@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { startOfDay, getToday } = require('./timezone');
+const { ROLES } = require('../constants/permissions');
 
 // User registration validation
 const validateRegister = (data) => {
@@ -23,6 +25,55 @@ const validateLogin = (data) => {
   return schema.validate(data);
 };
 
+// Passwordless sign-in request; a name is only used when the email has no account yet
+const validateEmailLoginRequest = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    name: Joi.string().min(2).max(50).optional(),
+    rememberMe: Joi.boolean().default(false),
+  });
+
+  return schema.validate(data);
+};
+
+// Passwordless sign-in: the token from the emailed link, or the emailed code with its email
+const validateEmailLoginVerify = (data) => {
+  const schema = Joi.object({
+    token: Joi.string().hex().length(64),
+    email: Joi.string().email(),
+    code: Joi.string().pattern(/^\d{6}$/).messages({
+      'string.pattern.base': '{{#label}} must be a 6-digit code',
+    }),
+  }).xor('token', 'code').with('code', 'email').without('token', 'email');
+
+  return schema.validate(data);
+};
+
+// Menu item modifier groups (size, spice level, add-ons)
+const modifierGroupSchema = Joi.object({
+    _id: Joi.string().hex().length(24).optional(),
+    name: Joi.string().max(50).required(),
+    minSelections: Joi.number().integer().min(0).optional(),
+    maxSelections: Joi.number().integer().min(1).optional(),
+    options: Joi.array().items(Joi.object({
+      _id: Joi.string().hex().length(24).optional(),
+      name: Joi.string().max(50).required(),
+      priceDelta: Joi.number().precision(2).optional(),
+      isDefault: Joi.boolean().optional(),
+      isAvailable: Joi.boolean().optional(),
+    })).min(1).max(30).required(),
+  }).custom((group, helpers) => {
+    const min = group.minSelections || 0;
+    const max = group.maxSelections || 1;
+    if (max < min) {
+      return helpers.message(`"${group.name}" maxSelections cannot be lower than minSelections`);
+    }
+    if (min > group.options.length) {
+      return helpers.message(`"${group.name}" requires more selections than it has options`);
+    }
+    return group;
+  });
+
 const menuSchema = Joi.object({
     name: Joi.string().min(2).max(100).required(),
     description: Joi.string().min(10).max(500).required(),
@@ -34,22 +85,41 @@ const menuSchema = Joi.object({
     isAvailable: Joi.boolean().optional(),
     ingredients: Joi.array().items(Joi.string()).optional(),
     allergens: Joi.array().items(Joi.string()).optional(),
+    modifierGroups: Joi.array().items(modifierGroupSchema).max(10).optional(),
     spiceLevel: Joi.string().valid('mild', 'medium', 'hot', 'very-hot').allow(null).optional(),
     image: Joi.string().allow(null).optional(),
     cloudinaryPublicId: Joi.string().allow(null).optional(),
   });
 
+// Booking day, today included (restaurant timezone); validated values hold the stored form
+const upcomingDay = Joi.date().custom((value, helpers) => {
+  const day = startOfDay(value);
+  const today = getToday();
+  return day >= today ? day : helpers.error('date.min', { limit: today });
+});
+
 // Reservation validation
 const validateReservation = (data) => {
-  // Get start of today (midnight) in UTC to allow same-day reservations
-  const startOfToday = new Date();
-  startOfToday.setUTCHours(0, 0, 0, 0);
-
   const schema = Joi.object({
-    date: Joi.date().min(startOfToday).required(),
+    date: upcomingDay.required(),
     slot: Joi.number().required(),
     guests: Joi.number().integer().min(1).max(20).required(),
-    tableNumber: Joi.array().items(Joi.number().integer()).required(),
+    // Omitted or empty: the server picks the tables
+    tableNumber: Joi.array().items(Joi.number().integer()).optional(),
+    specialRequest: Joi.string().max(200).allow(null).optional(),
+    contactPhone: Joi.string().pattern(/^[0-9]{10}$/).required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate joining the reservation waitlist (slotTo defaults to slotFrom)
+const validateWaitlistEntry = (data) => {
+  const schema = Joi.object({
+    date: upcomingDay.required(),
+    slotFrom: Joi.number().integer().min(1).required(),
+    slotTo: Joi.number().integer().min(Joi.ref('slotFrom')).optional(),
+    guests: Joi.number().integer().min(1).max(20).required(),
     specialRequest: Joi.string().max(200).allow(null).optional(),
     contactPhone: Joi.string().pattern(/^[0-9]{10}$/).required(),
   });
@@ -57,6 +127,45 @@ const validateReservation = (data) => {
   return schema.validate(data);
 };
 
+// Validate a walk-in seated by the host stand (tables chosen automatically when omitted)
+const validateWalkIn = (data) => {
+  const schema = Joi.object({
+    guests: Joi.number().integer().min(1).max(20).required(),
+    tableNumber: Joi.array().items(Joi.number().integer().min(1)).min(1).optional(),
+    name: Joi.string().trim().max(50).optional(),
+    contactPhone: Joi.string().pattern(/^[0-9]{10}$/).optional(),
+    notes: Joi.string().max(300).allow(null, '').optional(),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate the tables of a party being seated or moved
+const validateFloorTables = (data, { required = false } = {}) => {
+  const tableNumber = Joi.array().items(Joi.number().integer().min(1)).min(1);
+
+  const schema = Joi.object({
+    tableNumber: required ? tableNumber.required() : tableNumber.optional(),
+  });
+
+  return schema.validate(data);
+};
+
+// Reservation reliability policy update (admin); null switches a threshold off
+const validateReservationPolicyUpdate = (data) => {
+  const threshold = Joi.number().integer().min(1).allow(null).optional();
+
+  const schema = Joi.object({
+    noShowGraceMinutes: Joi.number().integer().min(5).max(240).optional(),
+    lateCancellationHours: Joi.number().integer().min(0).max(168).optional(),
+    phoneConfirmationAfterNoShows: threshold,
+    blockOnlineBookingAfterNoShows: threshold,
+    blockOnlineBookingAfterLateCancellations: threshold,
+  }).min(1);
+
+  return schema.validate(data);
+};
+
 // Validate order creation from frontend
 const validateCreateOrder = (data) => {
   const schema = Joi.object({
@@ -66,12 +175,18 @@ const validateCreateOrder = (data) => {
         menuItem: Joi.string().required(),
         quantity: Joi.number().integer().min(1).required(),
         specialInstructions: Joi.string().max(100).allow(null).optional(),
+        // Chosen options, priced server-side from the menu item
+        modifiers: Joi.array().items(Joi.object({
+          groupId: Joi.string().hex().length(24).required(),
+          optionId: Joi.string().hex().length(24).required(),
+        })).max(30).optional(),
       })
     ).min(1).required(),
     orderType: Joi.string().valid('pickup', 'delivery').required(),
     phone: Joi.string().pattern(/^[0-9]{10}$/).required(),
     paymentMethod: Joi.string().valid('cash', 'card').optional(),
-    paymentStatus: Joi.string().valid('pending', 'paid').optional(),
+    // Orders are always created unpaid; 'paid' is only set by verified Stripe confirmation
+    paymentStatus: Joi.string().valid('pending').optional(),
     deliveryAddress: Joi.object({
       street: Joi.string().required(),
       city: Joi.string().required(),
@@ -83,6 +198,8 @@ const validateCreateOrder = (data) => {
       otherwise: Joi.optional(),
     }),
     specialInstructions: Joi.string().max(200).allow(null).optional(),
+    // Requested pickup/delivery time; omitted or null for ASAP
+    scheduledFor: Joi.date().iso().allow(null).optional(),
     totalPrice: Joi.number().positive().optional(),
   });
 
@@ -181,8 +298,156 @@ const validateUserUpdate = (data) => {
 // Admin user update validation (only role and active status)
 const validateAdminUserUpdate = (data) => {
   const schema = Joi.object({
-    role: Joi.string().valid('user', 'admin').optional(),
+    role: Joi.string().valid(...ROLES).optional(),
     isActive: Joi.boolean().optional(),
+    // Reliability counters, e.g. reset after a customer explains a missed visit
+    noShowCount: Joi.number().integer().min(0).optional(),
+    lateCancellationCount: Joi.number().integer().min(0).optional(),
+  });
+
+  return schema.validate(data);
+};
+
+// Role assignment (admin)
+const validateRoleAssignment = (data) => {
+  const schema = Joi.object({
+    role: Joi.string().valid(...ROLES).required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Restaurant schedule update (admin); every field is optional but at least one is required
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': '{{#label}} must use the HH:MM format',
+});
+
+const servicePeriodSchema = Joi.object({
+  name: Joi.string().max(30).required(),
+  open: timeOfDay.required(),
+  close: timeOfDay.required(),
+});
+
+const validateScheduleUpdate = (data) => {
+  const schema = Joi.object({
+    slotMinutes: Joi.number().integer().min(10).max(120).optional(),
+    // Only the listed weekdays are replaced
+    weeklyHours: Joi.array().items(Joi.object({
+      dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+      periods: Joi.array().items(servicePeriodSchema).max(4).required(),
+    })).unique('dayOfWeek').optional(),
+    closures: Joi.array().items(Joi.object({
+      from: Joi.date().required(),
+      to: Joi.date().min(Joi.ref('from')).allow(null).optional(),
+      reason: Joi.string().max(100).allow('', null).optional(),
+    })).optional(),
+    blackouts: Joi.array().items(Joi.object({
+      date: Joi.date().required(),
+      start: timeOfDay.allow(null).optional(),
+      end: timeOfDay.allow(null).optional(),
+      reason: Joi.string().max(100).allow('', null).optional(),
+    }).and('start', 'end')).optional(),
+    specialDays: Joi.array().items(Joi.object({
+      date: Joi.date().required(),
+      periods: Joi.array().items(servicePeriodSchema).max(4).required(),
+      reason: Joi.string().max(100).allow('', null).optional(),
+    })).optional(),
+  }).min(1);
+
+  return schema.validate(data);
+};
+
+// Private event / large-party request from a customer; times are HH:MM on the event day
+const validateEventRequest = (data) => {
+  const schema = Joi.object({
+    type: Joi.string().valid('large-party', 'buyout').required(),
+    date: upcomingDay.required(),
+    startTime: timeOfDay.required(),
+    endTime: timeOfDay.required().custom((value, helpers) => {
+      return value > helpers.state.ancestors[0].startTime ? value : helpers.error('any.invalid');
+    }).messages({ 'any.invalid': '"endTime" must be after "startTime"' }),
+    guests: Joi.number().integer().min(1).max(500).required(),
+    occasion: Joi.string().trim().max(100).allow(null, '').optional(),
+    message: Joi.string().max(1000).allow(null, '').optional(),
+    contactPhone: Joi.string().pattern(/^[0-9]{10}$/).required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Admin quote for an event request; a buyout takes every table, a large party the listed ones
+const validateEventQuote = (data, { buyout = false } = {}) => {
+  const tableNumbers = Joi.array().items(Joi.number().integer().min(1)).min(1).unique();
+
+  const schema = Joi.object({
+    totalAmount: Joi.number().positive().precision(2).required(),
+    depositAmount: Joi.number().min(0).precision(2).max(Joi.ref('totalAmount')).default(0),
+    currency: Joi.string().valid('usd', 'eur', 'gbp').default('usd'),
+    tableNumbers: buyout ? tableNumbers.forbidden() : tableNumbers.required(),
+    notes: Joi.string().max(500).allow(null, '').optional(),
+  });
+
+  return schema.validate(data);
+};
+
+// Reason shown to the customer when an admin declines an event request
+const validateEventDecline = (data) => {
+  const schema = Joi.object({
+    reason: Joi.string().max(300).allow(null, '').optional(),
+  });
+
+  return schema.validate(data);
+};
+
+// Two-factor authentication: a 6-digit authenticator code or a one-time recovery code
+const totpCode = Joi.string().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': '{{#label}} must be a 6-digit code',
+});
+const recoveryCode = Joi.string().trim().max(20);
+
+// Second step of a 2FA login
+const validateTwoFactorLogin = (data) => {
+  const schema = Joi.object({
+    challengeToken: Joi.string().required(),
+    code: totpCode.optional(),
+    recoveryCode: recoveryCode.optional(),
+  }).xor('code', 'recoveryCode');
+
+  return schema.validate(data);
+};
+
+// Start of 2FA enrolment; the password is asked again
+const validateTwoFactorSetup = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Code from the authenticator app (enable, regenerate recovery codes)
+const validateTwoFactorCode = (data) => {
+  const schema = Joi.object({
+    code: totpCode.required(),
+  });
+
+  return schema.validate(data);
+};
+
+const validateTwoFactorDisable = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().required(),
+    code: totpCode.optional(),
+    recoveryCode: recoveryCode.optional(),
+  }).xor('code', 'recoveryCode');
+
+  return schema.validate(data);
+};
+
+// Security settings update (owner)
+const validateSecuritySettingsUpdate = (data) => {
+  const schema = Joi.object({
+    requireTwoFactorForStaff: Joi.boolean().required(),
   });
 
   return schema.validate(data);
@@ -190,19 +455,36 @@ const validateAdminUserUpdate = (data) => {
 
 // Payment validation schemas
 const createPaymentIntentSchema = Joi.object({
-  amount: Joi.number().positive().required(),
+  orderId: Joi.string().hex().length(24).required(),
   currency: Joi.string().valid('usd', 'eur', 'gbp').default('usd').optional()
 });
 
+// Deposit amount and currency come from the event quote
+const createEventDepositIntentSchema = Joi.object({
+  eventRequestId: Joi.string().hex().length(24).required()
+});
+
 const confirmPaymentSchema = Joi.object({
   paymentIntentId: Joi.string().required()
 });
 
+// Refund amount defaults to the remaining refundable balance when omitted
+const refundSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).optional(),
+  reason: Joi.string().max(200).allow('', null).optional()
+});
+
 module.exports = {
   validateRegister,
   validateLogin,
+  validateEmailLoginRequest,
+  validateEmailLoginVerify,
   menuSchema,
   validateReservation,
+  validateWaitlistEntry,
+  validateWalkIn,
+  validateFloorTables,
+  validateReservationPolicyUpdate,
   validateCreateOrder,
   contactSchema,
   reviewSchema,
@@ -212,6 +494,18 @@ module.exports = {
   DiscussionSchema,
   validateUserUpdate,
   validateAdminUserUpdate,
+  validateRoleAssignment,
+  validateScheduleUpdate,
+  validateEventRequest,
+  validateEventQuote,
+  validateEventDecline,
+  validateTwoFactorLogin,
+  validateTwoFactorSetup,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateSecuritySettingsUpdate,
   createPaymentIntentSchema,
+  createEventDepositIntentSchema,
   confirmPaymentSchema,
+  refundSchema,
 };
\ No newline at end of file